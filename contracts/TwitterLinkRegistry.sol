@@ -0,0 +1,180 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+// Verifier generated from the circuit's verification key (contracts/generated/HonkVerifier.sol,
+// see `npm run build:contracts`). Proofs must use the keccak transcript (zkProof.transcript).
+// HonkVerifier reverts with its own errors on an invalid proof rather than returning false
+interface IProofVerifier {
+    function verify(bytes calldata proof, bytes32[] calldata publicInputs) external view returns (bool);
+}
+
+// Twitter Link Registry
+// Records wallets whose Twitter account was proven by circuits/src/main.nr:
+// the wallet, the account nullifier in this registry's scope and the proven thresholds.
+// The registry checks what the verifier cannot know on its own:
+// 1. The Twitter data was attested by this deployment's proxy key
+// 2. The attestation is no older than maxAttestationAge
+// 3. The proof uses this registry's nullifier scope
+// 4. The wallet whose key signed the link message is the one submitting the proof
+// One account backs one wallet at a time; the wallet holding it can release it with unregister()
+contract TwitterLinkRegistry {
+    // Public inputs in circuit order: each [u8; 32] takes 32 field elements, one per byte
+    uint256 public constant PUBLIC_INPUT_COUNT = 165;
+
+    uint256 private constant FETCHED_AT = 0;
+    uint256 private constant ATTESTER_PUB_KEY_X = 1;
+    uint256 private constant ATTESTER_PUB_KEY_Y = 33;
+    uint256 private constant MIN_ACCOUNT_AGE_DAYS = 65;
+    uint256 private constant MIN_FOLLOWERS = 66;
+    uint256 private constant PUB_KEY_X = 99;
+    uint256 private constant PUB_KEY_Y = 131;
+    uint256 private constant SCOPE = 163;
+    uint256 private constant NULLIFIER = 164;
+
+    struct Link {
+        bytes32 nullifier;
+        uint64 minAccountAgeDays;
+        uint64 minFollowers;
+        uint64 registeredAt;
+    }
+
+    IProofVerifier public immutable verifier;
+    bytes32 public immutable attesterPubKeyX;
+    bytes32 public immutable attesterPubKeyY;
+    bytes32 public immutable scope;
+    // Seconds after fetched_at during which a proof can still be registered
+    uint256 public immutable maxAttestationAge;
+
+    mapping(address => Link) private links;
+    mapping(bytes32 => address) public walletOfNullifier;
+
+    event LinkRegistered(address indexed wallet, bytes32 indexed nullifier, uint64 minAccountAgeDays, uint64 minFollowers);
+    event LinkRemoved(address indexed wallet, bytes32 indexed nullifier);
+
+    error InvalidPublicInputs();
+    error UntrustedAttester();
+    error StaleAttestation();
+    error WrongScope();
+    error NotProofWallet(address wallet);
+    error InvalidProof();
+    error NullifierTaken(address wallet);
+    error NotRegistered();
+
+    constructor(
+        IProofVerifier verifier_,
+        bytes32 attesterPubKeyX_,
+        bytes32 attesterPubKeyY_,
+        bytes32 scope_,
+        uint256 maxAttestationAge_
+    ) {
+        verifier = verifier_;
+        attesterPubKeyX = attesterPubKeyX_;
+        attesterPubKeyY = attesterPubKeyY_;
+        scope = scope_;
+        maxAttestationAge = maxAttestationAge_;
+    }
+
+    // Verify a proof and record the link of the wallet that submits it
+    function register(bytes calldata proof, bytes32[] calldata publicInputs) external {
+        if (publicInputs.length != PUBLIC_INPUT_COUNT) {
+            revert InvalidPublicInputs();
+        }
+
+        if (packBytes(publicInputs, ATTESTER_PUB_KEY_X) != attesterPubKeyX ||
+            packBytes(publicInputs, ATTESTER_PUB_KEY_Y) != attesterPubKeyY) {
+            revert UntrustedAttester();
+        }
+
+        // A single comparison, so gas estimation takes the same path whatever the block time.
+        // A fetched_at ahead of the chain's clock (the proxy's clock runs fast) is not stale
+        if (uint256(publicInputs[FETCHED_AT]) + maxAttestationAge < block.timestamp) {
+            revert StaleAttestation();
+        }
+
+        if (publicInputs[SCOPE] != scope) {
+            revert WrongScope();
+        }
+
+        // Ethereum address of the key that signed the link message
+        address wallet = address(uint160(uint256(keccak256(abi.encodePacked(
+            packBytes(publicInputs, PUB_KEY_X),
+            packBytes(publicInputs, PUB_KEY_Y)
+        )))));
+
+        if (wallet != msg.sender) {
+            revert NotProofWallet(wallet);
+        }
+
+        if (!verifyProof(proof, publicInputs)) {
+            revert InvalidProof();
+        }
+
+        bytes32 nullifier = publicInputs[NULLIFIER];
+        address holder = walletOfNullifier[nullifier];
+
+        if (holder != address(0) && holder != wallet) {
+            revert NullifierTaken(holder);
+        }
+
+        // A wallet re-registering with another account frees the previous one
+        bytes32 previous = links[wallet].nullifier;
+
+        if (previous != bytes32(0) && previous != nullifier) {
+            delete walletOfNullifier[previous];
+        }
+
+        Link memory link = Link({
+            nullifier: nullifier,
+            minAccountAgeDays: uint64(uint256(publicInputs[MIN_ACCOUNT_AGE_DAYS])),
+            minFollowers: uint64(uint256(publicInputs[MIN_FOLLOWERS])),
+            registeredAt: uint64(block.timestamp)
+        });
+
+        links[wallet] = link;
+        walletOfNullifier[nullifier] = wallet;
+
+        emit LinkRegistered(wallet, nullifier, link.minAccountAgeDays, link.minFollowers);
+    }
+
+    // Remove the caller's link, so its Twitter account can back another wallet
+    function unregister() external {
+        bytes32 nullifier = links[msg.sender].nullifier;
+
+        if (nullifier == bytes32(0)) {
+            revert NotRegistered();
+        }
+
+        delete walletOfNullifier[nullifier];
+        delete links[msg.sender];
+
+        emit LinkRemoved(msg.sender, nullifier);
+    }
+
+    // Link recorded for a wallet; registeredAt is 0 if there is none
+    function getLink(address wallet) external view returns (Link memory) {
+        return links[wallet];
+    }
+
+    // Check a proof with the verifier; a revert counts as an invalid proof, so callers
+    // get InvalidProof instead of a verifier error they cannot decode
+    function verifyProof(bytes calldata proof, bytes32[] calldata publicInputs) private view returns (bool) {
+        try verifier.verify(proof, publicInputs) returns (bool valid) {
+            return valid;
+        } catch {
+            return false;
+        }
+    }
+
+    // Rebuild a 32-byte value from the 32 single-byte public inputs starting at offset
+    function packBytes(bytes32[] calldata inputs, uint256 offset) private pure returns (bytes32 packed) {
+        for (uint256 i = 0; i < 32; i++) {
+            uint256 value = uint256(inputs[offset + i]);
+
+            if (value > 0xff) {
+                revert InvalidPublicInputs();
+            }
+
+            packed |= bytes32(value << (8 * (31 - i)));
+        }
+    }
+}
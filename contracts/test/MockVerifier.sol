@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import { IProofVerifier } from "../TwitterLinkRegistry.sol";
+
+// Verifier that accepts every proof, for exercising the registry with mock proofs
+// on a local node (`npm run deploy:contracts -- --mock-verifier`). Never deploy it elsewhere
+contract MockVerifier is IProofVerifier {
+    function verify(bytes calldata, bytes32[] calldata) external pure returns (bool) {
+        return true;
+    }
+}
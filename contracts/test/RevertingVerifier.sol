@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import { IProofVerifier } from "../TwitterLinkRegistry.sol";
+
+// Verifier that rejects every proof the way the bb-generated HonkVerifier does: by
+// reverting with its own custom error instead of returning false. For tests only
+contract RevertingVerifier is IProofVerifier {
+    error SumcheckFailed();
+
+    function verify(bytes calldata, bytes32[] calldata) external pure returns (bool) {
+        revert SumcheckFailed();
+    }
+}
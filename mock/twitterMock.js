@@ -0,0 +1,403 @@
+/**
+ * Servidor simulado de Twitter para desarrollo sin conexión
+ * Imita la página de autorización OAuth 2.0 y los endpoints /2/oauth2/token,
+ * /2/oauth2/revoke y /2/users/me con perfiles falsos definidos en profiles.json.
+ * El proxy lo usa en lugar de Twitter cuando TWITTER_MOCK=true
+ *
+ * Cada perfil admite:
+ * - createdAt (ISO) o accountAgeDays: antigüedad de la cuenta
+ * - followers: número de seguidores
+ * - accessTokenTtlSeconds: duración del token de acceso (por defecto 2 horas, como Twitter)
+ * - rateLimit { limit, windowSeconds }: límite de llamadas a /2/users/me
+ * - errors { token | users | revoke: { status, title, detail } }: fallo forzado de un endpoint
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const PORT = process.env.TWITTER_MOCK_PORT || 3100;
+
+// Fichero de perfiles; se puede sustituir por uno propio
+const PROFILES_PATH = process.env.TWITTER_MOCK_PROFILES || path.join(__dirname, 'profiles.json');
+
+// Duración por defecto del token de acceso (la misma que en Twitter)
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 2 * 60 * 60;
+
+// Un código de autorización sin canjear caduca a los 30 segundos, como en Twitter
+const AUTHORIZATION_CODE_TTL_MS = 30 * 1000;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Carga los perfiles falsos
+ * @param {string} profilesPath - Ruta del fichero JSON
+ * @returns {Array<Object>} Perfiles
+ */
+function loadProfiles(profilesPath) {
+  const { profiles } = JSON.parse(fs.readFileSync(profilesPath, 'utf8'));
+
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    throw new Error(`${profilesPath} no define ningún perfil`);
+  }
+
+  return profiles;
+}
+
+/**
+ * Convierte un perfil en el objeto de usuario de la API v2
+ * @param {Object} profile - Perfil falso
+ * @param {Array<string>} fields - Campos pedidos en user.fields
+ * @returns {Object} Usuario
+ */
+function toApiUser(profile, fields) {
+  const user = { id: profile.id, name: profile.name, username: profile.username };
+
+  if (fields.includes('created_at')) {
+    user.created_at = profile.createdAt
+      || new Date(Date.now() - profile.accountAgeDays * SECONDS_PER_DAY * 1000).toISOString();
+  }
+
+  if (fields.includes('public_metrics')) {
+    user.public_metrics = {
+      followers_count: profile.followers,
+      following_count: profile.following ?? 100,
+      tweet_count: profile.tweets ?? 1000,
+      listed_count: 0
+    };
+  }
+
+  return user;
+}
+
+/**
+ * Genera un token opaco
+ * @param {string} prefix - Prefijo para reconocer el tipo de token en los logs
+ * @returns {string} Token
+ */
+function createToken(prefix) {
+  return `${prefix}-${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Escapa texto para insertarlo en HTML
+ * @param {string} value - Texto
+ * @returns {string} Texto escapado
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Crea la aplicación Express del servidor simulado
+ * @param {Object} [options] - Opciones
+ * @param {Array<Object>} [options.profiles] - Perfiles (por defecto los de PROFILES_PATH)
+ * @returns {Object} Aplicación Express
+ */
+function createMockServer(options = {}) {
+  const profiles = options.profiles || loadProfiles(PROFILES_PATH);
+  const app = express();
+
+  // Estado en memoria: se pierde al reiniciar, como una revocación completa
+  const authorizationCodes = new Map();
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+  const rateLimitWindows = new Map();
+
+  /**
+   * Busca un perfil por su id
+   * @param {string} id - Id del perfil
+   * @returns {Object|undefined} Perfil
+   */
+  const findProfile = (id) => profiles.find((profile) => profile.id === id);
+
+  /**
+   * Responde con el error forzado del perfil para un endpoint, si lo tiene
+   * @returns {boolean} True si se ha enviado el error
+   */
+  const sendForcedError = (res, profile, endpoint) => {
+    const forced = profile && profile.errors && profile.errors[endpoint];
+
+    if (!forced) {
+      return false;
+    }
+
+    const status = forced.status || 500;
+    res.status(status).json({ title: forced.title || 'Error', detail: forced.detail || '', type: 'about:blank', status });
+    return true;
+  };
+
+  /**
+   * Responde con un error OAuth en el formato de Twitter
+   */
+  const sendOAuthError = (res, status, error, description) => {
+    res.status(status).json({ error, error_description: description });
+  };
+
+  /**
+   * Emite un par de tokens para un perfil
+   * @returns {Object} Respuesta del endpoint de tokens
+   */
+  const issueTokens = (profile, scope) => {
+    const ttlSeconds = profile.accessTokenTtlSeconds || DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+    const accessToken = createToken('mock-access');
+    const tokenData = {
+      token_type: 'bearer',
+      expires_in: ttlSeconds,
+      access_token: accessToken,
+      scope
+    };
+
+    accessTokens.set(accessToken, { profileId: profile.id, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    if (scope.split(' ').includes('offline.access')) {
+      tokenData.refresh_token = createToken('mock-refresh');
+      refreshTokens.set(tokenData.refresh_token, { profileId: profile.id, scope, accessToken });
+    }
+
+    return tokenData;
+  };
+
+  /**
+   * Comprueba la autenticación de cliente (Basic) del proxy
+   * @returns {string|null} client_id o null si falta
+   */
+  const readClientId = (req) => {
+    const header = req.headers.authorization || '';
+
+    if (!header.startsWith('Basic ')) {
+      return null;
+    }
+
+    const [clientId] = Buffer.from(header.slice(6), 'base64').toString('utf8').split(':');
+    return clientId || null;
+  };
+
+  app.use(express.urlencoded({ extended: false }));
+
+  // Middleware para logging de solicitudes
+  app.use((req, res, next) => {
+    console.log(`[twitter-mock ${new Date().toISOString()}] ${req.method} ${req.path}`);
+    next();
+  });
+
+  /**
+   * Página de autorización: muestra los perfiles falsos para elegir con cuál entrar
+   */
+  app.get('/i/oauth2/authorize', (req, res) => {
+    const { response_type, client_id, redirect_uri, state, code_challenge, code_challenge_method } = req.query;
+
+    if (response_type !== 'code' || !client_id || !redirect_uri || !state || !code_challenge || code_challenge_method !== 'S256') {
+      return res.status(400).send('Solicitud de autorización incompleta: se requieren response_type=code, client_id, redirect_uri, state y code_challenge S256');
+    }
+
+    const hiddenFields = ['client_id', 'redirect_uri', 'scope', 'state', 'code_challenge']
+      .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+      .join('');
+
+    const profileButtons = profiles.map((profile) => `
+      <button type="submit" name="profile" value="${escapeHtml(profile.id)}">
+        <strong>@${escapeHtml(profile.username)}</strong>
+        <span>${escapeHtml(profile.description || '')}</span>
+      </button>`).join('');
+
+    res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Mock Twitter authorization</title>
+  <style>
+    body { font-family: sans-serif; max-width: 480px; margin: 40px auto; }
+    button { display: block; width: 100%; margin: 8px 0; padding: 12px; text-align: left; cursor: pointer; }
+    button span { display: block; color: #555; font-size: 0.9em; }
+  </style>
+</head>
+<body>
+  <h1>Mock Twitter</h1>
+  <p>Choose the fake profile to authorize <code>${escapeHtml(client_id)}</code> with scopes <code>${escapeHtml(req.query.scope || '')}</code>.</p>
+  <form method="POST" action="/i/oauth2/authorize">
+    ${hiddenFields}
+    ${profileButtons}
+    <button type="submit" name="deny" value="1">Cancel</button>
+  </form>
+</body>
+</html>`);
+  });
+
+  /**
+   * Decisión del usuario: redirige al frontend con el código o con access_denied
+   */
+  app.post('/i/oauth2/authorize', (req, res) => {
+    const { client_id, redirect_uri, scope, state, code_challenge, profile: profileId, deny } = req.body;
+    const redirectUrl = new URL(redirect_uri);
+
+    redirectUrl.searchParams.append('state', state);
+
+    if (deny || !findProfile(profileId)) {
+      redirectUrl.searchParams.append('error', 'access_denied');
+      return res.redirect(redirectUrl.toString());
+    }
+
+    const code = createToken('mock-code');
+    authorizationCodes.set(code, {
+      profileId,
+      clientId: client_id,
+      redirectUri: redirect_uri,
+      scope: scope || '',
+      codeChallenge: code_challenge,
+      expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_MS
+    });
+
+    redirectUrl.searchParams.append('code', code);
+    res.redirect(redirectUrl.toString());
+  });
+
+  /**
+   * Endpoint de tokens: grants authorization_code (con PKCE) y refresh_token
+   */
+  app.post('/2/oauth2/token', (req, res) => {
+    const clientId = readClientId(req);
+
+    if (!clientId) {
+      return sendOAuthError(res, 401, 'unauthorized_client', 'Missing valid authorization header');
+    }
+
+    const { grant_type } = req.body;
+
+    if (grant_type === 'authorization_code') {
+      const { code, redirect_uri, code_verifier } = req.body;
+      const pending = authorizationCodes.get(code);
+
+      // Un código sólo se puede canjear una vez
+      authorizationCodes.delete(code);
+
+      if (!pending || pending.expiresAt < Date.now() || pending.clientId !== clientId) {
+        return sendOAuthError(res, 400, 'invalid_request', 'Value passed for the authorization code was invalid.');
+      }
+
+      if (pending.redirectUri !== redirect_uri) {
+        return sendOAuthError(res, 400, 'invalid_request', 'Value passed for the redirect uri did not match the uri of the authorization code.');
+      }
+
+      const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+
+      if (challenge !== pending.codeChallenge) {
+        return sendOAuthError(res, 400, 'invalid_request', 'Value passed for the code verifier did not match the code challenge.');
+      }
+
+      const profile = findProfile(pending.profileId);
+
+      if (sendForcedError(res, profile, 'token')) {
+        return;
+      }
+
+      return res.json(issueTokens(profile, pending.scope));
+    }
+
+    if (grant_type === 'refresh_token') {
+      const stored = refreshTokens.get(req.body.refresh_token);
+
+      if (!stored) {
+        return sendOAuthError(res, 400, 'invalid_request', 'Value passed for the token was invalid.');
+      }
+
+      // Twitter rota el refresh token y anula el token de acceso anterior
+      refreshTokens.delete(req.body.refresh_token);
+      accessTokens.delete(stored.accessToken);
+
+      const profile = findProfile(stored.profileId);
+
+      if (sendForcedError(res, profile, 'token')) {
+        return;
+      }
+
+      return res.json(issueTokens(profile, stored.scope));
+    }
+
+    sendOAuthError(res, 400, 'unsupported_grant_type', `Unsupported grant type: ${grant_type}`);
+  });
+
+  /**
+   * Endpoint de revocación de tokens de acceso y refresh tokens
+   */
+  app.post('/2/oauth2/revoke', (req, res) => {
+    if (!readClientId(req)) {
+      return sendOAuthError(res, 401, 'unauthorized_client', 'Missing valid authorization header');
+    }
+
+    const { token } = req.body;
+    const stored = accessTokens.get(token) || refreshTokens.get(token);
+
+    if (stored && sendForcedError(res, findProfile(stored.profileId), 'revoke')) {
+      return;
+    }
+
+    // Como en Twitter, revocar un token desconocido no es un error
+    accessTokens.delete(token);
+    refreshTokens.delete(token);
+
+    res.json({ revoked: true });
+  });
+
+  /**
+   * Usuario autenticado, con límite de llamadas por perfil si está configurado
+   */
+  app.get('/2/users/me', (req, res) => {
+    const header = req.headers.authorization || '';
+    const stored = header.startsWith('Bearer ') ? accessTokens.get(header.slice(7)) : null;
+
+    if (!stored || stored.expiresAt < Date.now()) {
+      return res.status(401).json({ title: 'Unauthorized', type: 'about:blank', status: 401, detail: 'Unauthorized' });
+    }
+
+    const profile = findProfile(stored.profileId);
+
+    if (profile.rateLimit) {
+      const { limit, windowSeconds } = profile.rateLimit;
+      let window = rateLimitWindows.get(profile.id);
+
+      if (!window || window.resetAt <= Date.now()) {
+        window = { remaining: limit, resetAt: Date.now() + windowSeconds * 1000 };
+        rateLimitWindows.set(profile.id, window);
+      }
+
+      res.set({
+        'x-rate-limit-limit': String(limit),
+        'x-rate-limit-remaining': String(Math.max(window.remaining - 1, 0)),
+        'x-rate-limit-reset': String(Math.ceil(window.resetAt / 1000))
+      });
+
+      if (window.remaining <= 0) {
+        return res.status(429).json({ title: 'Too Many Requests', type: 'about:blank', status: 429, detail: 'Too Many Requests' });
+      }
+
+      window.remaining -= 1;
+    }
+
+    if (sendForcedError(res, profile, 'users')) {
+      return;
+    }
+
+    const fields = String(req.query['user.fields'] || '').split(',');
+    res.json({ data: toApiUser(profile, fields) });
+  });
+
+  return app;
+}
+
+// Iniciar el servidor al ejecutarse directamente (npm run mock:twitter)
+if (require.main === module) {
+  const profiles = loadProfiles(PROFILES_PATH);
+
+  createMockServer({ profiles }).listen(PORT, () => {
+    console.log(`Servidor simulado de Twitter ejecutándose en http://localhost:${PORT}`);
+    console.log(`Perfiles cargados de ${PROFILES_PATH}: ${profiles.map((profile) => `@${profile.username}`).join(', ')}`);
+  });
+}
+
+module.exports = {
+  createMockServer,
+  loadProfiles
+};
@@ -0,0 +1,123 @@
+/**
+ * Script de compilación de los circuitos Noir
+ * Compila con nargo el circuito combinado (circuits/) y los de una sola
+ * reclamación (circuits/claims/), genera la clave de verificación de cada uno
+ * con bb y escribe circuits/target/manifest.json con el nombre, la versión y el
+ * hash de cada artefacto. El manifiesto lo sirve el servidor proxy en /circuits
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const CIRCUITS_DIR = path.join(__dirname, '..', 'circuits');
+const TARGET_DIR = path.join(CIRCUITS_DIR, 'target');
+const MANIFEST_PATH = path.join(TARGET_DIR, 'manifest.json');
+
+// Paquetes de circuitos, relativos a circuits/; sus artefactos se reúnen en circuits/target
+const CIRCUIT_PACKAGES = ['.', 'claims/account_age', 'claims/followers', 'claims/follower_tier'];
+
+// Con --skip-vk no se genera la clave de verificación (no hace falta bb instalado)
+const SKIP_VK = process.argv.includes('--skip-vk');
+
+/**
+ * Lee un campo de la sección [package] de un Nargo.toml
+ * @param {string} toml - Contenido del Nargo.toml
+ * @param {string} key - Nombre del campo
+ * @returns {string|null} Valor del campo o null si no existe
+ */
+function readPackageField(toml, key) {
+  const match = toml.match(new RegExp(`^${key}\\s*=\\s*"([^"]*)"`, 'm'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Ejecuta una herramienta de línea de comandos mostrando su salida
+ * @param {string} command - Ejecutable (nargo o bb)
+ * @param {Array<string>} args - Argumentos
+ * @param {string} [cwd] - Directorio de trabajo (por defecto circuits/)
+ */
+function run(command, args, cwd = CIRCUITS_DIR) {
+  console.log(`> ${command} ${args.join(' ')}`);
+  execFileSync(command, args, { cwd, stdio: 'inherit' });
+}
+
+/**
+ * Compila un paquete de circuito y deja su artefacto y su clave en circuits/target
+ * @param {string} packageDir - Directorio del paquete relativo a circuits/
+ * @returns {Object} Entrada del manifiesto { name, entry }
+ */
+function buildPackage(packageDir) {
+  const packagePath = path.join(CIRCUITS_DIR, packageDir);
+  const toml = fs.readFileSync(path.join(packagePath, 'Nargo.toml'), 'utf8');
+  const name = readPackageField(toml, 'name');
+  const version = readPackageField(toml, 'version') || '0.0.0';
+
+  if (!name) {
+    throw new Error(`No se encontró el nombre del paquete en ${path.join('circuits', packageDir, 'Nargo.toml')}`);
+  }
+
+  // Compilar el circuito (incluye las dependencias declaradas en Nargo.toml)
+  run('nargo', ['compile'], packagePath);
+
+  const artifactFile = `${name}.json`;
+  const artifactPath = path.join(TARGET_DIR, artifactFile);
+
+  // Cada paquete compila en su propio target/; el proxy sólo sirve circuits/target
+  if (path.resolve(packagePath) !== CIRCUITS_DIR) {
+    fs.mkdirSync(TARGET_DIR, { recursive: true });
+    fs.copyFileSync(path.join(packagePath, 'target', artifactFile), artifactPath);
+  }
+
+  const artifactBytes = fs.readFileSync(artifactPath);
+  const artifact = JSON.parse(artifactBytes.toString('utf8'));
+  const vkFile = `${name}.vk`;
+
+  // Generar la clave de verificación que usa /api/proof/verify
+  if (!SKIP_VK) {
+    run('bb', ['write_vk', '-b', `./target/${artifactFile}`, '-o', `./target/${vkFile}`]);
+  }
+
+  console.log(`${name}@${version}`);
+
+  return {
+    name,
+    entry: {
+      version,
+      noirVersion: artifact.noir_version,
+      artifact: artifactFile,
+      hash: `sha256:${crypto.createHash('sha256').update(artifactBytes).digest('hex')}`,
+      ...(SKIP_VK ? {} : { verificationKey: vkFile })
+    }
+  };
+}
+
+function main() {
+  const circuits = {};
+
+  for (const packageDir of CIRCUIT_PACKAGES) {
+    const { name, entry } = buildPackage(packageDir);
+    circuits[name] = entry;
+  }
+
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    circuits
+  };
+
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+
+  console.log(`Manifiesto escrito en ${path.relative(process.cwd(), MANIFEST_PATH)}`);
+
+  for (const [name, { version, hash }] of Object.entries(circuits)) {
+    console.log(`${name}@${version} ${hash}`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Error al compilar los circuitos:', error.message);
+  process.exit(1);
+}
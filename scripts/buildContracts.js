@@ -0,0 +1,123 @@
+/**
+ * Script de compilación de los contratos
+ * Genera el verificador Solidity a partir de la clave de verificación del circuito
+ * (con transcript keccak, el único que se puede verificar en la EVM) y compila con
+ * solc el verificador, el registro y el verificador mock. Escribe el ABI y el
+ * bytecode de cada contrato en contracts/out/<Contrato>.json
+ * Requiere haber ejecutado antes `npm run build:circuit`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CIRCUITS_DIR = path.join(ROOT_DIR, 'circuits');
+const CONTRACTS_DIR = path.join(ROOT_DIR, 'contracts');
+const GENERATED_DIR = path.join(CONTRACTS_DIR, 'generated');
+const OUT_DIR = path.join(CONTRACTS_DIR, 'out');
+const MANIFEST_PATH = path.join(CIRCUITS_DIR, 'target', 'manifest.json');
+
+// TwitterLinkRegistry lee las entradas públicas del circuito combinado (edad y seguidores)
+const REGISTRY_CIRCUIT = 'twitter_zkp';
+
+// Contratos que se compilan (el verificador generado se añade si no se omite)
+const SOURCES = [
+  'contracts/TwitterLinkRegistry.sol',
+  'contracts/test/MockVerifier.sol'
+];
+const VERIFIER_SOURCE = 'contracts/generated/HonkVerifier.sol';
+
+// Con --skip-verifier no se genera el verificador (no hace falta bb ni el circuito compilado)
+const SKIP_VERIFIER = process.argv.includes('--skip-verifier');
+
+/**
+ * Ejecuta una herramienta de línea de comandos mostrando su salida
+ * @param {string} command - Ejecutable (bb o solc)
+ * @param {Array<string>} args - Argumentos
+ * @param {Object} [options] - Opciones de execFileSync
+ * @returns {string|null} Salida estándar si se pidió capturarla
+ */
+function run(command, args, options = {}) {
+  console.log(`> ${command} ${args.join(' ')}`);
+  return execFileSync(command, args, { cwd: ROOT_DIR, stdio: 'inherit', ...options });
+}
+
+/**
+ * Genera contracts/generated/HonkVerifier.sol a partir del circuito compilado
+ */
+function generateVerifier() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    throw new Error('No se encontró circuits/target/manifest.json. Ejecute `npm run build:circuit`');
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  const entry = manifest.circuits[REGISTRY_CIRCUIT];
+
+  if (!entry) {
+    throw new Error(`El manifiesto no incluye el circuito ${REGISTRY_CIRCUIT}`);
+  }
+
+  const artifact = path.join('circuits', 'target', entry.artifact);
+  const keccakVk = path.join('circuits', 'target', 'vk_keccak');
+
+  fs.mkdirSync(GENERATED_DIR, { recursive: true });
+
+  // La clave con transcript keccak es distinta de la que usa /api/proof/verify
+  run('bb', ['write_vk_ultra_keccak_honk', '-b', artifact, '-o', keccakVk]);
+  run('bb', ['contract_ultra_honk', '-k', keccakVk, '-o', VERIFIER_SOURCE]);
+}
+
+/**
+ * Compila los contratos con solc y escribe sus artefactos
+ * @param {Array<string>} sources - Rutas de los .sol relativas a la raíz
+ */
+function compile(sources) {
+  const output = run('solc', [
+    '--optimize',
+    '--combined-json', 'abi,bin',
+    '--base-path', '.',
+    ...sources
+  ], { stdio: ['ignore', 'pipe', 'inherit'] });
+
+  const { contracts } = JSON.parse(output.toString('utf8'));
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  for (const [id, compiled] of Object.entries(contracts)) {
+    const [source, contractName] = id.split(':');
+
+    // Interfaces y bibliotecas sin bytecode no se despliegan
+    if (!compiled.bin) {
+      continue;
+    }
+
+    const artifact = {
+      contractName,
+      source,
+      // solc anterior a 0.8.10 devuelve el ABI como texto
+      abi: typeof compiled.abi === 'string' ? JSON.parse(compiled.abi) : compiled.abi,
+      bytecode: `0x${compiled.bin}`
+    };
+
+    fs.writeFileSync(path.join(OUT_DIR, `${contractName}.json`), JSON.stringify(artifact, null, 2));
+    console.log(`${contractName}: ${(compiled.bin.length / 2).toLocaleString()} bytes`);
+  }
+}
+
+function main() {
+  if (!SKIP_VERIFIER) {
+    generateVerifier();
+  }
+
+  compile(SKIP_VERIFIER ? SOURCES : [...SOURCES, VERIFIER_SOURCE]);
+
+  console.log(`Artefactos escritos en ${path.relative(process.cwd(), OUT_DIR)}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Error al compilar los contratos:', error.message);
+  process.exit(1);
+}
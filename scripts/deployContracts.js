@@ -0,0 +1,124 @@
+/**
+ * Script de despliegue de los contratos
+ * Despliega el verificador y TwitterLinkRegistry en un nodo JSON-RPC (Anvil o
+ * Hardhat en local por defecto) con la clave de atestación del proxy, el ámbito
+ * del nullifier y la antigüedad máxima de las atestaciones de @config.json, e indica la dirección que hay que añadir a
+ * ethereum.registryAddresses. Usa los artefactos de `npm run build:contracts`
+ *
+ * Variables de entorno:
+ *   RPC_URL                 Nodo JSON-RPC (por defecto http://127.0.0.1:8545)
+ *   DEPLOYER_PRIVATE_KEY    Cuenta que paga el despliegue (obligatoria fuera de la red local)
+ *   ATTESTATION_PRIVATE_KEY Clave de atestación del proxy, la misma que usa server.js
+ *
+ * Con --mock-verifier se despliega MockVerifier, que acepta cualquier prueba;
+ * sólo se permite en la red local (chain ID 31337)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const attestation = require('../server/attestation');
+const appConfig = require('../@config.json');
+
+const OUT_DIR = path.join(__dirname, '..', 'contracts', 'out');
+const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
+
+// Chain ID de Anvil y Hardhat
+const LOCAL_CHAIN_ID = 31337;
+
+// Cuenta de prueba #0 de Anvil y Hardhat; sólo se usa en la red local
+const LOCAL_DEPLOYER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+const USE_MOCK_VERIFIER = process.argv.includes('--mock-verifier');
+
+// Antigüedad máxima de las atestaciones si @config.json no la indica (misma que server/proofVerifier.js)
+const DEFAULT_MAX_ATTESTATION_AGE_DAYS = 30;
+
+/**
+ * Lee el artefacto compilado de un contrato
+ * @param {string} contractName - Nombre del contrato
+ * @returns {Object} Artefacto { contractName, abi, bytecode }
+ */
+function readArtifact(contractName) {
+  const artifactPath = path.join(OUT_DIR, `${contractName}.json`);
+
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(`No se encontró ${path.relative(process.cwd(), artifactPath)}. Ejecute \`npm run build:contracts\``);
+  }
+
+  return JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+}
+
+/**
+ * Despliega un contrato y espera a que se mine
+ * @param {string} contractName - Nombre del contrato
+ * @param {ethers.Signer} deployer - Cuenta que despliega
+ * @param {Array} args - Argumentos del constructor
+ * @returns {Promise<ethers.Contract>} Contrato desplegado
+ */
+async function deploy(contractName, deployer, args = []) {
+  const { abi, bytecode } = readArtifact(contractName);
+  const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy(...args);
+
+  await contract.deployed();
+  console.log(`${contractName} desplegado en ${contract.address}`);
+
+  return contract;
+}
+
+/**
+ * Calcula la entrada pública scope igual que zkProof.getScopeField en el navegador
+ * @param {string} scope - Nombre del ámbito (zkProof.nullifierScope)
+ * @returns {string} bytes32 con los 31 primeros bytes de keccak256(scope)
+ */
+function getScopeField(scope) {
+  const field = ethers.utils.hexDataSlice(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(scope)), 0, 31);
+  return ethers.utils.hexZeroPad(field, 32);
+}
+
+async function main() {
+  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const isLocal = chainId === LOCAL_CHAIN_ID;
+
+  if (USE_MOCK_VERIFIER && !isLocal) {
+    throw new Error('MockVerifier acepta cualquier prueba: sólo puede desplegarse en la red local');
+  }
+
+  const deployerKey = process.env.DEPLOYER_PRIVATE_KEY || (isLocal ? LOCAL_DEPLOYER_KEY : null);
+
+  if (!deployerKey) {
+    throw new Error('DEPLOYER_PRIVATE_KEY no está configurada');
+  }
+
+  const deployer = new ethers.Wallet(deployerKey, provider);
+  const attesterKey = attestation.getPublicKey();
+  const scope = getScopeField(appConfig.zkProof?.nullifierScope || 'twitter-zk-wallet-link');
+  const maxAttestationAgeDays = appConfig.twitter?.maxAttestationAgeDays || DEFAULT_MAX_ATTESTATION_AGE_DAYS;
+
+  console.log(`Red ${chainId} en ${RPC_URL}, desplegando con ${deployer.address}`);
+
+  const verifier = await deploy(USE_MOCK_VERIFIER ? 'MockVerifier' : 'HonkVerifier', deployer);
+  const registry = await deploy('TwitterLinkRegistry', deployer, [
+    verifier.address,
+    attesterKey.x,
+    attesterKey.y,
+    scope,
+    maxAttestationAgeDays * 24 * 60 * 60
+  ]);
+
+  const hexChainId = `0x${chainId.toString(16)}`;
+
+  console.log('\nAñada el registro a @config.json:');
+  console.log(JSON.stringify({ ethereum: { registryAddresses: { [hexChainId]: registry.address } } }, null, 2));
+
+  if (!appConfig.ethereum?.supportedChains?.some((chain) => Number(chain.chainId) === chainId)) {
+    console.log(`\nLa red ${hexChainId} tampoco está en ethereum.supportedChains; añádala para poder vincular wallets en ella`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Error al desplegar los contratos:', error.message);
+  process.exit(1);
+});
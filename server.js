@@ -4,159 +4,568 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
+const proofVerifier = require('./server/proofVerifier');
+const attestation = require('./server/attestation');
+const nullifierRegistry = require('./server/nullifierRegistry');
+const credentialIssuer = require('./server/credentialIssuer');
+const sessionStore = require('./server/sessionStore');
+const twitterOAuth = require('./server/twitterOAuth');
+const siwe = require('./server/siwe');
+const typedLink = require('./server/typedLink');
+const { ApiError, ERROR_CODES, sendError } = require('./server/errors');
 const app = express();
 const PORT = process.env.PROXY_PORT || 3000;
 
-// Verificar que las credenciales necesarias estén disponibles
-const TWITTER_CLIENT_ID = process.env.TWITTER_CLIENT_ID;
-const TWITTER_CLIENT_SECRET = process.env.TWITTER_CLIENT_SECRET;
+// Origen del frontend: único autorizado por CORS y para las solicitudes con cookie de sesión
+const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || 'http://localhost:1234';
+
+// Verificar que las credenciales necesarias estén disponibles (el servidor simulado no las necesita)
+const { TWITTER_CLIENT_ID, TWITTER_CLIENT_SECRET } = twitterOAuth;
 
 if (!TWITTER_CLIENT_ID || !TWITTER_CLIENT_SECRET) {
   console.error('Error: TWITTER_CLIENT_ID y TWITTER_CLIENT_SECRET deben estar configurados en el archivo .env');
   process.exit(1);
 }
 
+// Las credenciales se firman con su propia clave (CREDENTIAL_PRIVATE_KEY), nunca con la de atestación
+try {
+  credentialIssuer.checkSigningKey();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
 // Configuración de middlewares
 app.use(express.json());
 app.use(cors({
-  origin: 'http://localhost:1234', // Permitir solo solicitudes desde nuestro frontend
+  origin: FRONTEND_ORIGIN, // Permitir solo solicitudes desde nuestro frontend
+  credentials: true, // Necesario para enviar la cookie de sesión
   methods: ['POST', 'GET', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
+// Cargar la sesión de la cookie en req.session
+app.use(sessionStore.loadSession);
+
+/**
+ * Middleware que rechaza solicitudes con cookie de sesión enviadas desde otro origen
+ * Complementa SameSite frente a CSRF en las rutas que modifican la sesión
+ */
+function requireFrontendOrigin(req, res, next) {
+  const origin = req.headers.origin;
+  
+  if (origin && origin !== FRONTEND_ORIGIN) {
+    console.error(`Solicitud rechazada desde un origen no autorizado: ${origin}`);
+    return sendError(res, new ApiError('Origen no autorizado', 403, ERROR_CODES.FORBIDDEN_ORIGIN));
+  }
+  
+  next();
+}
+
+/**
+ * Convierte un fallo al llamar a Twitter en un error con código para el frontend
+ * El cuerpo de la respuesta de Twitter sólo se registra; no se reenvía al navegador
+ * @param {Error} error - Error capturado (de axios o de twitterOAuth)
+ * @returns {Error} ApiError, o el error original si no viene de Twitter
+ */
+function toTwitterError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  
+  if (error.response) {
+    // Error con respuesta del servidor
+    const { status, headers, data } = error.response;
+    console.error('Detalles del error:', data);
+    
+    if (status === 401) {
+      return new ApiError('Twitter rechazó el token de acceso, vuelva a iniciar sesión', 401, ERROR_CODES.AUTH_EXPIRED);
+    }
+    
+    if (status === 429) {
+      // x-rate-limit-reset indica en segundos unix cuándo se reinicia la ventana de Twitter
+      const resetAt = Number(headers && headers['x-rate-limit-reset']);
+      const details = resetAt > 0
+        ? { retryAfter: Math.max(0, resetAt - Math.floor(Date.now() / 1000)) }
+        : undefined;
+      
+      return new ApiError('Twitter limitó las solicitudes de esta aplicación, inténtelo más tarde', 429,
+        ERROR_CODES.RATE_LIMITED, details);
+    }
+    
+    return new ApiError(`Twitter API respondió con error ${status}`, status, ERROR_CODES.TWITTER_ERROR, { status });
+  }
+  
+  if (error.request) {
+    // Error sin respuesta (problema de red)
+    return new ApiError('No se pudo conectar con Twitter API', 502, ERROR_CODES.TWITTER_UNAVAILABLE);
+  }
+  
+  return error;
+}
+
 // Middleware para logging de solicitudes
 app.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
   next();
 });
 
+// Servir los artefactos precompilados del circuito (manifest.json, <circuito>.json, vk)
+// generados por `npm run build:circuit`
+app.use('/circuits', express.static(path.join(__dirname, 'circuits', 'target'), {
+  setHeaders: (res, filePath) => {
+    // El manifiesto se revalida siempre; los artefactos se comprueban por su hash
+    if (path.basename(filePath) === 'manifest.json') {
+      res.setHeader('Cache-Control', 'no-cache');
+    }
+  }
+}));
+
 /**
- * Endpoint para intercambiar el código de autorización por un token de acceso
- * Recibe el código y el code_verifier del frontend y maneja la solicitud a Twitter
+ * Endpoint que inicia el login con Twitter
+ * Genera state y PKCE en el servidor, los guarda en la sesión y redirige a Twitter
  */
-app.post('/api/twitter/token', async (req, res) => {
-  console.log('Recibida solicitud de token');
+app.get('/api/auth/login', (req, res) => {
+  console.log('Iniciando login con Twitter');
   
-  const { code, codeVerifier, redirectUri } = req.body;
+  const session = sessionStore.ensureSession(req, res);
   
-  if (!code || !codeVerifier) {
-    console.error('Error: Faltan parámetros requeridos (code o codeVerifier)');
-    return res.status(400).json({ 
-      error: 'Faltan parámetros requeridos (code o codeVerifier)' 
-    });
+  res.redirect(twitterOAuth.createAuthorization(session));
+});
+
+/**
+ * Endpoint que completa el login con el código que Twitter entrega al frontend
+ * Comprueba el state contra la sesión e intercambia el código por tokens, que
+ * se quedan en el servidor
+ */
+app.post('/api/auth/callback', requireFrontendOrigin, async (req, res) => {
+  console.log('Recibido código de autorización de Twitter');
+  
+  const { code, state } = req.body;
+  
+  if (!code) {
+    console.error('Error: Falta el código de autorización');
+    return sendError(res, new ApiError('Falta el código de autorización'));
   }
 
   try {
-    // Crear el encabezado de autorización básica (Basic Authentication)
-    // Formato: Basic base64(client_id:client_secret)
-    const authHeader = 'Basic ' + Buffer.from(`${TWITTER_CLIENT_ID}:${TWITTER_CLIENT_SECRET}`).toString('base64');
-    console.log('Encabezado de autorización generado');
-
-    // Preparar los parámetros para la solicitud a Twitter
-    const params = new URLSearchParams();
-    params.append('grant_type', 'authorization_code');
-    params.append('code', code);
-    params.append('redirect_uri', redirectUri || 'http://localhost:1234/callback');
-    params.append('client_id', TWITTER_CLIENT_ID);
-    params.append('code_verifier', codeVerifier);
-
-    console.log('Enviando solicitud a Twitter API para obtener token');
-    console.log('URL de redirección:', redirectUri || 'http://localhost:1234/callback');
-    
-    // Hacer la solicitud a Twitter con el encabezado de autorización
-    const response = await axios.post('https://api.twitter.com/2/oauth2/token', params, {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Authorization': authHeader
-      }
-    });
+    await twitterOAuth.completeAuthorization(req.session, code, state);
+    
+    // Nuevo identificador tras el login para evitar la fijación de sesión
+    sessionStore.regenerateSession(req, res);
+    
+    console.log('Sesión de Twitter iniciada exitosamente');
+    
+    res.json({ authenticated: true });
+  } catch (error) {
+    console.error('Error al completar el login con Twitter:', error.message);
+    
+    sendError(res, toTwitterError(error), 'Error al obtener token de acceso');
+  }
+});
+
+/**
+ * Endpoint que indica si la sesión tiene un login de Twitter activo
+ */
+app.get('/api/auth/session', (req, res) => {
+  const tokens = req.session && req.session.tokens;
+  const wallet = req.session && req.session.wallet;
+  
+  res.json({ 
+    authenticated: Boolean(tokens),
+    canRefresh: Boolean(tokens && tokens.refreshToken),
+    // Wallet vinculada con un mensaje EIP-4361 verificado, mientras no caduque
+    wallet: wallet && Date.parse(wallet.expirationTime) > Date.now()
+      ? { address: wallet.address, chainId: wallet.chainId, expirationTime: wallet.expirationTime }
+      : null
+  });
+});
+
+/**
+ * Endpoint que cierra la sesión del servidor y borra la cookie
+ */
+app.post('/api/auth/logout', requireFrontendOrigin, (req, res) => {
+  console.log('Cerrando sesión');
+  
+  sessionStore.destroySession(req, res);
+  
+  res.json({ authenticated: false });
+});
 
-    console.log('Token obtenido exitosamente');
+/**
+ * Endpoint para renovar el token de acceso de la sesión
+ * El refresh token nunca sale del servidor
+ */
+app.post('/api/twitter/refresh', requireFrontendOrigin, async (req, res) => {
+  console.log('Recibida solicitud de renovación de token');
+  
+  try {
+    await twitterOAuth.refreshTokens(req.session);
+    
+    console.log('Token renovado exitosamente');
     
-    // Devolver los datos del token al frontend
-    res.json(response.data);
+    res.json({ authenticated: true });
   } catch (error) {
-    console.error('Error al obtener token de Twitter:', error.message);
-    
-    // Capturar detalles específicos del error si están disponibles
-    let errorMessage = 'Error al obtener token de acceso';
-    let statusCode = 500;
-    
-    if (error.response) {
-      // Error con respuesta del servidor
-      console.error('Detalles del error:', error.response.data);
-      errorMessage = `Twitter API respondió con error: ${error.response.status} ${JSON.stringify(error.response.data)}`;
-      statusCode = error.response.status;
-    } else if (error.request) {
-      // Error sin respuesta (problema de red)
-      errorMessage = 'No se pudo conectar con Twitter API';
+    console.error('Error al renovar el token de Twitter:', error.message);
+    
+    sendError(res, toTwitterError(error), 'Error al renovar el token');
+  }
+});
+
+/**
+ * Endpoint que revoca en Twitter los tokens de la sesión
+ * Responde 502 con el detalle por token (details.results) si alguna revocación falla, para que
+ * el frontend no dé por cerrada una autorización que sigue activa
+ */
+app.post('/api/twitter/revoke', requireFrontendOrigin, async (req, res) => {
+  console.log('Recibida solicitud de revocación de tokens');
+  
+  try {
+    const results = await twitterOAuth.revokeTokens(req.session);
+    const failed = Object.entries(results)
+      .filter(([, result]) => result && !result.revoked)
+      .map(([name]) => name);
+    
+    if (failed.length > 0) {
+      return sendError(res, new ApiError(`No se pudieron revocar en Twitter: ${failed.join(', ')}`, 502,
+        ERROR_CODES.TWITTER_ERROR, { revoked: false, results }));
     }
     
-    res.status(statusCode).json({ error: errorMessage });
+    console.log('Tokens revocados exitosamente');
+    
+    res.json({ revoked: true, results });
+  } catch (error) {
+    console.error('Error al revocar los tokens de Twitter:', error.message);
+    
+    sendError(res, toTwitterError(error), 'Error al revocar los tokens');
   }
 });
 
 /**
- * Nuevo endpoint para obtener datos del usuario desde la API de Twitter
- * Recibe el token de acceso del frontend y lo usa para hacer una solicitud a Twitter
+ * Endpoint para obtener datos del usuario desde la API de Twitter
+ * Usa el token de acceso guardado en la sesión; si Twitter lo rechaza se
+ * renueva una vez y se repite la solicitud
  */
-app.post('/api/twitter/user', async (req, res) => {
+app.post('/api/twitter/user', requireFrontendOrigin, async (req, res) => {
   console.log('Recibida solicitud para obtener datos de usuario');
   
-  const { accessToken } = req.body;
-  
-  if (!accessToken) {
-    console.error('Error: Falta el token de acceso');
-    return res.status(400).json({ 
-      error: 'Falta el token de acceso requerido' 
-    });
-  }
+  /**
+   * Solicita el usuario autenticado a Twitter
+   * @param {string} accessToken - Token de acceso de la sesión
+   * @returns {Promise<Object>} Respuesta de axios
+   */
+  const fetchUser = (accessToken) => axios.get(
+    `${twitterOAuth.TWITTER_URLS.USERS_ME}?user.fields=created_at,public_metrics`, 
+    {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
 
   try {
     console.log('Enviando solicitud a Twitter API para obtener datos de usuario');
     
-    // Hacer la solicitud a Twitter con el token de acceso
-    const response = await axios.get(
-      'https://api.twitter.com/2/users/me?user.fields=created_at,public_metrics', 
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
+    let response;
+    
+    try {
+      response = await fetchUser(await twitterOAuth.getAccessToken(req.session));
+    } catch (error) {
+      if (!error.response || error.response.status !== 401) {
+        throw error;
       }
-    );
+      
+      console.log('Twitter rechazó el token de acceso, renovando');
+      await twitterOAuth.refreshTokens(req.session);
+      response = await fetchUser(req.session.tokens.accessToken);
+    }
 
     console.log('Datos de usuario obtenidos exitosamente');
     
+    // Firmar los datos para que el circuito sólo acepte datos obtenidos por el proxy.
+    // Sin clave de atestación el login sigue funcionando, pero no se pueden generar pruebas
+    let userAttestation = null;
+    
+    try {
+      userAttestation = attestation.attestTwitterUser(response.data.data);
+    } catch (attestationError) {
+      console.error('Error al firmar la atestación de usuario:', attestationError.message);
+    }
+    
+    // La wallet sólo se puede vincular a la cuenta de Twitter de la sesión
+    req.session.twitterIdHash = attestation.hashTwitterId(response.data.data.id);
+    
     // Devolver los datos del usuario al frontend
-    res.json(response.data);
+    res.json({ ...response.data, attestation: userAttestation });
   } catch (error) {
     console.error('Error al obtener datos de usuario de Twitter:', error.message);
     
-    // Capturar detalles específicos del error si están disponibles
-    let errorMessage = 'Error al obtener datos de usuario';
-    let statusCode = 500;
-    
-    if (error.response) {
-      // Error con respuesta del servidor
-      console.error('Detalles del error:', error.response.data);
-      errorMessage = `Twitter API respondió con error: ${error.response.status} ${JSON.stringify(error.response.data)}`;
-      statusCode = error.response.status;
-    } else if (error.request) {
-      // Error sin respuesta (problema de red)
-      errorMessage = 'No se pudo conectar con Twitter API';
+    sendError(res, toTwitterError(error), 'Error al obtener datos de usuario');
+  }
+});
+
+/**
+ * Endpoint que emite el nonce del mensaje de vinculación de wallet (EIP-4361)
+ * El nonce queda ligado a la sesión y sólo sirve para una verificación
+ */
+app.get('/api/wallet/nonce', requireFrontendOrigin, (req, res) => {
+  if (!req.session || !req.session.twitterIdHash) {
+    return sendError(res, new ApiError('Inicie sesión con Twitter antes de vincular la wallet', 401, ERROR_CODES.AUTH_REQUIRED));
+  }
+  
+  res.json(siwe.createNonce(req.session));
+});
+
+/**
+ * Endpoint que verifica el mensaje de vinculación firmado por la wallet
+ * Acepta un mensaje EIP-4361 (message) o un TwitterLink EIP-712 (typedData)
+ * Hasta que no pasa esta comprobación la dirección no cuenta como conectada
+ */
+app.post('/api/wallet/verify', requireFrontendOrigin, (req, res) => {
+  const { message, typedData, signature } = req.body;
+  
+  if ((!message && !typedData) || !signature) {
+    return sendError(res, new ApiError('Faltan parámetros requeridos (message o typedData, signature)'));
+  }
+  
+  try {
+    const link = typedData
+      ? typedLink.verifyTypedLink(req.session, { typedData, signature })
+      : siwe.verifyLink(req.session, { message, signature }, { origin: FRONTEND_ORIGIN });
+    
+    console.log(`Wallet ${link.address} vinculada a la sesión`);
+    
+    res.json(link);
+  } catch (error) {
+    console.error('Error al verificar el mensaje de vinculación:', error.message);
+    sendError(res, error, 'Error interno al verificar el mensaje de vinculación');
+  }
+});
+
+/**
+ * Endpoint público con la clave con la que el proxy firma las atestaciones
+ * Permite a terceros comprobar qué servidor respaldó los datos de una prueba
+ */
+app.get('/api/attestation/key', (req, res) => {
+  try {
+    res.json({ publicKey: attestation.getPublicKey() });
+  } catch (error) {
+    console.error('Error al obtener la clave de atestación:', error.message);
+    sendError(res, error, 'Error interno al obtener la clave de atestación');
+  }
+});
+
+/**
+ * Endpoint para verificar una prueba ZK generada por zkProof.generateProof
+ * Recibe un bundle completo, o la prueba (hexadecimal 0x o base64) con sus
+ * entradas públicas por nombre, y responde si es válida, qué umbrales demuestra y
+ * qué valores revela (el tramo de seguidores).
+ * Una prueba suelta de un solo umbral debe indicar su circuito (`circuit`).
+ * La prueba sólo es válida si la atestación la firmó la clave de este servidor
+ */
+app.post('/api/proof/verify', async (req, res) => {
+  console.log('Recibida solicitud de verificación de prueba');
+  
+  const { bundle, proof, publicInputs, transcript, circuit } = req.body;
+  
+  if (!bundle && (!proof || !publicInputs)) {
+    console.error('Error: Faltan parámetros requeridos (bundle, o proof y publicInputs)');
+    return sendError(res, new ApiError('Faltan parámetros requeridos (bundle, o proof y publicInputs)'));
+  }
+
+  try {
+    // Se acepta un bundle completo exportado desde el navegador o la prueba suelta
+    const result = bundle
+      ? await proofVerifier.verifyBundle(bundle, { origin: FRONTEND_ORIGIN })
+      : await proofVerifier.verifyProof(proof, publicInputs, { transcript, circuit });
+    
+    console.log(`Resultado de la verificación: ${result.valid ? 'válida' : 'inválida'}`);
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error al verificar la prueba:', error.message);
+    
+    // Los errores de validación de la solicitud traen su propio código de estado
+    sendError(res, error, 'Error interno al verificar la prueba');
+  }
+});
+
+/**
+ * Verifica un bundle y devuelve la reclamación de nullifier que contiene
+ * La prueba debe firmar el mensaje de vinculación que verificó esta sesión: una firma
+ * de la wallet obtenida en otro sitio no la compromete con la cuenta de Twitter
+ * @param {Object} bundle - Bundle exportado por zkProof.exportBundle
+ * @param {Object} session - Sesión del servidor
+ * @returns {Promise<Object>} Reclamación { scope, nullifier, address, messageHash, thresholds, disclosed }
+ */
+async function verifyNullifierClaim(bundle, session) {
+  if (!bundle) {
+    throw new proofVerifier.VerificationError('Falta el bundle de la prueba');
+  }
+  
+  const result = await proofVerifier.verifyBundle(bundle, { origin: FRONTEND_ORIGIN });
+  
+  if (!result.valid) {
+    throw new proofVerifier.VerificationError(result.reason || 'La prueba no es válida', 422);
+  }
+  
+  const claim = proofVerifier.getNullifierClaim(bundle.publicInputs);
+  
+  siwe.getLinkedMessage(session, claim);
+  
+  return {
+    ...claim,
+    thresholds: result.thresholds,
+    disclosed: result.disclosed
+  };
+}
+
+/**
+ * Responde a un error de las rutas de nullifiers
+ * @param {Object} res - Respuesta de Express
+ * @param {Error} error - Error capturado
+ */
+function sendNullifierError(res, error) {
+  console.error('Error en el registro de nullifiers:', error.message);
+  
+  // Un conflicto (NULLIFIER_CONFLICT) trae en details el vínculo actual y el rebindMessage
+  sendError(res, error, 'Error interno del registro de nullifiers');
+}
+
+/**
+ * Endpoint para registrar la wallet de una prueba en el registro de nullifiers
+ * Sólo acepta pruebas del mensaje de vinculación verificado en la sesión (/api/wallet/verify).
+ * Una cuenta de Twitter sólo puede respaldar una wallet por scope: una segunda
+ * wallet recibe 409 con el mensaje que la wallet actual debe firmar para cederla
+ */
+app.post('/api/nullifiers', requireFrontendOrigin, async (req, res) => {
+  console.log('Recibida solicitud de registro de nullifier');
+  
+  try {
+    const claim = await verifyNullifierClaim(req.body.bundle, req.session);
+    const { created, binding } = nullifierRegistry.bind(claim, { session: req.session, origin: FRONTEND_ORIGIN });
+    
+    res.status(created ? 201 : 200).json(binding);
+  } catch (error) {
+    sendNullifierError(res, error);
+  }
+});
+
+/**
+ * Endpoint para mover un nullifier a una nueva wallet
+ * Recibe el bundle generado con la nueva wallet y la firma, hecha por la wallet
+ * vinculada actualmente, del rebindMessage devuelto en el 409 a esta misma sesión
+ */
+app.post('/api/nullifiers/rebind', requireFrontendOrigin, async (req, res) => {
+  console.log('Recibida solicitud de revinculación de nullifier');
+  
+  try {
+    const claim = await verifyNullifierClaim(req.body.bundle, req.session);
+    const { binding } = nullifierRegistry.rebind(claim, req.body.signature, { session: req.session });
+    
+    // Las credenciales de la wallet anterior ya no representan a la cuenta
+    credentialIssuer.revokeForRebind(binding);
+    
+    res.json(binding);
+  } catch (error) {
+    sendNullifierError(res, error);
+  }
+});
+
+/**
+ * Endpoint para consultar a qué wallet está vinculado un nullifier
+ */
+app.get('/api/nullifiers/:scope/:nullifier', (req, res) => {
+  try {
+    const binding = nullifierRegistry.getBinding(req.params.scope, req.params.nullifier);
+    
+    if (!binding) {
+      return sendError(res, new ApiError('Nullifier no registrado', 404, ERROR_CODES.NOT_FOUND));
+    }
+    
+    res.json(binding);
+  } catch (error) {
+    sendNullifierError(res, error);
+  }
+});
+
+/**
+ * Responde a un error de las rutas de credenciales
+ * @param {Object} res - Respuesta de Express
+ * @param {Error} error - Error capturado
+ */
+function sendCredentialError(res, error) {
+  console.error('Error en la emisión de credenciales:', error.message);
+  sendError(res, error, 'Error interno al emitir la credencial');
+}
+
+/**
+ * Endpoint para obtener una credencial verificable (JWT) a partir de una prueba
+ * La prueba debe ser válida, firmar el mensaje de vinculación verificado en la sesión
+ * y su nullifier estar registrado a la wallet de la prueba,
+ * de modo que cada cuenta de Twitter sólo respalde credenciales de una wallet
+ */
+app.post('/api/credentials', requireFrontendOrigin, async (req, res) => {
+  console.log('Recibida solicitud de credencial');
+  
+  try {
+    const claim = await verifyNullifierClaim(req.body.bundle, req.session);
+    const binding = nullifierRegistry.getBinding(claim.scope, claim.nullifier);
+    
+    if (!binding) {
+      throw new credentialIssuer.CredentialError('Registre la prueba en el registro de nullifiers antes de pedir la credencial', 409);
     }
     
-    res.status(statusCode).json({ error: errorMessage });
+    if (binding.address !== claim.address) {
+      throw new credentialIssuer.CredentialError('Esta cuenta de Twitter está vinculada a otra wallet', 409,
+        ERROR_CODES.NULLIFIER_CONFLICT);
+    }
+    
+    const { created, id, credential, status } = credentialIssuer.issueCredential(req.body.bundle, claim);
+    
+    res.status(created ? 201 : 200).json({ id, credential, status });
+  } catch (error) {
+    sendCredentialError(res, error);
   }
 });
 
+/**
+ * Endpoint público con el emisor de las credenciales y su clave (JWK secp256k1)
+ */
+app.get('/api/credentials/issuer', (req, res) => {
+  try {
+    res.json(credentialIssuer.getIssuer());
+  } catch (error) {
+    sendCredentialError(res, error);
+  }
+});
+
+/**
+ * Endpoint de estado de una credencial: active, revoked o expired
+ */
+app.get('/api/credentials/:id/status', (req, res) => {
+  const status = credentialIssuer.getStatus(req.params.id);
+  
+  if (!status) {
+    return sendError(res, new ApiError('Credencial no encontrada', 404, ERROR_CODES.NOT_FOUND));
+  }
+  
+  res.json(status);
+});
+
 // Iniciar el servidor
 app.listen(PORT, () => {
   console.log(`Servidor proxy ejecutándose en http://localhost:${PORT}`);
+  
+  if (twitterOAuth.TWITTER_MOCK) {
+    console.log(`Usando el servidor simulado de Twitter: ${twitterOAuth.TWITTER_URLS.AUTHORIZE}`);
+  }
+  
   console.log(`Usando CLIENT_ID: ${TWITTER_CLIENT_ID.substring(0, 5)}...`);
   console.log(`CLIENT_SECRET está ${TWITTER_CLIENT_SECRET ? 'configurado' : 'NO configurado'}`);
 }); 
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * Atestaciones de datos de Twitter firmadas por el servidor
+ * El proxy firma el hash del ID de Twitter, la fecha de creación de la cuenta,
+ * el número de seguidores y el momento de la consulta. El circuito comprueba
+ * esta firma, de modo que sólo los datos obtenidos por el proxy sirven como
+ * entradas de la prueba
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { ApiError, ERROR_CODES } = require('./errors');
+
+// Versión del formato de la atestación (ver attestation_message en circuits/src/main.nr)
+const ATTESTATION_VERSION = 1;
+
+// Clave secp256k1 con la que firma el servidor (hexadecimal con prefijo 0x)
+const ATTESTATION_PRIVATE_KEY = process.env.ATTESTATION_PRIVATE_KEY;
+
+// Clave secreta del hash del ID de Twitter; por defecto se deriva de ATTESTATION_PRIVATE_KEY
+const TWITTER_ID_HASH_KEY = process.env.TWITTER_ID_HASH_KEY;
+
+// Claves cargadas de forma perezosa
+let signingKey = null;
+let twitterIdHashKey = null;
+
+/**
+ * Error de atestación con código de estado HTTP y código de error (ver errors.js)
+ */
+class AttestationError extends ApiError {
+  constructor(message, statusCode = 500, code = ERROR_CODES.INTERNAL) {
+    super(message, statusCode, code);
+    this.name = 'AttestationError';
+  }
+}
+
+/**
+ * Obtiene la clave de firma configurada
+ * @returns {ethers.utils.SigningKey} Clave de firma
+ */
+function getSigningKey() {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  if (!ATTESTATION_PRIVATE_KEY) {
+    throw new AttestationError('ATTESTATION_PRIVATE_KEY no está configurada', 503, ERROR_CODES.NOT_CONFIGURED);
+  }
+
+  try {
+    signingKey = new ethers.utils.SigningKey(ATTESTATION_PRIVATE_KEY);
+  } catch (error) {
+    throw new AttestationError('ATTESTATION_PRIVATE_KEY no es una clave secp256k1 válida', 503, ERROR_CODES.NOT_CONFIGURED);
+  }
+
+  return signingKey;
+}
+
+/**
+ * Devuelve las coordenadas de la clave pública de atestación
+ * @returns {Object} Clave pública { x, y } en hexadecimal de 32 bytes
+ */
+function getPublicKey() {
+  const publicKey = ethers.utils.arrayify(getSigningKey().publicKey);
+
+  return {
+    x: ethers.utils.hexlify(publicKey.slice(1, 33)),
+    y: ethers.utils.hexlify(publicKey.slice(33, 65))
+  };
+}
+
+/**
+ * Codifica un entero sin signo de 64 bits en big-endian
+ * @param {number} value - Valor a codificar
+ * @returns {Buffer} 8 bytes
+ */
+function encodeUint64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(value));
+  return buffer;
+}
+
+/**
+ * Serializa los datos atestados con el mismo formato que el circuito
+ * @param {Object} fields - Datos { twitterIdHash, createdAt, followers, fetchedAt }
+ * @returns {Buffer} Mensaje de 56 bytes
+ */
+function encodeAttestation({ twitterIdHash, createdAt, followers, fetchedAt }) {
+  return Buffer.concat([
+    Buffer.from(ethers.utils.arrayify(twitterIdHash)),
+    encodeUint64(createdAt),
+    encodeUint64(followers),
+    encodeUint64(fetchedAt)
+  ]);
+}
+
+/**
+ * Obtiene la clave del hash del ID de Twitter
+ * Sin TWITTER_ID_HASH_KEY se deriva de la clave de atestación, de modo que los
+ * nullifiers se mantienen entre reinicios. Sin ninguna de las dos se usa una clave
+ * aleatoria: el login funciona, pero tampoco se pueden firmar atestaciones
+ * @returns {Buffer} Clave HMAC
+ */
+function getTwitterIdHashKey() {
+  if (twitterIdHashKey) {
+    return twitterIdHashKey;
+  }
+
+  if (TWITTER_ID_HASH_KEY) {
+    twitterIdHashKey = Buffer.from(TWITTER_ID_HASH_KEY, 'utf8');
+  } else if (ATTESTATION_PRIVATE_KEY) {
+    twitterIdHashKey = crypto.createHmac('sha256', ATTESTATION_PRIVATE_KEY).update('twitter-zk:twitter-id-hash').digest();
+  } else {
+    console.warn('Sin TWITTER_ID_HASH_KEY ni ATTESTATION_PRIVATE_KEY: el hash del ID de Twitter cambiará en cada arranque');
+    twitterIdHashKey = crypto.randomBytes(32);
+  }
+
+  return twitterIdHashKey;
+}
+
+/**
+ * Calcula el hash del ID de Twitter que usan el circuito y el mensaje de vinculación
+ * Es un HMAC con una clave del servidor: el ID de una cuenta es público, y un hash sin
+ * clave permitiría calcular su nullifier y consultar su wallet sin ninguna prueba.
+ * El navegador no puede calcularlo; lo recibe en la atestación y con el nonce
+ * @param {string} id - ID de Twitter
+ * @returns {string} Hash de 32 bytes en hexadecimal
+ */
+function hashTwitterId(id) {
+  return '0x' + crypto.createHmac('sha256', getTwitterIdHashKey()).update(id, 'utf8').digest('hex');
+}
+
+/**
+ * Firma una atestación de los datos de un usuario de Twitter
+ * @param {Object} user - Datos de usuario devueltos por /2/users/me
+ * @returns {Object} Atestación { version, twitterIdHash, createdAt, followers, fetchedAt, digest, signature, publicKey }
+ */
+function attestTwitterUser(user) {
+  if (!user || !user.id || !user.created_at) {
+    throw new AttestationError('Faltan datos de usuario para la atestación', 502, ERROR_CODES.TWITTER_ERROR);
+  }
+
+  const fields = {
+    twitterIdHash: hashTwitterId(user.id),
+    createdAt: Math.floor(Date.parse(user.created_at) / 1000),
+    followers: user.public_metrics?.followers_count ?? 0,
+    fetchedAt: Math.floor(Date.now() / 1000)
+  };
+
+  if (!Number.isSafeInteger(fields.createdAt) || fields.createdAt < 0) {
+    throw new AttestationError('Fecha de creación de la cuenta inválida', 502, ERROR_CODES.TWITTER_ERROR);
+  }
+
+  const digest = '0x' + crypto.createHash('sha256').update(encodeAttestation(fields)).digest('hex');
+
+  // signDigest devuelve s canónica (mitad inferior), como exige el circuito
+  const signature = getSigningKey().signDigest(digest);
+
+  return {
+    version: ATTESTATION_VERSION,
+    ...fields,
+    digest,
+    signature: ethers.utils.hexConcat([signature.r, signature.s]),
+    publicKey: getPublicKey()
+  };
+}
+
+module.exports = {
+  AttestationError,
+  attestTwitterUser,
+  getPublicKey,
+  hashTwitterId
+};
@@ -0,0 +1,389 @@
+/**
+ * Emisión de credenciales verificables
+ * Tras verificar una prueba, el servidor emite una Verifiable Credential W3C en
+ * formato JWT (ES256K) cuyo sujeto es la wallet de la prueba y cuyas afirmaciones
+ * son los umbrales demostrados. Terceros comprueban la firma con la clave de
+ * /api/credentials/issuer y la vigencia con el endpoint de estado de la credencial
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { isSignedLinkMessage } = require('./proofVerifier');
+const { ApiError, ERROR_CODES } = require('./errors');
+
+// Fichero donde se persisten las credenciales emitidas (sin el JWT firmado de las revocadas)
+const STORE_PATH = process.env.CREDENTIAL_STORE_PATH
+  || path.join(__dirname, '..', 'data', 'credentials.json');
+
+// URL pública del proxy; identifica al emisor y aloja los endpoints de estado
+const ISSUER_URL = (process.env.CREDENTIAL_ISSUER_URL
+  || `http://localhost:${process.env.PROXY_PORT || 3000}`).replace(/\/+$/, '');
+
+// Clave secp256k1 del emisor. Debe ser distinta de la de atestación: quien obtuviera
+// una de las dos podría, si no, tanto atestar datos de Twitter como emitir credenciales
+const CREDENTIAL_PRIVATE_KEY = process.env.CREDENTIAL_PRIVATE_KEY;
+
+// Los umbrales reflejan los datos de Twitter del momento de la atestación: la credencial
+// caduca CREDENTIAL_TTL_DAYS después de fetched_at, no de su emisión
+const CREDENTIAL_TTL_DAYS = Number(process.env.CREDENTIAL_TTL_DAYS) || 30;
+
+const CREDENTIAL_TYPE = 'TwitterAccountCredential';
+const STATUS_TYPE = 'TwitterZkCredentialStatus';
+
+// Estados que devuelve getStatus
+const STATUS = {
+  ACTIVE: 'active',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired'
+};
+
+// Clave y credenciales cargadas de forma perezosa (id -> registro)
+let signingKey = null;
+let credentials = null;
+
+/**
+ * Error de emisión con código de estado HTTP y código de error (ver errors.js)
+ */
+class CredentialError extends ApiError {
+  constructor(message, statusCode = 400, code = ERROR_CODES.CREDENTIAL_REJECTED) {
+    super(message, statusCode, code);
+    this.name = 'CredentialError';
+  }
+}
+
+/**
+ * Codifica en base64url
+ * @param {Buffer|string|Uint8Array} value - Bytes o texto UTF-8
+ * @returns {string} Valor codificado
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Obtiene la clave de firma del emisor
+ * @returns {ethers.utils.SigningKey} Clave de firma
+ */
+function getSigningKey() {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  if (!CREDENTIAL_PRIVATE_KEY) {
+    throw new CredentialError('CREDENTIAL_PRIVATE_KEY no está configurada', 503, ERROR_CODES.NOT_CONFIGURED);
+  }
+
+  let key;
+
+  try {
+    key = new ethers.utils.SigningKey(CREDENTIAL_PRIVATE_KEY);
+  } catch (error) {
+    throw new CredentialError('CREDENTIAL_PRIVATE_KEY no es una clave secp256k1 válida', 503, ERROR_CODES.NOT_CONFIGURED);
+  }
+
+  if (process.env.ATTESTATION_PRIVATE_KEY
+    && ethers.utils.computePublicKey(process.env.ATTESTATION_PRIVATE_KEY) === key.publicKey) {
+    throw new CredentialError('CREDENTIAL_PRIVATE_KEY debe ser distinta de ATTESTATION_PRIVATE_KEY', 503,
+      ERROR_CODES.NOT_CONFIGURED);
+  }
+
+  signingKey = key;
+
+  return signingKey;
+}
+
+/**
+ * Comprueba al arrancar que la clave del emisor está configurada y es válida
+ * @throws {CredentialError} Si falta, no es válida o es la de atestación
+ */
+function checkSigningKey() {
+  getSigningKey();
+}
+
+/**
+ * Devuelve la clave pública del emisor como JWK, con su huella RFC 7638 como kid
+ * @returns {Object} JWK { kty, crv, x, y, kid, alg, use }
+ */
+function getPublicJwk() {
+  const publicKey = ethers.utils.arrayify(getSigningKey().publicKey);
+  const x = base64url(publicKey.slice(1, 33));
+  const y = base64url(publicKey.slice(33, 65));
+
+  // La huella se calcula sobre los miembros obligatorios en orden lexicográfico
+  const thumbprint = crypto.createHash('sha256')
+    .update(JSON.stringify({ crv: 'secp256k1', kty: 'EC', x, y }))
+    .digest();
+
+  return { kty: 'EC', crv: 'secp256k1', x, y, kid: base64url(thumbprint), alg: 'ES256K', use: 'sig' };
+}
+
+/**
+ * Devuelve el emisor y sus claves públicas, para el endpoint /api/credentials/issuer
+ * @returns {Object} { issuer, keys }
+ */
+function getIssuer() {
+  return { issuer: ISSUER_URL, keys: [getPublicJwk()] };
+}
+
+/**
+ * Carga las credenciales desde disco la primera vez que se usan
+ * @returns {Map<string, Object>} Credenciales emitidas
+ */
+function loadCredentials() {
+  if (credentials) {
+    return credentials;
+  }
+
+  credentials = new Map();
+
+  if (fs.existsSync(STORE_PATH)) {
+    const stored = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+    stored.forEach((record) => credentials.set(record.id, record));
+    console.log(`Credenciales cargadas: ${credentials.size}`);
+  }
+
+  return credentials;
+}
+
+/**
+ * Guarda las credenciales en disco (escritura atómica mediante fichero temporal)
+ */
+function saveCredentials() {
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+
+  const tempPath = `${STORE_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify([...credentials.values()], null, 2));
+  fs.renameSync(tempPath, STORE_PATH);
+}
+
+/**
+ * Obtiene la cadena en la que se firmó el mensaje de vinculación del bundle
+ * El mensaje sólo cuenta si su hash es la entrada pública message_hash de la prueba
+ * @param {Object} bundle - Bundle de prueba verificado
+ * @returns {number} ID de la cadena
+ */
+function getLinkedChainId(bundle) {
+  const { message } = bundle;
+
+  if (!message || (message.mode === 'eip712' ? !message.typedData : typeof message.text !== 'string')) {
+    throw new CredentialError('El bundle no incluye un mensaje de vinculación válido');
+  }
+
+  // verifyBundle ya lo comprueba; se repite porque la cadena se lee de este mensaje
+  if (!isSignedLinkMessage(bundle)) {
+    throw new CredentialError('El mensaje del bundle no es el que firmó la prueba', 422);
+  }
+
+  const chainId = message.mode === 'eip712'
+    ? Number(message.typedData.message.chainId)
+    : Number((/^Chain ID: (\d+)$/m.exec(message.text) || [])[1]);
+
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+    throw new CredentialError('El mensaje de vinculación no indica la cadena');
+  }
+
+  return chainId;
+}
+
+/**
+ * Construye las afirmaciones de la credencial a partir de lo que demuestra la prueba
+ * Las pruebas de una sola reclamación sólo traen uno de los umbrales, y las de tramo
+ * de seguidores traen la tabla de tramos y el tramo revelado
+ * @param {Object} thresholds - Umbrales { minAccountAgeDays?, minFollowers?, followerTiers? }
+ * @param {Object} [disclosed] - Valores revelados { followerTier? }
+ * @returns {Object} { accountAgeDaysGreaterThan?, followersGreaterThan?, followerTier?, description }
+ */
+function describeClaims({ minAccountAgeDays, minFollowers, followerTiers }, disclosed = {}) {
+  const claims = { description: [] };
+
+  if (minAccountAgeDays !== undefined) {
+    claims.accountAgeDaysGreaterThan = minAccountAgeDays;
+    claims.description.push(`Twitter account older than ${minAccountAgeDays} days`);
+  }
+
+  if (minFollowers !== undefined) {
+    claims.followersGreaterThan = minFollowers;
+    claims.description.push(`More than ${minFollowers} followers`);
+  }
+
+  if (followerTiers !== undefined && disclosed.followerTier !== undefined) {
+    const tier = disclosed.followerTier;
+    const minimum = tier > 0 ? followerTiers[tier - 1] : 0;
+    const maximum = tier < followerTiers.length ? followerTiers[tier] - 1 : null;
+
+    // Los tramos no tienen límite superior a partir del último límite de la tabla
+    claims.followerTier = { tier, minimum, ...(maximum === null ? {} : { maximum }) };
+    claims.description.push(maximum === null
+      ? `At least ${minimum} followers`
+      : `Between ${minimum} and ${maximum} followers`);
+  }
+
+  return claims;
+}
+
+/**
+ * Firma un JWT con ES256K (firma r||s sobre el SHA-256 de la cabecera y el contenido)
+ * @param {Object} payload - Contenido del JWT
+ * @returns {string} JWT compacto
+ */
+function signJwt(payload) {
+  const header = { alg: 'ES256K', typ: 'JWT', kid: getPublicJwk().kid };
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const digest = crypto.createHash('sha256').update(signingInput).digest();
+  const signature = getSigningKey().signDigest(digest);
+
+  return `${signingInput}.${base64url(ethers.utils.arrayify(ethers.utils.hexConcat([signature.r, signature.s])))}`;
+}
+
+/**
+ * Calcula el estado actual de una credencial
+ * @param {Object} record - Credencial almacenada
+ * @returns {string} Uno de STATUS
+ */
+function currentStatus(record) {
+  if (record.revokedAt) {
+    return STATUS.REVOKED;
+  }
+
+  return Date.parse(record.expiresAt) <= Date.now() ? STATUS.EXPIRED : STATUS.ACTIVE;
+}
+
+/**
+ * Devuelve la representación pública de una credencial (sin scope ni nullifier)
+ * @param {Object} record - Credencial almacenada
+ * @returns {Object} { id, status, subject, issuedAt, expiresAt, revokedAt?, reason? }
+ */
+function toPublicStatus(record) {
+  return {
+    id: record.id,
+    status: currentStatus(record),
+    subject: record.subject,
+    issuedAt: record.issuedAt,
+    expiresAt: record.expiresAt,
+    ...(record.revokedAt ? { revokedAt: record.revokedAt, reason: record.reason } : {})
+  };
+}
+
+/**
+ * Emite una credencial para la wallet de una prueba verificada
+ * Repetir la solicitud con la misma prueba devuelve la credencial vigente
+ * @param {Object} bundle - Bundle verificado con proofVerifier.verifyBundle
+ * @param {Object} claim - Reclamación { scope, nullifier, address, fetchedAt, thresholds, disclosed } de la prueba
+ * @returns {Object} { created, id, credential (JWT), status }
+ */
+function issueCredential(bundle, claim) {
+  const store = loadCredentials();
+  const proofHash = `sha256:${crypto.createHash('sha256').update(bundle.proof).digest('hex')}`;
+  const existing = [...store.values()].find((record) => record.proofHash === proofHash
+    && currentStatus(record) === STATUS.ACTIVE);
+
+  if (existing) {
+    return { created: false, id: existing.id, credential: existing.jwt, status: toPublicStatus(existing) };
+  }
+
+  const chainId = getLinkedChainId(bundle);
+  const subject = `did:pkh:eip155:${chainId}:${claim.address}`;
+  const id = `urn:uuid:${crypto.randomUUID()}`;
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = claim.fetchedAt + CREDENTIAL_TTL_DAYS * 24 * 60 * 60;
+
+  if (expiresAt <= issuedAt) {
+    throw new CredentialError(
+      `Los datos de Twitter de la prueba tienen más de ${CREDENTIAL_TTL_DAYS} días. Vuelva a iniciar sesión con Twitter y genere otra prueba`,
+      422
+    );
+  }
+
+  const jwt = signJwt({
+    iss: ISSUER_URL,
+    sub: subject,
+    jti: id,
+    iat: issuedAt,
+    nbf: issuedAt,
+    exp: expiresAt,
+    vc: {
+      '@context': ['https://www.w3.org/2018/credentials/v1'],
+      type: ['VerifiableCredential', CREDENTIAL_TYPE],
+      credentialSubject: {
+        id: subject,
+        twitterAccount: describeClaims(claim.thresholds, claim.disclosed)
+      },
+      credentialStatus: {
+        id: `${ISSUER_URL}/api/credentials/${encodeURIComponent(id)}/status`,
+        type: STATUS_TYPE
+      }
+    }
+  });
+
+  const record = {
+    id,
+    subject,
+    address: claim.address,
+    scope: claim.scope,
+    nullifier: claim.nullifier,
+    proofHash,
+    issuedAt: new Date(issuedAt * 1000).toISOString(),
+    expiresAt: new Date(expiresAt * 1000).toISOString(),
+    jwt
+  };
+
+  store.set(id, record);
+  saveCredentials();
+
+  console.log(`Credencial ${id} emitida para ${subject}`);
+
+  return { created: true, id, credential: jwt, status: toPublicStatus(record) };
+}
+
+/**
+ * Consulta el estado de una credencial
+ * @param {string} id - ID de la credencial (urn:uuid:...)
+ * @returns {Object|null} Estado o null si no existe
+ */
+function getStatus(id) {
+  const record = loadCredentials().get(id);
+  return record ? toPublicStatus(record) : null;
+}
+
+/**
+ * Revoca las credenciales de un nullifier emitidas a wallets distintas de la actual
+ * Se llama al mover el nullifier: la wallet anterior deja de representar la cuenta
+ * @param {Object} binding - Vínculo actual { scope, nullifier, address }
+ * @returns {number} Credenciales revocadas
+ */
+function revokeForRebind({ scope, nullifier, address }) {
+  const revokedAt = new Date().toISOString();
+  let revoked = 0;
+
+  for (const record of loadCredentials().values()) {
+    if (record.revokedAt || record.address === address) {
+      continue;
+    }
+
+    if (BigInt(record.scope) === BigInt(scope) && BigInt(record.nullifier) === BigInt(nullifier)) {
+      record.revokedAt = revokedAt;
+      record.reason = 'La cuenta de Twitter se vinculó a otra wallet';
+      delete record.jwt;
+      revoked += 1;
+    }
+  }
+
+  if (revoked > 0) {
+    saveCredentials();
+    console.log(`${revoked} credencial(es) revocada(s) del nullifier ${nullifier}`);
+  }
+
+  return revoked;
+}
+
+module.exports = {
+  CredentialError,
+  STATUS,
+  checkSigningKey,
+  getIssuer,
+  issueCredential,
+  getStatus,
+  revokeForRebind
+};
@@ -0,0 +1,92 @@
+/**
+ * Errores tipados del proxy
+ * Cada error lleva un código estable además del mensaje, y todas las rutas responden
+ * a un fallo con el mismo sobre JSON:
+ *   { "error": { "code": "AUTH_EXPIRED", "message": "...", "details": { ... } } }
+ * El frontend decide qué hacer a partir del código (ver src/js/errors.js, que
+ * repite la misma lista), nunca del texto del mensaje
+ */
+
+const ERROR_CODES = Object.freeze({
+  // Sesión de Twitter
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_EXPIRED: 'AUTH_EXPIRED',
+  LOGIN_EXPIRED: 'LOGIN_EXPIRED',
+  STATE_MISMATCH: 'STATE_MISMATCH',
+  FORBIDDEN_ORIGIN: 'FORBIDDEN_ORIGIN',
+
+  // Llamadas a la API de Twitter
+  RATE_LIMITED: 'RATE_LIMITED',
+  TWITTER_ERROR: 'TWITTER_ERROR',
+  TWITTER_UNAVAILABLE: 'TWITTER_UNAVAILABLE',
+
+  // Wallet, pruebas y credenciales
+  WALLET_LINK_INVALID: 'WALLET_LINK_INVALID',
+  NETWORK_UNSUPPORTED: 'NETWORK_UNSUPPORTED',
+  PROOF_INVALID: 'PROOF_INVALID',
+  NULLIFIER_CONFLICT: 'NULLIFIER_CONFLICT',
+  CREDENTIAL_REJECTED: 'CREDENTIAL_REJECTED',
+
+  // Generales
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  INTERNAL: 'INTERNAL'
+});
+
+/**
+ * Error con código estable y código de estado HTTP
+ * Los errores de cada módulo (OAuthError, SiweError...) heredan de esta clase
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Mensaje para el registro y para el campo message del sobre
+   * @param {number} [statusCode=400] - Código de estado HTTP
+   * @param {string} [code=INVALID_REQUEST] - Código de ERROR_CODES
+   * @param {Object} [details] - Datos adicionales para el frontend
+   */
+  constructor(message, statusCode = 400, code = ERROR_CODES.INVALID_REQUEST, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Construye el sobre JSON de un error
+ * @param {string} code - Código de ERROR_CODES
+ * @param {string} message - Mensaje del error
+ * @param {Object} [details] - Datos adicionales
+ * @returns {Object} { error: { code, message, details? } }
+ */
+function createErrorBody(code, message, details) {
+  return {
+    error: details ? { code, message, details } : { code, message }
+  };
+}
+
+/**
+ * Responde a un error con el sobre JSON
+ * Los errores que no son ApiError no exponen su mensaje: se registran y se
+ * responde 500 con el mensaje genérico de la ruta
+ * @param {Object} res - Respuesta de Express
+ * @param {Error} error - Error capturado
+ * @param {string} [fallbackMessage] - Mensaje para errores inesperados
+ * @returns {Object} Respuesta de Express
+ */
+function sendError(res, error, fallbackMessage = 'Error interno del servidor') {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json(createErrorBody(error.code, error.message, error.details));
+  }
+
+  return res.status(500).json(createErrorBody(ERROR_CODES.INTERNAL, fallbackMessage));
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  createErrorBody,
+  sendError
+};
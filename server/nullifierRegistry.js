@@ -0,0 +1,326 @@
+/**
+ * Registro de nullifiers
+ * Cada prueba expone un nullifier derivado del hash del ID de Twitter y de un
+ * scope público. El registro asocia cada nullifier a una única wallet por scope
+ * y sólo permite cambiarla con una autorización firmada por la wallet actual
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const appConfig = require('../@config.json');
+const { ApiError, ERROR_CODES } = require('./errors');
+
+// Fichero donde se persiste el registro
+const REGISTRY_PATH = process.env.NULLIFIER_REGISTRY_PATH
+  || path.join(__dirname, '..', 'data', 'nullifiers.json');
+
+// Nombres de los scopes admitidos, separados por comas; por defecto zkProof.nullifierScope.
+// El scope lo elige quien genera la prueba: sin esta lista, una misma cuenta podría
+// vincular una wallet distinta en cada scope que se inventara
+const NULLIFIER_SCOPES = (process.env.NULLIFIER_SCOPES
+  || (appConfig.zkProof && appConfig.zkProof.nullifierScope)
+  || 'twitter-zk-wallet-link')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+// Plazo para firmar la autorización de cambio de wallet, el mismo que el del mensaje de vinculación
+const REBIND_TTL_MS = 10 * 60 * 1000;
+
+// Registro cargado de forma perezosa: `${scope}:${nullifier}` -> vínculo
+let bindings = null;
+
+// Elementos de campo de los scopes admitidos, calculados de forma perezosa
+let allowedScopes = null;
+
+/**
+ * Error del registro con código de estado HTTP, código de error (ver errors.js) y detalles para el cliente
+ */
+class RegistryError extends ApiError {
+  constructor(message, statusCode = 400, code = ERROR_CODES.INVALID_REQUEST, details = undefined) {
+    super(message, statusCode, code, details);
+    this.name = 'RegistryError';
+  }
+}
+
+/**
+ * Normaliza un elemento de campo a hexadecimal de 32 bytes
+ * @param {string} value - Valor decimal o hexadecimal
+ * @param {string} name - Nombre del valor (para mensajes de error)
+ * @returns {string} Valor normalizado
+ */
+function normalizeField(value, name) {
+  try {
+    return '0x' + BigInt(value).toString(16).padStart(64, '0');
+  } catch (error) {
+    throw new RegistryError(`Valor inválido para ${name}`);
+  }
+}
+
+/**
+ * Calcula el elemento de campo de un nombre de scope, como zkProof.getScopeField
+ * (los 31 primeros bytes de su keccak256, para que quepa en el campo)
+ * @param {string} name - Nombre del scope
+ * @returns {string} Elemento de campo normalizado
+ */
+function getScopeField(name) {
+  return normalizeField(ethers.utils.hexDataSlice(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(name)), 0, 31), 'scope');
+}
+
+/**
+ * Normaliza el scope de una prueba y comprueba que está admitido (NULLIFIER_SCOPES)
+ * @param {string} scope - Entrada pública scope de la prueba
+ * @returns {string} Scope normalizado
+ */
+function normalizeScope(scope) {
+  const normalized = normalizeField(scope, 'scope');
+
+  if (!allowedScopes) {
+    allowedScopes = new Set(NULLIFIER_SCOPES.map(getScopeField));
+  }
+
+  if (!allowedScopes.has(normalized)) {
+    throw new RegistryError('El scope de la prueba no está admitido por este servidor', 422, ERROR_CODES.PROOF_INVALID);
+  }
+
+  return normalized;
+}
+
+/**
+ * Carga el registro desde disco la primera vez que se usa
+ * @returns {Map<string, Object>} Vínculos registrados
+ */
+function loadBindings() {
+  if (bindings) {
+    return bindings;
+  }
+
+  bindings = new Map();
+
+  if (fs.existsSync(REGISTRY_PATH)) {
+    const stored = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+    stored.forEach((binding) => bindings.set(`${binding.scope}:${binding.nullifier}`, binding));
+    console.log(`Registro de nullifiers cargado: ${bindings.size} vínculo(s)`);
+  }
+
+  return bindings;
+}
+
+/**
+ * Guarda el registro en disco (escritura atómica mediante fichero temporal)
+ */
+function saveBindings() {
+  fs.mkdirSync(path.dirname(REGISTRY_PATH), { recursive: true });
+
+  const tempPath = `${REGISTRY_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify([...bindings.values()], null, 2));
+  fs.renameSync(tempPath, REGISTRY_PATH);
+}
+
+/**
+ * Devuelve la representación pública de un vínculo
+ * @param {Object} binding - Vínculo registrado
+ * @returns {Object} Vínculo { scope, nullifier, address, version, boundAt }
+ */
+function toPublicBinding({ scope, nullifier, address, version, boundAt }) {
+  return { scope, nullifier, address, version, boundAt };
+}
+
+/**
+ * Construye el mensaje que la wallet actual debe firmar para autorizar el cambio
+ * Nombra el frontend que lo pide, para que una firma obtenida en otro sitio no sirva,
+ * y lleva la versión del vínculo, un nonce y una caducidad, para que no pueda reutilizarse
+ * @param {Object} binding - Vínculo actual
+ * @param {string} newAddress - Nueva wallet
+ * @param {Object} authorization - { origin, nonce, issuedAt, expirationTime }
+ * @returns {string} Mensaje a firmar
+ */
+function buildRebindMessage(binding, newAddress, { origin, nonce, issuedAt, expirationTime }) {
+  return [
+    `${new URL(origin).host} asks you to authorize moving your Twitter account proof to a new wallet.`,
+    '',
+    `Scope: ${binding.scope}`,
+    `Nullifier: ${binding.nullifier}`,
+    `Current wallet: ${binding.address}`,
+    `New wallet: ${newAddress}`,
+    `Binding version: ${binding.version}`,
+    `URI: ${origin}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+  ].join('\n');
+}
+
+/**
+ * Emite para la sesión la autorización que la wallet actual debe firmar; sustituye a la anterior
+ * @param {Object} session - Sesión del servidor
+ * @param {Object} binding - Vínculo actual
+ * @param {string} newAddress - Nueva wallet
+ * @param {string} origin - Origen del frontend
+ * @returns {string} Mensaje a firmar
+ */
+function createRebindAuthorization(session, binding, newAddress, origin) {
+  const issuedAt = new Date();
+  const expiresAt = issuedAt.getTime() + REBIND_TTL_MS;
+  const message = buildRebindMessage(binding, newAddress, {
+    origin,
+    nonce: crypto.randomBytes(16).toString('hex'),
+    issuedAt: issuedAt.toISOString(),
+    expirationTime: new Date(expiresAt).toISOString()
+  });
+
+  session.rebindAuthorization = {
+    key: `${binding.scope}:${binding.nullifier}`,
+    address: newAddress,
+    version: binding.version,
+    message,
+    expiresAt
+  };
+
+  return message;
+}
+
+/**
+ * Consume la autorización pendiente de la sesión (un solo uso) y comprueba que es para este cambio
+ * @param {Object} session - Sesión del servidor
+ * @param {Object} binding - Vínculo actual
+ * @param {string} newAddress - Nueva wallet
+ * @returns {string} Mensaje que debió firmar la wallet actual
+ */
+function consumeRebindAuthorization(session, binding, newAddress) {
+  const pending = session && session.rebindAuthorization;
+
+  if (session) {
+    delete session.rebindAuthorization;
+  }
+
+  if (!pending || pending.key !== `${binding.scope}:${binding.nullifier}` || pending.address !== newAddress) {
+    throw new RegistryError('No hay una autorización de cambio pendiente para esta wallet; registre de nuevo la prueba');
+  }
+
+  if (Date.now() > pending.expiresAt) {
+    throw new RegistryError('La autorización de cambio ha caducado; registre de nuevo la prueba para obtener otra');
+  }
+
+  // El vínculo cambió después de emitir la autorización: ya no describe el estado actual
+  if (pending.version !== binding.version) {
+    throw new RegistryError('El vínculo cambió desde que se emitió la autorización; registre de nuevo la prueba', 409,
+      ERROR_CODES.NULLIFIER_CONFLICT);
+  }
+
+  return pending.message;
+}
+
+/**
+ * Consulta el vínculo de un nullifier
+ * @param {string} scope - Scope del nullifier
+ * @param {string} nullifier - Nullifier
+ * @returns {Object|null} Vínculo o null si no existe
+ */
+function getBinding(scope, nullifier) {
+  const key = `${normalizeScope(scope)}:${normalizeField(nullifier, 'nullifier')}`;
+  const binding = loadBindings().get(key);
+
+  return binding ? toPublicBinding(binding) : null;
+}
+
+/**
+ * Registra la wallet de un nullifier
+ * Repetir el registro con la misma wallet es idempotente; otra wallet se rechaza, y la
+ * sesión recibe la autorización que la wallet actual tendría que firmar para cederla
+ * @param {Object} claim - Reclamación { scope, nullifier, address } extraída de una prueba válida
+ * @param {Object} options - { session, origin } del frontend que hace la solicitud
+ * @returns {Object} Resultado { created, binding }
+ */
+function bind({ scope, nullifier, address }, { session, origin }) {
+  const registry = loadBindings();
+  const normalizedScope = normalizeScope(scope);
+  const normalizedNullifier = normalizeField(nullifier, 'nullifier');
+  const key = `${normalizedScope}:${normalizedNullifier}`;
+  const existing = registry.get(key);
+
+  if (existing) {
+    if (existing.address === address) {
+      return { created: false, binding: toPublicBinding(existing) };
+    }
+
+    throw new RegistryError('Esta cuenta de Twitter ya está vinculada a otra wallet en este scope', 409, ERROR_CODES.NULLIFIER_CONFLICT, {
+      binding: toPublicBinding(existing),
+      rebindMessage: createRebindAuthorization(session, existing, address, origin)
+    });
+  }
+
+  const binding = {
+    scope: normalizedScope,
+    nullifier: normalizedNullifier,
+    address,
+    version: 1,
+    boundAt: new Date().toISOString(),
+    history: []
+  };
+
+  registry.set(key, binding);
+  saveBindings();
+
+  console.log(`Nullifier ${normalizedNullifier} vinculado a ${address}`);
+
+  return { created: true, binding: toPublicBinding(binding) };
+}
+
+/**
+ * Mueve un nullifier a una nueva wallet con la autorización de la wallet actual
+ * @param {Object} claim - Reclamación { scope, nullifier, address } de la nueva wallet
+ * @param {string} signature - Firma, hecha por la wallet actual, del rebindMessage emitido a la sesión
+ * @param {Object} options - { session } en la que se emitió la autorización
+ * @returns {Object} Resultado { binding }
+ */
+function rebind({ scope, nullifier, address }, signature, { session }) {
+  const registry = loadBindings();
+  const key = `${normalizeScope(scope)}:${normalizeField(nullifier, 'nullifier')}`;
+  const existing = registry.get(key);
+
+  if (!existing) {
+    throw new RegistryError('El nullifier no está registrado; use el registro normal', 404, ERROR_CODES.NOT_FOUND);
+  }
+
+  if (existing.address === address) {
+    return { binding: toPublicBinding(existing) };
+  }
+
+  if (!signature) {
+    throw new RegistryError('Falta la firma de autorización de la wallet actual');
+  }
+
+  const message = consumeRebindAuthorization(session, existing, address);
+  let signer;
+
+  try {
+    signer = ethers.utils.verifyMessage(message, signature);
+  } catch (error) {
+    throw new RegistryError('La firma de autorización no es válida');
+  }
+
+  if (signer !== existing.address) {
+    throw new RegistryError('La autorización no está firmada por la wallet vinculada actualmente', 403);
+  }
+
+  existing.history.push({ address: existing.address, boundAt: existing.boundAt, unboundAt: new Date().toISOString() });
+  existing.address = address;
+  existing.version += 1;
+  existing.boundAt = new Date().toISOString();
+  saveBindings();
+
+  console.log(`Nullifier ${existing.nullifier} revinculado a ${address} (versión ${existing.version})`);
+
+  return { binding: toPublicBinding(existing) };
+}
+
+module.exports = {
+  RegistryError,
+  getScopeField,
+  getBinding,
+  bind,
+  rebind
+};
@@ -0,0 +1,593 @@
+/**
+ * Verificador de pruebas ZK del lado del servidor
+ * Carga las claves de verificación de los circuitos compilados (el combinado y
+ * los de una sola reclamación, ver circuits/target/manifest.json) y verifica
+ * pruebas UltraHonk generadas por zkProof.generateProof en el navegador
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const attestation = require('./attestation');
+const { LINK_TYPES, checkShape } = require('./typedLink');
+const { checkLinkMessage } = require('./siwe');
+const { ApiError, ERROR_CODES } = require('./errors');
+const appConfig = require('../@config.json');
+
+// Directorio con el manifiesto, los artefactos y las claves generados por `npm run build:circuit`
+const CIRCUIT_TARGET_DIR = process.env.CIRCUIT_TARGET_DIR
+  || path.join(__dirname, '..', 'circuits', 'target');
+
+// Circuito de las pruebas que no indican el suyo (edad y seguidores)
+const DEFAULT_CIRCUIT = 'twitter_zkp';
+
+// Módulo del campo escalar de BN254, usado por Barretenberg
+const FIELD_MODULUS = BigInt('0x30644e72e131a029b85045b68181585d2833e84879b9709143e1f593f0000001');
+
+// Nombre con el que se expone el valor de retorno del circuito
+const RETURN_VALUE_NAME = 'return_value';
+
+// Prefijo que marca las pruebas generadas por el backend mock (ver src/js/noirMock.js)
+const MOCK_PROOF_TAG = 'MOCK_PROOF';
+
+// Entradas públicas con la clave de atestación del proxy (ver circuits/src/main.nr)
+const ATTESTER_KEY_INPUTS = { x: 'attester_pub_key_x', y: 'attester_pub_key_y' };
+
+// Entrada pública con la hora (segundos unix) a la que el proxy obtuvo los datos atestados
+const FETCHED_AT_INPUT = 'fetched_at';
+
+// Días tras los que una atestación ya no vale: el número de seguidores y la cuenta pueden haber cambiado
+const MAX_ATTESTATION_AGE_DAYS = (appConfig.twitter && appConfig.twitter.maxAttestationAgeDays) || 30;
+
+// Entrada pública de cada umbral; cada circuito expone sólo los de sus reclamaciones.
+// followerTiers es la tabla de tramos de seguidores (límites inferiores, ascendentes)
+const THRESHOLD_INPUTS = {
+  minAccountAgeDays: 'min_account_age_days',
+  minFollowers: 'min_followers',
+  followerTiers: 'follower_tier_bounds'
+};
+
+// Entradas públicas con valores que la prueba revela (el tramo de seguidores)
+const DISCLOSED_INPUTS = {
+  followerTier: 'follower_tier'
+};
+
+// Hash del transcript de la prueba: poseidon2 por defecto, keccak para el verificador Solidity
+const TRANSCRIPTS = ['poseidon2', 'keccak'];
+
+// Formato y versión de bundle aceptados (ver "Proof Bundle Format" en README.md)
+const BUNDLE_FORMAT = 'twitter-zk-proof-bundle';
+const BUNDLE_VERSION = 1;
+
+// Verificadores cargados de forma perezosa, por nombre de circuito
+const verifierStates = new Map();
+
+// Verificador de bb.js, compartido por todos los circuitos
+let barretenbergVerifier = null;
+
+/**
+ * Error de verificación con código de estado HTTP y código de error (ver errors.js)
+ */
+class VerificationError extends ApiError {
+  constructor(message, statusCode = 400, code = ERROR_CODES.PROOF_INVALID) {
+    super(message, statusCode, code);
+    this.name = 'VerificationError';
+  }
+}
+
+/**
+ * Calcula cuántos elementos de campo ocupa un tipo del ABI de Noir
+ * @param {Object} abiType - Tipo del ABI (field, integer, boolean, array, struct)
+ * @returns {number} Número de elementos de campo
+ */
+function countFields(abiType) {
+  switch (abiType.kind) {
+    case 'array':
+      return abiType.length * countFields(abiType.type);
+    case 'struct':
+      return abiType.fields.reduce((total, field) => total + countFields(field.type), 0);
+    case 'tuple':
+      return abiType.fields.reduce((total, field) => total + countFields(field), 0);
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Obtiene el orden de las entradas públicas a partir del ABI del circuito
+ * @param {Object} abi - ABI del artefacto compilado
+ * @returns {Array<Object>} Lista ordenada de { name, size }
+ */
+function getPublicInputLayout(abi) {
+  const layout = abi.parameters
+    .filter((param) => param.visibility === 'public')
+    .map((param) => ({ name: param.name, size: countFields(param.type) }));
+
+  if (abi.return_type && abi.return_type.visibility === 'public') {
+    layout.push({ name: RETURN_VALUE_NAME, size: countFields(abi.return_type.abi_type) });
+  }
+
+  return layout;
+}
+
+/**
+ * Convierte un valor a un elemento de campo en hexadecimal de 32 bytes
+ * @param {string|number|boolean} value - Valor decimal, hexadecimal, numérico o booleano
+ * @param {string} name - Nombre de la entrada (para mensajes de error)
+ * @returns {string} Elemento de campo con formato 0x + 64 dígitos hexadecimales
+ */
+function toFieldHex(value, name) {
+  let bigValue;
+
+  try {
+    bigValue = typeof value === 'boolean' ? BigInt(value ? 1 : 0) : BigInt(value);
+  } catch (error) {
+    throw new VerificationError(`Valor inválido para la entrada pública ${name}`);
+  }
+
+  if (bigValue < 0n || bigValue >= FIELD_MODULUS) {
+    throw new VerificationError(`La entrada pública ${name} está fuera del campo`);
+  }
+
+  return '0x' + bigValue.toString(16).padStart(64, '0');
+}
+
+/**
+ * Convierte una entrada escalar en la lista de elementos que ocupa
+ * Los arrays de bytes ([u8; N]) pueden enviarse como una cadena hexadecimal 0x de N bytes
+ * @param {string|number|boolean} value - Valor de la entrada
+ * @param {number} size - Número de elementos de campo esperados
+ * @param {string} name - Nombre de la entrada (para mensajes de error)
+ * @returns {Array} Elementos de la entrada
+ */
+function splitValue(value, size, name) {
+  if (size === 1) {
+    return [value];
+  }
+
+  if (typeof value !== 'string' || !/^0x[0-9a-fA-F]*$/.test(value) || value.length !== 2 + size * 2) {
+    throw new VerificationError(`La entrada pública ${name} debe ser un array o una cadena hexadecimal de ${size} bytes`);
+  }
+
+  return Array.from(Buffer.from(value.slice(2), 'hex'));
+}
+
+/**
+ * Aplana las entradas públicas con nombre según el layout del circuito
+ * @param {Object} publicInputs - Entradas públicas indexadas por nombre
+ * @param {Array<Object>} layout - Layout obtenido del ABI
+ * @returns {Array<string>} Entradas públicas en el orden esperado por el verificador
+ */
+function flattenPublicInputs(publicInputs, layout) {
+  if (!publicInputs || typeof publicInputs !== 'object') {
+    throw new VerificationError('Faltan las entradas públicas de la prueba');
+  }
+
+  const flattened = [];
+
+  for (const { name, size } of layout) {
+    const value = publicInputs[name];
+
+    if (value === undefined || value === null) {
+      throw new VerificationError(`Falta la entrada pública ${name}`);
+    }
+
+    const values = Array.isArray(value) ? value : splitValue(value, size, name);
+
+    if (values.length !== size) {
+      throw new VerificationError(`La entrada pública ${name} debe tener ${size} elemento(s)`);
+    }
+
+    values.forEach((item) => flattened.push(toFieldHex(item, name)));
+  }
+
+  return flattened;
+}
+
+/**
+ * Lee de las entradas públicas los valores con nombre que estén presentes
+ * @param {Object} publicInputs - Entradas públicas indexadas por nombre
+ * @param {Object} inputNames - Nombre de la entrada pública de cada valor
+ * @returns {Object} Valores numéricos (o arrays de números) por nombre
+ */
+function extractInputs(publicInputs, inputNames) {
+  const toNumber = (value) => Number(BigInt(value));
+
+  return Object.fromEntries(
+    Object.entries(inputNames)
+      .filter(([, inputName]) => publicInputs[inputName] !== undefined)
+      .map(([key, inputName]) => {
+        const value = publicInputs[inputName];
+        return [key, Array.isArray(value) ? value.map(toNumber) : toNumber(value)];
+      })
+  );
+}
+
+/**
+ * Extrae los umbrales demostrados de las entradas públicas
+ * @param {Object} publicInputs - Entradas públicas indexadas por nombre
+ * @returns {Object} Umbrales presentes entre { minAccountAgeDays, minFollowers, followerTiers }
+ */
+function extractThresholds(publicInputs) {
+  return extractInputs(publicInputs, THRESHOLD_INPUTS);
+}
+
+/**
+ * Extrae los valores que revela la prueba, como el tramo de seguidores
+ * @param {Object} publicInputs - Entradas públicas indexadas por nombre
+ * @returns {Object} Valores presentes entre { followerTier }
+ */
+function extractDisclosed(publicInputs) {
+  return extractInputs(publicInputs, DISCLOSED_INPUTS);
+}
+
+/**
+ * Comprueba que la atestación de la prueba la firmó la clave de este servidor
+ * @param {Object} publicInputs - Entradas públicas indexadas por nombre
+ * @param {Array<Object>} layout - Layout obtenido del ABI
+ * @returns {boolean} True si la clave coincide (o el circuito no usa atestación)
+ */
+function isTrustedAttester(publicInputs, layout) {
+  if (!layout.some(({ name }) => name === ATTESTER_KEY_INPUTS.x)) {
+    return true;
+  }
+
+  let serverKey;
+
+  try {
+    serverKey = attestation.getPublicKey();
+  } catch (error) {
+    throw new VerificationError(error.message, error.statusCode || 503, ERROR_CODES.NOT_CONFIGURED);
+  }
+
+  return toByteHex(publicInputs[ATTESTER_KEY_INPUTS.x]) === serverKey.x.toLowerCase()
+    && toByteHex(publicInputs[ATTESTER_KEY_INPUTS.y]) === serverKey.y.toLowerCase();
+}
+
+/**
+ * Comprueba que la atestación de la prueba no tiene más de MAX_ATTESTATION_AGE_DAYS días
+ * Se admiten horas algo futuras: el reloj del proxy puede ir por delante del de este proceso
+ * @param {Object} publicInputs - Entradas públicas indexadas por nombre
+ * @param {Array<Object>} layout - Layout obtenido del ABI
+ * @returns {boolean} True si es reciente (o el circuito no usa atestación)
+ */
+function isFreshAttestation(publicInputs, layout) {
+  if (!layout.some(({ name }) => name === ATTESTER_KEY_INPUTS.x)) {
+    return true;
+  }
+
+  // Los circuitos anteriores no exponían fetched_at, así que no se puede saber su antigüedad
+  if (!layout.some(({ name }) => name === FETCHED_AT_INPUT)) {
+    return false;
+  }
+
+  const ageSeconds = Math.floor(Date.now() / 1000) - Number(BigInt(publicInputs[FETCHED_AT_INPUT]));
+
+  return ageSeconds <= MAX_ATTESTATION_AGE_DAYS * 24 * 60 * 60;
+}
+
+/**
+ * Indica por qué no se aceptan los datos atestados de una prueba
+ * @param {Object} publicInputs - Entradas públicas indexadas por nombre
+ * @param {Array<Object>} layout - Layout obtenido del ABI
+ * @returns {string|null} Motivo del rechazo, o null si la atestación es válida
+ */
+function getAttestationProblem(publicInputs, layout) {
+  if (!isTrustedAttester(publicInputs, layout)) {
+    return 'Los datos de Twitter no fueron atestados por este servidor';
+  }
+
+  if (!isFreshAttestation(publicInputs, layout)) {
+    return `Los datos de Twitter se atestaron hace más de ${MAX_ATTESTATION_AGE_DAYS} días. `
+      + 'Vuelva a iniciar sesión con Twitter y genere otra prueba';
+  }
+
+  return null;
+}
+
+/**
+ * Convierte una entrada de tipo array de bytes a hexadecimal en minúsculas
+ * @param {Array|string} value - Array de bytes o cadena hexadecimal 0x
+ * @returns {string} Cadena hexadecimal 0x
+ */
+function toByteHex(value) {
+  return (Array.isArray(value)
+    ? '0x' + Buffer.from(value.map(Number)).toString('hex')
+    : String(value)).toLowerCase();
+}
+
+/**
+ * Comprueba que el mensaje de vinculación del bundle es el que firmó la prueba
+ * Su digest (EIP-191 del texto EIP-4361 o EIP-712 del TwitterLink) debe ser la entrada pública message_hash
+ * @param {Object} bundle - Bundle { message, publicInputs }
+ * @returns {boolean} True si el mensaje coincide con message_hash
+ */
+function isSignedLinkMessage({ message, publicInputs }) {
+  try {
+    const digest = message.mode === 'eip712'
+      ? ethers.utils._TypedDataEncoder.hash(message.typedData.domain, LINK_TYPES, message.typedData.message)
+      : ethers.utils.hashMessage(message.text);
+
+    return toByteHex(publicInputs.message_hash) === digest.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Comprueba que el mensaje de vinculación del bundle es uno de esta aplicación: un EIP-4361
+ * dirigido al frontend con un recurso de vinculación, o un TwitterLink con el dominio EIP-712
+ * de la aplicación. Sin esto, cualquier personal_sign que la wallet publicara serviría
+ * @param {Object} message - Mensaje del bundle { mode, text } o { mode: 'eip712', typedData }
+ * @param {string} origin - Origen del frontend
+ * @returns {boolean} True si es un mensaje de vinculación de esta aplicación
+ */
+function isAppLinkMessage(message, origin) {
+  try {
+    if (message.mode === 'eip712') {
+      checkShape(message.typedData);
+    } else {
+      checkLinkMessage(message.text, { origin });
+    }
+
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Extrae de las entradas públicas de una prueba válida lo que necesita el registro de nullifiers
+ * @param {Object} publicInputs - Entradas públicas indexadas por nombre
+ * @returns {Object} Reclamación { scope, nullifier, address, messageHash, fetchedAt }
+ */
+function getNullifierClaim(publicInputs) {
+  const { scope, pub_key_x: pubKeyX, pub_key_y: pubKeyY } = publicInputs;
+  const nullifier = publicInputs[RETURN_VALUE_NAME];
+
+  if (scope === undefined || nullifier === undefined || publicInputs[FETCHED_AT_INPUT] === undefined) {
+    throw new VerificationError('La prueba no expone scope, nullifier o fetched_at; genere una prueba con el circuito actual');
+  }
+
+  // La wallet es la dueña de la clave pública con la que el circuito comprobó la firma
+  const address = ethers.utils.computeAddress(
+    ethers.utils.hexConcat(['0x04', toByteHex(pubKeyX), toByteHex(pubKeyY)])
+  );
+
+  return {
+    scope,
+    nullifier,
+    address,
+    messageHash: toByteHex(publicInputs.message_hash),
+    // Hora de la atestación (segundos unix), de la que cuenta la vigencia de las credenciales
+    fetchedAt: Number(BigInt(publicInputs[FETCHED_AT_INPUT]))
+  };
+}
+
+/**
+ * Decodifica la prueba recibida (hexadecimal con prefijo 0x o base64)
+ * @param {string} proof - Prueba codificada
+ * @returns {Uint8Array} Bytes de la prueba
+ */
+function decodeProof(proof) {
+  if (typeof proof !== 'string' || proof.length === 0) {
+    throw new VerificationError('Falta la prueba o no es una cadena');
+  }
+
+  const buffer = proof.startsWith('0x')
+    ? Buffer.from(proof.slice(2), 'hex')
+    : Buffer.from(proof, 'base64');
+
+  if (buffer.length === 0) {
+    throw new VerificationError('La prueba está vacía o mal codificada');
+  }
+
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Indica si la prueba fue generada por el backend mock
+ * @param {Uint8Array} proofBytes - Bytes de la prueba
+ * @returns {boolean} True si lleva la marca de prueba mock
+ */
+function isMockProof(proofBytes) {
+  return Buffer.from(proofBytes.slice(0, MOCK_PROOF_TAG.length)).toString('utf8') === MOCK_PROOF_TAG;
+}
+
+/**
+ * Lee la entrada de un circuito en el manifiesto de `npm run build:circuit`
+ * @param {string} circuitName - Nombre del circuito
+ * @returns {Object} Entrada { artifact, verificationKey, ... }
+ */
+function readManifestEntry(circuitName) {
+  const manifestPath = path.join(CIRCUIT_TARGET_DIR, 'manifest.json');
+
+  if (!fs.existsSync(manifestPath)) {
+    throw new VerificationError('No se encontró el manifiesto de los circuitos. Ejecute `npm run build:circuit`', 503, ERROR_CODES.NOT_CONFIGURED);
+  }
+
+  const entry = JSON.parse(fs.readFileSync(manifestPath, 'utf8')).circuits[circuitName];
+
+  if (!entry) {
+    throw new VerificationError(`Circuito no soportado: ${circuitName}`);
+  }
+
+  if (!entry.verificationKey) {
+    throw new VerificationError(
+      `El circuito ${circuitName} se compiló sin clave de verificación. Ejecute \`npm run build:circuit\``,
+      503
+    );
+  }
+
+  return entry;
+}
+
+/**
+ * Carga el artefacto de un circuito, su clave de verificación y el verificador de bb.js
+ * @param {string} [circuitName] - Nombre del circuito en el manifiesto
+ * @returns {Promise<Object>} Estado del verificador
+ */
+async function loadVerifier(circuitName = DEFAULT_CIRCUIT) {
+  if (verifierStates.has(circuitName)) {
+    return verifierStates.get(circuitName);
+  }
+
+  const entry = readManifestEntry(circuitName);
+  const artifactPath = path.join(CIRCUIT_TARGET_DIR, entry.artifact);
+  const vkPath = path.join(CIRCUIT_TARGET_DIR, entry.verificationKey);
+
+  if (!fs.existsSync(artifactPath) || !fs.existsSync(vkPath)) {
+    throw new VerificationError(
+      `No se encontró el circuito ${circuitName} o su clave de verificación. Ejecute \`npm run build:circuit\``,
+      503
+    );
+  }
+
+  const artifactBytes = fs.readFileSync(artifactPath);
+  const artifact = JSON.parse(artifactBytes.toString('utf8'));
+
+  // bb.js se distribuye como módulo ES, por eso se importa dinámicamente
+  const { BarretenbergVerifier, UltraHonkBackend } = await import('@aztec/bb.js');
+
+  if (!barretenbergVerifier) {
+    barretenbergVerifier = new BarretenbergVerifier();
+  }
+
+  const state = {
+    artifact,
+    // Mismo formato de hash que circuits/target/manifest.json
+    artifactHash: `sha256:${crypto.createHash('sha256').update(artifactBytes).digest('hex')}`,
+    verificationKey: new Uint8Array(fs.readFileSync(vkPath)),
+    layout: getPublicInputLayout(artifact.abi),
+    verifier: barretenbergVerifier,
+    // Las pruebas keccak usan otra clave de verificación, que bb.js deriva del bytecode
+    keccakBackend: new UltraHonkBackend(artifact.bytecode)
+  };
+
+  verifierStates.set(circuitName, state);
+  console.log(`Clave de verificación de ${circuitName} cargada desde ${vkPath}`);
+
+  return state;
+}
+
+/**
+ * Verifica una prueba y sus entradas públicas
+ * @param {string} proof - Prueba codificada en hexadecimal (0x) o base64
+ * @param {Object} publicInputs - Entradas públicas indexadas por nombre
+ * @param {Object} [options] - { transcript: 'poseidon2' (por defecto) o 'keccak', circuit: nombre del circuito }
+ * @returns {Promise<Object>} Resultado { valid, reason?, thresholds, disclosed, publicInputs verificadas }
+ */
+async function verifyProof(proof, publicInputs, { transcript = 'poseidon2', circuit = DEFAULT_CIRCUIT } = {}) {
+  if (!TRANSCRIPTS.includes(transcript)) {
+    throw new VerificationError(`Transcript de prueba no soportado: ${transcript}`);
+  }
+
+  const proofBytes = decodeProof(proof);
+
+  if (isMockProof(proofBytes)) {
+    return { valid: false, reason: 'La prueba fue generada por el backend mock' };
+  }
+
+  const { verifier, keccakBackend, verificationKey, layout } = await loadVerifier(circuit);
+  const orderedInputs = flattenPublicInputs(publicInputs, layout);
+
+  // Una prueba con datos atestados por otra clave, o hace demasiado, no demuestra nada sobre Twitter
+  const attestationProblem = getAttestationProblem(publicInputs, layout);
+
+  if (attestationProblem) {
+    return {
+      valid: false,
+      reason: attestationProblem,
+      thresholds: extractThresholds(publicInputs),
+      disclosed: extractDisclosed(publicInputs)
+    };
+  }
+
+  let valid = false;
+
+  try {
+    const proofData = { proof: proofBytes, publicInputs: orderedInputs };
+
+    valid = transcript === 'keccak'
+      ? await keccakBackend.verifyProof(proofData, { keccak: true })
+      : await verifier.verifyUltraHonkProof(proofData, verificationKey);
+  } catch (error) {
+    // Una prueba mal formada hace fallar a Barretenberg: se considera inválida
+    console.error('Error de Barretenberg al verificar la prueba:', error.message);
+    valid = false;
+  }
+
+  return {
+    valid: Boolean(valid),
+    ...(valid ? {} : { reason: 'La prueba no es válida para estas entradas públicas' }),
+    // Umbrales que la prueba demuestra (entradas públicas del circuito)
+    thresholds: extractThresholds(publicInputs),
+    // Valores que la prueba revela, como el tramo de seguidores
+    disclosed: extractDisclosed(publicInputs),
+    publicInputs: Object.fromEntries(layout.map(({ name }) => [name, publicInputs[name]]))
+  };
+}
+
+/**
+ * Verifica un bundle de prueba exportado con zkProof.exportBundle
+ * @param {Object} bundle - Bundle { format, version, circuit, proof, publicInputs, ... }
+ * @param {Object} options - { origin } del frontend al que debe ir dirigido el mensaje de vinculación
+ * @returns {Promise<Object>} Resultado de verifyProof junto con los metadatos del bundle
+ */
+async function verifyBundle(bundle, { origin }) {
+  if (!bundle || typeof bundle !== 'object') {
+    throw new VerificationError('El bundle de prueba no es un objeto JSON');
+  }
+
+  if (bundle.format !== BUNDLE_FORMAT || bundle.version !== BUNDLE_VERSION) {
+    throw new VerificationError(`Formato de bundle no soportado: ${bundle.format} v${bundle.version}`);
+  }
+
+  if (!bundle.circuit || !bundle.circuit.name || !bundle.circuit.hash) {
+    throw new VerificationError('El bundle no indica el nombre y el hash del circuito');
+  }
+
+  const { artifactHash } = await loadVerifier(bundle.circuit.name);
+
+  // La prueba sólo tiene sentido frente a la misma compilación del circuito
+  if (bundle.circuit.hash !== artifactHash) {
+    return {
+      valid: false,
+      reason: 'El bundle se generó con otra versión del circuito',
+      circuit: bundle.circuit
+    };
+  }
+
+  // Los bundles sin transcript son anteriores a la verificación en cadena (poseidon2)
+  const result = await verifyProof(bundle.proof, bundle.publicInputs, {
+    transcript: bundle.transcript,
+    circuit: bundle.circuit.name
+  });
+
+  // El bundle no puede presentar como vinculado un mensaje que la wallet de la prueba no firmó
+  if (result.valid && !isSignedLinkMessage(bundle)) {
+    result.valid = false;
+    result.reason = 'El mensaje del bundle no es el que firmó la prueba';
+  } else if (result.valid && !isAppLinkMessage(bundle.message, origin)) {
+    result.valid = false;
+    result.reason = 'El mensaje del bundle no es un mensaje de vinculación de esta aplicación';
+  }
+
+  return {
+    ...result,
+    circuit: bundle.circuit,
+    message: bundle.message,
+    createdAt: bundle.createdAt
+  };
+}
+
+module.exports = {
+  VerificationError,
+  verifyProof,
+  verifyBundle,
+  isSignedLinkMessage,
+  getNullifierClaim,
+  getPublicInputLayout,
+  flattenPublicInputs
+};
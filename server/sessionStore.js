@@ -0,0 +1,174 @@
+/**
+ * Sesiones del servidor (backend-for-frontend)
+ * El servidor guarda el estado OAuth (state y code_verifier de PKCE) y los
+ * tokens de Twitter. El navegador sólo recibe una cookie httpOnly y SameSite
+ * con el identificador de sesión, de modo que un XSS no puede leer los tokens
+ */
+
+const crypto = require('crypto');
+
+// Nombre de la cookie de sesión
+const SESSION_COOKIE = 'twzk_session';
+
+// Tiempo máximo de inactividad de una sesión (por defecto 7 días)
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 7 * 24 * 60 * 60 * 1000;
+
+// En producción la cookie sólo viaja por HTTPS
+const COOKIE_SECURE = process.env.SESSION_COOKIE_SECURE
+  ? process.env.SESSION_COOKIE_SECURE === 'true'
+  : process.env.NODE_ENV === 'production';
+
+// id de sesión -> { id, createdAt, lastSeenAt, oauth, tokens }
+const sessions = new Map();
+
+/**
+ * Comprueba si una sesión ha caducado por inactividad
+ * @param {Object} session - Sesión
+ * @returns {boolean} True si ha caducado
+ */
+function isExpired(session) {
+  return Date.now() - session.lastSeenAt > SESSION_TTL_MS;
+}
+
+/**
+ * Elimina las sesiones caducadas
+ */
+function purgeExpired() {
+  for (const [id, session] of sessions) {
+    if (isExpired(session)) {
+      sessions.delete(id);
+    }
+  }
+}
+
+/**
+ * Lee el identificador de sesión de la cabecera Cookie
+ * @param {Object} req - Solicitud de Express
+ * @returns {string|null} Identificador o null si no hay cookie
+ */
+function readSessionId(req) {
+  const header = req.headers.cookie || '';
+
+  for (const part of header.split(';')) {
+    const [name, ...value] = part.trim().split('=');
+
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Envía la cookie de sesión al navegador
+ * @param {Object} res - Respuesta de Express
+ * @param {string} id - Identificador de sesión
+ */
+function setSessionCookie(res, id) {
+  res.cookie(SESSION_COOKIE, id, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: COOKIE_SECURE,
+    path: '/',
+    maxAge: SESSION_TTL_MS
+  });
+}
+
+/**
+ * Crea una sesión nueva y envía su cookie
+ * @param {Object} res - Respuesta de Express
+ * @returns {Object} Sesión creada
+ */
+function createSession(res) {
+  purgeExpired();
+
+  const session = {
+    id: crypto.randomBytes(32).toString('base64url'),
+    createdAt: Date.now(),
+    lastSeenAt: Date.now(),
+    oauth: null,
+    tokens: null
+  };
+
+  sessions.set(session.id, session);
+  setSessionCookie(res, session.id);
+
+  return session;
+}
+
+/**
+ * Middleware que carga la sesión de la cookie en req.session (o null)
+ */
+function loadSession(req, res, next) {
+  const id = readSessionId(req);
+  const session = id ? sessions.get(id) : null;
+
+  if (session && isExpired(session)) {
+    sessions.delete(id);
+    req.session = null;
+  } else {
+    if (session) {
+      session.lastSeenAt = Date.now();
+    }
+    req.session = session || null;
+  }
+
+  next();
+}
+
+/**
+ * Devuelve la sesión de la solicitud, creándola si no existe
+ * @param {Object} req - Solicitud de Express (con loadSession aplicado)
+ * @param {Object} res - Respuesta de Express
+ * @returns {Object} Sesión
+ */
+function ensureSession(req, res) {
+  if (!req.session) {
+    req.session = createSession(res);
+  }
+
+  return req.session;
+}
+
+/**
+ * Sustituye la sesión por una nueva conservando sus datos
+ * Se usa tras el login para evitar la fijación de sesión
+ * @param {Object} req - Solicitud de Express
+ * @param {Object} res - Respuesta de Express
+ * @returns {Object} Nueva sesión
+ */
+function regenerateSession(req, res) {
+  const previous = req.session;
+  const session = createSession(res);
+
+  if (previous) {
+    session.oauth = previous.oauth;
+    session.tokens = previous.tokens;
+    sessions.delete(previous.id);
+  }
+
+  req.session = session;
+  return session;
+}
+
+/**
+ * Elimina la sesión de la solicitud y borra su cookie
+ * @param {Object} req - Solicitud de Express
+ * @param {Object} res - Respuesta de Express
+ */
+function destroySession(req, res) {
+  if (req.session) {
+    sessions.delete(req.session.id);
+    req.session = null;
+  }
+
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+module.exports = {
+  loadSession,
+  ensureSession,
+  regenerateSession,
+  destroySession
+};
@@ -0,0 +1,322 @@
+/**
+ * Vinculación de wallet con Sign-In With Ethereum (EIP-4361)
+ * El servidor emite un nonce por sesión y comprueba el mensaje firmado: dominio,
+ * URI, nonce, vigencia y el recurso emitido con el nonce para la cuenta de Twitter
+ * de la sesión. Sólo entonces la wallet cuenta como conectada a la sesión.
+ * El nonce y el registro del vínculo se comparten con el modo EIP-712 (typedLink.js)
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const appConfig = require('../@config.json');
+const { ApiError, ERROR_CODES } = require('./errors');
+
+// Un nonce sin usar caduca a los 5 minutos
+const NONCE_TTL_MS = 5 * 60 * 1000;
+
+// Vigencia del mensaje firmado (Expiration Time - Issued At)
+const MESSAGE_TTL_MS = 10 * 60 * 1000;
+
+// Prefijo del recurso que referencia la vinculación. El mensaje acaba en los bundles
+// exportados, así que el recurso es una referencia opaca (linkId) y no identifica la cuenta
+const LINK_RESOURCE_PREFIX = 'urn:twitter-zk:link:';
+
+const SIWE_VERSION = '1';
+
+// Cadenas en las que se admite el vínculo (ethereum.supportedChains); por defecto sólo Mainnet
+const SUPPORTED_CHAIN_IDS = new Set(
+  ((appConfig.ethereum && appConfig.ethereum.supportedChains) || [{ chainId: '0x1' }])
+    .map((chain) => Number(chain.chainId))
+);
+
+/**
+ * Error de vinculación (EIP-4361 y EIP-712) con código de estado HTTP y código de error (ver errors.js)
+ */
+class SiweError extends ApiError {
+  constructor(message, statusCode = 400, code = ERROR_CODES.WALLET_LINK_INVALID) {
+    super(message, statusCode, code);
+    this.name = 'SiweError';
+  }
+}
+
+/**
+ * Devuelve el origen de una URI, o null si no es una URL válida
+ * @param {string} uri - URI del mensaje
+ * @returns {string|null} Origen
+ */
+function originOf(uri) {
+  try {
+    return new URL(uri).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Emite un nonce para la sesión; sustituye al anterior si no se llegó a usar
+ * Incluye linkId, una referencia aleatoria de 32 bytes que sólo vale para este nonce:
+ * va en el recurso del mensaje EIP-4361 y en el campo twitterIdHash del TwitterLink
+ * EIP-712. El hash del ID de Twitter no sale del servidor, porque con él cualquiera que
+ * reciba un bundle podría calcular el nullifier de la cuenta en cualquier scope
+ * @param {Object} session - Sesión del servidor
+ * @returns {Object} { nonce, issuedAt, expirationTime, resource, linkId } para construir el mensaje
+ */
+function createNonce(session) {
+  const issuedAt = new Date();
+  const linkId = crypto.randomBytes(32).toString('hex');
+
+  session.walletNonce = {
+    // EIP-4361 exige un nonce alfanumérico de al menos 8 caracteres
+    value: crypto.randomBytes(16).toString('hex'),
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: issuedAt.getTime() + NONCE_TTL_MS,
+    // Caducidad máxima del mensaje firmado; el cliente no puede alargarla
+    linkExpiresAt: issuedAt.getTime() + MESSAGE_TTL_MS,
+    resource: `${LINK_RESOURCE_PREFIX}${linkId}`,
+    linkId: `0x${linkId}`
+  };
+
+  return {
+    nonce: session.walletNonce.value,
+    issuedAt: session.walletNonce.issuedAt,
+    expirationTime: new Date(session.walletNonce.linkExpiresAt).toISOString(),
+    resource: session.walletNonce.resource,
+    linkId: session.walletNonce.linkId
+  };
+}
+
+/**
+ * Interpreta un mensaje EIP-4361
+ * @param {string} message - Mensaje firmado
+ * @returns {Object} Campos { domain, address, statement, uri, version, chainId, nonce, issuedAt, expirationTime, resources }
+ */
+function parseMessage(message) {
+  const lines = String(message).split('\n');
+  const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || '');
+
+  if (!header || !/^0x[0-9a-fA-F]{40}$/.test(lines[1] || '') || lines[2] !== '') {
+    throw new SiweError('El mensaje no sigue el formato EIP-4361');
+  }
+
+  const fields = { domain: header[1], address: lines[1], statement: null, resources: [] };
+  let index = 3;
+
+  // La declaración es opcional; en ambos casos le sigue una línea en blanco
+  if (lines[index] !== '') {
+    fields.statement = lines[index];
+    index += 1;
+  }
+
+  index += 1;
+
+  const keys = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime',
+    'Not Before': 'notBefore',
+    'Request ID': 'requestId'
+  };
+
+  for (; index < lines.length; index += 1) {
+    const line = lines[index];
+
+    if (line === 'Resources:') {
+      fields.resources = lines.slice(index + 1).map((resource) => resource.replace(/^- /, ''));
+      break;
+    }
+
+    const separator = line.indexOf(': ');
+    const key = keys[line.slice(0, separator)];
+
+    if (separator < 0 || !key) {
+      throw new SiweError(`Línea no reconocida en el mensaje EIP-4361: ${line}`);
+    }
+
+    fields[key] = line.slice(separator + 2);
+  }
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!fields[required]) {
+      throw new SiweError(`Falta el campo ${required} en el mensaje EIP-4361`);
+    }
+  }
+
+  // EIP-4361 exige la dirección con checksum EIP-55
+  if (ethers.utils.getAddress(fields.address.toLowerCase()) !== fields.address) {
+    throw new SiweError('La dirección del mensaje no lleva checksum EIP-55');
+  }
+
+  return fields;
+}
+
+/**
+ * Comprueba que un mensaje EIP-4361 es un mensaje de vinculación dirigido a este frontend:
+ * dominio, URI, versión y un recurso de vinculación. No comprueba el nonce ni la vigencia,
+ * que sólo tienen sentido al vincular, así que también sirve para mensajes ya usados
+ * @param {string} message - Mensaje firmado
+ * @param {Object} expected - { origin } del frontend al que va dirigido el mensaje
+ * @returns {Object} Campos del mensaje (ver parseMessage)
+ */
+function checkLinkMessage(message, { origin }) {
+  const fields = parseMessage(message);
+
+  if (fields.domain !== new URL(origin).host || originOf(fields.uri) !== origin) {
+    throw new SiweError('El mensaje está dirigido a otro dominio', 403);
+  }
+
+  if (fields.version !== SIWE_VERSION) {
+    throw new SiweError(`Versión de EIP-4361 no soportada: ${fields.version}`);
+  }
+
+  if (!fields.resources.some((resource) => resource.startsWith(LINK_RESOURCE_PREFIX))) {
+    throw new SiweError('El mensaje no es un mensaje de vinculación de esta aplicación', 403);
+  }
+
+  return fields;
+}
+
+/**
+ * Consume el nonce pendiente de la sesión
+ * Se consume siempre, también si la verificación falla, para que un mensaje no pueda reintentarse
+ * @param {Object} session - Sesión con nonce emitido y usuario de Twitter cargado
+ * @returns {Object} Nonce { value, issuedAt, expiresAt, linkExpiresAt, resource, linkId }
+ */
+function consumeNonce(session) {
+  const pending = session && session.walletNonce;
+
+  if (session) {
+    session.walletNonce = null;
+  }
+
+  if (!session || !session.twitterIdHash) {
+    throw new SiweError('Inicie sesión con Twitter antes de vincular la wallet', 401, ERROR_CODES.AUTH_REQUIRED);
+  }
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    throw new SiweError('No hay ningún nonce vigente en esta sesión, solicite uno nuevo');
+  }
+
+  return pending;
+}
+
+/**
+ * Registra en la sesión la wallet de un mensaje ya verificado
+ * La cadena firmada debe estar admitida: las pruebas quedan ligadas a esa red.
+ * Se guarda el digest firmado, que es la entrada pública message_hash de las pruebas
+ * de este vínculo (ver getLinkedMessage)
+ * @param {Object} session - Sesión del servidor
+ * @param {Object} link - { address, chainId, expirationTime, messageHash }
+ * @returns {Object} Vínculo { address, chainId, twitterIdHash, expirationTime }
+ */
+function recordLink(session, { address, chainId, expirationTime, messageHash }) {
+  if (!SUPPORTED_CHAIN_IDS.has(chainId)) {
+    throw new SiweError(`La red ${chainId} no está admitida`, 400, ERROR_CODES.NETWORK_UNSUPPORTED);
+  }
+
+  session.wallet = {
+    address,
+    chainId,
+    twitterIdHash: session.twitterIdHash,
+    expirationTime,
+    messageHash: messageHash.toLowerCase(),
+    linkedAt: new Date().toISOString()
+  };
+
+  return {
+    address: session.wallet.address,
+    chainId: session.wallet.chainId,
+    twitterIdHash: session.wallet.twitterIdHash,
+    expirationTime: session.wallet.expirationTime
+  };
+}
+
+/**
+ * Devuelve el vínculo de la sesión cuyo mensaje firmó una prueba
+ * Una firma de la wallet publicada en otro sitio también satisface el circuito, que sólo
+ * comprueba que la wallet firmó message_hash; sólo cuenta el mensaje que esta sesión
+ * verificó con su nonce y su recurso. El vínculo se comprobó mientras estaba vigente,
+ * así que no se exige que el mensaje siga sin caducar
+ * @param {Object} session - Sesión del servidor
+ * @param {Object} claim - { messageHash, address } de la prueba
+ * @returns {Object} Vínculo { address, chainId, twitterIdHash, expirationTime, messageHash }
+ */
+function getLinkedMessage(session, { messageHash, address }) {
+  const link = session && session.wallet;
+
+  if (!link || !link.messageHash) {
+    throw new SiweError('Vincule la wallet en esta sesión antes de registrar la prueba', 401, ERROR_CODES.AUTH_REQUIRED);
+  }
+
+  if (link.messageHash !== String(messageHash).toLowerCase() || link.address !== address) {
+    throw new SiweError('La prueba no firma el mensaje de vinculación verificado en esta sesión', 403);
+  }
+
+  return link;
+}
+
+/**
+ * Comprueba un mensaje firmado y vincula la wallet a la sesión
+ * @param {Object} session - Sesión con nonce emitido y usuario de Twitter cargado
+ * @param {Object} request - { message, signature }
+ * @param {Object} expected - { origin } del frontend al que va dirigido el mensaje
+ * @returns {Object} Vínculo { address, chainId, twitterIdHash, expirationTime }
+ */
+function verifyLink(session, { message, signature }, { origin }) {
+  const pending = consumeNonce(session);
+  const fields = checkLinkMessage(message, { origin });
+  const now = Date.now();
+
+  if (fields.nonce !== pending.value) {
+    throw new SiweError('El nonce del mensaje no coincide con el emitido para esta sesión', 403);
+  }
+
+  // La vigencia la fija el servidor al emitir el nonce: una firma no puede alargarla
+  if (Date.parse(fields.issuedAt) !== Date.parse(pending.issuedAt)) {
+    throw new SiweError('La fecha de emisión del mensaje no es la emitida con el nonce');
+  }
+
+  if (!fields.expirationTime || !(Date.parse(fields.expirationTime) > now)) {
+    throw new SiweError('El mensaje ha caducado o no tiene fecha de caducidad');
+  }
+
+  if (Date.parse(fields.expirationTime) > pending.linkExpiresAt) {
+    throw new SiweError('La caducidad del mensaje es posterior a la emitida con el nonce');
+  }
+
+  if (!fields.resources.includes(pending.resource)) {
+    throw new SiweError('El mensaje no corresponde a la cuenta de Twitter de esta sesión', 403);
+  }
+
+  let signer;
+
+  try {
+    signer = ethers.utils.verifyMessage(message, signature);
+  } catch (error) {
+    throw new SiweError('La firma del mensaje no es válida');
+  }
+
+  if (signer !== fields.address) {
+    throw new SiweError('El mensaje no está firmado por la dirección que declara', 403);
+  }
+
+  return recordLink(session, {
+    address: signer,
+    chainId: Number(fields.chainId),
+    expirationTime: fields.expirationTime,
+    messageHash: ethers.utils.hashMessage(message)
+  });
+}
+
+module.exports = {
+  SiweError,
+  createNonce,
+  consumeNonce,
+  recordLink,
+  getLinkedMessage,
+  parseMessage,
+  checkLinkMessage,
+  verifyLink
+};
@@ -0,0 +1,313 @@
+/**
+ * Flujo OAuth 2.0 de Twitter gestionado por el servidor
+ * Genera el state y el PKCE, intercambia el código por tokens y los renueva.
+ * Los tokens se guardan en la sesión del servidor (ver sessionStore.js)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { ApiError, ERROR_CODES } = require('./errors');
+
+// Con TWITTER_MOCK=true se usa el servidor simulado de mock/twitterMock.js en lugar de Twitter
+const TWITTER_MOCK = process.env.TWITTER_MOCK === 'true';
+const TWITTER_MOCK_URL = process.env.TWITTER_MOCK_URL || 'http://localhost:3100';
+
+// El servidor simulado acepta cualquier credencial de cliente
+const TWITTER_CLIENT_ID = process.env.TWITTER_CLIENT_ID || (TWITTER_MOCK ? 'mock-client-id' : undefined);
+const TWITTER_CLIENT_SECRET = process.env.TWITTER_CLIENT_SECRET || (TWITTER_MOCK ? 'mock-client-secret' : undefined);
+
+// Página del frontend a la que Twitter redirige con el código de autorización
+const TWITTER_REDIRECT_URI = process.env.TWITTER_REDIRECT_URI || 'http://localhost:1234/callback';
+
+// offline.access permite obtener refresh tokens
+const TWITTER_SCOPES = (process.env.TWITTER_SCOPES || 'tweet.read users.read offline.access').split(/\s+/);
+
+const TWITTER_AUTHORIZE_BASE = TWITTER_MOCK ? TWITTER_MOCK_URL : 'https://x.com';
+const TWITTER_API_BASE = TWITTER_MOCK ? TWITTER_MOCK_URL : 'https://api.twitter.com';
+
+const TWITTER_URLS = {
+  AUTHORIZE: `${TWITTER_AUTHORIZE_BASE}/i/oauth2/authorize`,
+  TOKEN: `${TWITTER_API_BASE}/2/oauth2/token`,
+  REVOKE: `${TWITTER_API_BASE}/2/oauth2/revoke`,
+  USERS_ME: `${TWITTER_API_BASE}/2/users/me`
+};
+
+// Se renueva el token de acceso un poco antes de que caduque
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Un login iniciado y no completado caduca a los 10 minutos
+const AUTHORIZATION_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Error del flujo OAuth con código de estado HTTP y código de error (ver errors.js)
+ */
+class OAuthError extends ApiError {
+  constructor(message, statusCode = 400, code = ERROR_CODES.INVALID_REQUEST) {
+    super(message, statusCode, code);
+    this.name = 'OAuthError';
+  }
+}
+
+/**
+ * Genera un valor aleatorio en base64url
+ * @param {number} size - Número de bytes aleatorios
+ * @returns {string} Valor aleatorio
+ */
+function randomValue(size) {
+  return crypto.randomBytes(size).toString('base64url');
+}
+
+/**
+ * Prepara un nuevo login: guarda state y code_verifier en la sesión
+ * @param {Object} session - Sesión del servidor
+ * @returns {string} URL de autorización de Twitter
+ */
+function createAuthorization(session) {
+  const state = randomValue(32);
+  const codeVerifier = randomValue(64);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  session.oauth = { state, codeVerifier, createdAt: Date.now() };
+
+  const authUrl = new URL(TWITTER_URLS.AUTHORIZE);
+  authUrl.searchParams.append('response_type', 'code');
+  authUrl.searchParams.append('client_id', TWITTER_CLIENT_ID);
+  authUrl.searchParams.append('redirect_uri', TWITTER_REDIRECT_URI);
+  authUrl.searchParams.append('scope', TWITTER_SCOPES.join(' '));
+  authUrl.searchParams.append('state', state);
+  authUrl.searchParams.append('code_challenge', codeChallenge);
+  authUrl.searchParams.append('code_challenge_method', 'S256');
+
+  return authUrl.toString();
+}
+
+/**
+ * Compara dos cadenas en tiempo constante
+ * @param {string} a - Primera cadena
+ * @param {string} b - Segunda cadena
+ * @returns {boolean} True si son iguales
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Llama a un endpoint OAuth 2.0 de Twitter con autenticación de cliente
+ * @param {string} url - Endpoint (token o revoke)
+ * @param {URLSearchParams} params - Parámetros del formulario
+ * @returns {Promise<Object>} Respuesta de Twitter
+ */
+async function postClientRequest(url, params) {
+  // Crear el encabezado de autorización básica (Basic Authentication)
+  // Formato: Basic base64(client_id:client_secret)
+  const authHeader = 'Basic ' + Buffer.from(`${TWITTER_CLIENT_ID}:${TWITTER_CLIENT_SECRET}`).toString('base64');
+
+  params.append('client_id', TWITTER_CLIENT_ID);
+
+  const response = await axios.post(url, params, {
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': authHeader
+    }
+  });
+
+  return response.data;
+}
+
+/**
+ * Solicita un token al endpoint OAuth 2.0 de Twitter
+ * @param {URLSearchParams} params - Parámetros del grant (authorization_code o refresh_token)
+ * @returns {Promise<Object>} Datos del token devueltos por Twitter
+ */
+function requestToken(params) {
+  return postClientRequest(TWITTER_URLS.TOKEN, params);
+}
+
+/**
+ * Guarda en la sesión los tokens devueltos por Twitter
+ * @param {Object} session - Sesión del servidor
+ * @param {Object} tokenData - Respuesta del endpoint de tokens
+ */
+function storeTokens(session, tokenData) {
+  session.tokens = {
+    accessToken: tokenData.access_token,
+    // Twitter rota el refresh token en cada renovación; si no llega uno nuevo se conserva el anterior
+    refreshToken: tokenData.refresh_token || session.tokens?.refreshToken || null,
+    expiresAt: tokenData.expires_in ? Date.now() + tokenData.expires_in * 1000 : null,
+    scope: tokenData.scope
+  };
+}
+
+/**
+ * Completa el login: valida el state e intercambia el código por tokens
+ * @param {Object} session - Sesión del servidor con el login pendiente
+ * @param {string} code - Código de autorización
+ * @param {string} state - State devuelto por Twitter
+ * @returns {Promise<void>}
+ */
+async function completeAuthorization(session, code, state) {
+  const pending = session && session.oauth;
+
+  // El state se consume siempre, coincida o no, para que no pueda reintentarse
+  if (session) {
+    session.oauth = null;
+  }
+
+  if (!pending || Date.now() - pending.createdAt > AUTHORIZATION_TTL_MS) {
+    throw new OAuthError('No hay ningún login pendiente en esta sesión, vuelva a intentarlo', 400, ERROR_CODES.LOGIN_EXPIRED);
+  }
+
+  if (!state || !safeEqual(state, pending.state)) {
+    throw new OAuthError('El parámetro state no coincide (posible ataque CSRF)', 403, ERROR_CODES.STATE_MISMATCH);
+  }
+
+  const params = new URLSearchParams();
+  params.append('grant_type', 'authorization_code');
+  params.append('code', code);
+  params.append('redirect_uri', TWITTER_REDIRECT_URI);
+  params.append('code_verifier', pending.codeVerifier);
+
+  storeTokens(session, await requestToken(params));
+}
+
+/**
+ * Pide a Twitter un nuevo token de acceso con el refresh token de la sesión
+ * @param {Object} session - Sesión autenticada
+ * @returns {Promise<void>}
+ */
+async function requestRefresh(session) {
+  const params = new URLSearchParams();
+  params.append('grant_type', 'refresh_token');
+  params.append('refresh_token', session.tokens.refreshToken);
+
+  try {
+    storeTokens(session, await requestToken(params));
+  } catch (error) {
+    if (error.response) {
+      console.error('Twitter rechazó la renovación del token:', error.response.data);
+
+      // Un refresh token rechazado no se puede volver a usar
+      session.tokens = null;
+      throw new OAuthError('Twitter rechazó la renovación del token, vuelva a iniciar sesión', 401, ERROR_CODES.AUTH_EXPIRED);
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Renueva el token de acceso de la sesión
+ * Las renovaciones simultáneas comparten la misma solicitud, porque Twitter
+ * invalida el refresh token en cuanto se usa
+ * @param {Object} session - Sesión autenticada
+ * @returns {Promise<void>}
+ */
+function refreshTokens(session) {
+  if (!session || !session.tokens || !session.tokens.refreshToken) {
+    return Promise.reject(new OAuthError('La sesión no se puede renovar, vuelva a iniciar sesión', 401, ERROR_CODES.AUTH_EXPIRED));
+  }
+
+  if (!session.refreshing) {
+    session.refreshing = requestRefresh(session).finally(() => {
+      session.refreshing = null;
+    });
+  }
+
+  return session.refreshing;
+}
+
+/**
+ * Devuelve un token de acceso válido, renovándolo si está a punto de caducar
+ * @param {Object} session - Sesión del servidor
+ * @returns {Promise<string>} Token de acceso
+ */
+async function getAccessToken(session) {
+  if (!session || !session.tokens) {
+    throw new OAuthError('No ha iniciado sesión con Twitter', 401, ERROR_CODES.AUTH_REQUIRED);
+  }
+
+  const { expiresAt } = session.tokens;
+
+  if (expiresAt && Date.now() >= expiresAt - EXPIRY_MARGIN_MS) {
+    await refreshTokens(session);
+  }
+
+  return session.tokens.accessToken;
+}
+
+/**
+ * Revoca un token en Twitter
+ * @param {string} token - Token a revocar
+ * @param {string} tokenTypeHint - 'access_token' o 'refresh_token'
+ * @returns {Promise<Object>} Resultado { revoked, error? }
+ */
+async function revokeToken(token, tokenTypeHint) {
+  const params = new URLSearchParams();
+  params.append('token', token);
+  params.append('token_type_hint', tokenTypeHint);
+
+  try {
+    await postClientRequest(TWITTER_URLS.REVOKE, params);
+    return { revoked: true };
+  } catch (error) {
+    const detail = error.response
+      ? `${error.response.status} ${JSON.stringify(error.response.data)}`
+      : error.message;
+
+    console.error(`Twitter no revocó el ${tokenTypeHint}:`, detail);
+    return { revoked: false, error: detail };
+  }
+}
+
+/**
+ * Revoca en Twitter el token de acceso y el refresh token de la sesión
+ * Los tokens revocados se quitan de la sesión; los que fallan se conservan
+ * para poder reintentarlo
+ * @param {Object} session - Sesión del servidor
+ * @returns {Promise<Object>} Resultado por token { accessToken, refreshToken }, cada uno
+ * { revoked, error? } o null si la sesión no lo tenía
+ */
+async function revokeTokens(session) {
+  if (!session || !session.tokens) {
+    return { accessToken: null, refreshToken: null };
+  }
+
+  // Una renovación en curso cambiaría los tokens justo después de revocarlos
+  if (session.refreshing) {
+    await session.refreshing.catch(() => {});
+  }
+
+  const { accessToken, refreshToken } = session.tokens || {};
+
+  const [accessResult, refreshResult] = await Promise.all([
+    accessToken ? revokeToken(accessToken, 'access_token') : null,
+    refreshToken ? revokeToken(refreshToken, 'refresh_token') : null
+  ]);
+
+  const remaining = {
+    accessToken: accessResult && !accessResult.revoked ? accessToken : null,
+    refreshToken: refreshResult && !refreshResult.revoked ? refreshToken : null
+  };
+
+  session.tokens = remaining.accessToken || remaining.refreshToken
+    ? { ...session.tokens, ...remaining }
+    : null;
+
+  return { accessToken: accessResult, refreshToken: refreshResult };
+}
+
+module.exports = {
+  TWITTER_MOCK,
+  TWITTER_CLIENT_ID,
+  TWITTER_CLIENT_SECRET,
+  TWITTER_URLS,
+  OAuthError,
+  createAuthorization,
+  completeAuthorization,
+  refreshTokens,
+  getAccessToken,
+  revokeTokens
+};
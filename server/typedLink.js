@@ -0,0 +1,123 @@
+/**
+ * Vinculación de wallet con datos tipados EIP-712
+ * Alternativa a EIP-4361: la wallet muestra los campos del struct TwitterLink en
+ * lugar de un texto, y firma su hash EIP-712 sin el prefijo de personal_sign.
+ * El nonce, la sesión y el registro del vínculo son los de siwe.js
+ */
+
+const { ethers } = require('ethers');
+const { SiweError, consumeNonce, recordLink } = require('./siwe');
+
+// Dominio EIP-712; debe coincidir con src/js/typedLink.js
+const LINK_DOMAIN_NAME = 'Twitter ZK Link';
+const LINK_DOMAIN_VERSION = '1';
+
+const LINK_PRIMARY_TYPE = 'TwitterLink';
+
+// Struct firmado; debe coincidir con src/js/typedLink.js
+const LINK_TYPES = {
+  TwitterLink: [
+    { name: 'twitterIdHash', type: 'bytes32' },
+    { name: 'address', type: 'address' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'nonce', type: 'string' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+/**
+ * Construye el dominio EIP-712 de una cadena
+ * @param {number} chainId - ID de la cadena
+ * @returns {Object} Dominio { name, version, chainId }
+ */
+function getLinkDomain(chainId) {
+  return { name: LINK_DOMAIN_NAME, version: LINK_DOMAIN_VERSION, chainId };
+}
+
+/**
+ * Comprueba que los datos tipados usan exactamente el dominio y el struct esperados
+ * @param {Object} typedData - { domain, types, primaryType, message }
+ */
+function checkShape(typedData) {
+  const { domain, types, primaryType, message } = typedData || {};
+
+  if (!domain || !types || !message || (primaryType && primaryType !== LINK_PRIMARY_TYPE)) {
+    throw new SiweError('Los datos tipados no siguen el formato TwitterLink');
+  }
+
+  // La wallet añade EIP712Domain por su cuenta; el resto de tipos debe ser el nuestro
+  const { EIP712Domain, ...linkTypes } = types;
+
+  if (JSON.stringify(linkTypes) !== JSON.stringify(LINK_TYPES)) {
+    throw new SiweError('Los datos tipados no usan el struct TwitterLink esperado');
+  }
+
+  const expectedDomain = getLinkDomain(Number(message.chainId));
+
+  if (Object.keys(domain).length !== 3 || domain.name !== expectedDomain.name ||
+      domain.version !== expectedDomain.version || Number(domain.chainId) !== expectedDomain.chainId) {
+    throw new SiweError('El dominio EIP-712 no corresponde a esta aplicación', 403);
+  }
+}
+
+/**
+ * Comprueba un TwitterLink firmado y vincula la wallet a la sesión
+ * @param {Object} session - Sesión con nonce emitido y usuario de Twitter cargado
+ * @param {Object} request - { typedData: { domain, types, primaryType, message }, signature }
+ * @returns {Object} Vínculo { address, chainId, twitterIdHash, expirationTime }
+ */
+function verifyTypedLink(session, { typedData, signature }) {
+  const pending = consumeNonce(session);
+
+  checkShape(typedData);
+
+  const { domain, message } = typedData;
+
+  if (message.nonce !== pending.value) {
+    throw new SiweError('El nonce del mensaje no coincide con el emitido para esta sesión', 403);
+  }
+
+  // El campo twitterIdHash lleva el linkId opaco del nonce, no el hash de la cuenta
+  if (String(message.twitterIdHash).toLowerCase() !== pending.linkId) {
+    throw new SiweError('El mensaje no corresponde a la cuenta de Twitter de esta sesión', 403);
+  }
+
+  const expiresAt = Number(message.expiry) * 1000;
+
+  if (!(expiresAt > Date.now())) {
+    throw new SiweError('El mensaje ha caducado o no tiene fecha de caducidad');
+  }
+
+  // Como en EIP-4361, la caducidad la fija el servidor al emitir el nonce
+  if (expiresAt > pending.linkExpiresAt) {
+    throw new SiweError('La caducidad del mensaje es posterior a la emitida con el nonce');
+  }
+
+  let signer;
+  let address;
+
+  try {
+    signer = ethers.utils.verifyTypedData(domain, LINK_TYPES, message, signature);
+    address = ethers.utils.getAddress(message.address);
+  } catch (error) {
+    throw new SiweError('La firma de los datos tipados no es válida');
+  }
+
+  if (signer !== address) {
+    throw new SiweError('El mensaje no está firmado por la dirección que declara', 403);
+  }
+
+  return recordLink(session, {
+    address: signer,
+    chainId: Number(message.chainId),
+    expirationTime: new Date(expiresAt).toISOString(),
+    messageHash: ethers.utils._TypedDataEncoder.hash(domain, LINK_TYPES, message)
+  });
+}
+
+module.exports = {
+  LINK_TYPES,
+  getLinkDomain,
+  checkShape,
+  verifyTypedLink
+};
@@ -4,7 +4,10 @@
  */
 
 import logger from './logger.js';
+import config from './config.js';
 import auth from './auth.js';
+import twitterProfile from './twitterProfile.js';
+import errors from './errors.js';
 
 // Module identifier for logging
 const MODULE_NAME = 'API';
@@ -15,7 +18,69 @@ const API_URLS = {
 };
 
 // Proxy server URL para evitar problemas de CORS
-const PROXY_URL = 'http://localhost:3000';
+const PROXY_URL = config.getAppConfig().proxyUrl;
+
+/**
+ * Send the user data request; the proxy reads the access token from the session
+ * @returns {Promise<Response>} Fetch response
+ */
+function postUserRequest() {
+  return auth.sessionFetch('/api/twitter/user', { method: 'POST' });
+}
+
+/**
+ * POST a JSON body to a public proxy route (no session cookie)
+ * @param {string} path - Proxy path
+ * @param {Object} body - Request body
+ * @returns {Promise<Response>} Fetch response; rejects with PROXY_UNAVAILABLE if the proxy cannot be reached
+ */
+async function postJson(path, body) {
+  try {
+    return await fetch(`${PROXY_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    throw errors.fromNetworkError(error);
+  }
+}
+
+/**
+ * POST a JSON body to a proxy route that needs the session cookie
+ * @param {string} path - Proxy path
+ * @param {Object} body - Request body
+ * @returns {Promise<Response>} Fetch response; rejects with PROXY_UNAVAILABLE if the proxy cannot be reached
+ */
+function postSessionJson(path, body) {
+  return auth.sessionFetch(path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+/**
+ * Build the typed error of a failed proxy response and log it
+ * @param {Response} response - Fetch response that is not ok
+ * @param {string} description - What failed, for the log
+ * @returns {Promise<AppError>} Error from errors.fromResponse
+ */
+async function readError(response, description) {
+  const error = await errors.fromResponse(response);
+  
+  logger.error(MODULE_NAME, description, { 
+    status: response.status, 
+    code: error.code,
+    error: error.message 
+  });
+  
+  return error;
+}
 
 /**
  * Fetch user data from Twitter API
@@ -25,110 +90,222 @@ async function fetchUserData() {
   logger.info(MODULE_NAME, 'Fetching user data from Twitter API');
   
   if (!auth.isAuthenticated()) {
-    const error = 'User not authenticated';
-    logger.error(MODULE_NAME, error);
-    throw new Error(error);
+    const error = new errors.AuthError(errors.ERROR_CODES.AUTH_REQUIRED, 'User not authenticated');
+    logger.error(MODULE_NAME, error.message);
+    throw error;
   }
   
   try {
-    const accessToken = auth.getAccessToken();
-    
     // En lugar de llamar directamente a Twitter, usamos el proxy server
     // para evitar problemas de CORS
-    const url = `${PROXY_URL}/api/twitter/user`;
+    logger.debug(MODULE_NAME, 'Making API request via proxy');
     
-    logger.debug(MODULE_NAME, 'Making API request via proxy', { url });
+    let response = await postUserRequest();
     
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ accessToken })
-    });
+    // The proxy already refreshes on its own; a 401 here means it could not,
+    // so ask for an explicit refresh once before giving up
+    if (response.status === 401) {
+      logger.info(MODULE_NAME, 'Session rejected, refreshing and retrying');
+      await auth.refreshAccessToken();
+      response = await postUserRequest();
+    }
     
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-      logger.error(MODULE_NAME, 'API request failed', { 
-        status: response.status, 
-        error: errorData 
-      });
-      throw new Error(`API request failed: ${response.status} ${JSON.stringify(errorData)}`);
+      throw await readError(response, 'API request failed');
     }
     
     const userData = await response.json();
     
     // Validate the response contains the expected data structure
     if (!userData || !userData.data) {
-      logger.error(MODULE_NAME, 'Invalid user data format received', userData);
+      logger.error(MODULE_NAME, 'Invalid user data format received');
       throw new Error('Invalid user data format received from server');
     }
     
-    // Validate required fields are present
-    const requiredFields = ['id', 'created_at', 'public_metrics'];
-    const missingFields = requiredFields.filter(field => !userData.data[field]);
-    
-    if (missingFields.length > 0) {
-      logger.warn(MODULE_NAME, `Missing fields in user data: ${missingFields.join(', ')}`, userData.data);
-    }
-    
+    // The response holds the attestation, whose fields are private circuit inputs: never log it
     logger.info(MODULE_NAME, 'Successfully fetched user data');
-    logger.debug(MODULE_NAME, 'User data', userData);
     
     return userData;
   } catch (error) {
-    logger.error(MODULE_NAME, 'Error fetching user data', { error: error.message });
-    throw new Error(`Failed to fetch user data: ${error.message}`);
+    logger.error(MODULE_NAME, 'Error fetching user data', { code: errors.getErrorCode(error), error: error.message });
+    throw error;
   }
 }
 
 /**
- * Process user data into a simplified format
- * @param {Object} rawData - Raw API response data
- * @returns {Object} Processed user data
+ * Fetch the user data and build the Twitter profile model from it
+ * @returns {Promise<Object>} Profile from twitterProfile.fromApiResponse
  */
-function processUserData(rawData) {
-  logger.info(MODULE_NAME, 'Processing user data');
+async function getUserData() {
+  logger.info(MODULE_NAME, 'Getting user data');
   
   try {
-    if (!rawData || !rawData.data) {
-      throw new Error('Invalid user data format');
+    const profile = twitterProfile.fromApiResponse(await fetchUserData());
+    
+    if (!profile.attestation) {
+      logger.warn(MODULE_NAME, 'Server attestation missing in response, proofs will not be available');
     }
     
-    const { id, created_at, public_metrics } = rawData.data;
+    return profile;
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error getting user data: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ask the proxy server to verify a proof bundle
+ * Does not require authentication, so third parties can check shared proofs
+ * @param {Object} bundle - Proof bundle (see zkProof.importBundle)
+ * @returns {Promise<Object>} Verification result { valid, reason?, thresholds, circuit, createdAt }
+ */
+async function verifyProofBundle(bundle) {
+  logger.info(MODULE_NAME, 'Verifying proof bundle via proxy');
+  
+  try {
+    const response = await postJson('/api/proof/verify', { bundle });
+    
+    if (!response.ok) {
+      throw await readError(response, 'Proof verification request failed');
+    }
     
-    // Extract required fields
-    const processedData = {
-      id,
-      createdAt: created_at,
-      followerCount: public_metrics?.followers_count || 0
-    };
+    const result = await response.json();
     
-    logger.debug(MODULE_NAME, 'Processed user data', processedData);
+    logger.info(MODULE_NAME, `Proof bundle verification result: ${result.valid ? 'valid' : 'invalid'}`);
     
-    return processedData;
+    return result;
   } catch (error) {
-    logger.error(MODULE_NAME, 'Error processing user data', { error: error.message });
-    throw new Error(`Failed to process user data: ${error.message}`);
+    logger.error(MODULE_NAME, `Error verifying proof bundle: ${error.message}`);
+    throw error;
   }
 }
 
 /**
- * Fetch and process user data
- * @returns {Promise<Object>} User data
+ * Register the wallet of a proof in the proxy's nullifier registry
+ * The proof must sign the link message this session verified (see verifyWalletLink).
+ * A Twitter account can back one wallet per scope; a conflict (NULLIFIER_CONFLICT) is
+ * returned, not thrown, so the caller can offer the re-binding flow
+ * @param {Object} bundle - Proof bundle
+ * @returns {Promise<Object>} { registered: true, binding } or { registered: false, binding, rebindMessage }
  */
-async function getUserData() {
-  logger.info(MODULE_NAME, 'Getting user data');
+async function registerNullifier(bundle) {
+  logger.info(MODULE_NAME, 'Registering proof nullifier via proxy');
   
-  try {
-    // Just return the raw data directly - app.js expects this format
-    return await fetchUserData();
-  } catch (error) {
-    logger.error(MODULE_NAME, `Error getting user data: ${error.message}`);
+  const response = await postSessionJson('/api/nullifiers', { bundle });
+  
+  if (!response.ok) {
+    const error = await errors.fromResponse(response);
+    
+    if (error.code === errors.ERROR_CODES.NULLIFIER_CONFLICT) {
+      logger.warn(MODULE_NAME, 'Nullifier already bound to another wallet', error.details.binding);
+      return { registered: false, binding: error.details.binding, rebindMessage: error.details.rebindMessage };
+    }
+    
+    logger.error(MODULE_NAME, 'Nullifier registration failed', { 
+      status: response.status, 
+      code: error.code,
+      error: error.message 
+    });
     throw error;
   }
+  
+  const result = await response.json();
+  
+  logger.info(MODULE_NAME, `Nullifier bound to ${result.address}`);
+  
+  return { registered: true, binding: result };
+}
+
+/**
+ * Move a nullifier to the wallet of a new proof
+ * @param {Object} bundle - Proof bundle generated with the new wallet
+ * @param {string} signature - Signature of the rebind message by the currently bound wallet
+ * @returns {Promise<Object>} Updated binding
+ */
+async function rebindNullifier(bundle, signature) {
+  logger.info(MODULE_NAME, 'Re-binding proof nullifier via proxy');
+  
+  const response = await postSessionJson('/api/nullifiers/rebind', { bundle, signature });
+  
+  if (!response.ok) {
+    throw await readError(response, 'Nullifier re-binding failed');
+  }
+  
+  const result = await response.json();
+  
+  logger.info(MODULE_NAME, `Nullifier re-bound to ${result.address}`);
+  
+  return result;
+}
+
+/**
+ * Ask the proxy for a verifiable credential backed by a proof
+ * The proof must sign the link message this session verified, and its nullifier
+ * must already be bound to its wallet
+ * @param {Object} bundle - Proof bundle
+ * @returns {Promise<Object>} { id, credential (JWT), status }
+ */
+async function requestCredential(bundle) {
+  logger.info(MODULE_NAME, 'Requesting verifiable credential via proxy');
+  
+  const response = await postSessionJson('/api/credentials', { bundle });
+  
+  if (!response.ok) {
+    throw await readError(response, 'Credential request failed');
+  }
+  
+  const result = await response.json();
+  
+  logger.info(MODULE_NAME, `Credential issued: ${result.id}`);
+  
+  return result;
+}
+
+/**
+ * Ask the proxy for a nonce to put in the wallet link message
+ * Requires the Twitter user to be loaded, since the link names that account
+ * @returns {Promise<Object>} { nonce, issuedAt, expirationTime, resource, linkId }
+ */
+async function getWalletNonce() {
+  logger.info(MODULE_NAME, 'Requesting wallet link nonce via proxy');
+  
+  const response = await auth.sessionFetch('/api/wallet/nonce');
+  
+  if (!response.ok) {
+    throw await readError(response, 'Wallet nonce request failed');
+  }
+  
+  return response.json();
+}
+
+/**
+ * Send a signed wallet link to the proxy for verification
+ * @param {Object} signatureData - From zkProof.signMessage ({ message, signature }) or
+ * zkProof.signTypedData ({ typedData, signature })
+ * @returns {Promise<Object>} Link { address, chainId, twitterIdHash, expirationTime }
+ */
+async function verifyWalletLink({ message, typedData, signature }) {
+  logger.info(MODULE_NAME, 'Verifying wallet link via proxy');
+  
+  const response = await postSessionJson('/api/wallet/verify', typedData ? { typedData, signature } : { message, signature });
+  
+  if (!response.ok) {
+    throw await readError(response, 'Wallet link verification failed');
+  }
+  
+  const result = await response.json();
+  
+  logger.info(MODULE_NAME, `Wallet ${result.address} linked to the session`);
+  
+  return result;
 }
 
 export default {
-  getUserData
+  getUserData,
+  getWalletNonce,
+  verifyWalletLink,
+  verifyProofBundle,
+  registerNullifier,
+  rebindNullifier,
+  requestCredential
 }; 
\ No newline at end of file
@@ -10,10 +10,21 @@ import api from './api.js';
 import ui from './ui.js';
 import utils from './utils.js';
 import ethereum from './ethereum.js';
+import walletDiscovery from './walletDiscovery.js';
+import zkProof from './zkProof.js';
+import proofRegistry from './proofRegistry.js';
+import twitterProfile from './twitterProfile.js';
+import errors from './errors.js';
 
 // Module identifier for logging
 const MODULE_NAME = 'App';
 
+// Proof waiting for the previously bound wallet to authorize a nullifier move
+let pendingRebind = null;
+
+// Verifiable credential issued for the current proof
+let currentCredential = null;
+
 // Authentication state
 let authenticationState = {
   twitter: {
@@ -37,21 +48,46 @@ async function init() {
     config.init();
     
     // Initialize authentication modules
-    const twitterAuthState = auth.init();
+    const twitterAuthState = await auth.init();
     const ethereumState = ethereum.init();
     
-    // Update authentication state
+    // Update authentication state; a wallet only counts as connected once the
+    // proxy has verified its link message for this session
     authenticationState.twitter.isAuthenticated = twitterAuthState.isAuthenticated;
-    authenticationState.ethereum.isConnected = ethereumState.isConnected;
+    authenticationState.ethereum.isConnected = ethereumState.isConnected &&
+      isSameAddress(twitterAuthState.wallet?.address, ethereumState.address);
     authenticationState.ethereum.address = ethereumState.address;
     
     // Initialize UI with event handlers
     ui.init({
       onLogin: handleLogin,
       onConnectWallet: handleConnectWallet,
-      onLogout: handleLogout
+      onSelectWallet: handleSelectWallet,
+      onChangeWallet: handleChangeWallet,
+      onSwitchNetwork: handleSwitchNetwork,
+      onLogout: handleLogout,
+      onGenerateProof: handleGenerateProof,
+      onCancelProof: handleCancelProof,
+      onDownloadProof: handleDownloadProof,
+      onImportProof: handleImportProof,
+      onRebind: handleRebind,
+      onSubmitProof: handleSubmitProof,
+      onDownloadCredential: handleDownloadCredential
     });
     
+    // Offer the claims of this deployment's thresholds, with the configured ones selected
+    const zkConfig = config.getZkProofConfig();
+    ui.setProofClaims(zkProof.getClaimOptions(zkConfig.thresholds), zkConfig.claims);
+    ui.setSigningMode(config.getEthereumConfig().signingMode);
+    ui.setChangeWalletVisible(walletDiscovery.getWallets().length > 1);
+    
+    // Network changes in the wallet show or clear the switch prompt
+    window.addEventListener('ethereum_network_changed', handleNetworkChanged);
+    
+    if (config.getTwitterConfig().mock) {
+      ui.setLoginStatus('Development mode: Twitter login uses the local mock server', 'info');
+    }
+    
     // Check if we're on the callback page
     const path = window.location.pathname;
     const isCallbackPath = path.includes('/callback');
@@ -75,6 +111,8 @@ async function init() {
       if (authenticationState.ethereum.isConnected) {
         logger.info(MODULE_NAME, 'Ethereum wallet is already connected');
         ui.updateWalletButtonState(true, authenticationState.ethereum.address);
+      } else if (ethereumState.isConnected) {
+        ui.setWalletStatus('Wallet not linked to this session. Connect it again to sign the link message.', 'info');
       }
       
       // Show appropriate UI section based on authentication state
@@ -88,6 +126,31 @@ async function init() {
   }
 }
 
+/**
+ * Show an error in a status line, worded from its code (see ui.describeError)
+ * A Twitter session the proxy no longer accepts is also ended here, so the
+ * login button comes back instead of a session that can no longer load data
+ * @param {Function} setStatus - UI status setter, e.g. ui.setWalletStatus
+ * @param {string} prefix - What failed, e.g. 'Connection failed'
+ * @param {Error} error - Error to show
+ * @param {...*} statusArgs - Extra arguments of the status setter
+ * @returns {Promise<void>} Resolves once the recovery, if any, is done
+ */
+async function reportError(setStatus, prefix, error, ...statusArgs) {
+  const { code, message, action } = ui.describeError(error);
+  const statusMessage = `${prefix}: ${message}`;
+  
+  setStatus(statusMessage, 'error', ...statusArgs);
+  
+  if (action === errors.RECOVERY_ACTIONS.RELOGIN && authenticationState.twitter.isAuthenticated) {
+    logger.warn(MODULE_NAME, `Twitter session rejected (${code}), logging out`);
+    await handleLogout();
+    
+    // Logging out replaces the login status; keep the reason next to the login button
+    ui.setLoginStatus(statusMessage, 'error');
+  }
+}
+
 /**
  * Handle login button click
  * @param {Event} event - Click event
@@ -110,7 +173,7 @@ async function handleLogin(event) {
   } catch (error) {
     logger.error(MODULE_NAME, `Error during login: ${error.message}`);
     ui.setLoading(false);
-    ui.setLoginStatus(`Login failed: ${error.message}`, 'error');
+    reportError(ui.setLoginStatus, 'Login failed', error);
   }
 }
 
@@ -125,34 +188,450 @@ async function handleConnectWallet(event) {
     ui.setLoading(true);
     ui.setWalletStatus('Connecting to wallet...', 'info');
     
-    // Check if MetaMask is available
-    if (!ethereum.isMetaMaskAvailable()) {
-      throw new Error('MetaMask is not installed. Please install MetaMask and try again.');
+    // Check if a wallet is available
+    if (!ethereum.isWalletAvailable()) {
+      throw new errors.WalletError(errors.ERROR_CODES.WALLET_UNAVAILABLE,
+        'No Ethereum wallet found. Please install a wallet such as MetaMask and try again.');
+    }
+    
+    // Several wallets and none chosen yet: the picker calls back into handleSelectWallet
+    if (ethereum.needsWalletChoice()) {
+      ui.showWalletPicker(walletDiscovery.getWallets());
+      ui.setWalletStatus('Choose the wallet to connect.', 'info');
+      return;
     }
     
     // Connect to wallet
     const result = await ethereum.connect();
-    
-    // Update authentication state
-    authenticationState.ethereum.isConnected = result.isConnected;
     authenticationState.ethereum.address = result.address;
     
-    // Update UI
-    ui.updateWalletButtonState(true, result.address);
+    // Links are bound to a chain, so the wallet has to be on a supported one first
+    if (!result.isSupportedNetwork) {
+      ui.showNetworkPrompt(ethereum.getSupportedChains(), result.chainId);
+      ui.setWalletStatus('Switch your wallet to a supported network to continue.', 'error');
+      return;
+    }
     
-    logger.info(MODULE_NAME, `Wallet connected successfully: ${result.address}`);
+    ui.hideNetworkPrompt();
     
-    // Update UI state based on both authentication methods
-    updateUIState();
+    // The link message names the Twitter account, so it waits for the login
+    if (!authenticationState.twitter.userData) {
+      logger.info(MODULE_NAME, `Wallet ${result.address} found, waiting for Twitter login to link it`);
+      ui.setWalletStatus('Wallet found. Log in with Twitter to link it.', 'info');
+      return;
+    }
+    
+    await linkWallet();
   } catch (error) {
     logger.error(MODULE_NAME, `Error connecting wallet: ${error.message}`);
-    ui.setWalletStatus(`Connection failed: ${error.message}`, 'error');
+    reportError(ui.setWalletStatus, 'Connection failed', error);
     authenticationState.ethereum.isConnected = false;
   } finally {
     ui.setLoading(false);
   }
 }
 
+/**
+ * Handle a wallet picked in the wallet picker
+ * The choice is remembered, then the connection continues with that wallet
+ * @param {string} rdns - Reverse-DNS identifier of the wallet
+ */
+async function handleSelectWallet(rdns) {
+  logger.info(MODULE_NAME, `Wallet picked: ${rdns}`);
+  
+  try {
+    walletDiscovery.selectWallet(rdns);
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error selecting wallet: ${error.message}`);
+    reportError(ui.setWalletStatus, 'Connection failed', error);
+    return;
+  }
+  
+  ui.hideWalletPicker();
+  await handleConnectWallet();
+}
+
+/**
+ * Handle change wallet button click
+ * @param {Event} event - Click event
+ */
+function handleChangeWallet(event) {
+  logger.info(MODULE_NAME, 'Change wallet button clicked');
+  
+  ui.showWalletPicker(walletDiscovery.getWallets());
+}
+
+/**
+ * Handle a network picked in the network prompt
+ * Switches the wallet (adding the chain if needed) and resumes the connection
+ * @param {string} chainId - Hex chain ID
+ */
+async function handleSwitchNetwork(chainId) {
+  logger.info(MODULE_NAME, `Switch to network ${chainId} requested`);
+  
+  try {
+    ui.setLoading(true);
+    const chain = await ethereum.switchNetwork(chainId);
+    
+    ui.hideNetworkPrompt();
+    ui.setWalletStatus(`Switched to ${chain.chainName}.`, 'info');
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error switching network: ${error.message}`);
+    reportError(ui.setWalletStatus, 'Network switch failed', error);
+    return;
+  } finally {
+    ui.setLoading(false);
+  }
+  
+  // Finish a connection that stopped at the network check
+  if (!authenticationState.ethereum.isConnected) {
+    await handleConnectWallet();
+  }
+}
+
+/**
+ * Handle a chain change reported by the wallet
+ * @param {CustomEvent} event - ethereum_network_changed event { isCorrectNetwork, chainId }
+ */
+function handleNetworkChanged(event) {
+  const { isCorrectNetwork, chainId } = event.detail;
+  
+  if (isCorrectNetwork) {
+    ui.hideNetworkPrompt();
+    return;
+  }
+  
+  ui.showNetworkPrompt(ethereum.getSupportedChains(), chainId);
+}
+
+/**
+ * Link the wallet to the Twitter account of the session
+ * Signs an EIP-4361 message or an EIP-712 TwitterLink (see the signature format
+ * selector) with a nonce from the proxy, which verifies it before the wallet
+ * counts as connected
+ * @returns {Promise<Object>} Signature data of the verified link
+ */
+async function linkWallet() {
+  const address = ethereum.getAddress();
+  const mode = ui.getSigningMode() || config.getEthereumConfig().signingMode;
+  logger.info(MODULE_NAME, `Linking wallet ${address} to the Twitter account (${mode})`);
+  
+  ui.setWalletStatus('Please sign the link message in your wallet...', 'info');
+  
+  const chainId = await ethereum.getChainId();
+  
+  // The chain ID is part of the signed link, which binds the proof to that network
+  if (!ethereum.isSupportedChain(chainId)) {
+    ui.showNetworkPrompt(ethereum.getSupportedChains(), `0x${chainId.toString(16)}`);
+    throw new Error('Switch your wallet to a supported network first');
+  }
+  
+  // The nonce also carries the session's Twitter ID hash, which only the proxy can compute
+  const nonce = await api.getWalletNonce();
+  
+  const signatureData = mode === zkProof.SIGNING_MODES.EIP712
+    ? await zkProof.signTypedData(zkProof.generateTypedDataToSign({ address, chainId, nonce }))
+    : await zkProof.signMessage(zkProof.generateMessageToSign({ address, chainId, nonce }));
+  
+  const link = await api.verifyWalletLink(signatureData);
+  
+  // Update authentication state
+  authenticationState.ethereum.isConnected = true;
+  authenticationState.ethereum.address = link.address;
+  
+  // Update UI
+  ui.updateWalletButtonState(true, link.address);
+  
+  logger.info(MODULE_NAME, `Wallet linked successfully: ${link.address}`);
+  
+  // Update UI state based on both authentication methods
+  updateUIState();
+  
+  return signatureData;
+}
+
+/**
+ * Compare two Ethereum addresses regardless of checksum casing
+ * @param {string|null} a - First address
+ * @param {string|null} b - Second address
+ * @returns {boolean} True if both are set and equal
+ */
+function isSameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Handle generate proof button click
+ * Runs sign -> compile -> witness -> prove and reports each stage through the UI
+ * @param {Event} event - Click event
+ */
+async function handleGenerateProof(event) {
+  logger.info(MODULE_NAME, 'Generate proof button clicked');
+  
+  const profile = authenticationState.twitter.userData;
+  
+  if (!profile || !authenticationState.ethereum.isConnected) {
+    ui.setProofStatus('Connect both Twitter and your Ethereum wallet before generating a proof.', 'error');
+    return;
+  }
+  
+  const claims = ui.getSelectedClaims();
+  
+  // Not every combination of claims has a circuit: check before asking for a signature
+  try {
+    zkProof.getCircuitForClaims(claims);
+  } catch (error) {
+    ui.setProofStatus(`${error.message}.`, 'error');
+    return;
+  }
+  
+  const { PROOF_STAGES, STAGE_STATUS } = zkProof;
+  let currentStage = PROOF_STAGES.SIGN;
+  
+  try {
+    ui.setProofButtonState(true);
+    ui.resetProofStages();
+    ui.setProofStatus('Generating proof...', 'info');
+    
+    // Sign a fresh link message; the proxy verifies it before it is proven
+    ui.setProofStage(currentStage, STAGE_STATUS.ACTIVE);
+    ui.setProofStatus('Please sign the linking message in your wallet...', 'info');
+    const signatureData = await linkWallet();
+    ui.setProofStage(currentStage, STAGE_STATUS.DONE);
+    
+    // Compile, execute and prove
+    ui.setProofStatus('Generating proof, this may take a while...', 'info');
+    const proof = await zkProof.generateProof(profile, signatureData, {
+      claims,
+      onStage: (stage, status) => {
+        currentStage = stage;
+        ui.setProofStage(stage, status);
+      },
+      onProgress: (progress) => ui.setProofProgress(progress)
+    });
+    
+    ui.showProofResult(proof, zkProof.describeClaims(proof.claims, proof.thresholds, proof.disclosed));
+    offerRegistration(proof);
+    
+    if (proof.isMock) {
+      ui.setProofStatus('Mock proof generated. It is only valid in test mode.', 'info');
+    } else {
+      ui.setProofStatus('Proof generated successfully!', 'success');
+      await registerProofNullifier(proof);
+    }
+    
+    logger.info(MODULE_NAME, 'Proof flow completed');
+  } catch (error) {
+    ui.setProofStage(currentStage, STAGE_STATUS.ERROR);
+    
+    if (error.name === 'AbortError') {
+      logger.info(MODULE_NAME, 'Proof generation cancelled by the user');
+      ui.setProofStatus('Proof generation cancelled.', 'info');
+    } else {
+      logger.error(MODULE_NAME, `Error generating proof: ${error.message}`);
+      reportError(ui.setProofStatus, 'Proof generation failed', error);
+    }
+  } finally {
+    ui.setProofButtonState(false);
+  }
+}
+
+/**
+ * Bind the wallet of a new proof to the Twitter account's nullifier
+ * If the account already backs another wallet, offer the re-binding flow
+ * @param {Object} bundle - Proof bundle
+ */
+async function registerProofNullifier(bundle) {
+  pendingRebind = null;
+  
+  try {
+    const result = await api.registerNullifier(bundle);
+    
+    if (result.registered) {
+      ui.setNullifierStatus(`Twitter account bound to ${utils.truncateAddress(result.binding.address)}.`, 'success');
+      await issueProofCredential(bundle);
+      return;
+    }
+    
+    pendingRebind = { bundle, conflict: result };
+    ui.setNullifierStatus(
+      `This Twitter account already backs ${utils.truncateAddress(result.binding.address)}. ` +
+      'To move it to this wallet, switch your wallet to that address and authorize the move.',
+      'error',
+      true
+    );
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error registering nullifier: ${error.message}`);
+    reportError(ui.setNullifierStatus, 'Could not register the proof', error);
+  }
+}
+
+/**
+ * Handle authorize wallet move button click
+ * The previously bound wallet signs the server's rebind message for the new proof
+ * @param {Event} event - Click event
+ */
+async function handleRebind(event) {
+  logger.info(MODULE_NAME, 'Authorize wallet move button clicked');
+  
+  if (!pendingRebind) {
+    ui.setNullifierStatus('');
+    return;
+  }
+  
+  try {
+    const { bundle, conflict } = pendingRebind;
+    const signature = await zkProof.signRebindAuthorization(conflict);
+    const binding = await api.rebindNullifier(bundle, signature);
+    
+    pendingRebind = null;
+    ui.setNullifierStatus(
+      `Twitter account moved to ${utils.truncateAddress(binding.address)}. You can switch back to that wallet.`,
+      'success'
+    );
+    await issueProofCredential(bundle);
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error moving nullifier: ${error.message}`);
+    reportError(ui.setNullifierStatus, 'Could not move the account', error, true);
+  }
+}
+
+/**
+ * Ask the proxy for a verifiable credential once the proof's wallet is bound
+ * A failure here leaves the proof and its binding untouched
+ * @param {Object} bundle - Proof bundle
+ */
+async function issueProofCredential(bundle) {
+  currentCredential = null;
+  
+  try {
+    const result = await api.requestCredential(bundle);
+    currentCredential = result;
+    
+    ui.setCredentialStatus(
+      `Verifiable credential issued, valid until ${new Date(result.status.expiresAt).toLocaleDateString()}.`,
+      'success',
+      true
+    );
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error requesting credential: ${error.message}`);
+    reportError(ui.setCredentialStatus, 'Could not issue a credential', error);
+  }
+}
+
+/**
+ * Handle download credential button click
+ * Saves the credential as a JWT file that can be presented to other services
+ * @param {Event} event - Click event
+ */
+function handleDownloadCredential(event) {
+  logger.info(MODULE_NAME, 'Download credential button clicked');
+  
+  if (!currentCredential) {
+    ui.setCredentialStatus('There is no credential to download yet.', 'error');
+    return;
+  }
+  
+  ui.downloadCredential(currentCredential.credential, 'twitter-zk-credential.jwt');
+}
+
+/**
+ * Offer the register on-chain button when a registry is deployed on the proof's chain
+ * @param {Object} bundle - Proof bundle
+ */
+function offerRegistration(bundle) {
+  const { chainId } = zkProof.getBundleSigner(bundle);
+  const canSubmit = Boolean(chainId && proofRegistry.getRegistryAddress(chainId)) && proofRegistry.isRegistrable(bundle);
+  
+  ui.setRegistryStatus('', 'info', canSubmit);
+}
+
+/**
+ * Handle register on-chain button click
+ * Submits the current proof to the registry contract through the connected wallet
+ * @param {Event} event - Click event
+ */
+async function handleSubmitProof(event) {
+  logger.info(MODULE_NAME, 'Register on-chain button clicked');
+  
+  const bundle = zkProof.getStoredProof();
+  
+  if (!bundle) {
+    ui.setRegistryStatus('There is no proof to register yet.', 'error');
+    return;
+  }
+  
+  try {
+    ui.setRegistryStatus('Confirm the registration transaction in your wallet...', 'info');
+    const result = await proofRegistry.submitBundle(bundle);
+    
+    ui.setRegistryStatus(
+      `Registered on-chain in block ${result.blockNumber} (transaction ${utils.truncateAddress(result.transactionHash, 10, 8)}).`,
+      'success'
+    );
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error registering proof on-chain: ${error.message}`);
+    reportError(ui.setRegistryStatus, 'On-chain registration failed', error, true);
+  }
+}
+
+/**
+ * Handle cancel proof button click
+ * @param {Event} event - Click event
+ */
+function handleCancelProof(event) {
+  logger.info(MODULE_NAME, 'Cancel proof button clicked');
+  
+  if (!zkProof.cancelProof()) {
+    logger.debug(MODULE_NAME, 'No proof in progress to cancel');
+  }
+}
+
+/**
+ * Handle download proof button click
+ * Saves the current proof bundle as a JSON file that can be shared with verifiers
+ * @param {Event} event - Click event
+ */
+function handleDownloadProof(event) {
+  logger.info(MODULE_NAME, 'Download proof button clicked');
+  
+  const bundle = zkProof.getStoredProof();
+  
+  if (!bundle) {
+    ui.setProofStatus('There is no proof to download yet.', 'error');
+    return;
+  }
+  
+  try {
+    const timestamp = bundle.createdAt.replace(/[:.]/g, '-');
+    ui.downloadProofBundle(zkProof.exportBundle(bundle), `twitter-zk-proof-${timestamp}.json`);
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error exporting proof bundle: ${error.message}`);
+    ui.setProofStatus(`Could not export the proof: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handle a proof bundle file chosen in the import input
+ * @param {File} file - Selected bundle file
+ */
+async function handleImportProof(file) {
+  logger.info(MODULE_NAME, `Importing proof bundle from ${file.name}`);
+  
+  try {
+    const bundle = zkProof.importBundle(await file.text());
+    zkProof.storeBundle(bundle);
+    
+    ui.resetProofStages();
+    ui.showProofResult(bundle, zkProof.describeClaims(zkProof.getBundleClaims(bundle), bundle.thresholds, bundle.disclosed));
+    offerRegistration(bundle);
+    ui.setProofStatus(`Proof bundle imported from ${file.name}.`, bundle.isMock ? 'info' : 'success');
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error importing proof bundle: ${error.message}`);
+    ui.setProofStatus(error.message, 'error');
+  }
+}
+
 /**
  * Handle OAuth callback from Twitter
  */
@@ -166,6 +645,11 @@ async function handleOAuthCallback() {
     const queryParams = utils.getQueryParams();
     const { code, state } = queryParams;
     
+    // Twitter (or the mock server) reports a cancelled or failed authorization in the query
+    if (queryParams.error) {
+      throw new Error(`Twitter authorization failed: ${queryParams.error_description || queryParams.error}`);
+    }
+    
     if (!code) {
       throw new Error('No authorization code received from Twitter');
     }
@@ -174,7 +658,7 @@ async function handleOAuthCallback() {
     const tokenResult = await auth.handleCallback(code, state);
     
     if (!tokenResult.success) {
-      throw new Error(tokenResult.error || 'Failed to exchange authorization code for token');
+      throw tokenResult.error || new Error('Failed to exchange authorization code for token');
     }
     
     // Update authentication state
@@ -187,6 +671,14 @@ async function handleOAuthCallback() {
     // Load user data
     await loadUserData();
     
+    // A wallet connected before logging in is linked now that the account is known
+    if (ethereum.isConnected() && authenticationState.twitter.userData) {
+      await linkWallet().catch((error) => {
+        logger.error(MODULE_NAME, `Error linking wallet: ${error.message}`);
+        reportError(ui.setWalletStatus, 'Wallet link failed', error);
+      });
+    }
+    
     // Update UI state based on both authentication methods
     updateUIState();
     
@@ -194,7 +686,7 @@ async function handleOAuthCallback() {
     window.history.replaceState({}, document.title, '/');
   } catch (error) {
     logger.error(MODULE_NAME, `Error handling OAuth callback: ${error.message}`);
-    ui.setLoginStatus(`Authentication failed: ${error.message}`, 'error');
+    reportError(ui.setLoginStatus, 'Authentication failed', error);
     authenticationState.twitter.isAuthenticated = false;
   } finally {
     ui.setLoading(false);
@@ -210,43 +702,8 @@ async function loadUserData() {
   try {
     ui.setLoading(true);
     
-    // Get user data from API
-    const userData = await api.getUserData();
-    
-    // Log the full user data to see what we're getting back
-    logger.info(MODULE_NAME, 'Received user data from API', userData);
-    
-    if (!userData || !userData.data) {
-      throw new Error('Failed to load user data: Missing data in response');
-    }
-    
-    logger.info(MODULE_NAME, 'Processing Twitter data', userData.data);
-    
-    // Ensure we have required fields
-    if (!userData.data.id) {
-      logger.warn(MODULE_NAME, 'Twitter ID missing in response');
-    }
-    
-    if (!userData.data.created_at) {
-      logger.warn(MODULE_NAME, 'Created date missing in response');
-    }
-    
-    if (!userData.data.public_metrics || userData.data.public_metrics.followers_count === undefined) {
-      logger.warn(MODULE_NAME, 'Followers count missing in response');
-    }
-    
-    // Calculate account age
-    const accountAge = utils.calculateAccountAge(userData.data.created_at);
-    
-    // Store user data with safe fallbacks for missing data
-    authenticationState.twitter.userData = {
-      id: userData.data.id || 'Not available',
-      accountAge: accountAge || 0,
-      followersCount: userData.data.public_metrics?.followers_count || 0
-    };
-    
-    // Log the processed data we're storing
-    logger.info(MODULE_NAME, 'Processed Twitter user data', authenticationState.twitter.userData);
+    // Validated profile (see twitterProfile.js); malformed responses are rejected by the model
+    authenticationState.twitter.userData = await api.getUserData();
     
     // Store in session
     utils.storeSessionData('twitter_user_data', authenticationState.twitter.userData);
@@ -257,13 +714,9 @@ async function loadUserData() {
     updateUIState();
   } catch (error) {
     logger.error(MODULE_NAME, `Error loading user data: ${error.message}`);
-    ui.setAuthStatus(`Failed to load user data: ${error.message}`, 'error');
     
-    // If the error is due to an invalid token, log out
-    if (error.message.includes('token') || error.message.includes('unauthorized')) {
-      logger.warn(MODULE_NAME, 'Invalid token detected, logging out');
-      handleLogout();
-    }
+    // An expired or missing Twitter session (AUTH_EXPIRED, AUTH_REQUIRED) logs out
+    await reportError(ui.setAuthStatus, 'Failed to load user data', error);
   } finally {
     ui.setLoading(false);
   }
@@ -272,16 +725,38 @@ async function loadUserData() {
 /**
  * Handle logout button click
  */
-function handleLogout() {
+async function handleLogout() {
   logger.info(MODULE_NAME, 'Logout button clicked');
   
   try {
-    // Log out of Twitter
-    auth.logout();
+    // Stop any proof still running for the previous session
+    zkProof.cancelProof();
+    
+    // Revoke the grant at Twitter before the session holding the tokens is dropped;
+    // the local state is reset regardless and any failure is reported below
+    const failures = [];
+    const hadTwitterSession = authenticationState.twitter.isAuthenticated;
+    
+    if (hadTwitterSession) {
+      const revocation = await auth.revokeTokens();
+      
+      if (!revocation.revoked) {
+        failures.push(`Twitter access could not be revoked (${ui.describeError(revocation.error).message})`);
+      }
+    }
+    
+    await auth.logout().catch((error) => {
+      logger.warn(MODULE_NAME, `Could not end the server session: ${error.message}`);
+      failures.push(`the server session could not be ended (${error.message})`);
+    });
     
     // Disconnect Ethereum wallet
     ethereum.disconnect();
     
+    // Drop the proof and credential of the previous session
+    zkProof.clearStoredProof();
+    currentCredential = null;
+    
     // Reset authentication state
     authenticationState = {
       twitter: {
@@ -297,8 +772,18 @@ function handleLogout() {
     // Update UI
     ui.updateLoginButtonState(false);
     ui.updateWalletButtonState(false);
+    pendingRebind = null;
+    ui.resetProofStages();
+    ui.setProofStatus('');
     ui.showLoginSection();
     
+    if (failures.length > 0) {
+      logger.warn(MODULE_NAME, 'Logged out locally with errors', failures);
+      ui.setLoginStatus(`Logged out on this device, but ${failures.join(' and ')}. You can revoke the app in your Twitter settings.`, 'error');
+      return;
+    }
+    
+    ui.setLoginStatus(hadTwitterSession ? 'Logged out and Twitter access revoked' : 'Logged out', 'success');
     logger.info(MODULE_NAME, 'Logged out successfully');
   } catch (error) {
     logger.error(MODULE_NAME, `Error during logout: ${error.message}`);
@@ -326,10 +811,10 @@ function updateUIState() {
   if (twitterAuthenticated && !authenticationState.twitter.userData) {
     logger.warn(MODULE_NAME, 'Twitter authenticated but no user data available');
     // Try to load from session storage
-    const storedTwitterData = utils.getSessionData('twitter_user_data');
-    if (storedTwitterData) {
-      logger.info(MODULE_NAME, 'Loaded Twitter data from session storage', storedTwitterData);
-      authenticationState.twitter.userData = storedTwitterData;
+    const storedProfile = twitterProfile.fromStorage(utils.getSessionData('twitter_user_data'));
+    if (storedProfile) {
+      logger.info(MODULE_NAME, 'Loaded Twitter profile from session storage');
+      authenticationState.twitter.userData = storedProfile;
     }
   }
   
@@ -1,212 +1,136 @@
 /**
  * Auth module
- * Handles OAuth 2.0 authentication flow with Twitter
+ * Handles OAuth 2.0 authentication flow with Twitter.
+ * The proxy server owns the OAuth session (state, PKCE and tokens); the
+ * browser only holds an httpOnly session cookie and never sees a token
  */
 
 import logger from './logger.js';
 import config from './config.js';
 import utils from './utils.js';
+import errors from './errors.js';
 
 // Module identifier for logging
 const MODULE_NAME = 'Auth';
 
-// Constants for storage keys
-const STORAGE_KEYS = {
-  STATE: 'twitter_oauth_state',
-  CODE_VERIFIER: 'twitter_oauth_code_verifier',
-  ACCESS_TOKEN: 'twitter_access_token'
-};
-
 // Proxy server URL (para resolver el problema de CORS)
-const PROXY_URL = 'http://localhost:3000';
+const PROXY_URL = config.getAppConfig().proxyUrl;
+
+// Keys earlier versions used to keep OAuth state and tokens in sessionStorage
+const LEGACY_STORAGE_KEYS = [
+  'twitter_oauth_state',
+  'twitter_oauth_code_verifier',
+  'twitter_access_token',
+  'twitter_refresh_handle',
+  'twitter_token_expires_at'
+];
 
 // Authentication state
 let authState = {
   isAuthenticated: false,
-  accessToken: null,
-  authorizationUrl: null,
-  state: null,
-  codeVerifier: null,
-  codeChallenge: null
+  canRefresh: false,
+  // Wallet the proxy verified for this session { address, chainId, expirationTime }
+  wallet: null
 };
 
+// Refresh in flight, shared so concurrent 401s trigger a single refresh
+let refreshPromise = null;
+
 /**
- * Initialize the authentication module
+ * Send a request to the proxy with the session cookie
+ * @param {string} path - Proxy path
+ * @param {Object} [options] - Fetch options
+ * @returns {Promise<Response>} Fetch response; rejects with PROXY_UNAVAILABLE if the proxy cannot be reached
  */
-function init() {
-  logger.info(MODULE_NAME, 'Initializing authentication module');
-  
-  // Check if we have an existing token in session storage
-  const storedToken = utils.getSessionData(STORAGE_KEYS.ACCESS_TOKEN);
-  if (storedToken) {
-    logger.info(MODULE_NAME, 'Found existing access token in session storage');
-    authState.accessToken = storedToken;
-    authState.isAuthenticated = true;
+async function sessionFetch(path, options = {}) {
+  try {
+    return await fetch(`${PROXY_URL}${path}`, {
+      ...options,
+      credentials: 'include'
+    });
+  } catch (error) {
+    throw errors.fromNetworkError(error);
   }
-  
-  return authState;
 }
 
 /**
- * Generate PKCE code challenge from verifier
- * @param {string} codeVerifier - PKCE code verifier
- * @returns {Promise<string>} Code challenge
+ * Initialize the authentication module
+ * Asks the proxy whether the session cookie belongs to a logged-in user
+ * @returns {Promise<Object>} Authentication state
  */
-async function generateCodeChallenge(codeVerifier) {
-  logger.debug(MODULE_NAME, 'Generating code challenge with PKCE');
-  
+async function init() {
+  logger.info(MODULE_NAME, 'Initializing authentication module');
+
+  // Drop tokens left behind by a version that stored them in the browser
+  LEGACY_STORAGE_KEYS.forEach((key) => utils.removeSessionData(key));
+
   try {
-    // Convert string to Uint8Array
-    const encoder = new TextEncoder();
-    const data = encoder.encode(codeVerifier);
-    
-    // Hash the verifier with SHA-256
-    const hash = await window.crypto.subtle.digest('SHA-256', data);
-    
-    // Convert hash to base64-url encoding
-    return base64UrlEncode(hash);
+    const response = await sessionFetch('/api/auth/session');
+
+    if (!response.ok) {
+      throw await errors.fromResponse(response);
+    }
+
+    const session = await response.json();
+    authState.isAuthenticated = Boolean(session.authenticated);
+    authState.canRefresh = Boolean(session.canRefresh);
+    authState.wallet = session.wallet || null;
+
+    if (authState.isAuthenticated) {
+      logger.info(MODULE_NAME, 'Found an existing Twitter session on the server');
+    }
   } catch (error) {
-    logger.error(MODULE_NAME, `Error generating code challenge: ${error.message}`);
-    throw new Error(`Failed to generate code challenge: ${error.message}`);
+    logger.warn(MODULE_NAME, `Could not check the server session: ${error.message}`);
+    authState.isAuthenticated = false;
   }
-}
 
-/**
- * Base64-URL encode a byte array
- * @param {ArrayBuffer} buffer - Byte array to encode
- * @returns {string} Base64-URL encoded string
- */
-function base64UrlEncode(buffer) {
-  // Convert ArrayBuffer to string using base64 encoding
-  const base64 = btoa(String.fromCharCode(...new Uint8Array(buffer)));
-  
-  // Convert to base64-url format
-  return base64
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=+$/, '');
+  return authState;
 }
 
 /**
- * Generate OAuth 2.0 authorization URL with PKCE
- * @returns {Promise<string>} Authorization URL
+ * Get the URL that starts the OAuth flow
+ * The proxy generates state and PKCE, stores them in the session and redirects to Twitter
+ * @returns {Promise<string>} Login URL
  */
 async function generateAuthorizationUrl() {
   logger.info(MODULE_NAME, 'Generating authorization URL');
-  
-  try {
-    // Get Twitter configuration
-    const twitterConfig = config.getTwitterConfig();
-    
-    if (!twitterConfig.clientId) {
-      throw new Error('Twitter client ID is not configured');
-    }
-    
-    // Generate state parameter for CSRF protection
-    const state = utils.generateRandomString(32);
-    
-    // Generate PKCE code verifier and challenge
-    const codeVerifier = utils.generateRandomString(128);
-    const codeChallenge = await generateCodeChallenge(codeVerifier);
-    
-    // Store state and code verifier in session storage
-    utils.storeSessionData(STORAGE_KEYS.STATE, state);
-    utils.storeSessionData(STORAGE_KEYS.CODE_VERIFIER, codeVerifier);
-    
-    // Update auth state
-    authState.state = state;
-    authState.codeVerifier = codeVerifier;
-    authState.codeChallenge = codeChallenge;
-    
-    // Generate authorization URL
-    const authUrl = new URL('https://x.com/i/oauth2/authorize');
-    
-    // Add query parameters
-    authUrl.searchParams.append('response_type', 'code');
-    authUrl.searchParams.append('client_id', twitterConfig.clientId);
-    authUrl.searchParams.append('redirect_uri', twitterConfig.redirectUri);
-    authUrl.searchParams.append('scope', twitterConfig.scopes.join(' '));
-    authUrl.searchParams.append('state', state);
-    authUrl.searchParams.append('code_challenge', codeChallenge);
-    authUrl.searchParams.append('code_challenge_method', 'S256');
-    
-    // Store authorization URL
-    authState.authorizationUrl = authUrl.toString();
-    
-    logger.debug(MODULE_NAME, `Authorization URL generated: ${authState.authorizationUrl}`);
-    
-    return authState.authorizationUrl;
-  } catch (error) {
-    logger.error(MODULE_NAME, `Error generating authorization URL: ${error.message}`);
-    throw new Error(`Failed to generate authorization URL: ${error.message}`);
-  }
+
+  return `${PROXY_URL}${config.getTwitterConfig().loginPath}`;
 }
 
 /**
  * Handle authorization callback
+ * Sends the code and state to the proxy, which checks the state against the
+ * session and exchanges the code for tokens
  * @param {string} code - Authorization code from Twitter
  * @param {string} state - State parameter from callback
- * @returns {Promise<Object>} Result of the token exchange
+ * @returns {Promise<Object>} { success: true }, or { success: false, error } with the typed error
  */
 async function handleCallback(code, state) {
   logger.info(MODULE_NAME, 'Handling authorization callback');
-  
+
   try {
-    // Verify state parameter
-    const storedState = utils.getSessionData(STORAGE_KEYS.STATE);
-    
-    if (!storedState || state !== storedState) {
-      logger.error(MODULE_NAME, 'State mismatch - possible CSRF attack');
-      return { success: false, error: 'Invalid state parameter' };
-    }
-    
-    // Get code verifier
-    const codeVerifier = utils.getSessionData(STORAGE_KEYS.CODE_VERIFIER);
-    
-    if (!codeVerifier) {
-      logger.error(MODULE_NAME, 'Code verifier not found in session storage');
-      return { success: false, error: 'Code verifier not found' };
-    }
-    
-    // Exchange code for token via proxy server
-    const response = await fetch(`${PROXY_URL}/api/twitter/token`, {
+    const response = await sessionFetch('/api/auth/callback', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ code, codeVerifier })
+      body: JSON.stringify({ code, state })
     });
-    
-    // Check for error response
+
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.error || `HTTP error ${response.status}`);
+      throw await errors.fromResponse(response);
     }
-    
-    // Parse token response
-    const tokenData = await response.json();
-    
-    if (!tokenData.access_token) {
-      throw new Error('No access token received');
-    }
-    
-    // Store access token
-    authState.accessToken = tokenData.access_token;
+
     authState.isAuthenticated = true;
-    
-    // Save to session storage
-    utils.storeSessionData(STORAGE_KEYS.ACCESS_TOKEN, tokenData.access_token);
-    
-    // Clean up state and code verifier
-    utils.removeSessionData(STORAGE_KEYS.STATE);
-    utils.removeSessionData(STORAGE_KEYS.CODE_VERIFIER);
-    
-    logger.info(MODULE_NAME, 'Authorization code successfully exchanged for token');
-    
+    authState.canRefresh = true;
+
+    logger.info(MODULE_NAME, 'Authorization code successfully exchanged on the server');
+
     return { success: true };
   } catch (error) {
     logger.error(MODULE_NAME, `Error handling callback: ${error.message}`);
-    return { success: false, error: error.message };
+    return { success: false, error };
   }
 }
 
@@ -219,26 +143,78 @@ function isAuthenticated() {
 }
 
 /**
- * Get access token for API requests
- * @returns {string|null} Access token or null if not authenticated
+ * Ask the proxy to refresh the session's access token
+ * @returns {Promise<void>} Rejects if the session cannot be renewed
  */
-function getAccessToken() {
-  return authState.accessToken;
+async function requestRefresh() {
+  logger.info(MODULE_NAME, 'Refreshing access token');
+
+  const response = await sessionFetch('/api/twitter/refresh', { method: 'POST' });
+
+  if (!response.ok) {
+    authState.isAuthenticated = false;
+    throw await errors.fromResponse(response);
+  }
+
+  logger.info(MODULE_NAME, 'Access token refreshed');
 }
 
 /**
- * Log out user by clearing authentication data
+ * Refresh the session's access token, sharing a refresh already in flight
+ * @returns {Promise<void>} Rejects if the session cannot be renewed
  */
-function logout() {
+function refreshAccessToken() {
+  if (!refreshPromise) {
+    refreshPromise = requestRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+}
+
+/**
+ * Ask the proxy to revoke the session's tokens at Twitter
+ * Resolves with the outcome instead of throwing, so logout can go on and
+ * report what is still live
+ * @returns {Promise<Object>} { revoked: true } or { revoked: false, error } with the typed error
+ */
+async function revokeTokens() {
+  logger.info(MODULE_NAME, 'Revoking Twitter tokens');
+
+  try {
+    const response = await sessionFetch('/api/twitter/revoke', { method: 'POST' });
+
+    if (!response.ok) {
+      throw await errors.fromResponse(response);
+    }
+
+    logger.info(MODULE_NAME, 'Twitter tokens revoked');
+    return { revoked: true };
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error revoking Twitter tokens: ${error.message}`);
+    return { revoked: false, error };
+  }
+}
+
+/**
+ * Log out user by ending the server session
+ * @returns {Promise<void>}
+ */
+async function logout() {
   logger.info(MODULE_NAME, 'Logging out user');
-  
+
   // Clear authentication state
   authState.isAuthenticated = false;
-  authState.accessToken = null;
-  
-  // Remove from session storage
-  utils.removeSessionData(STORAGE_KEYS.ACCESS_TOKEN);
-  
+  authState.canRefresh = false;
+  authState.wallet = null;
+
+  const response = await sessionFetch('/api/auth/logout', { method: 'POST' });
+
+  if (!response.ok) {
+    throw await errors.fromResponse(response);
+  }
+
   logger.debug(MODULE_NAME, 'User logged out successfully');
 }
 
@@ -247,6 +223,8 @@ export default {
   generateAuthorizationUrl,
   handleCallback,
   isAuthenticated,
-  getAccessToken,
+  sessionFetch,
+  refreshAccessToken,
+  revokeTokens,
   logout
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,191 @@
+/**
+ * Circuit artifacts module
+ * Loads the precompiled Noir circuit described by the artifact manifest,
+ * checks it against the manifest hash and caches it in IndexedDB
+ */
+
+import logger from './logger.js';
+import config from './config.js';
+
+// Module identifier for logging
+const MODULE_NAME = 'CircuitArtifacts';
+
+// IndexedDB settings for the artifact cache
+const CACHE_DB = {
+  NAME: 'twitter_zk',
+  VERSION: 1,
+  STORE: 'circuit_artifacts'
+};
+
+// Prefix of the content hash recorded in the manifest
+const HASH_PREFIX = 'sha256:';
+
+/**
+ * Compute the SHA-256 hash of a byte array
+ * @param {ArrayBuffer} bytes - Data to hash
+ * @returns {Promise<string>} Hash in manifest format (sha256:<hex>)
+ */
+async function hashArtifact(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  const hex = Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+  return `${HASH_PREFIX}${hex}`;
+}
+
+/**
+ * Open the artifact cache database
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+function openCache() {
+  if (typeof indexedDB === 'undefined') {
+    logger.warn(MODULE_NAME, 'IndexedDB is not available, circuit artifacts will not be cached');
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const request = indexedDB.open(CACHE_DB.NAME, CACHE_DB.VERSION);
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(CACHE_DB.STORE, { keyPath: 'name' });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+
+    // A broken cache must never block proving, so errors fall back to no cache
+    request.onerror = () => {
+      logger.warn(MODULE_NAME, `Could not open artifact cache: ${request.error?.message}`);
+      resolve(null);
+    };
+  });
+}
+
+/**
+ * Run a single request against the artifact store
+ * @param {IDBDatabase} db - Cache database
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Request result, or null on failure
+ */
+function runCacheRequest(db, mode, operation) {
+  return new Promise((resolve) => {
+    try {
+      const store = db.transaction(CACHE_DB.STORE, mode).objectStore(CACHE_DB.STORE);
+      const request = operation(store);
+
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => {
+        logger.warn(MODULE_NAME, `Artifact cache request failed: ${request.error?.message}`);
+        resolve(null);
+      };
+    } catch (error) {
+      logger.warn(MODULE_NAME, `Artifact cache unavailable: ${error.message}`);
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Fetch the artifact manifest served by the proxy
+ * @returns {Promise<Object>} Manifest { circuits: { [name]: { version, artifact, hash } } }
+ */
+async function fetchManifest() {
+  const manifestUrl = `${config.getAppConfig().proxyUrl}${config.getZkProofConfig().manifestPath}`;
+
+  logger.debug(MODULE_NAME, `Fetching circuit manifest from ${manifestUrl}`);
+
+  const response = await fetch(manifestUrl, { cache: 'no-store' });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch circuit manifest: ${response.status}`);
+  }
+
+  const manifest = await response.json();
+
+  if (!manifest || !manifest.circuits) {
+    throw new Error('Invalid circuit manifest');
+  }
+
+  return manifest;
+}
+
+/**
+ * Load a precompiled circuit, from cache when its hash matches the manifest
+ * @param {string} name - Circuit name as listed in the manifest
+ * @returns {Promise<Object>} Circuit { name, version, hash, program }
+ */
+async function loadCircuit(name) {
+  logger.info(MODULE_NAME, `Loading compiled circuit: ${name}`);
+
+  const manifest = await fetchManifest();
+  const entry = manifest.circuits[name];
+
+  if (!entry || !entry.artifact || !entry.hash) {
+    throw new Error(`Circuit ${name} is not listed in the manifest`);
+  }
+
+  const db = await openCache();
+
+  // Reuse the cached artifact only if it is the exact build the manifest describes
+  if (db) {
+    const cached = await runCacheRequest(db, 'readonly', (store) => store.get(name));
+
+    if (cached && cached.hash === entry.hash) {
+      logger.info(MODULE_NAME, `Using cached circuit ${name}@${cached.version}`);
+      db.close();
+      return cached;
+    }
+  }
+
+  const artifactUrl = new URL(entry.artifact, `${config.getAppConfig().proxyUrl}${config.getZkProofConfig().manifestPath}`);
+  const response = await fetch(artifactUrl);
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch circuit artifact: ${response.status}`);
+  }
+
+  const bytes = await response.arrayBuffer();
+  const hash = await hashArtifact(bytes);
+
+  if (hash !== entry.hash) {
+    logger.error(MODULE_NAME, 'Circuit artifact hash mismatch', { expected: entry.hash, actual: hash });
+    throw new Error(`Circuit artifact ${name} failed the integrity check`);
+  }
+
+  const circuit = {
+    name,
+    version: entry.version,
+    hash,
+    program: JSON.parse(new TextDecoder().decode(bytes)),
+    storedAt: new Date().toISOString()
+  };
+
+  if (db) {
+    await runCacheRequest(db, 'readwrite', (store) => store.put(circuit));
+    db.close();
+  }
+
+  logger.info(MODULE_NAME, `Circuit ${name}@${entry.version} loaded and verified`);
+
+  return circuit;
+}
+
+/**
+ * Remove all cached circuit artifacts
+ * @returns {Promise<void>}
+ */
+async function clearCache() {
+  const db = await openCache();
+
+  if (db) {
+    await runCacheRequest(db, 'readwrite', (store) => store.clear());
+    db.close();
+    logger.info(MODULE_NAME, 'Circuit artifact cache cleared');
+  }
+}
+
+export default {
+  loadCircuit,
+  clearCache
+};
@@ -4,26 +4,74 @@
  */
 
 import logger from './logger.js';
+import fileConfig from '../../@config.json';
 
 // Module identifier for logging
 const MODULE_NAME = 'Config';
 
-// Load configuration from @config.json (this would normally come from a build process)
+// Chain used when @config.json lists none
+const MAINNET = {
+  chainId: '0x1',
+  chainName: 'Ethereum Mainnet',
+  nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+  rpcUrls: ['https://ethereum-rpc.publicnode.com'],
+  blockExplorerUrls: ['https://etherscan.io']
+};
+
+// Follower tier bounds; the tier circuit takes exactly this many (TIER_BOUNDS in
+// circuits/claims/follower_tier)
+const DEFAULT_FOLLOWER_TIERS = [1000, 10000, 100000];
+
+// Claims selected when @config.json names none; followerTier is proven on its own,
+// so it is never part of a default selection
+const DEFAULT_CLAIMS = ['accountAge', 'followers'];
+
+// Load configuration from @config.json (bundled at build time)
 const CONFIG = {
   twitter: {
-    clientId: process.env.TWITTER_CLIENT_ID || '',
-    scopes: ['tweet.read', 'users.read'],
-    redirectUri: 'http://localhost:1234/callback'
+    // OAuth runs on the proxy: client ID, scopes and redirect URI live in the server's .env
+    loginPath: '/api/auth/login',
+    // Set together with the proxy's TWITTER_MOCK: logins go to the local mock server
+    mock: process.env.TWITTER_MOCK === 'true'
   },
   ethereum: {
     required: true, // Both Twitter and Ethereum auth are required
-    networkName: 'Ethereum Mainnet',
-    chainId: '0x1' // Hex string for Ethereum Mainnet
+    // Chains a wallet may be linked on, as wallet_addEthereumChain (EIP-3085) parameters
+    supportedChains: fileConfig.ethereum?.supportedChains || [MAINNET],
+    // Chain the wallet is asked to switch to first (hex string)
+    chainId: fileConfig.ethereum?.defaultChainId || '0x1',
+    // Default format of the wallet link signature: 'personal_sign' (EIP-4361 text) or 'eip712' (typed data)
+    signingMode: fileConfig.ethereum?.signingMode || 'personal_sign',
+    // TwitterLinkRegistry address by hex chain ID; proofs can be submitted on-chain where one is set
+    registryAddresses: fileConfig.ethereum?.registryAddresses || {}
+  },
+  zkProof: {
+    // 'noir' uses the real noir_js/bb.js toolchain; 'mock' is only honoured in test mode
+    backend: process.env.ZK_BACKEND || 'noir',
+    testMode: process.env.ZK_TEST_MODE === 'true',
+    // Manifest of the precompiled circuit artifacts, served by the proxy
+    manifestPath: fileConfig.zkProof?.circuitPaths?.manifest || '/circuits/manifest.json',
+    // Maximum time a proof may run in the worker before it is cancelled
+    proofTimeoutMs: fileConfig.zkProof?.proofTimeoutMs ?? 10 * 60 * 1000,
+    // Scope of the account nullifier; one account can back one wallet per scope
+    nullifierScope: fileConfig.zkProof?.nullifierScope || 'twitter-zk-wallet-link',
+    // Proof transcript hash: 'poseidon2' (default) or 'keccak', which the Solidity verifier requires
+    transcript: fileConfig.zkProof?.transcript || 'poseidon2',
+    // Claims selected by default in the proof form; each selection is proven by its own circuit
+    claims: fileConfig.zkProof?.claims || DEFAULT_CLAIMS,
+    // Claim thresholds, passed to the circuit as public inputs
+    thresholds: {
+      minAccountAgeDays: fileConfig.twitter?.minAccountAgeDays,
+      minFollowers: fileConfig.twitter?.minFollowers,
+      // Ascending lower bounds of the follower tiers above tier 0 (<1k, 1k-10k, 10k-100k, 100k+)
+      followerTiers: fileConfig.twitter?.followerTiers || DEFAULT_FOLLOWER_TIERS
+    }
   },
   application: {
     name: 'Twitter & Ethereum Login App',
     version: '1.0.0',
-    logLevel: 'info'
+    proxyUrl: process.env.PROXY_URL || 'http://localhost:3000',
+    logLevel: fileConfig.logging?.level || 'info'
   }
 };
 
@@ -52,21 +100,72 @@ function init() {
  * Logs warnings for missing or invalid configuration
  */
 function validateConfig() {
-  // Check for Twitter client ID
-  if (!CONFIG.twitter.clientId) {
-    logger.warn(MODULE_NAME, 'Twitter Client ID not set. Authentication will not work.');
+  if (CONFIG.twitter.mock) {
+    logger.warn(MODULE_NAME, 'TWITTER_MOCK is set: logins use the fake profiles of the local mock Twitter server');
+  }
+  
+  // The mock proving backend must never be selected outside of test mode
+  if (CONFIG.zkProof.backend === 'mock' && !CONFIG.zkProof.testMode) {
+    logger.warn(MODULE_NAME, 'Mock ZK backend requested without ZK_TEST_MODE. Using the real Noir backend.');
+    CONFIG.zkProof.backend = 'noir';
+  }
+  
+  // Chain IDs are compared as lowercase hex, the way wallets report them
+  const ethConfig = CONFIG.ethereum;
+  ethConfig.supportedChains = ethConfig.supportedChains
+    .filter((chain) => /^0x[0-9a-fA-F]+$/.test(chain.chainId))
+    .map((chain) => ({ ...chain, chainId: chain.chainId.toLowerCase() }));
+  
+  if (ethConfig.supportedChains.length === 0) {
+    logger.warn(MODULE_NAME, 'No valid supportedChains in @config.json. Using Ethereum Mainnet.');
+    ethConfig.supportedChains = [MAINNET];
+  }
+  
+  ethConfig.chainId = ethConfig.chainId.toLowerCase();
+  
+  if (!ethConfig.supportedChains.some((chain) => chain.chainId === ethConfig.chainId)) {
+    logger.warn(MODULE_NAME, `defaultChainId ${ethConfig.chainId} is not in supportedChains. Using ${ethConfig.supportedChains[0].chainId}.`);
+    ethConfig.chainId = ethConfig.supportedChains[0].chainId;
+  }
+  
+  if (!['personal_sign', 'eip712'].includes(CONFIG.ethereum.signingMode)) {
+    logger.warn(MODULE_NAME, `Unknown signing mode in @config.json: ${CONFIG.ethereum.signingMode}. Using personal_sign.`);
+    CONFIG.ethereum.signingMode = 'personal_sign';
+  }
+  
+  ethConfig.registryAddresses = Object.fromEntries(
+    Object.entries(ethConfig.registryAddresses)
+      .filter(([chainId, address]) => /^0x[0-9a-fA-F]+$/.test(chainId) && /^0x[0-9a-fA-F]{40}$/.test(address || ''))
+      .map(([chainId, address]) => [chainId.toLowerCase(), address])
+  );
+  
+  if (!['poseidon2', 'keccak'].includes(CONFIG.zkProof.transcript)) {
+    logger.warn(MODULE_NAME, `Unknown proof transcript in @config.json: ${CONFIG.zkProof.transcript}. Using poseidon2.`);
+    CONFIG.zkProof.transcript = 'poseidon2';
   }
   
-  // Check redirect URI
-  if (!CONFIG.twitter.redirectUri) {
-    logger.warn(MODULE_NAME, 'Twitter redirect URI not set. Using default: http://localhost:1234/callback');
-    CONFIG.twitter.redirectUri = 'http://localhost:1234/callback';
+  const knownClaims = ['accountAge', 'followers', 'followerTier'];
+  if (!Array.isArray(CONFIG.zkProof.claims) || CONFIG.zkProof.claims.length === 0 ||
+      CONFIG.zkProof.claims.some((claim) => !knownClaims.includes(claim))) {
+    logger.warn(MODULE_NAME, `Invalid zkProof.claims in @config.json: ${JSON.stringify(CONFIG.zkProof.claims)}. Using default: ${JSON.stringify(DEFAULT_CLAIMS)}`);
+    CONFIG.zkProof.claims = DEFAULT_CLAIMS;
   }
   
-  // Check scopes
-  if (!CONFIG.twitter.scopes || CONFIG.twitter.scopes.length === 0) {
-    logger.warn(MODULE_NAME, 'Twitter scopes not set. Using defaults: tweet.read, users.read');
-    CONFIG.twitter.scopes = ['tweet.read', 'users.read'];
+  // Check claim thresholds (non-negative integers, as the circuit uses u64)
+  const { followerTiers, ...thresholds } = CONFIG.zkProof.thresholds;
+  for (const [name, value] of Object.entries(thresholds)) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      logger.warn(MODULE_NAME, `Invalid threshold ${name} in @config.json: ${value}. Using default: 150`);
+      CONFIG.zkProof.thresholds[name] = 150;
+    }
+  }
+  
+  // The tier circuit needs a fixed number of strictly ascending bounds
+  const validTiers = Array.isArray(followerTiers) && followerTiers.length === DEFAULT_FOLLOWER_TIERS.length &&
+    followerTiers.every((bound, index) => Number.isSafeInteger(bound) && bound > (index > 0 ? followerTiers[index - 1] : 0));
+  if (!validTiers) {
+    logger.warn(MODULE_NAME, `Invalid followerTiers in @config.json: ${JSON.stringify(followerTiers)}. Using default: ${JSON.stringify(DEFAULT_FOLLOWER_TIERS)}`);
+    CONFIG.zkProof.thresholds.followerTiers = DEFAULT_FOLLOWER_TIERS;
   }
 }
 
@@ -94,6 +193,14 @@ function getEthereumConfig() {
   return CONFIG.ethereum;
 }
 
+/**
+ * Get ZK proof configuration
+ * @returns {Object} ZK proof-specific configuration
+ */
+function getZkProofConfig() {
+  return CONFIG.zkProof;
+}
+
 /**
  * Get application configuration
  * @returns {Object} Application-specific configuration
@@ -107,5 +214,6 @@ export default {
   getConfig,
   getTwitterConfig,
   getEthereumConfig,
+  getZkProofConfig,
   getAppConfig
 }; 
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * Errors module
+ * Typed errors with stable codes. The proxy answers every failure with
+ * { error: { code, message, details } } (see server/errors.js), and the client
+ * modules raise the same classes for their own failures, so callers branch on
+ * error.code and ui.describeError turns the code into a message for the user
+ */
+
+// Must match ERROR_CODES in server/errors.js, except the browser-only codes at the end
+const ERROR_CODES = Object.freeze({
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_EXPIRED: 'AUTH_EXPIRED',
+  LOGIN_EXPIRED: 'LOGIN_EXPIRED',
+  STATE_MISMATCH: 'STATE_MISMATCH',
+  FORBIDDEN_ORIGIN: 'FORBIDDEN_ORIGIN',
+  RATE_LIMITED: 'RATE_LIMITED',
+  TWITTER_ERROR: 'TWITTER_ERROR',
+  TWITTER_UNAVAILABLE: 'TWITTER_UNAVAILABLE',
+  WALLET_LINK_INVALID: 'WALLET_LINK_INVALID',
+  NETWORK_UNSUPPORTED: 'NETWORK_UNSUPPORTED',
+  PROOF_INVALID: 'PROOF_INVALID',
+  NULLIFIER_CONFLICT: 'NULLIFIER_CONFLICT',
+  CREDENTIAL_REJECTED: 'CREDENTIAL_REJECTED',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  INTERNAL: 'INTERNAL',
+
+  // Raised in the browser only
+  PROXY_UNAVAILABLE: 'PROXY_UNAVAILABLE',
+  WALLET_REJECTED: 'WALLET_REJECTED',
+  WALLET_UNAVAILABLE: 'WALLET_UNAVAILABLE',
+  PROOF_FAILED: 'PROOF_FAILED'
+});
+
+// What the user can do about an error; ui.describeError picks one per code
+const RECOVERY_ACTIONS = Object.freeze({
+  RELOGIN: 'relogin',
+  RETRY: 'retry',
+  CONNECT_WALLET: 'connect-wallet',
+  SWITCH_NETWORK: 'switch-network'
+});
+
+// EIP-1193 code for a request the user rejected; ethers v5 reports it as ACTION_REJECTED
+const USER_REJECTED_CODES = [4001, 'ACTION_REJECTED'];
+
+/**
+ * Error with a stable code from ERROR_CODES
+ */
+class AppError extends Error {
+  /**
+   * @param {string} code - Code from ERROR_CODES
+   * @param {string} message - Technical message, for logs and as a fallback in the UI
+   * @param {Object} [options] - Error options
+   * @param {number} [options.status] - HTTP status, for errors answered by the proxy
+   * @param {Object} [options.details] - Extra data sent by the proxy
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(code, message, { status = null, details = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'AppError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Twitter session errors: the user has to log in (again)
+ */
+class AuthError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * Twitter rate limit; retryAfter is the number of seconds to wait, when known
+ */
+class RateLimitError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'RateLimitError';
+    this.retryAfter = Number.isFinite(this.details?.retryAfter) ? this.details.retryAfter : null;
+  }
+}
+
+/**
+ * Wallet errors: rejected requests, missing wallets and rejected links
+ */
+class WalletError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'WalletError';
+  }
+}
+
+/**
+ * Proof errors: proving failures in the browser and proofs the proxy rejects
+ */
+class ProofError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'ProofError';
+  }
+}
+
+// Class raised for each code; codes not listed use AppError
+const ERROR_CLASSES = {
+  [ERROR_CODES.AUTH_REQUIRED]: AuthError,
+  [ERROR_CODES.AUTH_EXPIRED]: AuthError,
+  [ERROR_CODES.LOGIN_EXPIRED]: AuthError,
+  [ERROR_CODES.STATE_MISMATCH]: AuthError,
+  [ERROR_CODES.RATE_LIMITED]: RateLimitError,
+  [ERROR_CODES.WALLET_REJECTED]: WalletError,
+  [ERROR_CODES.WALLET_UNAVAILABLE]: WalletError,
+  [ERROR_CODES.WALLET_LINK_INVALID]: WalletError,
+  [ERROR_CODES.NETWORK_UNSUPPORTED]: WalletError,
+  [ERROR_CODES.PROOF_FAILED]: ProofError,
+  [ERROR_CODES.PROOF_INVALID]: ProofError
+};
+
+/**
+ * Create the typed error for a code
+ * @param {string} code - Code from ERROR_CODES
+ * @param {string} message - Technical message
+ * @param {Object} [options] - { status, details, cause }
+ * @returns {AppError} Error of the class registered for the code
+ */
+function createError(code, message, options) {
+  const ErrorClass = ERROR_CLASSES[code] || AppError;
+  return new ErrorClass(code, message, options);
+}
+
+/**
+ * Pick a code for a failed response without an error envelope
+ * @param {number} status - HTTP status
+ * @returns {string} Code from ERROR_CODES
+ */
+function getCodeForStatus(status) {
+  if (status === 401) {
+    return ERROR_CODES.AUTH_REQUIRED;
+  }
+
+  if (status === 404) {
+    return ERROR_CODES.NOT_FOUND;
+  }
+
+  if (status === 429) {
+    return ERROR_CODES.RATE_LIMITED;
+  }
+
+  return status >= 500 ? ERROR_CODES.INTERNAL : ERROR_CODES.INVALID_REQUEST;
+}
+
+/**
+ * Build the typed error of a failed proxy response from its error envelope
+ * @param {Response} response - Fetch response that is not ok
+ * @returns {Promise<AppError>} Error with the code, message and details sent by the proxy
+ */
+async function fromResponse(response) {
+  const body = await response.json().catch(() => null);
+  const envelope = body && typeof body.error === 'object' ? body.error : null;
+  const code = envelope && ERROR_CODES[envelope.code] ? envelope.code : getCodeForStatus(response.status);
+
+  return createError(code, envelope?.message || `HTTP error ${response.status}`, {
+    status: response.status,
+    details: envelope?.details || null
+  });
+}
+
+/**
+ * Turn a fetch that never reached the proxy into a typed error
+ * @param {Error} error - Error thrown by fetch
+ * @returns {AppError} PROXY_UNAVAILABLE error
+ */
+function fromNetworkError(error) {
+  return new AppError(ERROR_CODES.PROXY_UNAVAILABLE, `Could not reach the proxy server: ${error.message}`, { cause: error });
+}
+
+/**
+ * Turn a wallet error the user caused by rejecting a request into a WALLET_REJECTED error
+ * Other errors are returned unchanged
+ * @param {Error} error - Error thrown by the wallet or ethers
+ * @returns {Error} WalletError or the original error
+ */
+function fromWalletError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  // Some wallets wrap the EIP-1193 error in data.originalError
+  const code = error?.data?.originalError?.code ?? error?.code;
+
+  if (USER_REJECTED_CODES.includes(code)) {
+    return new WalletError(ERROR_CODES.WALLET_REJECTED, error.message, { cause: error });
+  }
+
+  return error;
+}
+
+/**
+ * Get the code of an error
+ * @param {Error} error - Any error
+ * @returns {string|null} Code from ERROR_CODES, or null for untyped errors
+ */
+function getErrorCode(error) {
+  return error instanceof AppError ? error.code : null;
+}
+
+export default {
+  ERROR_CODES,
+  RECOVERY_ACTIONS,
+  AppError,
+  AuthError,
+  RateLimitError,
+  WalletError,
+  ProofError,
+  createError,
+  fromResponse,
+  fromNetworkError,
+  fromWalletError,
+  getErrorCode
+};
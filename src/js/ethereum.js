@@ -1,11 +1,14 @@
 /**
  * Ethereum module
- * Handles MetaMask wallet connection and Ethereum interactions
+ * Handles wallet connection and Ethereum interactions through the wallet
+ * selected in walletDiscovery.js (EIP-6963)
  */
 
 import logger from './logger.js';
 import config from './config.js';
 import utils from './utils.js';
+import walletDiscovery from './walletDiscovery.js';
+import errors from './errors.js';
 
 // Module identifier for logging
 const MODULE_NAME = 'Ethereum';
@@ -23,22 +26,27 @@ let ethState = {
   network: null
 };
 
+// Provider the account and chain listeners are attached to
+let listenedProvider = null;
+
 /**
  * Initialize the Ethereum module
- * Checks for existing connection and sets up event listeners
+ * Discovers the installed wallets, checks for an existing connection and sets up event listeners
  */
 function init() {
   logger.info(MODULE_NAME, 'Initializing Ethereum module');
   
-  // Check if MetaMask is installed
-  if (!isMetaMaskAvailable()) {
-    logger.warn(MODULE_NAME, 'MetaMask is not available');
+  walletDiscovery.init();
+  
+  // Check if a wallet is installed
+  if (!isWalletAvailable()) {
+    logger.warn(MODULE_NAME, 'No Ethereum wallet is available');
     return ethState;
   }
   
-  // Check if we have an existing connection in session storage
+  // Check if we have an existing connection in session storage; it belongs to the remembered wallet
   const storedAddress = utils.getSessionData(STORAGE_KEYS.ETH_ADDRESS);
-  if (storedAddress) {
+  if (storedAddress && walletDiscovery.getProvider()) {
     logger.info(MODULE_NAME, 'Found existing Ethereum address in session storage');
     ethState.address = storedAddress;
     ethState.isConnected = true;
@@ -51,101 +59,143 @@ function init() {
 }
 
 /**
- * Check if MetaMask is available in the browser
- * @returns {boolean} True if MetaMask is available
+ * Check if any Ethereum wallet is installed in the browser
+ * @returns {boolean} True if at least one wallet is available
+ */
+function isWalletAvailable() {
+  return walletDiscovery.getWallets().length > 0;
+}
+
+/**
+ * Check if the user has to pick one of several installed wallets before connecting
+ * @returns {boolean} True if no wallet is remembered and more than one is installed
+ */
+function needsWalletChoice() {
+  return isWalletAvailable() && !walletDiscovery.getSelectedWallet();
+}
+
+/**
+ * Get the EIP-1193 provider of the selected wallet
+ * @returns {Object} Provider
+ */
+function getProvider() {
+  const provider = walletDiscovery.getProvider();
+  
+  if (!provider) {
+    throw new errors.WalletError(errors.ERROR_CODES.WALLET_UNAVAILABLE,
+      isWalletAvailable() ? 'Choose a wallet to connect' : 'No Ethereum wallet is installed');
+  }
+  
+  return provider;
+}
+
+/**
+ * Handle an account change in the wallet
+ * @param {Array<string>} accounts - Accounts exposed by the wallet
  */
-function isMetaMaskAvailable() {
-  return typeof window.ethereum !== 'undefined';
+function handleAccountsChanged(accounts) {
+  logger.info(MODULE_NAME, 'Wallet accounts changed');
+  
+  if (accounts.length === 0) {
+    // User has disconnected
+    logger.info(MODULE_NAME, 'User disconnected the wallet');
+    disconnect();
+  } else {
+    // Update address
+    ethState.address = accounts[0];
+    utils.storeSessionData(STORAGE_KEYS.ETH_ADDRESS, accounts[0]);
+    
+    // Dispatch custom event to notify the application
+    window.dispatchEvent(new CustomEvent('ethereum_connection_changed', { 
+      detail: { isConnected: true, address: accounts[0] }
+    }));
+  }
 }
 
 /**
- * Set up event listeners for MetaMask
- * Handles account and chain changes
+ * Handle a chain change in the wallet
+ * @param {string} chainId - Hex chain ID
+ */
+function handleChainChanged(chainId) {
+  logger.info(MODULE_NAME, `Wallet chain changed to ${chainId}`);
+  utils.storeSessionData(STORAGE_KEYS.ETH_NETWORK, chainId);
+  
+  const chain = getSupportedChain(chainId);
+  ethState.network = chain ? chain.chainName : chainId;
+  
+  if (!chain) {
+    logger.warn(MODULE_NAME, `Wallet switched to an unsupported network: ${chainId}`);
+  }
+  
+  // Let the application prompt for a switch, or drop the prompt once the network is supported
+  window.dispatchEvent(new CustomEvent('ethereum_network_changed', {
+    detail: { isCorrectNetwork: Boolean(chain), chainId: chainId }
+  }));
+}
+
+/**
+ * Set up event listeners on the selected wallet
+ * Handles account and chain changes; listeners move along if another wallet is selected
  */
 function setupEventListeners() {
-  if (!isMetaMaskAvailable()) {
+  const provider = walletDiscovery.getProvider();
+  
+  if (!provider || provider === listenedProvider) {
     return;
   }
   
-  // Listen for account changes
-  window.ethereum.on('accountsChanged', (accounts) => {
-    logger.info(MODULE_NAME, 'MetaMask accounts changed');
-    
-    if (accounts.length === 0) {
-      // User has disconnected
-      logger.info(MODULE_NAME, 'User disconnected from MetaMask');
-      disconnect();
-    } else {
-      // Update address
-      ethState.address = accounts[0];
-      utils.storeSessionData(STORAGE_KEYS.ETH_ADDRESS, accounts[0]);
-      
-      // Dispatch custom event to notify the application
-      window.dispatchEvent(new CustomEvent('ethereum_connection_changed', { 
-        detail: { isConnected: true, address: accounts[0] }
-      }));
-    }
-  });
+  if (listenedProvider) {
+    listenedProvider.removeListener('accountsChanged', handleAccountsChanged);
+    listenedProvider.removeListener('chainChanged', handleChainChanged);
+  }
   
-  // Listen for chain changes
-  window.ethereum.on('chainChanged', (chainId) => {
-    logger.info(MODULE_NAME, `MetaMask chain changed to ${chainId}`);
-    
-    // Check if the network is correct
-    const ethConfig = config.getEthereumConfig();
-    if (chainId !== ethConfig.chainId) {
-      logger.warn(MODULE_NAME, `Connected to incorrect network: ${chainId}. Expected: ${ethConfig.chainId}`);
-      
-      // Dispatch event for incorrect network
-      window.dispatchEvent(new CustomEvent('ethereum_network_changed', {
-        detail: { isCorrectNetwork: false, chainId: chainId }
-      }));
-    }
-  });
+  provider.on('accountsChanged', handleAccountsChanged);
+  provider.on('chainChanged', handleChainChanged);
+  listenedProvider = provider;
 }
 
 /**
- * Connect to MetaMask wallet
+ * Connect to the selected wallet
  * @returns {Promise<Object>} Connection result with address
  */
 async function connect() {
-  logger.info(MODULE_NAME, 'Connecting to MetaMask');
+  logger.info(MODULE_NAME, 'Connecting to wallet');
   
-  if (!isMetaMaskAvailable()) {
-    const error = new Error('MetaMask is not installed');
+  let provider;
+  
+  try {
+    provider = getProvider();
+  } catch (error) {
     logger.error(MODULE_NAME, error.message);
     throw error;
   }
   
   try {
-    // Request accounts from MetaMask
-    const accounts = await window.ethereum.request({
+    // Request accounts from the wallet
+    const accounts = await provider.request({
       method: 'eth_requestAccounts'
     });
     
     // Check if we received accounts
     if (accounts.length === 0) {
-      const error = new Error('No accounts returned from MetaMask');
+      const error = new Error('No accounts returned from the wallet');
       logger.error(MODULE_NAME, error.message);
       throw error;
     }
     
     // Check network
-    const chainId = await window.ethereum.request({
+    const chainId = await provider.request({
       method: 'eth_chainId'
     });
     
-    // Get Ethereum config
-    const ethConfig = config.getEthereumConfig();
+    // Validate chain ID against the supported chains; the caller prompts for a switch
+    const chain = getSupportedChain(chainId);
     
-    // Validate chain ID (Mainnet should be '0x1')
-    if (chainId !== ethConfig.chainId) {
-      logger.warn(MODULE_NAME, `Connected to incorrect network: ${chainId}. Expected: ${ethConfig.chainId}`);
-      
-      // We'll connect anyway but warn the user
+    if (!chain) {
+      logger.warn(MODULE_NAME, `Connected to an unsupported network: ${chainId}`);
       ethState.network = chainId;
     } else {
-      ethState.network = ethConfig.networkName;
+      ethState.network = chain.chainName;
     }
     
     // Store Ethereum state
@@ -159,24 +209,27 @@ async function connect() {
     // Set up event listeners
     setupEventListeners();
     
-    logger.info(MODULE_NAME, `Connected to MetaMask. Address: ${accounts[0]}`);
+    logger.info(MODULE_NAME, `Connected to wallet. Address: ${accounts[0]}`);
     
     return {
       isConnected: true,
       address: accounts[0],
-      network: ethState.network
+      network: ethState.network,
+      chainId,
+      isSupportedNetwork: Boolean(chain)
     };
   } catch (error) {
-    logger.error(MODULE_NAME, `Error connecting to MetaMask: ${error.message}`);
-    throw error;
+    logger.error(MODULE_NAME, `Error connecting to wallet: ${error.message}`);
+    throw errors.fromWalletError(error);
   }
 }
 
 /**
- * Disconnect from MetaMask wallet
+ * Disconnect from the wallet
+ * The wallet choice is kept, so the next connection goes to the same wallet
  */
 function disconnect() {
-  logger.info(MODULE_NAME, 'Disconnecting from MetaMask');
+  logger.info(MODULE_NAME, 'Disconnecting from wallet');
   
   // Clear Ethereum state
   ethState.isConnected = false;
@@ -194,8 +247,8 @@ function disconnect() {
 }
 
 /**
- * Check if connected to MetaMask
- * @returns {boolean} True if connected to MetaMask
+ * Check if connected to a wallet
+ * @returns {boolean} True if connected to a wallet
  */
 function isConnected() {
   return ethState.isConnected;
@@ -209,11 +262,117 @@ function getAddress() {
   return ethState.address;
 }
 
+/**
+ * Get the supported chains from @config.json
+ * @returns {Array<Object>} Chains { chainId, chainName, nativeCurrency, rpcUrls, blockExplorerUrls }
+ */
+function getSupportedChains() {
+  return config.getEthereumConfig().supportedChains;
+}
+
+/**
+ * Find a supported chain
+ * @param {string|number} chainId - Hex chain ID or number
+ * @returns {Object|null} Chain or null if it is not supported
+ */
+function getSupportedChain(chainId) {
+  const hexChainId = typeof chainId === 'number' ? `0x${chainId.toString(16)}` : String(chainId).toLowerCase();
+  return getSupportedChains().find((chain) => chain.chainId === hexChainId) || null;
+}
+
+/**
+ * Check whether a chain is supported
+ * @param {string|number} chainId - Hex chain ID or number
+ * @returns {boolean} True if the chain is in the allowlist
+ */
+function isSupportedChain(chainId) {
+  return Boolean(getSupportedChain(chainId));
+}
+
+/**
+ * Ask the wallet to switch to a supported chain
+ * Wallets that do not know the chain yet answer 4902; the chain is then added
+ * with wallet_addEthereumChain, which also switches to it
+ * @param {string} [chainId] - Hex chain ID, defaults to the configured default chain
+ * @returns {Promise<Object>} The chain the wallet is now on
+ */
+async function switchNetwork(chainId = config.getEthereumConfig().chainId) {
+  const chain = getSupportedChain(chainId);
+  
+  if (!chain) {
+    throw new errors.WalletError(errors.ERROR_CODES.NETWORK_UNSUPPORTED, `Network ${chainId} is not supported`);
+  }
+  
+  logger.info(MODULE_NAME, `Switching wallet to ${chain.chainName} (${chain.chainId})`);
+  
+  const provider = getProvider();
+  
+  try {
+    await provider.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: chain.chainId }]
+    });
+  } catch (error) {
+    // Some wallets wrap the 4902 in data.originalError
+    const code = error.data?.originalError?.code ?? error.code;
+    
+    if (code !== 4902) {
+      throw errors.fromWalletError(error);
+    }
+    
+    logger.info(MODULE_NAME, `Wallet does not know ${chain.chainName}, adding it`);
+    
+    await provider.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId: chain.chainId,
+        chainName: chain.chainName,
+        nativeCurrency: chain.nativeCurrency,
+        rpcUrls: chain.rpcUrls,
+        blockExplorerUrls: chain.blockExplorerUrls
+      }]
+    }).catch((addError) => {
+      throw errors.fromWalletError(addError);
+    });
+  }
+  
+  // Adding a chain does not always switch to it, so check where the wallet ended up
+  if (await getChainId() !== parseInt(chain.chainId, 16)) {
+    throw new Error(`The wallet did not switch to ${chain.chainName}`);
+  }
+  
+  ethState.network = chain.chainName;
+  
+  return chain;
+}
+
+/**
+ * Get the chain the wallet is currently on
+ * Asked from the wallet rather than storage, since it signs for that chain
+ * @returns {Promise<number>} Chain ID
+ */
+async function getChainId() {
+  const chainId = await getProvider().request({
+    method: 'eth_chainId'
+  });
+  
+  utils.storeSessionData(STORAGE_KEYS.ETH_NETWORK, chainId);
+  
+  return parseInt(chainId, 16);
+}
+
 export default {
   init,
   connect,
   disconnect,
   isConnected,
   getAddress,
-  isMetaMaskAvailable
+  getChainId,
+  getSupportedChains,
+  getSupportedChain,
+  isSupportedChain,
+  switchNetwork,
+  getProvider,
+  isWalletAvailable,
+  needsWalletChoice
 }; 
\ No newline at end of file
@@ -1,65 +1,256 @@
 /**
- * Browser-compatible imports for Noir packages
- * This file provides browser-compatible imports for the Noir packages
+ * Browser adapter for the Noir packages
+ * Exposes noir_wasm, noir_js and bb.js behind a small, stable interface and
+ * selects the mock implementation only when ZK test mode is enabled
  */
 
-import { ethers } from 'ethers';
 import logger from './logger.js';
+import config from './config.js';
+import * as mock from './noirMock.js';
 
 // Module identifier for logging
 const MODULE_NAME = 'NoirBrowser';
 
-// Mock implementations for Noir packages
-const initNoirWasm = async () => {
-  logger.info(MODULE_NAME, 'Mock initNoirWasm called');
-  return true;
+// Available proving backends
+const BACKENDS = {
+  NOIR: 'noir',
+  MOCK: 'mock'
 };
 
-const compile = async (files) => {
-  logger.info(MODULE_NAME, 'Mock compile called with files:', Object.keys(files));
-  return { program: 'mock_compiled_circuit' };
+// Currently selected backend (resolved lazily from configuration)
+let activeBackend = null;
+
+// Lazily loaded Noir/Barretenberg packages, so the mock backend never pulls in WASM
+let noirModulesPromise = null;
+
+/**
+ * Select the proving backend
+ * @param {string} name - Backend name ('noir' or 'mock')
+ * @returns {string} The selected backend name
+ */
+function selectBackend(name) {
+  if (!Object.values(BACKENDS).includes(name)) {
+    throw new Error(`Unknown ZK backend: ${name}`);
+  }
+
+  if (name === BACKENDS.MOCK && !config.getZkProofConfig().testMode) {
+    throw new Error('The mock ZK backend can only be used in test mode (ZK_TEST_MODE=true)');
+  }
+
+  if (name === BACKENDS.MOCK) {
+    logger.warn(MODULE_NAME, 'Using MOCK ZK backend - generated proofs are NOT valid');
+  }
+
+  activeBackend = name;
+  logger.info(MODULE_NAME, `ZK backend selected: ${name}`);
+
+  return activeBackend;
+}
+
+/**
+ * Get the selected backend, defaulting to the configured one
+ * @returns {string} Backend name
+ */
+function getBackendName() {
+  if (!activeBackend) {
+    selectBackend(config.getZkProofConfig().backend);
+  }
+
+  return activeBackend;
+}
+
+/**
+ * Check whether the mock backend is active
+ * @returns {boolean} True if proofs are produced by the mock backend
+ */
+function isMockBackend() {
+  return getBackendName() === BACKENDS.MOCK;
+}
+
+/**
+ * Load the Noir and Barretenberg packages
+ * @returns {Promise<Object>} Loaded package namespaces
+ */
+function loadNoirModules() {
+  if (!noirModulesPromise) {
+    noirModulesPromise = Promise.all([
+      import('@noir-lang/noir_wasm'),
+      import('@noir-lang/noir_js'),
+      import('@noir-lang/acvm_js'),
+      import('@noir-lang/noirc_abi'),
+      import('@aztec/bb.js')
+    ]).then(([noirWasm, noirJs, acvmJs, noircAbi, bbJs]) => ({
+      noirWasm,
+      noirJs,
+      acvmJs,
+      noircAbi,
+      bbJs
+    })).catch((error) => {
+      noirModulesPromise = null;
+      throw new Error(`Failed to load Noir packages: ${error.message}`);
+    });
+  }
+
+  return noirModulesPromise;
+}
+
+/**
+ * Initialize the Noir compiler
+ * @returns {Promise<boolean>} True when ready
+ */
+const initNoirWasm = async () => {
+  if (isMockBackend()) {
+    return mock.initNoirWasm();
+  }
+
+  await loadNoirModules();
+  logger.info(MODULE_NAME, 'Noir compiler loaded');
+  return true;
 };
 
+/**
+ * Initialize the WASM modules used by noir_js to execute circuits
+ * @returns {Promise<boolean>} True when ready
+ */
 const initNoirJs = async () => {
-  logger.info(MODULE_NAME, 'Mock initNoirJs called');
+  if (isMockBackend()) {
+    return mock.initNoirJs();
+  }
+
+  const { acvmJs, noircAbi } = await loadNoirModules();
+
+  // The web builds export a default initializer that fetches their .wasm file
+  await Promise.all([
+    typeof acvmJs.default === 'function' ? acvmJs.default() : null,
+    typeof noircAbi.default === 'function' ? noircAbi.default() : null
+  ]);
+
+  logger.info(MODULE_NAME, 'ACVM and ABI WASM modules initialized');
   return true;
 };
 
+/**
+ * Compile a Noir project from an in-memory file map
+ * @param {Object<string, string>} files - Map of project-relative paths to file contents
+ * @returns {Promise<Object>} Compilation result containing the program artifact
+ */
+const compile = async (files) => {
+  if (isMockBackend()) {
+    return mock.compile(files);
+  }
+
+  const { noirWasm } = await loadNoirModules();
+  const fileManager = noirWasm.createFileManager('/');
+
+  for (const [path, contents] of Object.entries(files)) {
+    await fileManager.writeFile(path, new Blob([contents]).stream());
+  }
+
+  logger.info(MODULE_NAME, 'Compiling Noir project', Object.keys(files));
+  const { program } = await noirWasm.compile(fileManager);
+
+  return { program };
+};
+
+/**
+ * Circuit executor, mirroring the noir_js Noir class
+ */
 class Noir {
   constructor(circuit, backend) {
     this.circuit = circuit;
     this.backend = backend;
-    logger.info(MODULE_NAME, 'Mock Noir instance created');
+    this.delegate = isMockBackend() ? new mock.Noir(circuit, backend) : null;
   }
 
   async execute(input) {
-    logger.info(MODULE_NAME, 'Mock execute called with input:', input);
-    return {
-      witness: new Uint8Array(32),
-      returnValue: true
-    };
+    if (this.delegate) {
+      return this.delegate.execute(input);
+    }
+
+    const { noirJs } = await loadNoirModules();
+    const noir = new noirJs.Noir(this.circuit.program);
+    const { witness, returnValue } = await noir.execute(input);
+
+    return { witness, returnValue };
   }
 }
 
+/**
+ * Proving backend, backed by the Barretenberg UltraHonk prover
+ */
 class BarretenbergBackend {
   constructor(circuit) {
     this.circuit = circuit;
-    logger.info(MODULE_NAME, 'Mock BarretenbergBackend instance created');
+    this.delegate = isMockBackend() ? new mock.BarretenbergBackend(circuit) : null;
+    this.honk = null;
+  }
+
+  async getHonkBackend() {
+    if (!this.honk) {
+      const { bbJs } = await loadNoirModules();
+      this.honk = new bbJs.UltraHonkBackend(this.circuit.program.bytecode);
+    }
+
+    return this.honk;
   }
 
-  async generateProof(witness) {
-    logger.info(MODULE_NAME, 'Mock generateProof called');
-    return {
-      proof: new Uint8Array(64),
-      publicInputs: []
-    };
+  async generateProof(witness, options = {}) {
+    if (this.delegate) {
+      return this.delegate.generateProof(witness);
+    }
+
+    const honk = await this.getHonkBackend();
+    const { proof, publicInputs } = await honk.generateProof(witness, options);
+
+    return { proof, publicInputs, isMock: false };
+  }
+
+  async verifyProof(proofData) {
+    if (this.delegate || mock.isMockProof(proofData)) {
+      return false;
+    }
+
+    const honk = await this.getHonkBackend();
+    return honk.verifyProof({
+      proof: proofData.proof,
+      publicInputs: proofData.publicInputs
+    });
+  }
+
+  async getVerificationKey() {
+    if (this.delegate) {
+      throw new Error('The mock backend has no verification key');
+    }
+
+    const honk = await this.getHonkBackend();
+    return honk.getVerificationKey();
+  }
+
+  async destroy() {
+    if (this.delegate) {
+      return this.delegate.destroy();
+    }
+
+    if (this.honk) {
+      await this.honk.destroy();
+      this.honk = null;
+    }
+
+    return true;
   }
 }
 
+const isMockProof = mock.isMockProof;
+
 export {
+  BACKENDS,
+  selectBackend,
+  getBackendName,
+  isMockBackend,
+  isMockProof,
   initNoirWasm,
   compile,
   initNoirJs,
   Noir,
   BarretenbergBackend
-}; 
\ No newline at end of file
+};
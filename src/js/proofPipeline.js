@@ -0,0 +1,150 @@
+/**
+ * Proof pipeline module
+ * Compiles, executes and proves the Noir circuit. Runs inside the proof
+ * worker, or on the main thread where Web Workers are unavailable
+ */
+
+import {
+  selectBackend,
+  getBackendName,
+  initNoirWasm,
+  initNoirJs,
+  compile,
+  Noir,
+  BarretenbergBackend,
+  isMockProof
+} from './noirBrowser.js';
+import logger from './logger.js';
+
+// Module identifier for logging
+const MODULE_NAME = 'ProofPipeline';
+
+// Stages of the proof flow, in the order they run
+const PROOF_STAGES = {
+  SIGN: 'sign',
+  COMPILE: 'compile',
+  WITNESS: 'witness',
+  PROVE: 'prove'
+};
+
+// Stage statuses reported to progress listeners
+const STAGE_STATUS = {
+  ACTIVE: 'active',
+  DONE: 'done',
+  ERROR: 'error'
+};
+
+// Messages exchanged between zkProof.js and the proof worker
+const WORKER_MESSAGES = {
+  START: 'start',
+  STAGE: 'stage',
+  PROGRESS: 'progress',
+  RESULT: 'result',
+  ERROR: 'error'
+};
+
+// Share of the pipeline's overall progress covered by each stage
+const STAGE_WEIGHTS = {
+  [PROOF_STAGES.COMPILE]: 0.2,
+  [PROOF_STAGES.WITNESS]: 0.1,
+  [PROOF_STAGES.PROVE]: 0.7
+};
+
+/**
+ * Create a reporter that forwards stage and progress updates to listeners
+ * @param {Object} listeners - Progress listeners
+ * @param {Function} [listeners.onStage] - Called with (stage, status)
+ * @param {Function} [listeners.onProgress] - Called with (progress, stage), progress in [0, 1]
+ * @returns {Function} Reporter called with (stage, status)
+ */
+function createReporter({ onStage, onProgress } = {}) {
+  let completed = 0;
+
+  return (stage, status) => {
+    logger.debug(MODULE_NAME, `Proof stage ${stage}: ${status}`);
+
+    if (typeof onStage === 'function') {
+      onStage(stage, status);
+    }
+
+    if (status === STAGE_STATUS.DONE) {
+      completed += STAGE_WEIGHTS[stage] || 0;
+    }
+
+    if (status !== STAGE_STATUS.ERROR && typeof onProgress === 'function') {
+      onProgress(Math.min(1, Number(completed.toFixed(2))), stage);
+    }
+  };
+}
+
+/**
+ * Run the compile -> witness -> prove pipeline
+ * @param {Object} job - Proof job
+ * @param {Object} [job.circuit] - Precompiled circuit ({ program }); skips compilation
+ * @param {Object<string, string>} [job.files] - Circuit project files, compiled when no circuit is given
+ * @param {Object} job.input - Circuit input
+ * @param {string} job.backend - Proving backend selected on the main thread
+ * @param {string} [job.transcript] - 'keccak' for proofs checked by the Solidity verifier, else poseidon2
+ * @param {Object} [listeners] - Progress listeners (see createReporter)
+ * @returns {Promise<Object>} Raw proof data { proof, publicInputs, returnValue, backend, isMock }
+ */
+async function runProofPipeline(job, listeners = {}) {
+  const { circuit, files, input, backend, transcript } = job;
+  const report = createReporter(listeners);
+  let stage = PROOF_STAGES.COMPILE;
+  let prover = null;
+
+  try {
+    // The worker has its own module instance, so the backend must be selected again
+    if (backend && backend !== getBackendName()) {
+      selectBackend(backend);
+    }
+
+    report(stage, STAGE_STATUS.ACTIVE);
+    await initNoirWasm();
+    await initNoirJs();
+    const compiledCircuit = circuit || await compile(files);
+    report(stage, STAGE_STATUS.DONE);
+
+    prover = new BarretenbergBackend(compiledCircuit);
+    const noir = new Noir(compiledCircuit, prover);
+
+    // Execute the circuit to obtain the witness
+    stage = PROOF_STAGES.WITNESS;
+    report(stage, STAGE_STATUS.ACTIVE);
+    const { witness, returnValue } = await noir.execute(input);
+    report(stage, STAGE_STATUS.DONE);
+
+    // Generate the proof
+    stage = PROOF_STAGES.PROVE;
+    report(stage, STAGE_STATUS.ACTIVE);
+    const proofData = await prover.generateProof(witness, { keccak: transcript === 'keccak' });
+    report(stage, STAGE_STATUS.DONE);
+
+    return {
+      proof: proofData.proof,
+      publicInputs: proofData.publicInputs,
+      returnValue,
+      backend: getBackendName(),
+      isMock: isMockProof(proofData)
+    };
+  } catch (error) {
+    logger.error(MODULE_NAME, `Proof pipeline failed during ${stage}: ${error.message}`);
+    report(stage, STAGE_STATUS.ERROR);
+    throw error;
+  } finally {
+    // Failed proofs must release the bb.js backend and its worker too
+    if (prover) {
+      await prover.destroy().catch((error) => {
+        logger.warn(MODULE_NAME, `Could not release the proving backend: ${error.message}`);
+      });
+    }
+  }
+}
+
+export default {
+  PROOF_STAGES,
+  STAGE_STATUS,
+  WORKER_MESSAGES,
+  runProofPipeline
+};
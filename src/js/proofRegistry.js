@@ -0,0 +1,239 @@
+/**
+ * Proof registry module
+ * Submits proof bundles to the TwitterLinkRegistry contract (see contracts/) through
+ * the connected wallet. The contract checks the proof with the Solidity verifier
+ * generated from the circuit and records the wallet, the account nullifier and the
+ * proven thresholds. Registry addresses are set per chain in @config.json
+ */
+
+import { ethers } from 'ethers';
+import ethereum from './ethereum.js';
+import zkProof from './zkProof.js';
+import config from './config.js';
+import logger from './logger.js';
+import utils from './utils.js';
+import errors from './errors.js';
+
+// Module identifier for logging
+const MODULE_NAME = 'ProofRegistry';
+
+// Subset of contracts/TwitterLinkRegistry.sol used by the app
+const REGISTRY_ABI = [
+  'function register(bytes proof, bytes32[] publicInputs)',
+  'function getLink(address wallet) view returns (tuple(bytes32 nullifier, uint64 minAccountAgeDays, uint64 minFollowers, uint64 registeredAt))',
+  'error InvalidPublicInputs()',
+  'error UntrustedAttester()',
+  'error StaleAttestation()',
+  'error WrongScope()',
+  'error NotProofWallet(address wallet)',
+  'error InvalidProof()',
+  'error NullifierTaken(address wallet)'
+];
+
+// The contract reads the public inputs of the combined circuit (account age and followers)
+const REGISTRY_CIRCUIT = 'twitter_zkp';
+
+// Public inputs in the order of circuits/src/main.nr, with their size in field elements
+const PUBLIC_INPUTS = [
+  { name: 'fetched_at', size: 1 },
+  { name: 'attester_pub_key_x', size: 32 },
+  { name: 'attester_pub_key_y', size: 32 },
+  { name: 'min_account_age_days', size: 1 },
+  { name: 'min_followers', size: 1 },
+  { name: 'message_hash', size: 32 },
+  { name: 'pub_key_x', size: 32 },
+  { name: 'pub_key_y', size: 32 },
+  { name: 'scope', size: 1 },
+  { name: 'return_value', size: 1 }
+];
+
+// bb.js prefixes proofs with their length as a 4-byte integer; the Solidity verifier does not expect it
+const PROOF_LENGTH_PREFIX_BYTES = 4;
+
+// User-facing messages for the registry's custom errors
+const REVERT_MESSAGES = {
+  InvalidPublicInputs: 'The proof has malformed public inputs',
+  UntrustedAttester: 'The Twitter data was not attested by the key this registry trusts',
+  StaleAttestation: 'The Twitter data is too old for this registry. Sign in with Twitter again and generate a new proof',
+  WrongScope: 'The proof was generated for another nullifier scope',
+  NotProofWallet: 'Only the wallet that signed the link message can submit this proof',
+  InvalidProof: 'The on-chain verifier rejected the proof',
+  NullifierTaken: 'This Twitter account is already registered to another wallet'
+};
+
+const registryInterface = new ethers.utils.Interface(REGISTRY_ABI);
+
+/**
+ * Get the registry address configured for a chain
+ * @param {string|number} chainId - Hex chain ID or number
+ * @returns {string|null} Registry address, or null if none is deployed there
+ */
+function getRegistryAddress(chainId) {
+  const hexChainId = typeof chainId === 'number' ? `0x${chainId.toString(16)}` : String(chainId).toLowerCase();
+  return config.getEthereumConfig().registryAddresses[hexChainId] || null;
+}
+
+/**
+ * Flatten named public inputs into the bytes32 array the verifier expects
+ * Byte-array inputs take one element per byte, as in the circuit ABI
+ * @param {Object} publicInputs - Named public inputs from a proof bundle
+ * @returns {Array<string>} bytes32 values in circuit order
+ */
+function encodePublicInputs(publicInputs) {
+  return PUBLIC_INPUTS.flatMap(({ name, size }) => {
+    const value = publicInputs[name];
+
+    if (value === undefined || value === null) {
+      throw new Error(`The proof is missing the public input ${name}`);
+    }
+
+    if (size === 1) {
+      return [ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32)];
+    }
+
+    const bytes = ethers.utils.arrayify(value);
+
+    if (bytes.length !== size) {
+      throw new Error(`The public input ${name} must be ${size} bytes long`);
+    }
+
+    return Array.from(bytes, (byte) => ethers.utils.hexZeroPad(ethers.utils.hexlify(byte), 32));
+  });
+}
+
+/**
+ * Get the proof bytes of a bundle in the format of the Solidity verifier
+ * @param {Object} bundle - Proof bundle
+ * @returns {string} Hex-encoded proof
+ */
+function encodeProof(bundle) {
+  return ethers.utils.hexlify(utils.base64ToBytes(bundle.proof).slice(PROOF_LENGTH_PREFIX_BYTES));
+}
+
+/**
+ * Turn a failed transaction into a readable error, decoding the registry's custom errors
+ * @param {Error} error - Error thrown by ethers or the wallet
+ * @returns {Error} Error with a user-facing message, or WALLET_REJECTED if the user rejected the transaction
+ */
+function describeRevert(error) {
+  // Depending on the wallet, the revert data is nested at different depths
+  // (Ganache puts it under data.result)
+  const candidates = [error.data, error.error?.data, error.error?.data?.data, error.error?.data?.result, error.error?.error?.data];
+  const data = candidates.find((value) => typeof value === 'string' && value.startsWith('0x') && value.length >= 10);
+
+  if (!data) {
+    return errors.fromWalletError(error);
+  }
+
+  try {
+    const { name } = registryInterface.parseError(data);
+    return new Error(REVERT_MESSAGES[name] || `The registry rejected the proof (${name})`);
+  } catch (parseError) {
+    return error;
+  }
+}
+
+/**
+ * Check whether a bundle is a proof the registry contract can check
+ * Only keccak proofs of the combined circuit verify on-chain; mock proofs are let
+ * through for the MockVerifier of a local node
+ * @param {Object} bundle - Proof bundle
+ * @returns {boolean} True if the bundle can be submitted
+ */
+function isRegistrable(bundle) {
+  return bundle.circuit?.name === REGISTRY_CIRCUIT && (bundle.isMock || bundle.transcript === 'keccak');
+}
+
+/**
+ * Submit a proof bundle to the registry of the wallet's current chain
+ * @param {Object} bundle - Proof bundle from zkProof.generateProof or zkProof.importBundle
+ * @returns {Promise<Object>} { registryAddress, chainId, transactionHash, blockNumber }
+ */
+async function submitBundle(bundle) {
+  logger.info(MODULE_NAME, 'Submitting proof bundle to the registry');
+
+  if (bundle.circuit?.name !== REGISTRY_CIRCUIT) {
+    throw new Error('Only proofs of both the account age and the follower count can be registered on-chain');
+  }
+
+  // Mock proofs only ever reach the MockVerifier of a local node
+  if (!bundle.isMock && bundle.transcript !== 'keccak') {
+    throw new Error('This proof cannot be verified on-chain. Generate it with zkProof.transcript set to "keccak".');
+  }
+
+  const chainId = await ethereum.getChainId();
+  const registryAddress = getRegistryAddress(chainId);
+
+  if (!registryAddress) {
+    throw new Error(`No proof registry is configured for chain ${chainId}`);
+  }
+
+  // The link message names the chain it was signed for; the proof belongs on that chain
+  const proofSigner = zkProof.getBundleSigner(bundle);
+
+  if (proofSigner.chainId && proofSigner.chainId !== chainId) {
+    throw new Error(`This proof was linked on chain ${proofSigner.chainId}. Switch your wallet to that network.`);
+  }
+
+  const signer = new ethers.providers.Web3Provider(ethereum.getProvider()).getSigner();
+  const from = await signer.getAddress();
+
+  if (from !== proofSigner.address) {
+    throw new Error(`Only ${utils.truncateAddress(proofSigner.address)} can submit this proof. Switch to that account.`);
+  }
+
+  const registry = new ethers.Contract(registryAddress, REGISTRY_ABI, signer);
+
+  try {
+    const transaction = await registry.register(encodeProof(bundle), encodePublicInputs(bundle.publicInputs));
+    logger.info(MODULE_NAME, `Registration sent: ${transaction.hash}`);
+
+    const receipt = await transaction.wait();
+
+    return {
+      registryAddress,
+      chainId,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  } catch (error) {
+    logger.error(MODULE_NAME, `Registration failed: ${error.message}`);
+    throw describeRevert(error);
+  }
+}
+
+/**
+ * Read the link recorded for a wallet on the current chain
+ * @param {string} address - Wallet address
+ * @returns {Promise<Object|null>} { nullifier, minAccountAgeDays, minFollowers, registeredAt } or null
+ */
+async function getRegistration(address) {
+  const registryAddress = getRegistryAddress(await ethereum.getChainId());
+
+  if (!registryAddress) {
+    return null;
+  }
+
+  const provider = new ethers.providers.Web3Provider(ethereum.getProvider());
+  const link = await new ethers.Contract(registryAddress, REGISTRY_ABI, provider).getLink(address);
+
+  if (link.registeredAt.isZero()) {
+    return null;
+  }
+
+  return {
+    nullifier: link.nullifier,
+    minAccountAgeDays: link.minAccountAgeDays.toNumber(),
+    minFollowers: link.minFollowers.toNumber(),
+    registeredAt: new Date(link.registeredAt.toNumber() * 1000).toISOString()
+  };
+}
+
+export default {
+  getRegistryAddress,
+  isRegistrable,
+  encodePublicInputs,
+  encodeProof,
+  submitBundle,
+  getRegistration
+};
@@ -0,0 +1,39 @@
+/**
+ * Proof worker
+ * Runs the proof pipeline off the main thread and reports stages,
+ * progress and the result back to zkProof.js
+ */
+
+import proofPipeline from './proofPipeline.js';
+import logger from './logger.js';
+
+// Module identifier for logging
+const MODULE_NAME = 'ProofWorker';
+
+const { WORKER_MESSAGES } = proofPipeline;
+
+self.addEventListener('message', async (event) => {
+  const { type, jobId, job } = event.data || {};
+
+  if (type !== WORKER_MESSAGES.START) {
+    logger.warn(MODULE_NAME, `Ignoring unknown message type: ${type}`);
+    return;
+  }
+
+  logger.info(MODULE_NAME, `Starting proof job ${jobId}`);
+
+  try {
+    const result = await proofPipeline.runProofPipeline(job, {
+      onStage: (stage, status) => {
+        self.postMessage({ type: WORKER_MESSAGES.STAGE, jobId, stage, status });
+      },
+      onProgress: (progress, stage) => {
+        self.postMessage({ type: WORKER_MESSAGES.PROGRESS, jobId, stage, progress });
+      }
+    });
+
+    self.postMessage({ type: WORKER_MESSAGES.RESULT, jobId, result });
+  } catch (error) {
+    self.postMessage({ type: WORKER_MESSAGES.ERROR, jobId, message: error.message });
+  }
+});
@@ -0,0 +1,86 @@
+/**
+ * SIWE module
+ * Builds the Sign-In With Ethereum (EIP-4361) message that links a wallet to the
+ * Twitter account of the session. The proxy issues the nonce and validity window
+ * and checks every field at /api/wallet/verify; see server/siwe.js
+ */
+
+import { ethers } from 'ethers';
+
+// Human-readable statement shown by the wallet above the message fields
+const LINK_STATEMENT = 'Link my Twitter account to this wallet for zero-knowledge proofs.';
+
+const SIWE_VERSION = '1';
+
+/**
+ * Format an EIP-4361 message
+ * @param {Object} fields - Message fields
+ * @param {string} fields.domain - Host the message is meant for
+ * @param {string} fields.address - Signing address (checksummed in the output)
+ * @param {string} [fields.statement] - Human-readable statement
+ * @param {string} fields.uri - Origin the message is meant for
+ * @param {number} fields.chainId - Chain ID of the wallet
+ * @param {string} fields.nonce - Nonce issued by the proxy
+ * @param {string} fields.issuedAt - ISO 8601 issue time
+ * @param {string} [fields.expirationTime] - ISO 8601 expiry time
+ * @param {Array<string>} [fields.resources] - Resource URIs
+ * @returns {string} Message text
+ */
+function formatMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime, resources = [] }) {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    ethers.utils.getAddress(address),
+    ''
+  ];
+
+  if (statement) {
+    lines.push(statement, '');
+  }
+
+  lines.push(
+    `URI: ${uri}`,
+    `Version: ${SIWE_VERSION}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  );
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+
+  if (resources.length > 0) {
+    lines.push('Resources:', ...resources.map((resource) => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build the message linking a wallet to the session's Twitter account for this page
+ * @param {Object} link - Link parameters
+ * @param {string} link.address - Wallet address
+ * @param {number} link.chainId - Chain ID of the wallet
+ * @param {Object} link.nonce - Nonce from the proxy { nonce, issuedAt, expirationTime, resource }
+ * @returns {string} Message text
+ */
+function buildLinkMessage({ address, chainId, nonce }) {
+  return formatMessage({
+    domain: window.location.host,
+    address,
+    statement: LINK_STATEMENT,
+    uri: window.location.origin,
+    chainId,
+    nonce: nonce.nonce,
+    issuedAt: nonce.issuedAt,
+    expirationTime: nonce.expirationTime,
+    // Opaque reference issued with the nonce: the message ends up in exported
+    // bundles, so it must not name the Twitter account
+    resources: [nonce.resource]
+  });
+}
+
+export default {
+  formatMessage,
+  buildLinkMessage
+};
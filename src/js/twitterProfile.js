@@ -0,0 +1,144 @@
+/**
+ * Twitter profile model
+ * Turns the proxy's /api/twitter/user response into the one profile shape used by the
+ * UI, sessionStorage and proof input building. The account age is counted in whole
+ * days up to the attestation time, exactly as the circuit counts it
+ */
+
+// Seconds in a day, matching SECONDS_PER_DAY in circuits/dep/twitter_claims
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Convert an ISO date to unix seconds, as server/attestation.js does
+ * @param {string} isoDate - ISO 8601 date
+ * @returns {number} Unix seconds
+ */
+function toUnixSeconds(isoDate) {
+  return Math.floor(Date.parse(isoDate) / 1000);
+}
+
+/**
+ * Count the whole days between the account creation and a point in time
+ * @param {string} createdAt - ISO date of the account creation
+ * @param {number} atSeconds - Unix seconds to measure the age at
+ * @returns {number} Account age in days
+ */
+function getAccountAgeDays(createdAt, atSeconds) {
+  return Math.max(0, Math.floor((atSeconds - toUnixSeconds(createdAt)) / SECONDS_PER_DAY));
+}
+
+/**
+ * Throw a descriptive error for a malformed profile
+ * @param {string} reason - What is wrong
+ */
+function fail(reason) {
+  throw new Error(`Invalid Twitter profile: ${reason}`);
+}
+
+/**
+ * Check that the attestation signs this profile's data, so the proof inputs built from
+ * the profile are the ones the circuit checks the signature against
+ * @param {Object} profile - Profile fields
+ * @param {Object} attestation - Server attestation
+ */
+function checkAttestation(profile, attestation) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(attestation.twitterIdHash || '')) {
+    fail('the attestation has no Twitter ID hash');
+  }
+
+  if (attestation.createdAt !== toUnixSeconds(profile.createdAt) || attestation.followers !== profile.followers) {
+    fail('the attestation does not match the account data');
+  }
+
+  if (!Number.isSafeInteger(attestation.fetchedAt) || !attestation.signature || !attestation.publicKey) {
+    fail('the attestation is incomplete');
+  }
+}
+
+/**
+ * Validate profile fields and compute the derived ones
+ * @param {Object} fields - { id, username, createdAt, followers, attestation }
+ * @returns {Object} Profile (see fromApiResponse)
+ */
+function createProfile({ id, username, createdAt, followers, attestation }) {
+  if (typeof id !== 'string' || !/^\d+$/.test(id)) {
+    fail('missing or malformed id');
+  }
+
+  if (typeof createdAt !== 'string' || Number.isNaN(Date.parse(createdAt))) {
+    fail('missing or malformed creation date');
+  }
+
+  if (!Number.isSafeInteger(followers) || followers < 0) {
+    fail('missing or malformed follower count');
+  }
+
+  const profile = {
+    id,
+    username: username || null,
+    createdAt: new Date(createdAt).toISOString(),
+    followers,
+    // Keyed by the proxy (see server/attestation.js), so it only comes with the attestation
+    twitterIdHash: attestation ? attestation.twitterIdHash : null,
+    // Signed by the proxy; the circuit only accepts attested account data
+    attestation: attestation || null
+  };
+
+  if (profile.attestation) {
+    checkAttestation(profile, profile.attestation);
+  }
+
+  // Measured at the attestation time when there is one, so it matches what a proof shows
+  const measuredAt = profile.attestation ? profile.attestation.fetchedAt : Math.floor(Date.now() / 1000);
+
+  return {
+    ...profile,
+    accountAgeDays: getAccountAgeDays(profile.createdAt, measuredAt)
+  };
+}
+
+/**
+ * Build a profile from the proxy's /api/twitter/user response
+ * @param {Object} response - { data: Twitter /2/users/me data, attestation }
+ * @returns {Object} Profile { id, username, createdAt, accountAgeDays, followers, twitterIdHash, attestation }
+ */
+function fromApiResponse(response) {
+  if (!response || !response.data) {
+    fail('missing data in response');
+  }
+
+  const { id, username, created_at: createdAt, public_metrics: publicMetrics } = response.data;
+
+  return createProfile({
+    id,
+    username,
+    createdAt,
+    followers: publicMetrics?.followers_count,
+    attestation: response.attestation
+  });
+}
+
+/**
+ * Rebuild a profile saved in sessionStorage
+ * Anything that is not a valid profile, such as data saved by an older version, is dropped
+ * @param {Object} stored - Stored profile
+ * @returns {Object|null} Profile, or null if the stored data is not a valid profile
+ */
+function fromStorage(stored) {
+  if (!stored) {
+    return null;
+  }
+
+  try {
+    return createProfile(stored);
+  } catch (error) {
+    return null;
+  }
+}
+
+export default {
+  fromApiResponse,
+  fromStorage,
+  getAccountAgeDays,
+  toUnixSeconds
+};
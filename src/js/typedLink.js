@@ -0,0 +1,90 @@
+/**
+ * Typed link module
+ * Builds the EIP-712 TwitterLink struct, the typed-data alternative to the
+ * EIP-4361 link message. Wallets show its fields instead of a text blob, and the
+ * circuit checks the signature over its EIP-712 digest; see server/typedLink.js
+ */
+
+import { ethers } from 'ethers';
+
+// EIP-712 domain; must match server/typedLink.js
+const LINK_DOMAIN_NAME = 'Twitter ZK Link';
+const LINK_DOMAIN_VERSION = '1';
+
+const LINK_PRIMARY_TYPE = 'TwitterLink';
+
+// Signed struct; must match server/typedLink.js
+const LINK_TYPES = {
+  TwitterLink: [
+    { name: 'twitterIdHash', type: 'bytes32' },
+    { name: 'address', type: 'address' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'nonce', type: 'string' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+/**
+ * Build the TwitterLink typed data for a wallet
+ * @param {Object} link - Link parameters
+ * @param {string} link.address - Wallet address
+ * @param {number} link.chainId - Chain ID of the wallet
+ * @param {Object} link.nonce - Nonce from the proxy { nonce, issuedAt, expirationTime, linkId }
+ * @returns {Object} Typed data { domain, types, primaryType, message }
+ */
+function buildLinkTypedData({ address, chainId, nonce }) {
+  return {
+    domain: {
+      name: LINK_DOMAIN_NAME,
+      version: LINK_DOMAIN_VERSION,
+      chainId
+    },
+    types: LINK_TYPES,
+    primaryType: LINK_PRIMARY_TYPE,
+    message: {
+      // The opaque per-nonce link ID, not the account hash: the typed data ends up in
+      // exported bundles, and the account hash would reveal the nullifier in any scope
+      twitterIdHash: nonce.linkId,
+      address: ethers.utils.getAddress(address),
+      chainId,
+      nonce: nonce.nonce,
+      expiry: Math.floor(Date.parse(nonce.expirationTime) / 1000)
+    }
+  };
+}
+
+/**
+ * Drop the EIP712Domain type that wallets add to the payload; ethers derives it from the domain
+ * @param {Object} types - EIP-712 types
+ * @returns {Object} Struct types only
+ */
+function structTypes(types) {
+  const { EIP712Domain, ...rest } = types;
+  return rest;
+}
+
+/**
+ * Compute the EIP-712 digest the wallet signs
+ * @param {Object} typedData - Typed data { domain, types, message }
+ * @returns {string} 32-byte digest
+ */
+function hashTypedData({ domain, types, message }) {
+  return ethers.utils._TypedDataEncoder.hash(domain, structTypes(types), message);
+}
+
+/**
+ * Recover the address that signed a typed data digest
+ * @param {Object} typedData - Typed data { domain, types, message }
+ * @param {string} signature - Signature
+ * @returns {string} Signer address
+ */
+function recoverSigner({ domain, types, message }, signature) {
+  return ethers.utils.verifyTypedData(domain, structTypes(types), message, signature);
+}
+
+export default {
+  LINK_TYPES,
+  buildLinkTypedData,
+  hashTypedData,
+  recoverSigner
+};
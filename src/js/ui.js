@@ -5,6 +5,7 @@
 
 import logger from './logger.js';
 import utils from './utils.js';
+import errors from './errors.js';
 
 // Module identifier for logging
 const MODULE_NAME = 'UI';
@@ -13,6 +14,12 @@ const MODULE_NAME = 'UI';
 const UI_ELEMENTS = {
   loginButton: 'login-button',
   walletButton: 'wallet-button',
+  walletPicker: 'wallet-picker',
+  walletPickerList: 'wallet-picker-list',
+  changeWalletButton: 'change-wallet-button',
+  networkPrompt: 'network-prompt',
+  networkPromptText: 'network-prompt-text',
+  networkPromptOptions: 'network-prompt-options',
   logoutButton: 'logout-button',
   loginSection: 'login-section',
   loginStatus: 'login-status',
@@ -22,7 +29,57 @@ const UI_ELEMENTS = {
   twitterId: 'twitter-id',
   accountAge: 'account-age',
   followersCount: 'followers-count',
-  ethAddress: 'eth-address'
+  ethAddress: 'eth-address',
+  generateProofButton: 'generate-proof-button',
+  cancelProofButton: 'cancel-proof-button',
+  proofProgress: 'proof-progress',
+  proofClaims: 'proof-claims',
+  signingMode: 'signing-mode',
+  proofStages: 'proof-stages',
+  proofStatus: 'proof-status',
+  proofResult: 'proof-result',
+  downloadProofButton: 'download-proof-button',
+  importProofInput: 'import-proof-input',
+  nullifierStatus: 'nullifier-status',
+  rebindButton: 'rebind-button',
+  submitProofButton: 'submit-proof-button',
+  registryStatus: 'registry-status',
+  credentialStatus: 'credential-status',
+  downloadCredentialButton: 'download-credential-button'
+};
+
+// CSS classes for proof stage states
+const STAGE_CLASSES = ['stage-active', 'stage-done', 'stage-error'];
+
+const { ERROR_CODES, RECOVERY_ACTIONS } = errors;
+
+// User-facing message and recovery action for each error code (see errors.js).
+// Codes without a message, or not listed, show the error's own message, which
+// already says what was wrong with the proof, link or request
+const ERROR_MESSAGES = {
+  [ERROR_CODES.AUTH_REQUIRED]: { message: 'You are not logged in with Twitter', action: RECOVERY_ACTIONS.RELOGIN },
+  [ERROR_CODES.AUTH_EXPIRED]: { message: 'Your Twitter session has expired', action: RECOVERY_ACTIONS.RELOGIN },
+  [ERROR_CODES.LOGIN_EXPIRED]: { message: 'The Twitter login expired or was already used', action: RECOVERY_ACTIONS.RELOGIN },
+  [ERROR_CODES.STATE_MISMATCH]: { message: 'The Twitter login does not belong to this browser session', action: RECOVERY_ACTIONS.RELOGIN },
+  [ERROR_CODES.FORBIDDEN_ORIGIN]: { message: 'The proxy server refused a request from this page', action: null },
+  [ERROR_CODES.RATE_LIMITED]: { message: 'Twitter is limiting requests from this app', action: RECOVERY_ACTIONS.RETRY },
+  [ERROR_CODES.TWITTER_ERROR]: { message: 'Twitter returned an error', action: RECOVERY_ACTIONS.RETRY },
+  [ERROR_CODES.TWITTER_UNAVAILABLE]: { message: 'Twitter could not be reached', action: RECOVERY_ACTIONS.RETRY },
+  [ERROR_CODES.PROXY_UNAVAILABLE]: { message: 'The proxy server could not be reached', action: RECOVERY_ACTIONS.RETRY },
+  [ERROR_CODES.WALLET_REJECTED]: { message: 'The request was rejected in your wallet', action: RECOVERY_ACTIONS.RETRY },
+  [ERROR_CODES.WALLET_LINK_INVALID]: { message: null, action: RECOVERY_ACTIONS.CONNECT_WALLET },
+  [ERROR_CODES.NETWORK_UNSUPPORTED]: { message: 'Your wallet is on a network this app does not support', action: RECOVERY_ACTIONS.SWITCH_NETWORK },
+  [ERROR_CODES.PROOF_FAILED]: { message: null, action: RECOVERY_ACTIONS.RETRY },
+  [ERROR_CODES.NOT_CONFIGURED]: { message: 'This feature is not configured on the proxy server', action: null },
+  [ERROR_CODES.INTERNAL]: { message: 'The proxy server ran into an unexpected error', action: RECOVERY_ACTIONS.RETRY }
+};
+
+// Sentence telling the user how to recover, appended to the message
+const RECOVERY_HINTS = {
+  [RECOVERY_ACTIONS.RELOGIN]: 'Log in with Twitter again.',
+  [RECOVERY_ACTIONS.RETRY]: 'Try again in a moment.',
+  [RECOVERY_ACTIONS.CONNECT_WALLET]: 'Connect your wallet again to sign a new link message.',
+  [RECOVERY_ACTIONS.SWITCH_NETWORK]: 'Switch your wallet to a supported network.'
 };
 
 // UI element references
@@ -33,7 +90,17 @@ let elements = {};
  * @param {Object} eventHandlers - Event handler functions
  * @param {Function} eventHandlers.onLogin - Login button click handler
  * @param {Function} eventHandlers.onConnectWallet - Wallet button click handler
+ * @param {Function} eventHandlers.onSelectWallet - Called with the rdns of the wallet picked in the wallet picker
+ * @param {Function} eventHandlers.onChangeWallet - Change wallet button click handler
+ * @param {Function} eventHandlers.onSwitchNetwork - Called with the hex chain ID picked in the network prompt
  * @param {Function} eventHandlers.onLogout - Logout button click handler
+ * @param {Function} eventHandlers.onGenerateProof - Generate proof button click handler
+ * @param {Function} eventHandlers.onCancelProof - Cancel proof button click handler
+ * @param {Function} eventHandlers.onDownloadProof - Download proof button click handler
+ * @param {Function} eventHandlers.onImportProof - Called with the File chosen in the import input
+ * @param {Function} eventHandlers.onRebind - Authorize wallet move button click handler
+ * @param {Function} eventHandlers.onSubmitProof - Register on-chain button click handler
+ * @param {Function} eventHandlers.onDownloadCredential - Download credential button click handler
  */
 function init(eventHandlers = {}) {
   logger.info(MODULE_NAME, 'Initializing UI');
@@ -59,11 +126,82 @@ function init(eventHandlers = {}) {
       logger.debug(MODULE_NAME, 'Wallet button event listener attached');
     }
     
+    if (elements.walletPickerList && eventHandlers.onSelectWallet) {
+      elements.walletPickerList.addEventListener('click', (event) => {
+        const option = event.target.closest('[data-rdns]');
+        
+        if (option) {
+          eventHandlers.onSelectWallet(option.dataset.rdns);
+        }
+      });
+      logger.debug(MODULE_NAME, 'Wallet picker event listener attached');
+    }
+    
+    if (elements.networkPromptOptions && eventHandlers.onSwitchNetwork) {
+      elements.networkPromptOptions.addEventListener('click', (event) => {
+        const option = event.target.closest('[data-chain-id]');
+        
+        if (option) {
+          eventHandlers.onSwitchNetwork(option.dataset.chainId);
+        }
+      });
+      logger.debug(MODULE_NAME, 'Network prompt event listener attached');
+    }
+    
+    if (elements.changeWalletButton && eventHandlers.onChangeWallet) {
+      elements.changeWalletButton.addEventListener('click', eventHandlers.onChangeWallet);
+      logger.debug(MODULE_NAME, 'Change wallet button event listener attached');
+    }
+    
     if (elements.logoutButton && eventHandlers.onLogout) {
       elements.logoutButton.addEventListener('click', eventHandlers.onLogout);
       logger.debug(MODULE_NAME, 'Logout button event listener attached');
     }
     
+    if (elements.generateProofButton && eventHandlers.onGenerateProof) {
+      elements.generateProofButton.addEventListener('click', eventHandlers.onGenerateProof);
+      logger.debug(MODULE_NAME, 'Generate proof button event listener attached');
+    }
+    
+    if (elements.cancelProofButton && eventHandlers.onCancelProof) {
+      elements.cancelProofButton.addEventListener('click', eventHandlers.onCancelProof);
+      logger.debug(MODULE_NAME, 'Cancel proof button event listener attached');
+    }
+    
+    if (elements.downloadProofButton && eventHandlers.onDownloadProof) {
+      elements.downloadProofButton.addEventListener('click', eventHandlers.onDownloadProof);
+      logger.debug(MODULE_NAME, 'Download proof button event listener attached');
+    }
+    
+    if (elements.importProofInput && eventHandlers.onImportProof) {
+      elements.importProofInput.addEventListener('change', (event) => {
+        const [file] = event.target.files;
+        
+        // Clear the input so the same file can be imported again
+        event.target.value = '';
+        
+        if (file) {
+          eventHandlers.onImportProof(file);
+        }
+      });
+      logger.debug(MODULE_NAME, 'Import proof input event listener attached');
+    }
+    
+    if (elements.rebindButton && eventHandlers.onRebind) {
+      elements.rebindButton.addEventListener('click', eventHandlers.onRebind);
+      logger.debug(MODULE_NAME, 'Rebind button event listener attached');
+    }
+    
+    if (elements.submitProofButton && eventHandlers.onSubmitProof) {
+      elements.submitProofButton.addEventListener('click', eventHandlers.onSubmitProof);
+      logger.debug(MODULE_NAME, 'Submit proof button event listener attached');
+    }
+    
+    if (elements.downloadCredentialButton && eventHandlers.onDownloadCredential) {
+      elements.downloadCredentialButton.addEventListener('click', eventHandlers.onDownloadCredential);
+      logger.debug(MODULE_NAME, 'Download credential button event listener attached');
+    }
+    
     logger.info(MODULE_NAME, 'UI initialized successfully');
   } catch (error) {
     logger.error(MODULE_NAME, `Error initializing UI: ${error.message}`);
@@ -159,14 +297,14 @@ function setAuthStatus(message, type = 'info') {
 
 /**
  * Update user info display with Twitter and Ethereum data
- * @param {Object} userData - User data
+ * @param {Object} userData - Twitter profile (see twitterProfile.js) with the wallet address
  * @param {string} userData.id - Twitter ID
- * @param {number} userData.accountAge - Account age in years
- * @param {number} userData.followersCount - Followers count
+ * @param {number} userData.accountAgeDays - Account age in whole days
+ * @param {number} userData.followers - Followers count
  * @param {string} [userData.ethAddress] - Ethereum address
  */
 function updateUserInfo(userData) {
-  logger.debug(MODULE_NAME, 'Updating user info display', userData);
+  logger.debug(MODULE_NAME, 'Updating user info display');
   
   try {
     if (!userData) {
@@ -183,7 +321,8 @@ function updateUserInfo(userData) {
     }
     
     if (elements.accountAge) {
-      const formattedAge = userData.accountAge ? `${userData.accountAge} years` : '-';
+      const formattedAge = userData.accountAgeDays !== undefined ?
+        `${utils.formatNumber(userData.accountAgeDays)} days` : '-';
       elements.accountAge.textContent = formattedAge;
       logger.debug(MODULE_NAME, `Set account age to: ${formattedAge}`);
     } else {
@@ -191,8 +330,8 @@ function updateUserInfo(userData) {
     }
     
     if (elements.followersCount) {
-      const formattedFollowers = userData.followersCount !== undefined ? 
-        utils.formatNumber(userData.followersCount) : '-';
+      const formattedFollowers = userData.followers !== undefined ?
+        utils.formatNumber(userData.followers) : '-';
       elements.followersCount.textContent = formattedFollowers;
       logger.debug(MODULE_NAME, `Set followers count to: ${formattedFollowers}`);
     } else {
@@ -274,6 +413,355 @@ function showError(message, isAuthenticated) {
   }
 }
 
+/**
+ * Get the recovery sentence for an error
+ * A rate limit that says when it resets gets the actual wait instead of the generic hint
+ * @param {string|null} action - Recovery action
+ * @param {Error} error - Error being described
+ * @returns {string} Hint, or an empty string
+ */
+function getRecoveryHint(action, error) {
+  if (action === RECOVERY_ACTIONS.RETRY && error.retryAfter > 0) {
+    const [amount, unit] = error.retryAfter < 60
+      ? [error.retryAfter, 'second']
+      : [Math.ceil(error.retryAfter / 60), 'minute'];
+
+    return `Try again in ${amount} ${unit}${amount === 1 ? '' : 's'}.`;
+  }
+  
+  return RECOVERY_HINTS[action] || '';
+}
+
+/**
+ * Describe an error for the user from its code (see errors.js)
+ * Untyped errors keep their own message and have no recovery action
+ * @param {Error} error - Error to describe
+ * @returns {Object} { code, message, action } - action from errors.RECOVERY_ACTIONS, or null
+ */
+function describeError(error) {
+  const code = errors.getErrorCode(error);
+  const entry = ERROR_MESSAGES[code];
+  
+  if (!entry) {
+    return { code, message: error.message, action: null };
+  }
+  
+  const message = entry.message || error.message;
+  const hint = getRecoveryHint(entry.action, error);
+  
+  return {
+    code,
+    message: hint ? `${/[.!?]$/.test(message) ? message : `${message}.`} ${hint}` : message,
+    action: entry.action
+  };
+}
+
+/**
+ * Set proof generation status message
+ * @param {string} message - Status message
+ * @param {string} type - Message type ('info', 'error', 'success')
+ */
+function setProofStatus(message, type = 'info') {
+  logger.debug(MODULE_NAME, `Setting proof status: ${message} (${type})`);
+  
+  if (elements.proofStatus) {
+    elements.proofStatus.textContent = message;
+    
+    // Clear existing classes
+    elements.proofStatus.classList.remove('status-info', 'status-error', 'status-success');
+    
+    // Add appropriate class
+    elements.proofStatus.classList.add(`status-${type}`);
+  }
+}
+
+/**
+ * Set the nullifier registry status for the current proof
+ * @param {string} message - Status message
+ * @param {string} type - Message type (info, error, success)
+ * @param {boolean} [canRebind=false] - Whether to offer the wallet move button
+ */
+function setNullifierStatus(message, type = 'info', canRebind = false) {
+  logger.debug(MODULE_NAME, `Setting nullifier status: ${message} (${type})`);
+  
+  if (elements.nullifierStatus) {
+    elements.nullifierStatus.textContent = message;
+    elements.nullifierStatus.classList.remove('status-info', 'status-error', 'status-success');
+    
+    if (message) {
+      elements.nullifierStatus.classList.add(`status-${type}`);
+    }
+  }
+  
+  if (elements.rebindButton) {
+    elements.rebindButton.classList.toggle('hidden', !canRebind);
+  }
+}
+
+/**
+ * Set the on-chain registration status for the current proof
+ * @param {string} message - Status message
+ * @param {string} type - Message type (info, error, success)
+ * @param {boolean} [canSubmit=false] - Whether to offer the register on-chain button
+ */
+function setRegistryStatus(message, type = 'info', canSubmit = false) {
+  logger.debug(MODULE_NAME, `Setting registry status: ${message} (${type})`);
+  
+  if (elements.registryStatus) {
+    elements.registryStatus.textContent = message;
+    elements.registryStatus.classList.remove('status-info', 'status-error', 'status-success');
+    
+    if (message) {
+      elements.registryStatus.classList.add(`status-${type}`);
+    }
+  }
+  
+  if (elements.submitProofButton) {
+    elements.submitProofButton.classList.toggle('hidden', !canSubmit);
+  }
+}
+
+/**
+ * Set the verifiable credential status for the current proof
+ * @param {string} message - Status message
+ * @param {string} type - Message type (info, error, success)
+ * @param {boolean} [canDownload=false] - Whether to offer the download credential button
+ */
+function setCredentialStatus(message, type = 'info', canDownload = false) {
+  logger.debug(MODULE_NAME, `Setting credential status: ${message} (${type})`);
+  
+  if (elements.credentialStatus) {
+    elements.credentialStatus.textContent = message;
+    elements.credentialStatus.classList.remove('status-info', 'status-error', 'status-success');
+    
+    if (message) {
+      elements.credentialStatus.classList.add(`status-${type}`);
+    }
+  }
+  
+  if (elements.downloadCredentialButton) {
+    elements.downloadCredentialButton.classList.toggle('hidden', !canDownload);
+  }
+}
+
+/**
+ * Show one checkbox per claim the proof can make
+ * @param {Array<Object>} options - Claims { id, description } from zkProof.getClaimOptions
+ * @param {Array<string>} selected - Claim IDs checked initially
+ */
+function setProofClaims(options, selected) {
+  logger.debug(MODULE_NAME, 'Setting proof claims', options);
+  
+  if (!elements.proofClaims) {
+    return;
+  }
+  
+  elements.proofClaims.querySelectorAll('label').forEach((label) => label.remove());
+  
+  options.forEach(({ id, description }) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    
+    checkbox.type = 'checkbox';
+    checkbox.name = 'proof-claim';
+    checkbox.value = id;
+    checkbox.checked = selected.includes(id);
+    
+    label.className = 'proof-claim';
+    label.append(checkbox, ` ${description}`);
+    elements.proofClaims.appendChild(label);
+  });
+}
+
+/**
+ * Get the claims the user chose to prove
+ * @returns {Array<string>} Checked claim IDs
+ */
+function getSelectedClaims() {
+  if (!elements.proofClaims) {
+    return [];
+  }
+  
+  return [...elements.proofClaims.querySelectorAll('input[name="proof-claim"]:checked')].map((input) => input.value);
+}
+
+/**
+ * Select the wallet signature format
+ * @param {string} mode - 'personal_sign' or 'eip712'
+ */
+function setSigningMode(mode) {
+  if (elements.signingMode) {
+    elements.signingMode.value = mode;
+  }
+}
+
+/**
+ * Get the selected wallet signature format
+ * @returns {string|null} 'personal_sign', 'eip712' or null if the selector is missing
+ */
+function getSigningMode() {
+  return elements.signingMode ? elements.signingMode.value : null;
+}
+
+/**
+ * Mark a proof stage as active, done or failed
+ * @param {string} stage - Stage identifier ('sign', 'compile', 'witness', 'prove')
+ * @param {string} status - Stage status ('active', 'done', 'error')
+ */
+function setProofStage(stage, status) {
+  logger.debug(MODULE_NAME, `Setting proof stage ${stage} to ${status}`);
+  
+  if (!elements.proofStages) {
+    return;
+  }
+  
+  const stageElement = elements.proofStages.querySelector(`[data-stage="${stage}"]`);
+  
+  if (!stageElement) {
+    logger.warn(MODULE_NAME, `Proof stage element not found: ${stage}`);
+    return;
+  }
+  
+  stageElement.classList.remove(...STAGE_CLASSES);
+  stageElement.classList.add(`stage-${status}`);
+}
+
+/**
+ * Update the proof progress bar
+ * @param {number} progress - Overall progress between 0 and 1
+ */
+function setProofProgress(progress) {
+  logger.debug(MODULE_NAME, `Setting proof progress: ${progress}`);
+  
+  if (elements.proofProgress) {
+    elements.proofProgress.value = progress;
+    elements.proofProgress.classList.remove('hidden');
+  }
+}
+
+/**
+ * Reset all proof stages and hide the previous result
+ */
+function resetProofStages() {
+  logger.debug(MODULE_NAME, 'Resetting proof stages');
+  
+  if (elements.proofStages) {
+    elements.proofStages.querySelectorAll('[data-stage]').forEach((stageElement) => {
+      stageElement.classList.remove(...STAGE_CLASSES);
+    });
+  }
+  
+  if (elements.proofProgress) {
+    elements.proofProgress.value = 0;
+    elements.proofProgress.classList.add('hidden');
+  }
+  
+  if (elements.proofResult) {
+    elements.proofResult.textContent = '';
+    elements.proofResult.classList.add('hidden');
+    elements.proofResult.classList.remove('proof-mock');
+  }
+  
+  if (elements.downloadProofButton) {
+    elements.downloadProofButton.classList.add('hidden');
+  }
+  
+  setNullifierStatus('');
+  setRegistryStatus('');
+  setCredentialStatus('');
+}
+
+/**
+ * Display a generated or imported proof bundle
+ * @param {Object} proof - Proof bundle from zkProof.generateProof or zkProof.importBundle
+ * @param {string} proof.proof - Base64-encoded proof bytes
+ * @param {string} proof.backend - Backend that produced the proof
+ * @param {boolean} proof.isMock - Whether the proof came from the mock backend
+ * @param {string} proof.createdAt - ISO timestamp of proof creation
+ * @param {Array<string>} provenClaims - Descriptions of the proven claims (zkProof.describeClaims)
+ */
+function showProofResult(proof, provenClaims) {
+  logger.debug(MODULE_NAME, 'Showing proof result');
+  
+  if (!elements.proofResult || !proof) {
+    return;
+  }
+  
+  const proofSize = proof.proof ? utils.base64ToBytes(proof.proof).length : 0;
+  
+  const lines = [
+    proof.isMock ? 'MOCK PROOF - not valid outside test mode' : 'Proof generated',
+    `Proven: ${provenClaims.join('; ')}`,
+    `Backend: ${proof.backend}`,
+    `Size: ${utils.formatNumber(proofSize)} bytes`,
+    `Created: ${new Date(proof.createdAt).toLocaleString()}`,
+    `Proof: ${utils.truncateAddress(proof.proof, 16, 16)}`
+  ];
+  
+  elements.proofResult.textContent = lines.join('\n');
+  elements.proofResult.classList.toggle('proof-mock', Boolean(proof.isMock));
+  elements.proofResult.classList.remove('hidden');
+  
+  if (elements.downloadProofButton) {
+    elements.downloadProofButton.classList.remove('hidden');
+  }
+}
+
+/**
+ * Offer text content to the user as a file download
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function saveFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Offer a proof bundle to the user as a JSON file download
+ * @param {string} json - Serialized bundle from zkProof.exportBundle
+ * @param {string} filename - Suggested file name
+ */
+function downloadProofBundle(json, filename) {
+  logger.debug(MODULE_NAME, `Downloading proof bundle as ${filename}`);
+  saveFile(json, filename, 'application/json');
+}
+
+/**
+ * Offer a verifiable credential to the user as a JWT file download
+ * @param {string} jwt - Signed credential from the proxy
+ * @param {string} filename - Suggested file name
+ */
+function downloadCredential(jwt, filename) {
+  logger.debug(MODULE_NAME, `Downloading credential as ${filename}`);
+  saveFile(jwt, filename, 'application/jwt');
+}
+
+/**
+ * Enable or disable the proof buttons while a proof is running
+ * @param {boolean} isRunning - Whether proof generation is in progress
+ */
+function setProofButtonState(isRunning) {
+  logger.debug(MODULE_NAME, `Setting proof button state: ${isRunning ? 'running' : 'idle'}`);
+  
+  if (elements.generateProofButton) {
+    elements.generateProofButton.disabled = isRunning;
+    elements.generateProofButton.textContent = isRunning ? 'Generating proof...' : 'Generate proof';
+  }
+  
+  if (elements.cancelProofButton) {
+    elements.cancelProofButton.classList.toggle('hidden', !isRunning);
+  }
+}
+
 /**
  * Update wallet connection button state
  * @param {boolean} isConnected - Whether wallet is connected
@@ -302,6 +790,99 @@ function updateWalletButtonState(isConnected, address = null) {
   }
 }
 
+/**
+ * Show the wallet picker with one option per discovered wallet
+ * @param {Array<Object>} wallets - Wallets from walletDiscovery.getWallets()
+ */
+function showWalletPicker(wallets) {
+  logger.debug(MODULE_NAME, `Showing wallet picker with ${wallets.length} wallets`);
+  
+  if (!elements.walletPicker || !elements.walletPickerList) {
+    return;
+  }
+  
+  elements.walletPickerList.replaceChildren(...wallets.map(({ info }) => {
+    const item = document.createElement('li');
+    const option = document.createElement('button');
+    option.className = 'wallet-option';
+    option.dataset.rdns = info.rdns;
+    
+    // EIP-6963 icons are data URIs; anything else is not loaded
+    if (typeof info.icon === 'string' && info.icon.startsWith('data:image/')) {
+      const icon = document.createElement('img');
+      icon.src = info.icon;
+      icon.alt = '';
+      option.appendChild(icon);
+    }
+    
+    const name = document.createElement('span');
+    name.textContent = info.name;
+    option.appendChild(name);
+    
+    item.appendChild(option);
+    return item;
+  }));
+  
+  elements.walletPicker.classList.remove('hidden');
+}
+
+/**
+ * Hide the wallet picker
+ */
+function hideWalletPicker() {
+  if (elements.walletPicker) {
+    elements.walletPicker.classList.add('hidden');
+  }
+}
+
+/**
+ * Ask the user to switch the wallet to one of the supported networks
+ * @param {Array<Object>} chains - Supported chains { chainId, chainName }
+ * @param {string} currentChainId - Hex chain ID the wallet is on
+ */
+function showNetworkPrompt(chains, currentChainId) {
+  logger.debug(MODULE_NAME, `Showing network prompt for chain ${currentChainId}`);
+  
+  if (!elements.networkPrompt) {
+    return;
+  }
+  
+  if (elements.networkPromptText) {
+    elements.networkPromptText.textContent = `Your wallet is on an unsupported network (chain ${parseInt(currentChainId, 16)}). Switch to:`;
+  }
+  
+  if (elements.networkPromptOptions) {
+    elements.networkPromptOptions.replaceChildren(...chains.map((chain) => {
+      const option = document.createElement('button');
+      option.className = 'btn-secondary';
+      option.dataset.chainId = chain.chainId;
+      option.textContent = chain.chainName;
+      return option;
+    }));
+  }
+  
+  elements.networkPrompt.classList.remove('hidden');
+}
+
+/**
+ * Hide the network prompt
+ */
+function hideNetworkPrompt() {
+  if (elements.networkPrompt) {
+    elements.networkPrompt.classList.add('hidden');
+  }
+}
+
+/**
+ * Show or hide the button that reopens the wallet picker
+ * @param {boolean} visible - Whether the button is shown
+ */
+function setChangeWalletVisible(visible) {
+  if (elements.changeWalletButton) {
+    elements.changeWalletButton.classList.toggle('hidden', !visible);
+  }
+}
+
 /**
  * Update login button state
  * @param {boolean} isLoggedIn - Whether user is logged in
@@ -330,10 +911,31 @@ export default {
   showUserInfoSection,
   setLoginStatus,
   setWalletStatus,
+  showWalletPicker,
+  hideWalletPicker,
+  setChangeWalletVisible,
+  showNetworkPrompt,
+  hideNetworkPrompt,
   setAuthStatus,
   updateUserInfo,
   setLoading,
   showError,
+  describeError,
   updateWalletButtonState,
-  updateLoginButtonState
+  updateLoginButtonState,
+  setProofStatus,
+  setNullifierStatus,
+  setRegistryStatus,
+  setCredentialStatus,
+  setProofClaims,
+  getSelectedClaims,
+  setSigningMode,
+  getSigningMode,
+  setProofStage,
+  setProofProgress,
+  resetProofStages,
+  showProofResult,
+  downloadProofBundle,
+  downloadCredential,
+  setProofButtonState
 }; 
\ No newline at end of file
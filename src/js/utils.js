@@ -31,36 +31,6 @@ function generateRandomString(length = 32) {
   return result;
 }
 
-/**
- * Calculate account age in years from creation date
- * @param {string} createdAt - ISO date string of account creation
- * @returns {number} Account age in years (with decimal precision)
- */
-function calculateAccountAge(createdAt) {
-  logger.debug(MODULE_NAME, `Calculating account age from date: ${createdAt}`);
-  
-  if (!createdAt) {
-    logger.warn(MODULE_NAME, 'Invalid creation date provided');
-    return 0;
-  }
-  
-  try {
-    const creationDate = new Date(createdAt);
-    const currentDate = new Date();
-    
-    const ageInMilliseconds = currentDate - creationDate;
-    const millisecondsPerYear = 1000 * 60 * 60 * 24 * 365.25; // Account for leap years
-    
-    // Calculate years with one decimal place precision
-    const years = (ageInMilliseconds / millisecondsPerYear).toFixed(1);
-    
-    return parseFloat(years);
-  } catch (error) {
-    logger.error(MODULE_NAME, `Error calculating account age: ${error.message}`);
-    return 0;
-  }
-}
-
 /**
  * Format a number with thousands separators
  * @param {number} number - Number to format
@@ -108,6 +78,39 @@ function truncateAddress(address, frontChars = 6, endChars = 4) {
   }
 }
 
+/**
+ * Encode bytes as a base64 string
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  
+  // Encode in chunks so large proofs do not exceed the argument limit
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  
+  return btoa(binary);
+}
+
+/**
+ * Decode a base64 string into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  
+  return bytes;
+}
+
 /**
  * Get URL query parameters
  * @returns {Object} Object with query parameters
@@ -191,9 +194,10 @@ function removeSessionData(key) {
 
 export default {
   generateRandomString,
-  calculateAccountAge,
   formatNumber,
   truncateAddress,
+  bytesToBase64,
+  base64ToBytes,
   getQueryParams,
   storeSessionData,
   getSessionData,
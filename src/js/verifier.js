@@ -0,0 +1,251 @@
+/**
+ * Verifier page module
+ * Lets anyone paste or upload a proof bundle and check it against the
+ * proxy's verifier, without logging in to Twitter or connecting a wallet
+ */
+
+import logger from './logger.js';
+import config from './config.js';
+import api from './api.js';
+import utils from './utils.js';
+import zkProof from './zkProof.js';
+import ethereum from './ethereum.js';
+import ui from './ui.js';
+
+// Module identifier for logging
+const MODULE_NAME = 'Verifier';
+
+// Verifier page element IDs
+const VERIFIER_ELEMENTS = {
+  bundleInput: 'verify-bundle-input',
+  fileInput: 'verify-file-input',
+  verifyButton: 'verify-button',
+  status: 'verify-status',
+  result: 'verify-result',
+  verdict: 'verify-verdict',
+  claims: 'verify-claims',
+  address: 'verify-address',
+  network: 'verify-network',
+  createdAt: 'verify-created-at',
+  circuit: 'verify-circuit'
+};
+
+// DOM element references
+let elements = {};
+
+/**
+ * Initialize the verifier page
+ */
+function init() {
+  logger.info(MODULE_NAME, 'Initializing verifier page');
+
+  try {
+    config.init();
+
+    for (const [key, id] of Object.entries(VERIFIER_ELEMENTS)) {
+      elements[key] = document.getElementById(id);
+      if (!elements[key]) {
+        logger.warn(MODULE_NAME, `Element not found: ${id}`);
+      }
+    }
+
+    if (elements.verifyButton) {
+      elements.verifyButton.addEventListener('click', handleVerify);
+    }
+
+    if (elements.fileInput) {
+      elements.fileInput.addEventListener('change', handleFileSelected);
+    }
+
+    logger.info(MODULE_NAME, 'Verifier page initialized successfully');
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error initializing verifier page: ${error.message}`);
+  }
+}
+
+/**
+ * Set the verifier status message
+ * @param {string} message - Status message
+ * @param {string} type - Message type (info, error, success)
+ */
+function setStatus(message, type = 'info') {
+  if (elements.status) {
+    elements.status.textContent = message;
+    elements.status.classList.remove('status-info', 'status-error', 'status-success');
+
+    if (message) {
+      elements.status.classList.add(`status-${type}`);
+    }
+  }
+}
+
+/**
+ * Load an uploaded bundle file into the text area and verify it
+ * @param {Event} event - Change event of the file input
+ */
+async function handleFileSelected(event) {
+  const [file] = event.target.files;
+
+  // Clear the input so the same file can be uploaded again
+  event.target.value = '';
+
+  if (!file) {
+    return;
+  }
+
+  logger.info(MODULE_NAME, `Loading proof bundle from ${file.name}`);
+
+  try {
+    elements.bundleInput.value = await file.text();
+    await handleVerify();
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error reading bundle file: ${error.message}`);
+    setStatus(`Could not read ${file.name}: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Validate the bundle in the text area and verify it on the server
+ */
+async function handleVerify() {
+  logger.info(MODULE_NAME, 'Verifying pasted proof bundle');
+
+  const source = elements.bundleInput ? elements.bundleInput.value.trim() : '';
+
+  if (!source) {
+    setStatus('Paste a proof bundle or upload a bundle file first.', 'error');
+    return;
+  }
+
+  hideResult();
+
+  let bundle;
+
+  try {
+    bundle = zkProof.importBundle(source);
+  } catch (error) {
+    setStatus(error.message, 'error');
+    return;
+  }
+
+  try {
+    elements.verifyButton.disabled = true;
+    setStatus('Verifying proof...', 'info');
+
+    const result = await api.verifyProofBundle(bundle);
+    const signer = zkProof.getBundleSigner(bundle);
+
+    showResult(bundle, result, signer);
+
+    if (result.valid) {
+      setStatus('', 'info');
+    } else {
+      setStatus(result.reason || 'The proof did not verify.', 'error');
+    }
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error verifying bundle: ${error.message}`);
+    setStatus(`Verification failed: ${ui.describeError(error).message}`, 'error');
+  } finally {
+    elements.verifyButton.disabled = false;
+  }
+}
+
+/**
+ * Hide the previous verification result
+ */
+function hideResult() {
+  if (elements.result) {
+    elements.result.classList.add('hidden');
+  }
+
+  if (elements.claims) {
+    elements.claims.textContent = '';
+  }
+}
+
+/**
+ * Build the list of claims attested by a bundle
+ * @param {Object} bundle - Validated proof bundle
+ * @param {Object} result - Server verification result
+ * @param {Object} signer - Signer from zkProof.getBundleSigner
+ * @returns {Array<Object>} Claims { label, proven }
+ */
+function describeClaims(bundle, result, signer) {
+  // Thresholds and revealed values reported by the server come from the verified public inputs
+  const thresholds = { ...bundle.thresholds, ...result.thresholds };
+  const disclosed = { ...bundle.disclosed, ...result.disclosed };
+  const claims = zkProof.getBundleClaims(bundle);
+
+  // The listed claims only count if they are the ones the bundle's circuit proves
+  const circuitMatches = zkProof.getCircuitForClaims(claims) === bundle.circuit.name;
+
+  return [
+    ...zkProof.describeClaims(claims, thresholds, disclosed).map((label) => ({
+      label,
+      proven: result.valid && circuitMatches
+    })),
+    {
+      label: `Twitter account linked to wallet ${utils.truncateAddress(signer.address)}`,
+      // The bundled message must be the one whose signature the circuit checked
+      proven: result.valid && signer.messageMatches && signer.signatureMatches
+    }
+  ];
+}
+
+/**
+ * Describe the network a bundle's link message was signed on
+ * @param {number|null} chainId - Chain ID from zkProof.getBundleSigner
+ * @returns {string} Network label
+ */
+function describeNetwork(chainId) {
+  if (!chainId) {
+    return 'Unknown';
+  }
+
+  const chain = ethereum.getSupportedChain(chainId);
+  return chain ? `${chain.chainName} (chain ${chainId})` : `Chain ${chainId} (not supported)`;
+}
+
+/**
+ * Render a verification result
+ * @param {Object} bundle - Validated proof bundle
+ * @param {Object} result - Server verification result
+ * @param {Object} signer - Signer from zkProof.getBundleSigner
+ */
+function showResult(bundle, result, signer) {
+  if (!elements.result) {
+    return;
+  }
+
+  elements.verdict.textContent = result.valid ? 'Proof verified' : 'Proof NOT verified';
+  elements.verdict.className = result.valid ? 'status-success' : 'status-error';
+
+  for (const claim of describeClaims(bundle, result, signer)) {
+    const item = document.createElement('li');
+    item.textContent = `${claim.proven ? '✓' : '✗'} ${claim.label}`;
+    item.classList.add(claim.proven ? 'claim-proven' : 'claim-unproven');
+    elements.claims.appendChild(item);
+  }
+
+  if (!signer.messageMatches) {
+    const item = document.createElement('li');
+    item.textContent = 'The bundled message does not match the proven message hash';
+    item.classList.add('claim-unproven');
+    elements.claims.appendChild(item);
+  }
+
+  elements.address.textContent = signer.address;
+  elements.network.textContent = describeNetwork(signer.chainId);
+  elements.createdAt.textContent = new Date(bundle.createdAt).toLocaleString();
+  elements.circuit.textContent = `${bundle.circuit.name}@${bundle.circuit.version}`;
+
+  elements.result.classList.toggle('proof-mock', Boolean(bundle.isMock));
+  elements.result.classList.remove('hidden');
+}
+
+// Initialize the verifier page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', init);
+
+export default {
+  init
+};
@@ -0,0 +1,149 @@
+/**
+ * Wallet discovery module
+ * Finds injected wallets with EIP-6963 instead of trusting whichever extension
+ * won the race for window.ethereum, and remembers the one the user picked.
+ * ethereum.js and zkProof.js both talk to the provider selected here
+ */
+
+import logger from './logger.js';
+
+// Module identifier for logging
+const MODULE_NAME = 'WalletDiscovery';
+
+// EIP-6963 window events
+const EVENTS = {
+  ANNOUNCE: 'eip6963:announceProvider',
+  REQUEST: 'eip6963:requestProvider'
+};
+
+// localStorage key of the chosen wallet, kept across sessions
+const SELECTED_WALLET_KEY = 'wallet_provider_rdns';
+
+// Identifier of the window.ethereum fallback for wallets without EIP-6963 support
+const LEGACY_RDNS = 'legacy.window.ethereum';
+
+// Announced wallets by rdns: { info: { uuid, name, icon, rdns }, provider }
+const wallets = new Map();
+
+let listening = false;
+
+/**
+ * Record a wallet announcement
+ * @param {CustomEvent} event - eip6963:announceProvider event
+ */
+function handleAnnouncement(event) {
+  const { info, provider } = event.detail || {};
+
+  if (!info || !info.rdns || !provider) {
+    logger.warn(MODULE_NAME, 'Ignoring malformed EIP-6963 announcement');
+    return;
+  }
+
+  if (!wallets.has(info.rdns)) {
+    logger.info(MODULE_NAME, `Discovered wallet: ${info.name} (${info.rdns})`);
+  }
+
+  wallets.set(info.rdns, { info, provider });
+}
+
+/**
+ * Start listening for wallets and ask the installed ones to announce themselves
+ * Wallets answer the request synchronously; late ones are picked up as they announce
+ */
+function init() {
+  if (!listening) {
+    window.addEventListener(EVENTS.ANNOUNCE, handleAnnouncement);
+    listening = true;
+  }
+
+  window.dispatchEvent(new Event(EVENTS.REQUEST));
+}
+
+/**
+ * Get the available wallets
+ * Falls back to window.ethereum when no wallet supports EIP-6963
+ * @returns {Array<Object>} Wallets { info: { uuid, name, icon, rdns }, provider }
+ */
+function getWallets() {
+  if (wallets.size > 0) {
+    return [...wallets.values()];
+  }
+
+  if (typeof window.ethereum !== 'undefined') {
+    return [{
+      info: {
+        uuid: LEGACY_RDNS,
+        name: window.ethereum.isMetaMask ? 'MetaMask' : 'Browser wallet',
+        icon: null,
+        rdns: LEGACY_RDNS
+      },
+      provider: window.ethereum
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Get the rdns of the remembered wallet
+ * @returns {string|null} rdns or null
+ */
+function getSelectedRdns() {
+  try {
+    return localStorage.getItem(SELECTED_WALLET_KEY);
+  } catch (error) {
+    logger.warn(MODULE_NAME, `Could not read the remembered wallet: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Remember the wallet the user picked
+ * @param {string} rdns - Reverse-DNS identifier of the wallet
+ */
+function selectWallet(rdns) {
+  if (!getWallets().some((wallet) => wallet.info.rdns === rdns)) {
+    throw new Error(`Wallet ${rdns} is not available`);
+  }
+
+  logger.info(MODULE_NAME, `Selected wallet: ${rdns}`);
+
+  try {
+    localStorage.setItem(SELECTED_WALLET_KEY, rdns);
+  } catch (error) {
+    logger.warn(MODULE_NAME, `Could not remember the selected wallet: ${error.message}`);
+  }
+}
+
+/**
+ * Get the wallet to use: the remembered one, or the only one installed
+ * @returns {Object|null} Wallet { info, provider }, or null if the user has to choose
+ */
+function getSelectedWallet() {
+  const available = getWallets();
+  const rdns = getSelectedRdns();
+  const remembered = available.find((wallet) => wallet.info.rdns === rdns);
+
+  if (remembered) {
+    return remembered;
+  }
+
+  return available.length === 1 ? available[0] : null;
+}
+
+/**
+ * Get the EIP-1193 provider of the selected wallet
+ * @returns {Object|null} Provider or null
+ */
+function getProvider() {
+  const wallet = getSelectedWallet();
+  return wallet ? wallet.provider : null;
+}
+
+export default {
+  init,
+  getWallets,
+  selectWallet,
+  getSelectedWallet,
+  getProvider
+};
@@ -4,9 +4,17 @@
  */
 
 import { ethers } from 'ethers';
-import { initNoirWasm, compile, initNoirJs, Noir, BarretenbergBackend } from './noirBrowser.js';
+import { initNoirWasm, initNoirJs, getBackendName } from './noirBrowser.js';
+import proofPipeline from './proofPipeline.js';
+import circuitArtifacts from './circuitArtifacts.js';
+import ethereum from './ethereum.js';
+import siwe from './siwe.js';
+import typedLink from './typedLink.js';
+import twitterProfile from './twitterProfile.js';
 import logger from './logger.js';
+import config from './config.js';
 import utils from './utils.js';
+import errors from './errors.js';
 
 // Module identifier for logging
 const MODULE_NAME = 'ZKProof';
@@ -17,44 +25,130 @@ const STORAGE_KEYS = {
   SIGNATURE: 'twitter_eth_signature'
 };
 
-// Noir circuit paths
-const CIRCUIT_PATHS = {
-  MAIN: '/circuits/src/main.nr',
-  CONFIG: '/circuits/Nargo.toml'
+// How the wallet signs the link: an EIP-4361 text message or an EIP-712 TwitterLink
+const SIGNING_MODES = {
+  PERSONAL_SIGN: 'personal_sign',
+  EIP712: 'eip712'
 };
 
+// Claims a proof can make about the Twitter account. Each claim type names the circuit
+// that proves it on its own, builds its public inputs from the thresholds, describes
+// itself for people and reports why the Twitter profile cannot meet it. Claims that reveal
+// a value instead of meeting a threshold also name it (disclosure) and compute it (disclose)
+const CLAIM_TYPES = {
+  accountAge: {
+    circuit: 'twitter_age_zkp',
+    threshold: 'minAccountAgeDays',
+    buildInputs: (thresholds) => ({ min_account_age_days: thresholds.minAccountAgeDays }),
+    describe: (thresholds) => `Twitter account older than ${utils.formatNumber(thresholds.minAccountAgeDays)} days`,
+    findUnmet: (profile, thresholds) => (profile.accountAgeDays > thresholds.minAccountAgeDays
+      ? null
+      : `account age ${profile.accountAgeDays} days (needs more than ${thresholds.minAccountAgeDays})`)
+  },
+  followers: {
+    circuit: 'twitter_followers_zkp',
+    threshold: 'minFollowers',
+    buildInputs: (thresholds) => ({ min_followers: thresholds.minFollowers }),
+    describe: (thresholds) => `More than ${utils.formatNumber(thresholds.minFollowers)} followers`,
+    findUnmet: (profile, thresholds) => (profile.followers > thresholds.minFollowers
+      ? null
+      : `${profile.followers} followers (needs more than ${thresholds.minFollowers})`)
+  },
+  followerTier: {
+    circuit: 'twitter_follower_tier_zkp',
+    threshold: 'followerTiers',
+    disclosure: 'followerTier',
+    disclose: (profile, thresholds) => getFollowerTier(profile.followers, thresholds.followerTiers),
+    buildInputs: (thresholds, disclosed) => ({
+      follower_tier_bounds: thresholds.followerTiers,
+      follower_tier: disclosed.followerTier
+    }),
+    describe: (thresholds, disclosed = {}) => {
+      const labels = getFollowerTierLabels(thresholds.followerTiers);
+      
+      return disclosed.followerTier === undefined
+        ? `Follower tier only (${labels.join(', ')})`
+        : `${labels[disclosed.followerTier]} followers (tier ${disclosed.followerTier})`;
+    },
+    // Every follower count falls in some tier
+    findUnmet: () => null
+  }
+};
+
+// Circuits proving several claims at once, keyed by their claims in CLAIM_TYPES order
+const COMBINED_CIRCUITS = {
+  'accountAge+followers': 'twitter_zkp'
+};
+
+// Claims of bundles that do not list theirs, which predate claim selection
+const LEGACY_CLAIMS = ['accountAge', 'followers'];
+
+// Proof bundle format identifier and version (see "Proof Bundle Format" in README.md)
+const BUNDLE_FORMAT = 'twitter-zk-proof-bundle';
+const BUNDLE_VERSION = 1;
+
+const { PROOF_STAGES, STAGE_STATUS, WORKER_MESSAGES } = proofPipeline;
+
+// Window events dispatched while a proof is being generated
+const PROOF_EVENTS = {
+  STAGE: 'zkproof_stage',
+  PROGRESS: 'zkproof_progress'
+};
+
+// ZK proof module state
+let zkState = {
+  initialized: false,
+  backend: null,
+  useWorker: false
+};
+
+// Proof job currently running, if any
+let activeJob = null;
+
 /**
  * Initialize the ZK Proof module
  */
 async function init() {
+  if (zkState.initialized) {
+    return zkState;
+  }
+  
   logger.info(MODULE_NAME, 'Initializing ZK Proof module');
   
   try {
-    // Initialize Noir WASM and Noir JS
-    await initNoirWasm();
-    await initNoirJs();
+    // Resolve the proving backend from configuration ('noir' unless in test mode)
+    const backend = getBackendName();
     
-    logger.info(MODULE_NAME, 'Noir libraries initialized successfully');
-    return {};
+    // Proving runs in a worker; the libraries are only loaded here without one
+    const useWorker = typeof Worker !== 'undefined';
+    
+    if (!useWorker) {
+      logger.warn(MODULE_NAME, 'Web Workers are not available, proofs will run on the main thread');
+      await initNoirWasm();
+      await initNoirJs();
+    }
+    
+    logger.info(MODULE_NAME, `ZK Proof module initialized (backend: ${backend}, worker: ${useWorker})`);
+    zkState = { initialized: true, backend, useWorker };
+    return zkState;
   } catch (error) {
     logger.error(MODULE_NAME, `Error initializing Noir libraries: ${error.message}`);
-    return {};
+    return { initialized: false, error: error.message };
   }
 }
 
 /**
- * Generate a message to sign that links Twitter ID with Ethereum address
- * @param {string} twitterId - Twitter ID
+ * Generate the EIP-4361 message that links the session's Twitter account with an Ethereum address
+ * The nonce, validity window and link reference come from the proxy, which verifies
+ * the signed message before the wallet counts as connected
+ * @param {Object} link - { address, chainId, nonce } where nonce is the proxy's
+ * { nonce, issuedAt, expirationTime, resource, linkId }
  * @returns {string} Message to sign
  */
-function generateMessageToSign(twitterId) {
-  logger.debug(MODULE_NAME, `Generating message to sign for Twitter ID: ${twitterId}`);
-  
-  // Create a hash of the Twitter ID
-  const twitterIdHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(twitterId));
+function generateMessageToSign(link) {
+  logger.debug(MODULE_NAME, `Generating message to sign for ${link.address}`);
   
-  // Create a message that includes the hash
-  const message = `I am linking my Twitter account (ID hash: ${twitterIdHash}) with my Ethereum address. Timestamp: ${Date.now()}`;
+  const message = siwe.buildLinkMessage(link);
   
   logger.debug(MODULE_NAME, `Generated message: ${message}`);
   
@@ -62,159 +156,796 @@ function generateMessageToSign(twitterId) {
 }
 
 /**
- * Sign a message using MetaMask
+ * Generate the EIP-712 TwitterLink typed data for the same link as generateMessageToSign
+ * @param {Object} link - { address, chainId, nonce } where nonce is the proxy's
+ * { nonce, issuedAt, expirationTime, resource, linkId }
+ * @returns {Object} Typed data { domain, types, primaryType, message }
+ */
+function generateTypedDataToSign(link) {
+  logger.debug(MODULE_NAME, `Generating typed data to sign for ${link.address}`);
+  
+  return typedLink.buildLinkTypedData(link);
+}
+
+/**
+ * Get a signer for the wallet selected in ethereum.js
+ * @returns {Object} ethers JsonRpcSigner
+ */
+function getSigner() {
+  return new ethers.providers.Web3Provider(ethereum.getProvider()).getSigner();
+}
+
+/**
+ * Split a signature over a digest into the inputs the circuit needs and store it
+ * The circuit only sees the 32-byte digest, so both signing modes end up here
+ * @param {string} signature - Wallet signature
+ * @param {string} messageHash - Digest that was signed
+ * @param {Object} signed - What was signed: { mode, message } or { mode, typedData }
+ * @returns {Object} Signature details
+ */
+function storeSignature(signature, messageHash, signed) {
+  // Split signature into components
+  const sig = ethers.utils.splitSignature(signature);
+  
+  // Recover public key from signature
+  const publicKey = ethers.utils.recoverPublicKey(messageHash, signature);
+  
+  // Extract X and Y coordinates from public key
+  // Public key format is: 0x04 + x + y
+  // Remove the 0x04 prefix and split into x and y coordinates
+  const pubKeyBytes = ethers.utils.arrayify(publicKey);
+  const pubKeyX = ethers.utils.hexlify(pubKeyBytes.slice(1, 33));
+  const pubKeyY = ethers.utils.hexlify(pubKeyBytes.slice(33, 65));
+  
+  // Store signature in session storage
+  const signatureData = {
+    ...signed,
+    signature,
+    messageHash,
+    r: sig.r,
+    s: sig.s,
+    v: sig.v,
+    publicKey,
+    pubKeyX,
+    pubKeyY
+  };
+  
+  utils.storeSessionData(STORAGE_KEYS.SIGNATURE, signatureData);
+  
+  return signatureData;
+}
+
+/**
+ * Sign a message with the selected wallet (personal_sign)
  * @param {string} message - Message to sign
  * @returns {Promise<Object>} Signature details
  */
 async function signMessage(message) {
-  logger.info(MODULE_NAME, 'Requesting signature from MetaMask');
+  logger.info(MODULE_NAME, 'Requesting signature from the wallet');
   
   try {
-    // Check if MetaMask is available
-    if (typeof window.ethereum === 'undefined') {
-      throw new Error('MetaMask is not installed');
-    }
-    
-    // Get provider and signer
-    const provider = new ethers.providers.Web3Provider(window.ethereum);
-    const signer = provider.getSigner();
-    
     // Sign the message
-    const signature = await signer.signMessage(message);
+    const signature = await getSigner().signMessage(message);
     
     // Get the message hash (the signed message)
     const messageHash = ethers.utils.hashMessage(message);
     
-    // Split signature into components
-    const sig = ethers.utils.splitSignature(signature);
-    
-    // Recover public key from signature
-    const publicKey = ethers.utils.recoverPublicKey(messageHash, signature);
-    
-    // Extract X and Y coordinates from public key
-    // Public key format is: 0x04 + x + y
-    // Remove the 0x04 prefix and split into x and y coordinates
-    const pubKeyBytes = ethers.utils.arrayify(publicKey);
-    const pubKeyX = ethers.BigNumber.from(pubKeyBytes.slice(1, 33)).toString();
-    const pubKeyY = ethers.BigNumber.from(pubKeyBytes.slice(33, 65)).toString();
-    
-    // Store signature in session storage
-    const signatureData = {
-      signature,
-      messageHash,
-      r: sig.r,
-      s: sig.s,
-      v: sig.v,
-      publicKey,
-      pubKeyX,
-      pubKeyY
-    };
-    
-    utils.storeSessionData(STORAGE_KEYS.SIGNATURE, JSON.stringify(signatureData));
+    const signatureData = storeSignature(signature, messageHash, { mode: SIGNING_MODES.PERSONAL_SIGN, message });
     
     logger.info(MODULE_NAME, 'Message signed successfully');
     
     return signatureData;
   } catch (error) {
     logger.error(MODULE_NAME, `Error signing message: ${error.message}`);
-    throw error;
+    throw errors.fromWalletError(error);
   }
 }
 
 /**
- * Compile the Noir circuit
- * @returns {Promise<Object>} Compiled circuit
+ * Sign EIP-712 typed data with the selected wallet (eth_signTypedData_v4)
+ * @param {Object} typedData - Typed data from generateTypedDataToSign
+ * @returns {Promise<Object>} Signature details
  */
-async function compileCircuit() {
-  logger.info(MODULE_NAME, 'Compiling Noir circuit');
+async function signTypedData(typedData) {
+  logger.info(MODULE_NAME, 'Requesting typed data signature from the wallet');
   
   try {
-    // Fetch the circuit files
-    const mainResponse = await fetch(CIRCUIT_PATHS.MAIN);
-    const configResponse = await fetch(CIRCUIT_PATHS.CONFIG);
+    const signature = await getSigner()._signTypedData(typedData.domain, typedData.types, typedData.message);
     
-    if (!mainResponse.ok || !configResponse.ok) {
-      throw new Error('Failed to fetch circuit files');
-    }
+    // EIP-712 digest: keccak256(0x1901 || domainSeparator || hashStruct(message))
+    const messageHash = typedLink.hashTypedData(typedData);
+    
+    const signatureData = storeSignature(signature, messageHash, { mode: SIGNING_MODES.EIP712, typedData });
     
-    const mainText = await mainResponse.text();
-    const configText = await configResponse.text();
+    logger.info(MODULE_NAME, 'Typed data signed successfully');
     
-    // Create a file system with the circuit files
-    const files = {
-      './src/main.nr': mainText,
-      './Nargo.toml': configText
+    return signatureData;
+  } catch (error) {
+    logger.error(MODULE_NAME, `Error signing typed data: ${error.message}`);
+    throw errors.fromWalletError(error);
+  }
+}
+
+/**
+ * Sign a nullifier re-binding authorization with the currently bound wallet
+ * The user must switch the selected wallet to that address before calling this
+ * @param {Object} conflict - Conflict returned by api.registerNullifier
+ * @param {Object} conflict.binding - Current binding { address, ... }
+ * @param {string} conflict.rebindMessage - Message the bound wallet must sign
+ * @returns {Promise<string>} Signature
+ */
+async function signRebindAuthorization(conflict) {
+  logger.info(MODULE_NAME, `Requesting re-binding authorization from ${conflict.binding.address}`);
+  
+  const signer = getSigner();
+  const signerAddress = await signer.getAddress();
+  
+  if (ethers.utils.getAddress(signerAddress) !== ethers.utils.getAddress(conflict.binding.address)) {
+    throw new Error(`Switch your wallet to ${conflict.binding.address} to authorize the move`);
+  }
+  
+  return signer.signMessage(conflict.rebindMessage).catch((error) => {
+    throw errors.fromWalletError(error);
+  });
+}
+
+/**
+ * Build progress listeners that call the caller's callbacks and dispatch window events
+ * @param {Object} options - Proof options
+ * @returns {Object} Listeners { onStage, onProgress }
+ */
+function createProofListeners({ onStage, onProgress }) {
+  return {
+    onStage: (stage, status) => {
+      if (typeof onStage === 'function') {
+        onStage(stage, status);
+      }
+      
+      window.dispatchEvent(new CustomEvent(PROOF_EVENTS.STAGE, {
+        detail: { stage, status }
+      }));
+    },
+    onProgress: (progress, stage) => {
+      if (typeof onProgress === 'function') {
+        onProgress(progress, stage);
+      }
+      
+      window.dispatchEvent(new CustomEvent(PROOF_EVENTS.PROGRESS, {
+        detail: { progress, stage }
+      }));
+    }
+  };
+}
+
+/**
+ * Create the error used when a proof job is cancelled
+ * @returns {DOMException} AbortError
+ */
+function createCancelError() {
+  return new DOMException('Proof generation was cancelled', 'AbortError');
+}
+
+/**
+ * Create the error used when a proof job runs out of time
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {DOMException} TimeoutError
+ */
+function createTimeoutError(timeoutMs) {
+  return new DOMException(`Proof generation timed out after ${Math.round(timeoutMs / 1000)} seconds`, 'TimeoutError');
+}
+
+/**
+ * Run a proof job and settle it on completion, cancellation or timeout
+ * @param {Object} job - Proof job passed to the pipeline
+ * @param {Object} listeners - Progress listeners
+ * @param {Object} controls - Job controls
+ * @param {AbortSignal} [controls.signal] - Signal that cancels the job
+ * @param {number} controls.timeoutMs - Timeout in milliseconds (0 disables it)
+ * @returns {Promise<Object>} Raw proof data from the pipeline
+ */
+function runProofJob(job, listeners, { signal, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const jobId = utils.generateRandomString(16);
+    const worker = zkState.useWorker
+      ? new Worker(new URL('./proofWorker.js', import.meta.url), { type: 'module' })
+      : null;
+    let timeoutId = null;
+    let settled = false;
+    
+    // Settle once, and terminate the worker so cancelled work stops immediately
+    const finish = (settle, value) => {
+      if (settled) {
+        return;
+      }
+      
+      settled = true;
+      clearTimeout(timeoutId);
+      
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
+      
+      if (worker) {
+        worker.terminate();
+      }
+      
+      activeJob = null;
+      settle(value);
     };
     
-    // Compile the circuit
-    const compiledCircuit = await compile(files);
+    const cancel = () => finish(reject, createCancelError());
     
-    logger.info(MODULE_NAME, 'Circuit compiled successfully');
+    activeJob = { jobId, cancel };
     
-    return compiledCircuit;
-  } catch (error) {
-    logger.error(MODULE_NAME, `Error compiling circuit: ${error.message}`);
-    throw error;
+    if (signal) {
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+    
+    if (timeoutMs > 0) {
+      timeoutId = setTimeout(() => finish(reject, createTimeoutError(timeoutMs)), timeoutMs);
+    }
+    
+    if (!worker) {
+      // Main-thread fallback: the job cannot be interrupted, its result is simply dropped
+      proofPipeline.runProofPipeline(job, listeners)
+        .then((result) => finish(resolve, result))
+        .catch((error) => finish(reject, error));
+      return;
+    }
+    
+    worker.addEventListener('message', (event) => {
+      const message = event.data || {};
+      
+      if (message.jobId !== jobId || settled) {
+        return;
+      }
+      
+      switch (message.type) {
+        case WORKER_MESSAGES.STAGE:
+          listeners.onStage(message.stage, message.status);
+          break;
+        case WORKER_MESSAGES.PROGRESS:
+          listeners.onProgress(message.progress, message.stage);
+          break;
+        case WORKER_MESSAGES.RESULT:
+          finish(resolve, message.result);
+          break;
+        case WORKER_MESSAGES.ERROR:
+          finish(reject, new Error(message.message));
+          break;
+        default:
+          logger.warn(MODULE_NAME, `Unknown message from proof worker: ${message.type}`);
+      }
+    });
+    
+    worker.addEventListener('error', (event) => {
+      finish(reject, new Error(`Proof worker failed: ${event.message || 'unknown error'}`));
+    });
+    
+    worker.postMessage({ type: WORKER_MESSAGES.START, jobId, job });
+  });
+}
+
+/**
+ * Cancel the proof currently being generated
+ * @returns {boolean} True if a running proof was cancelled
+ */
+function cancelProof() {
+  if (!activeJob) {
+    return false;
+  }
+  
+  logger.info(MODULE_NAME, `Cancelling proof job ${activeJob.jobId}`);
+  activeJob.cancel();
+  return true;
+}
+
+/**
+ * Check whether a proof is currently being generated
+ * @returns {boolean} True while a proof job is running
+ */
+function isProofRunning() {
+  return activeJob !== null;
+}
+
+/**
+ * Convert a 0x-prefixed hex string into the byte array a [u8; N] circuit input expects
+ * @param {string} hex - Hex string
+ * @returns {Array<number>} Bytes
+ */
+function toByteArray(hex) {
+  return Array.from(ethers.utils.arrayify(hex));
+}
+
+/**
+ * Map a nullifier scope name to the field element passed to the circuit
+ * Uses the first 31 bytes of keccak256(scope) so the value always fits in a BN254 field
+ * @param {string} scope - Scope name from @config.json
+ * @returns {string} 0x-prefixed scope field
+ */
+function getScopeField(scope) {
+  return ethers.utils.hexDataSlice(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(scope)), 0, 31);
+}
+
+/**
+ * Find the follower tier of a follower count, as the tier circuit computes it
+ * @param {number} followers - Attested follower count
+ * @param {Array<number>} bounds - Ascending lower bounds of tiers 1..n
+ * @returns {number} Tier index, 0 for counts below the first bound
+ */
+function getFollowerTier(followers, bounds) {
+  return bounds.filter((bound) => followers >= bound).length;
+}
+
+/**
+ * Label the follower tiers of a bucket table, e.g. "<1,000", "1,000–9,999", "100,000+"
+ * @param {Array<number>} bounds - Ascending lower bounds of tiers 1..n
+ * @returns {Array<string>} One label per tier, tier 0 first
+ */
+function getFollowerTierLabels(bounds) {
+  return [
+    `<${utils.formatNumber(bounds[0])}`,
+    ...bounds.slice(1).map((bound, index) => `${utils.formatNumber(bounds[index])}–${utils.formatNumber(bound - 1)}`),
+    `${utils.formatNumber(bounds[bounds.length - 1])}+`
+  ];
+}
+
+/**
+ * Put a selection of claims in canonical order, rejecting unknown ones
+ * @param {Array<string>} claims - Claim types from CLAIM_TYPES
+ * @returns {Array<string>} Claims in CLAIM_TYPES order, without duplicates
+ */
+function normalizeClaims(claims) {
+  const unknown = claims.filter((claim) => !CLAIM_TYPES[claim]);
+  
+  if (unknown.length > 0) {
+    throw new Error(`Unknown claim type: ${unknown.join(', ')}`);
+  }
+  
+  return Object.keys(CLAIM_TYPES).filter((claim) => claims.includes(claim));
+}
+
+/**
+ * Find the circuit that proves exactly a selection of claims
+ * @param {Array<string>} claims - Claim types from CLAIM_TYPES
+ * @returns {string} Circuit name in the artifact manifest
+ */
+function getCircuitForClaims(claims) {
+  const selected = normalizeClaims(claims);
+  
+  if (selected.length === 0) {
+    throw new Error('Choose at least one claim to prove');
+  }
+  
+  const circuit = selected.length === 1
+    ? CLAIM_TYPES[selected[0]].circuit
+    : COMBINED_CIRCUITS[selected.join('+')];
+  
+  if (!circuit) {
+    throw new Error(`No circuit proves the claims ${selected.join(', ')} together`);
+  }
+  
+  return circuit;
+}
+
+/**
+ * List the claims a proof can make, for the claim selection in the UI
+ * @param {Object} thresholds - Claim thresholds
+ * @returns {Array<Object>} Claims { id, description }
+ */
+function getClaimOptions(thresholds) {
+  return Object.entries(CLAIM_TYPES).map(([id, claimType]) => ({ id, description: claimType.describe(thresholds) }));
+}
+
+/**
+ * Get the claims a bundle proves
+ * @param {Object} bundle - Proof bundle
+ * @returns {Array<string>} Claim types from CLAIM_TYPES
+ */
+function getBundleClaims(bundle) {
+  return bundle.claims || LEGACY_CLAIMS;
+}
+
+/**
+ * Describe proven claims for people
+ * @param {Array<string>} claims - Claim types from CLAIM_TYPES
+ * @param {Object} thresholds - Proven thresholds
+ * @param {Object} [disclosed] - Values the proof reveals, such as { followerTier }
+ * @returns {Array<string>} One description per claim
+ */
+function describeClaims(claims, thresholds, disclosed = {}) {
+  return normalizeClaims(claims).map((claim) => CLAIM_TYPES[claim].describe(thresholds, disclosed));
+}
+
+/**
+ * Compute the values the selected claims reveal from the Twitter profile
+ * @param {Object} profile - Twitter profile (see twitterProfile.js)
+ * @param {Array<string>} claims - Selected claim types
+ * @param {Object} thresholds - Claim thresholds
+ * @returns {Object} Revealed values by name, e.g. { followerTier: 1 }
+ */
+function discloseClaims(profile, claims, thresholds) {
+  return Object.fromEntries(claims
+    .filter((claim) => CLAIM_TYPES[claim].disclosure)
+    .map((claim) => [CLAIM_TYPES[claim].disclosure, CLAIM_TYPES[claim].disclose(profile, thresholds)]));
+}
+
+/**
+ * Fail early, with a readable message, when the Twitter profile cannot meet the selected claims
+ * The circuit enforces the same checks; this only avoids a long, doomed proving run
+ * @param {Object} profile - Twitter profile (see twitterProfile.js)
+ * @param {Array<string>} claims - Selected claim types
+ * @param {Object} thresholds - Claim thresholds
+ */
+function checkProfileClaims(profile, claims, thresholds) {
+  const unmet = claims
+    .map((claim) => CLAIM_TYPES[claim].findUnmet(profile, thresholds))
+    .filter(Boolean);
+  
+  if (unmet.length > 0) {
+    throw new Error(`Your account does not meet the requirements: ${unmet.join(', ')}`);
   }
 }
 
 /**
  * Generate a zero-knowledge proof
- * @param {Object} twitterData - Twitter user data
+ * The precompiled circuit is loaded from the artifact manifest, then witness
+ * generation and proving run in a dedicated Web Worker.
+ * Stage and progress updates are passed to the callbacks below and also
+ * dispatched as `zkproof_stage` and `zkproof_progress` window events.
+ * @param {Object} profile - Twitter profile from twitterProfile.js; its attestation signs the private inputs
  * @param {Object} signatureData - Signature data
- * @returns {Promise<Object>} Generated proof
+ * @param {Object} [options] - Proof options
+ * @param {Function} [options.onStage] - Called with (stage, status) as the proof progresses
+ * @param {Function} [options.onProgress] - Called with (progress, stage), progress in [0, 1]
+ * @param {AbortSignal} [options.signal] - Cancels the proof when aborted
+ * @param {number} [options.timeoutMs] - Timeout in milliseconds, defaults to the configured one
+ * @param {Object} [options.thresholds] - Claim thresholds, defaults to the configured ones
+ * @param {number} options.thresholds.minAccountAgeDays - Minimum account age in days
+ * @param {number} options.thresholds.minFollowers - Minimum follower count
+ * @param {Array<number>} options.thresholds.followerTiers - Lower bounds of the follower tiers
+ * @param {Array<string>} [options.claims] - Claim types to prove, defaults to the configured ones;
+ * the circuit is picked from the claim registry
+ * @returns {Promise<Object>} Proof bundle (see createBundle), whose `disclosed` holds revealed values such as
+ * the follower tier; rejects with an AbortError or TimeoutError
  */
-async function generateProof(twitterData, signatureData) {
+async function generateProof(profile, signatureData, options = {}) {
   logger.info(MODULE_NAME, 'Generating zero-knowledge proof');
   
+  const zkConfig = config.getZkProofConfig();
+  const thresholds = options.thresholds || zkConfig.thresholds;
+  const claims = normalizeClaims(options.claims || zkConfig.claims);
+  const circuitName = getCircuitForClaims(claims);
+  const timeoutMs = options.timeoutMs ?? zkConfig.proofTimeoutMs;
+  const listeners = createProofListeners(options);
+  
+  if (activeJob) {
+    throw new Error('A proof is already being generated');
+  }
+  
+  if (options.signal && options.signal.aborted) {
+    throw createCancelError();
+  }
+  
+  // Only data attested by the proxy can satisfy the circuit; twitterProfile.js has
+  // already checked that the attestation signs this profile's fields
+  const { attestation } = profile || {};
+  
+  if (!attestation) {
+    throw new Error('Twitter data is not attested by the server. Reload your profile and try again.');
+  }
+  
+  checkProfileClaims(profile, claims, thresholds);
+  const disclosed = discloseClaims(profile, claims, thresholds);
+  
   try {
-    // Compile the circuit
-    const compiledCircuit = await compileCircuit();
+    const state = await init();
     
-    // Create a backend
-    const backend = new BarretenbergBackend(compiledCircuit);
+    if (!state.initialized) {
+      throw new Error(state.error || 'Failed to initialize the proving backend');
+    }
     
-    // Create a Noir instance
-    const noir = new Noir(compiledCircuit, backend);
+    // Load the precompiled circuit (integrity-checked and cached in IndexedDB)
+    listeners.onStage(PROOF_STAGES.COMPILE, STAGE_STATUS.ACTIVE);
+    let circuit;
+    
+    try {
+      circuit = await circuitArtifacts.loadCircuit(circuitName);
+    } catch (error) {
+      listeners.onStage(PROOF_STAGES.COMPILE, STAGE_STATUS.ERROR);
+      throw error;
+    }
+    
+    // Each claim contributes its threshold inputs; the rest is shared by every claim circuit
+    const claimInputs = Object.assign({}, ...claims.map((claim) => CLAIM_TYPES[claim].buildInputs(thresholds, disclosed)));
     
     // Prepare the input for the circuit
     const input = {
-      twitter_id_hash: ethers.utils.keccak256(ethers.utils.toUtf8Bytes(twitterData.id)),
-      antiquity_days: parseInt(twitterData.antiquity),
-      followers: parseInt(twitterData.followers),
-      message_hash: signatureData.messageHash,
-      pub_key_x: signatureData.pubKeyX,
-      pub_key_y: signatureData.pubKeyY,
-      signature_r: signatureData.r,
-      signature_s: signatureData.s,
-      signature_v: signatureData.v
+      twitter_id_hash: toByteArray(profile.twitterIdHash),
+      account_created_at: twitterProfile.toUnixSeconds(profile.createdAt),
+      followers: profile.followers,
+      fetched_at: attestation.fetchedAt,
+      attestation_signature: toByteArray(attestation.signature),
+      attester_pub_key_x: toByteArray(attestation.publicKey.x),
+      attester_pub_key_y: toByteArray(attestation.publicKey.y),
+      ...claimInputs,
+      message_hash: toByteArray(signatureData.messageHash),
+      pub_key_x: toByteArray(signatureData.pubKeyX),
+      pub_key_y: toByteArray(signatureData.pubKeyY),
+      wallet_signature: toByteArray(ethers.utils.hexConcat([signatureData.r, signatureData.s])),
+      scope: getScopeField(zkConfig.nullifierScope)
     };
     
-    logger.debug(MODULE_NAME, 'Circuit input:', input);
+    // Only the names: the values include the private witness (Twitter data and signatures)
+    logger.debug(MODULE_NAME, `Circuit inputs: ${Object.keys(input).join(', ')}`);
+    
+    const proofData = await runProofJob(
+      { circuit: { program: circuit.program }, input, backend: zkState.backend, transcript: zkConfig.transcript },
+      listeners,
+      { signal: options.signal, timeoutMs }
+    );
     
-    // Generate the proof
-    const { witness, returnValue } = await noir.execute(input);
-    const proof = await backend.generateProof(witness);
+    const bundle = createBundle({
+      proof: proofData.proof,
+      // Named public inputs, as expected by POST /api/proof/verify
+      publicInputs: {
+        fetched_at: String(attestation.fetchedAt),
+        attester_pub_key_x: attestation.publicKey.x,
+        attester_pub_key_y: attestation.publicKey.y,
+        ...Object.fromEntries(Object.entries(claimInputs).map(([name, value]) => [
+          name,
+          Array.isArray(value) ? value.map(String) : String(value)
+        ])),
+        message_hash: signatureData.messageHash,
+        pub_key_x: signatureData.pubKeyX,
+        pub_key_y: signatureData.pubKeyY,
+        scope: input.scope,
+        // The circuit returns the account nullifier for this scope
+        return_value: proofData.returnValue
+      },
+      circuit,
+      claims,
+      thresholds,
+      disclosed,
+      signatureData,
+      backend: proofData.backend,
+      transcript: zkConfig.transcript,
+      isMock: proofData.isMock
+    });
     
     // Store the proof in session storage
-    utils.storeSessionData(STORAGE_KEYS.ZK_PROOF, JSON.stringify(proof));
+    utils.storeSessionData(STORAGE_KEYS.ZK_PROOF, bundle);
     
-    logger.info(MODULE_NAME, 'Proof generated successfully');
+    if (bundle.isMock) {
+      logger.warn(MODULE_NAME, 'MOCK proof generated - it is not a valid zero-knowledge proof');
+    } else {
+      logger.info(MODULE_NAME, 'Proof generated successfully');
+    }
     
-    return proof;
+    return bundle;
   } catch (error) {
     logger.error(MODULE_NAME, `Error generating proof: ${error.message}`);
-    throw error;
+    
+    // Cancellations and timeouts keep their DOMException; any other failure of the
+    // proving backend is reported as PROOF_FAILED
+    if (error instanceof DOMException || error instanceof errors.AppError) {
+      throw error;
+    }
+    
+    throw new errors.ProofError(errors.ERROR_CODES.PROOF_FAILED, error.message, { cause: error });
+  }
+}
+
+/**
+ * Assemble a proof bundle
+ * @param {Object} parts - Bundle parts
+ * @param {Uint8Array} parts.proof - Raw proof bytes
+ * @param {Object} parts.publicInputs - Named public inputs
+ * @param {Object} parts.circuit - Circuit { name, version, hash }
+ * @param {Array<string>} parts.claims - Proven claim types
+ * @param {Object} parts.thresholds - Claim thresholds; only those of the proven claims are kept
+ * @param {Object} parts.disclosed - Values revealed by the proof, such as { followerTier }
+ * @param {Object} parts.signatureData - Signature data from signMessage
+ * @param {string} parts.backend - Backend that produced the proof
+ * @param {string} parts.transcript - Proof transcript hash ('poseidon2' or 'keccak')
+ * @param {boolean} parts.isMock - Whether the proof came from the mock backend
+ * @returns {Object} Proof bundle
+ */
+function createBundle({ proof, publicInputs, circuit, claims, thresholds, disclosed, signatureData, backend, transcript, isMock }) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    circuit: {
+      name: circuit.name,
+      version: circuit.version,
+      hash: circuit.hash
+    },
+    claims,
+    thresholds: Object.fromEntries(claims.map((claim) => {
+      const { threshold } = CLAIM_TYPES[claim];
+      return [threshold, thresholds[threshold]];
+    })),
+    disclosed,
+    publicInputs,
+    proof: utils.bytesToBase64(proof),
+    message: signatureData.mode === SIGNING_MODES.EIP712
+      ? { mode: SIGNING_MODES.EIP712, typedData: signatureData.typedData, signature: signatureData.signature }
+      : { mode: SIGNING_MODES.PERSONAL_SIGN, text: signatureData.message, signature: signatureData.signature },
+    backend,
+    // Only keccak proofs can be checked by the on-chain verifier (see proofRegistry.js)
+    transcript,
+    // Mock proofs are flagged explicitly so they are never mistaken for real ones
+    isMock: Boolean(isMock),
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Validate a proof bundle, throwing a descriptive error if it is malformed
+ * @param {Object} bundle - Candidate bundle
+ */
+function validateBundle(bundle) {
+  const fail = (reason) => {
+    throw new Error(`Invalid proof bundle: ${reason}`);
+  };
+  
+  if (!bundle || typeof bundle !== 'object') {
+    fail('not a JSON object');
+  }
+  
+  if (bundle.format !== BUNDLE_FORMAT) {
+    fail(`unknown format "${bundle.format}"`);
+  }
+  
+  if (bundle.version !== BUNDLE_VERSION) {
+    fail(`unsupported version ${bundle.version} (expected ${BUNDLE_VERSION})`);
+  }
+  
+  if (!bundle.circuit || !bundle.circuit.name || !bundle.circuit.hash) {
+    fail('missing circuit name or hash');
+  }
+  
+  if (bundle.claims !== undefined && (!Array.isArray(bundle.claims) || bundle.claims.length === 0
+    || bundle.claims.some((claim) => !CLAIM_TYPES[claim]))) {
+    fail('missing or unknown claims');
+  }
+  
+  // Bundles without claims predate claim selection and prove every claim
+  const { thresholds } = bundle;
+  const isThreshold = (value) => (Array.isArray(value) ? value.length > 0 && value.every(Number.isSafeInteger) : Number.isSafeInteger(value));
+  if (!thresholds || getBundleClaims(bundle).some((claim) => !isThreshold(thresholds[CLAIM_TYPES[claim].threshold]))) {
+    fail('missing or invalid thresholds');
+  }
+  
+  // Bundles without disclosed values predate the follower tier claim, which is the only one that reveals a value
+  const disclosures = getBundleClaims(bundle).map((claim) => CLAIM_TYPES[claim].disclosure).filter(Boolean);
+  if (disclosures.some((name) => !Number.isSafeInteger(bundle.disclosed?.[name]))) {
+    fail('missing or invalid disclosed values');
+  }
+  
+  if (!bundle.publicInputs || typeof bundle.publicInputs !== 'object') {
+    fail('missing public inputs');
+  }
+  
+  if (typeof bundle.proof !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(bundle.proof)) {
+    fail('proof must be a base64 string');
+  }
+  
+  // Bundles without a transcript predate on-chain verification and use poseidon2
+  if (bundle.transcript !== undefined && !['poseidon2', 'keccak'].includes(bundle.transcript)) {
+    fail(`unknown proof transcript "${bundle.transcript}"`);
+  }
+  
+  // Bundles without a mode predate EIP-712 support and carry a personal_sign message
+  const { message } = bundle;
+  const signed = message?.mode === SIGNING_MODES.EIP712
+    ? message.typedData && typeof message.typedData === 'object'
+    : typeof message?.text === 'string' && (!message.mode || message.mode === SIGNING_MODES.PERSONAL_SIGN);
+  
+  if (!signed || typeof message.signature !== 'string') {
+    fail('missing signed message');
+  }
+  
+  if (Number.isNaN(Date.parse(bundle.createdAt))) {
+    fail('missing or invalid timestamp');
   }
 }
 
+/**
+ * Serialize a proof bundle for download or sharing
+ * @param {Object} bundle - Proof bundle returned by generateProof
+ * @returns {string} Pretty-printed JSON
+ */
+function exportBundle(bundle) {
+  validateBundle(bundle);
+  logger.info(MODULE_NAME, `Exporting proof bundle created at ${bundle.createdAt}`);
+  
+  return JSON.stringify(bundle, null, 2);
+}
+
+/**
+ * Parse and validate a proof bundle received from a third party
+ * @param {string|Object} source - Bundle JSON text or parsed object
+ * @returns {Object} Validated proof bundle
+ */
+function importBundle(source) {
+  logger.info(MODULE_NAME, 'Importing proof bundle');
+  
+  let bundle = source;
+  
+  if (typeof source === 'string') {
+    try {
+      bundle = JSON.parse(source);
+    } catch (error) {
+      throw new Error('Invalid proof bundle: not valid JSON');
+    }
+  }
+  
+  validateBundle(bundle);
+  
+  if (bundle.isMock) {
+    logger.warn(MODULE_NAME, 'Imported bundle contains a MOCK proof');
+  }
+  
+  return bundle;
+}
+
+/**
+ * Identify the wallet bound by a proof bundle
+ * The address is derived from the public key the circuit checked the signature
+ * against; the bundled message is compared with the proven message hash
+ * @param {Object} bundle - Validated proof bundle
+ * @returns {Object} Signer { address, messageMatches, signatureMatches }
+ */
+function getBundleSigner(bundle) {
+  const { pub_key_x: pubKeyX, pub_key_y: pubKeyY, message_hash: messageHash } = bundle.publicInputs;
+  
+  const toWord = (value) => ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32);
+  const publicKey = ethers.utils.hexConcat(['0x04', toWord(pubKeyX), toWord(pubKeyY)]);
+  const address = ethers.utils.computeAddress(publicKey);
+  
+  const { message } = bundle;
+  const isTyped = message.mode === SIGNING_MODES.EIP712;
+  
+  // Chain the link was signed on; the proof is only meant for that network
+  const chainMatch = isTyped ? null : /^Chain ID: (\d+)$/m.exec(message.text || '');
+  const chainId = isTyped
+    ? Number(message.typedData?.message?.chainId) || null
+    : (chainMatch ? Number(chainMatch[1]) : null);
+  
+  let messageMatches = false;
+  let signatureMatches = false;
+  
+  try {
+    const digest = isTyped ? typedLink.hashTypedData(message.typedData) : ethers.utils.hashMessage(message.text);
+    messageMatches = ethers.BigNumber.from(digest).eq(ethers.BigNumber.from(messageHash));
+    
+    const recovered = isTyped
+      ? typedLink.recoverSigner(message.typedData, message.signature)
+      : ethers.utils.verifyMessage(message.text, message.signature);
+    signatureMatches = recovered === address;
+  } catch (error) {
+    logger.warn(MODULE_NAME, `Bundle signature could not be recovered: ${error.message}`);
+  }
+  
+  return { address, chainId, messageMatches, signatureMatches };
+}
+
+/**
+ * Store an imported bundle as the current proof
+ * @param {Object} bundle - Validated proof bundle
+ */
+function storeBundle(bundle) {
+  validateBundle(bundle);
+  utils.storeSessionData(STORAGE_KEYS.ZK_PROOF, bundle);
+}
+
 /**
  * Get stored proof from session storage
  * @returns {Object|null} Stored proof or null if not found
  */
 function getStoredProof() {
-  const proofData = utils.getSessionData(STORAGE_KEYS.ZK_PROOF);
-  return proofData ? JSON.parse(proofData) : null;
+  return utils.getSessionData(STORAGE_KEYS.ZK_PROOF);
 }
 
 /**
@@ -222,15 +953,42 @@ function getStoredProof() {
  * @returns {Object|null} Stored signature or null if not found
  */
 function getStoredSignature() {
-  const signatureData = utils.getSessionData(STORAGE_KEYS.SIGNATURE);
-  return signatureData ? JSON.parse(signatureData) : null;
+  return utils.getSessionData(STORAGE_KEYS.SIGNATURE);
+}
+
+/**
+ * Remove the stored proof and link signature, as on logout
+ */
+function clearStoredProof() {
+  utils.removeSessionData(STORAGE_KEYS.ZK_PROOF);
+  utils.removeSessionData(STORAGE_KEYS.SIGNATURE);
 }
 
 export default {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  PROOF_STAGES,
+  SIGNING_MODES,
+  STAGE_STATUS,
+  PROOF_EVENTS,
   init,
   generateMessageToSign,
+  generateTypedDataToSign,
   signMessage,
+  signTypedData,
   generateProof,
+  cancelProof,
+  isProofRunning,
+  exportBundle,
+  importBundle,
+  storeBundle,
+  getBundleSigner,
+  getClaimOptions,
+  getCircuitForClaims,
+  getBundleClaims,
+  describeClaims,
+  signRebindAuthorization,
   getStoredProof,
-  getStoredSignature
+  getStoredSignature,
+  clearStoredProof
 }; 
\ No newline at end of file
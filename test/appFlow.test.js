@@ -0,0 +1,602 @@
+/**
+ * End-to-end flow: login -> connect -> sign -> prove -> verify
+ * Drives the real frontend modules in jsdom against the fake proxy and wallet
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createFakeWallet, announceWallet } from './helpers/fakeWallet.js';
+import { createFakeProxy, DEFAULT_PROFILE, PROXY_URL } from './helpers/fakeProxy.js';
+import { bootApp, bootVerifier, captureNavigation, click, text, isVisible } from './helpers/page.js';
+
+const MOCK_PROOF_STATUS = 'Mock proof generated. It is only valid in test mode.';
+
+// Hardhat test account #2, for a second installed wallet
+const SECOND_PRIVATE_KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+
+let proxy;
+let wallet;
+
+/**
+ * Install a fresh proxy and wallet, as for a new browser profile
+ * @param {Object} [proxyOptions] - Options for createFakeProxy
+ */
+function setUpBrowser(proxyOptions) {
+  sessionStorage.clear();
+  localStorage.clear();
+  proxy = createFakeProxy(proxyOptions);
+  wallet = createFakeWallet();
+  vi.stubGlobal('fetch', proxy.fetch);
+  vi.stubGlobal('ethereum', wallet);
+}
+
+/**
+ * Log in with Twitter, starting from the app root
+ */
+async function login() {
+  const navigations = captureNavigation();
+  await bootApp('/');
+
+  click('login-button');
+  await vi.waitFor(() => expect(navigations).toEqual([`${PROXY_URL}/api/auth/login`]));
+
+  // The proxy redirects to Twitter, which sends the browser back to /callback
+  const { callbackUrl } = proxy.followLogin();
+  await bootApp(callbackUrl);
+  expect(text('login-status')).toBe('Twitter authentication successful');
+}
+
+/**
+ * Log in with Twitter and connect the wallet, which signs the link message
+ */
+async function loginAndConnect() {
+  await login();
+
+  click('wallet-button');
+  await vi.waitFor(() => expect(isVisible('user-info-section')).toBe(true));
+}
+
+/**
+ * Generate a proof from the app page and return the stored bundle
+ * @returns {Promise<Object>} Proof bundle
+ */
+async function generateProof() {
+  click('generate-proof-button');
+  await vi.waitFor(() => expect(text('proof-status')).toBe(MOCK_PROOF_STATUS));
+
+  return JSON.parse(sessionStorage.getItem('zk_proof'));
+}
+
+/**
+ * Paste a bundle into the verifier page and wait for the verdict
+ * @param {Object} bundle - Proof bundle
+ */
+async function verifyOnVerifierPage(bundle) {
+  await bootVerifier();
+
+  document.getElementById('verify-bundle-input').value = JSON.stringify(bundle);
+  click('verify-button');
+
+  await vi.waitFor(() => expect(isVisible('verify-result')).toBe(true));
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('login -> connect -> sign -> prove -> verify', () => {
+  beforeEach(() => setUpBrowser({ acceptMockProofs: true }));
+
+  it('links the Twitter account to the wallet and verifies the shared proof', async () => {
+    await loginAndConnect();
+
+    expect(text('twitter-id')).toBe(DEFAULT_PROFILE.id);
+    expect(text('followers-count')).toBe('4,200');
+
+    // The stored profile carries the exact age the circuit will measure
+    const profile = JSON.parse(sessionStorage.getItem('twitter_user_data'));
+    const ageDays = Math.floor((profile.attestation.fetchedAt - Date.parse(DEFAULT_PROFILE.createdAt) / 1000) / 86400);
+    expect(profile).toMatchObject({ id: DEFAULT_PROFILE.id, followers: 4200, accountAgeDays: ageDays });
+    expect(text('account-age')).toBe(`${ageDays.toLocaleString('en-US')} days`);
+
+    const bundle = await generateProof();
+
+    expect(wallet.calls.map((call) => call.method)).toContain('personal_sign');
+    expect(isVisible('proof-result')).toBe(true);
+    expect(bundle.isMock).toBe(true);
+    // No registry is configured for Mainnet, so on-chain registration is not offered
+    expect(isVisible('submit-proof-button')).toBe(false);
+    expect(bundle.message.text).toMatch(/^localhost:1234 wants you to sign in with your Ethereum account:\n/);
+    expect(bundle.message.text).toContain(`\n${wallet.address}\n`);
+
+    for (const stage of ['sign', 'compile', 'witness', 'prove']) {
+      expect(document.querySelector(`[data-stage="${stage}"]`).classList.contains('stage-done')).toBe(true);
+    }
+
+    await verifyOnVerifierPage(bundle);
+
+    expect(text('verify-verdict')).toBe('Proof verified');
+    expect(text('verify-address')).toBe(wallet.address);
+    expect(text('verify-network')).toBe('Ethereum Mainnet (chain 1)');
+    expect([...document.querySelectorAll('#verify-claims li')].every((item) => item.classList.contains('claim-proven'))).toBe(true);
+  });
+
+  it('keeps Twitter tokens out of the browser and sends the session cookie', async () => {
+    await loginAndConnect();
+
+    const apiRequests = proxy.requests.filter((request) => request.path.startsWith('/api/') && request.credentials !== 'navigation');
+
+    expect(apiRequests.length).toBeGreaterThan(0);
+    expect(apiRequests.every((request) => request.credentials === 'include')).toBe(true);
+    expect(JSON.stringify({ ...sessionStorage })).not.toContain('fake-access-token');
+  });
+
+  it('keeps the attestation and the circuit witness out of the logs', async () => {
+    const consoleSpies = ['debug', 'info', 'warn', 'error'].map((method) => vi.spyOn(console, method));
+
+    await loginAndConnect();
+    await generateProof();
+
+    const output = consoleSpies.flatMap((spy) => spy.mock.calls.flat()).join('\n');
+    consoleSpies.forEach((spy) => spy.mockRestore());
+
+    const { attestation } = JSON.parse(sessionStorage.getItem('twitter_user_data'));
+    expect(output).toContain('Successfully fetched user data');
+    expect(output).not.toContain(attestation.signature.slice(2));
+    expect(output).not.toContain(attestation.twitterIdHash.slice(2));
+  });
+
+  it('revokes the Twitter tokens on logout', async () => {
+    await loginAndConnect();
+
+    click('logout-button');
+    await vi.waitFor(() => expect(text('login-status')).toBe('Logged out and Twitter access revoked'));
+
+    expect(proxy.revoked).toEqual(['fake-access-token', 'fake-refresh-token']);
+    expect(isVisible('login-section')).toBe(true);
+  });
+
+  it('forgets the proof of the previous session on logout', async () => {
+    await loginAndConnect();
+    await generateProof();
+
+    click('logout-button');
+    await vi.waitFor(() => expect(text('login-status')).toBe('Logged out and Twitter access revoked'));
+
+    expect(sessionStorage.getItem('zk_proof')).toBeNull();
+    expect(sessionStorage.getItem('twitter_eth_signature')).toBeNull();
+    expect(isVisible('proof-result')).toBe(false);
+
+    click('download-proof-button');
+    expect(text('proof-status')).toBe('There is no proof to download yet.');
+  });
+});
+
+describe('wallet linking', () => {
+  beforeEach(() => setUpBrowser());
+
+  it('counts the wallet as connected only after the proxy verifies the link message', async () => {
+    await loginAndConnect();
+
+    const { message } = JSON.parse(sessionStorage.getItem('twitter_eth_signature'));
+
+    expect(message).toContain('URI: http://localhost:1234');
+    expect(message).toContain('Chain ID: 1');
+    expect(message).toMatch(/\nNonce: [0-9a-f]{32}\n/);
+    // The resource is an opaque reference, so shared bundles do not name the account
+    expect(message).toMatch(/\nResources:\n- urn:twitter-zk:link:[0-9a-f]{64}$/);
+    expect(message).not.toContain(proxy.session().twitterIdHash.slice(2));
+    expect(proxy.session().wallet.address).toBe(wallet.address);
+    expect(text('wallet-status')).toMatch(/^Connected:/);
+
+    // A reload restores the connection from the server session
+    await bootApp('/');
+
+    expect(isVisible('user-info-section')).toBe(true);
+  });
+
+  it('links a wallet connected before login once the Twitter account is loaded', async () => {
+    captureNavigation();
+    await bootApp('/');
+
+    click('wallet-button');
+    await vi.waitFor(() => expect(text('wallet-status')).toBe('Wallet found. Log in with Twitter to link it.'));
+    expect(wallet.calls.some((call) => call.method === 'personal_sign')).toBe(false);
+
+    click('login-button');
+    const { callbackUrl } = proxy.followLogin();
+    await bootApp(callbackUrl);
+
+    expect(isVisible('user-info-section')).toBe(true);
+    expect(proxy.session().wallet.address).toBe(wallet.address);
+  });
+
+  it('does not connect the wallet when the link message is not signed', async () => {
+    await login();
+    wallet.rejectNext('personal_sign');
+
+    click('wallet-button');
+    await vi.waitFor(() => expect(text('wallet-status'))
+      .toBe('Connection failed: The request was rejected in your wallet. Try again in a moment.'));
+
+    expect(isVisible('user-info-section')).toBe(false);
+    expect(proxy.session().wallet).toBeUndefined();
+  });
+
+  it('rejects a replayed link message', async () => {
+    await loginAndConnect();
+
+    const { message, signature } = JSON.parse(sessionStorage.getItem('twitter_eth_signature'));
+    const response = await proxy.fetch(`${PROXY_URL}/api/wallet/verify`, {
+      method: 'POST',
+      credentials: 'include',
+      body: JSON.stringify({ message, signature })
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toEqual({
+      code: 'WALLET_LINK_INVALID',
+      message: 'No hay ningún nonce vigente en esta sesión, solicite uno nuevo'
+    });
+  });
+
+  it('rejects a link message for another Twitter account', async () => {
+    await login();
+
+    const nonce = await (await proxy.fetch(`${PROXY_URL}/api/wallet/nonce`, { credentials: 'include' })).json();
+    const { default: zkProof } = await import('../src/js/zkProof.js');
+    // A resource issued to another session
+    const foreignNonce = { ...nonce, resource: `urn:twitter-zk:link:${'42'.repeat(16)}` };
+    const message = zkProof.generateMessageToSign({ address: wallet.address, chainId: 1, nonce: foreignNonce });
+    const response = await proxy.fetch(`${PROXY_URL}/api/wallet/verify`, {
+      method: 'POST',
+      credentials: 'include',
+      body: JSON.stringify({ message, signature: await wallet.wallet.signMessage(message) })
+    });
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).error).toEqual({
+      code: 'WALLET_LINK_INVALID',
+      message: 'El mensaje no corresponde a la cuenta de Twitter de esta sesión'
+    });
+  });
+
+  it('rejects a link message that extends the expiration issued with the nonce', async () => {
+    await login();
+
+    const nonce = await (await proxy.fetch(`${PROXY_URL}/api/wallet/nonce`, { credentials: 'include' })).json();
+    const { default: zkProof } = await import('../src/js/zkProof.js');
+    const extendedNonce = { ...nonce, expirationTime: '2099-01-01T00:00:00.000Z' };
+    const message = zkProof.generateMessageToSign({ address: wallet.address, chainId: 1, nonce: extendedNonce });
+    const response = await proxy.fetch(`${PROXY_URL}/api/wallet/verify`, {
+      method: 'POST',
+      credentials: 'include',
+      body: JSON.stringify({ message, signature: await wallet.wallet.signMessage(message) })
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toEqual({
+      code: 'WALLET_LINK_INVALID',
+      message: 'La caducidad del mensaje es posterior a la emitida con el nonce'
+    });
+    expect(proxy.session().wallet).toBeUndefined();
+  });
+});
+
+describe('EIP-712 signing mode', () => {
+  beforeEach(() => setUpBrowser({ acceptMockProofs: true }));
+
+  it('links with a typed TwitterLink and verifies the shared proof', async () => {
+    await loginAndConnect();
+
+    document.getElementById('signing-mode').value = 'eip712';
+    const bundle = await generateProof();
+
+    const typedCall = wallet.calls.find((call) => call.method === 'eth_signTypedData_v4');
+    const { domain, primaryType, message } = JSON.parse(typedCall.params[1]);
+
+    // ethers sends uint256 values as decimal strings
+    expect(domain).toEqual({ name: 'Twitter ZK Link', version: '1', chainId: '1' });
+    expect(primaryType).toBe('TwitterLink');
+    expect(message.address).toBe(wallet.address.toLowerCase());
+    expect(bundle.message.mode).toBe('eip712');
+    // The struct carries the opaque link ID of the nonce: with the account hash, anyone
+    // holding the bundle could compute the account's nullifier in any scope
+    expect(bundle.message.typedData.message.twitterIdHash).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(JSON.stringify(bundle)).not.toContain(proxy.session().twitterIdHash.slice(2));
+    expect(bundle.publicInputs.message_hash).toBe(JSON.parse(sessionStorage.getItem('twitter_eth_signature')).messageHash);
+
+    await verifyOnVerifierPage(bundle);
+
+    expect(text('verify-verdict')).toBe('Proof verified');
+    expect(text('verify-address')).toBe(wallet.address);
+  });
+
+  it('rejects typed data signed for another domain', async () => {
+    await login();
+
+    const nonce = await (await proxy.fetch(`${PROXY_URL}/api/wallet/nonce`, { credentials: 'include' })).json();
+    const { default: zkProof } = await import('../src/js/zkProof.js');
+    const typedData = zkProof.generateTypedDataToSign({ address: wallet.address, chainId: 1, nonce });
+    typedData.domain.name = 'Some Other dApp';
+
+    const signature = await wallet.wallet._signTypedData(typedData.domain, typedData.types, typedData.message);
+    const response = await proxy.fetch(`${PROXY_URL}/api/wallet/verify`, {
+      method: 'POST',
+      credentials: 'include',
+      body: JSON.stringify({ typedData, signature })
+    });
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).error).toEqual({
+      code: 'WALLET_LINK_INVALID',
+      message: 'El dominio EIP-712 no corresponde a esta aplicación'
+    });
+  });
+
+  it('rejects typed data that extends the expiry issued with the nonce', async () => {
+    await login();
+
+    const nonce = await (await proxy.fetch(`${PROXY_URL}/api/wallet/nonce`, { credentials: 'include' })).json();
+    const { default: zkProof } = await import('../src/js/zkProof.js');
+    const typedData = zkProof.generateTypedDataToSign({ address: wallet.address, chainId: 1, nonce });
+    typedData.message.expiry = Math.floor(Date.parse('2099-01-01T00:00:00.000Z') / 1000);
+
+    const signature = await wallet.wallet._signTypedData(typedData.domain, typedData.types, typedData.message);
+    const response = await proxy.fetch(`${PROXY_URL}/api/wallet/verify`, {
+      method: 'POST',
+      credentials: 'include',
+      body: JSON.stringify({ typedData, signature })
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toEqual({
+      code: 'WALLET_LINK_INVALID',
+      message: 'La caducidad del mensaje es posterior a la emitida con el nonce'
+    });
+    expect(proxy.session().wallet).toBeUndefined();
+  });
+});
+
+describe('wallet discovery (EIP-6963)', () => {
+  const stopAnnouncing = [];
+
+  beforeEach(() => setUpBrowser({ acceptMockProofs: true }));
+  afterEach(() => stopAnnouncing.splice(0).forEach((stop) => stop()));
+
+  it('lets the user pick one of several wallets and keeps using it', async () => {
+    const otherWallet = createFakeWallet({ privateKey: SECOND_PRIVATE_KEY });
+    stopAnnouncing.push(
+      announceWallet(wallet, { name: 'Fake MetaMask', rdns: 'io.metamask' }),
+      announceWallet(otherWallet, { name: 'Other Wallet', rdns: 'com.example.other' })
+    );
+
+    await login();
+    click('wallet-button');
+
+    await vi.waitFor(() => expect(isVisible('wallet-picker')).toBe(true));
+    expect([...document.querySelectorAll('.wallet-option')].map((option) => option.textContent)).toEqual(['Fake MetaMask', 'Other Wallet']);
+    expect(document.querySelector('.wallet-option img').getAttribute('src')).toMatch(/^data:image\/svg\+xml,/);
+
+    document.querySelector('[data-rdns="com.example.other"]').click();
+    await vi.waitFor(() => expect(isVisible('user-info-section')).toBe(true));
+
+    expect(proxy.session().wallet.address).toBe(otherWallet.address);
+    expect(wallet.calls).toEqual([]);
+    expect(localStorage.getItem('wallet_provider_rdns')).toBe('com.example.other');
+
+    // After a reload the remembered wallet also signs the proof
+    await bootApp('/');
+    await generateProof();
+
+    expect(wallet.calls).toEqual([]);
+    expect(otherWallet.calls.filter((call) => call.method === 'personal_sign')).toHaveLength(2);
+  });
+});
+
+describe('claim selection', () => {
+  beforeEach(() => setUpBrowser({ acceptMockProofs: true }));
+
+  it('proves only the selected claim with its own circuit', async () => {
+    await loginAndConnect();
+
+    document.querySelector('input[name="proof-claim"][value="followers"]').click();
+    const bundle = await generateProof();
+
+    expect(bundle.circuit.name).toBe('twitter_age_zkp');
+    expect(bundle.claims).toEqual(['accountAge']);
+    expect(bundle.thresholds).toEqual({ minAccountAgeDays: 150 });
+    expect(bundle.publicInputs).not.toHaveProperty('min_followers');
+    // Proofs of a single claim cannot be registered on-chain
+    expect(isVisible('submit-proof-button')).toBe(false);
+
+    await verifyOnVerifierPage(bundle);
+
+    expect(text('verify-verdict')).toBe('Proof verified');
+    expect([...document.querySelectorAll('#verify-claims li')].map((item) => item.textContent)).toEqual([
+      '✓ Twitter account older than 150 days',
+      `✓ Twitter account linked to wallet ${wallet.address.slice(0, 6)}...${wallet.address.slice(-4)}`
+    ]);
+  });
+
+  it('lets an account below the follower bar prove its age', async () => {
+    setUpBrowser({ acceptMockProofs: true, profile: { ...DEFAULT_PROFILE, followers: 20 } });
+    await loginAndConnect();
+
+    click('generate-proof-button');
+    await vi.waitFor(() => expect(text('proof-status')).toMatch(/^Proof generation failed: .*20 followers/));
+
+    document.querySelector('input[name="proof-claim"][value="followers"]').click();
+    const bundle = await generateProof();
+
+    expect(bundle.claims).toEqual(['accountAge']);
+  });
+
+  it('reveals only the follower tier of the account', async () => {
+    await loginAndConnect();
+
+    for (const claim of ['accountAge', 'followers', 'followerTier']) {
+      document.querySelector(`input[name="proof-claim"][value="${claim}"]`).click();
+    }
+    const bundle = await generateProof();
+
+    expect(bundle.circuit.name).toBe('twitter_follower_tier_zkp');
+    expect(bundle.thresholds).toEqual({ followerTiers: [1000, 10000, 100000] });
+    expect(bundle.disclosed).toEqual({ followerTier: 1 });
+    expect(bundle.publicInputs).toMatchObject({ follower_tier_bounds: ['1000', '10000', '100000'], follower_tier: '1' });
+    expect(bundle.publicInputs).not.toHaveProperty('min_followers');
+    expect(text('proof-result')).toContain('Proven: 1,000–9,999 followers (tier 1)');
+
+    await verifyOnVerifierPage(bundle);
+
+    expect(text('verify-verdict')).toBe('Proof verified');
+    expect(document.querySelector('#verify-claims li').textContent).toBe('✓ 1,000–9,999 followers (tier 1)');
+  });
+
+  it('refuses claims that no circuit proves together before asking for a signature', async () => {
+    await loginAndConnect();
+    const walletCalls = wallet.calls.length;
+
+    document.querySelector('input[name="proof-claim"][value="followerTier"]').click();
+    click('generate-proof-button');
+
+    await vi.waitFor(() => expect(text('proof-status')).toMatch(/^No circuit proves the claims /));
+    expect(wallet.calls).toHaveLength(walletCalls);
+  });
+
+  it('does not generate a proof without any claim selected', async () => {
+    await loginAndConnect();
+    const walletCalls = wallet.calls.length;
+
+    for (const input of document.querySelectorAll('input[name="proof-claim"]:checked')) {
+      input.click();
+    }
+    click('generate-proof-button');
+
+    await vi.waitFor(() => expect(text('proof-status')).toBe('Choose at least one claim to prove.'));
+    expect(wallet.calls).toHaveLength(walletCalls);
+    expect(sessionStorage.getItem('zk_proof')).toBeNull();
+  });
+});
+
+describe('supported networks', () => {
+  beforeEach(() => {
+    setUpBrowser();
+    // Polygon is not in the allowlist, and the wallet does not know Sepolia yet
+    wallet = createFakeWallet({ chainId: '0x89' });
+    vi.stubGlobal('ethereum', wallet);
+  });
+
+  it('prompts for a supported network and adds it to the wallet before linking', async () => {
+    await login();
+    click('wallet-button');
+
+    await vi.waitFor(() => expect(isVisible('network-prompt')).toBe(true));
+    expect(text('network-prompt-text')).toContain('(chain 137)');
+    expect(wallet.calls.some((call) => call.method === 'personal_sign')).toBe(false);
+
+    document.querySelector('[data-chain-id="0xaa36a7"]').click();
+    await vi.waitFor(() => expect(isVisible('user-info-section')).toBe(true));
+
+    expect(wallet.calls.map((call) => call.method)).toEqual(
+      expect.arrayContaining(['wallet_switchEthereumChain', 'wallet_addEthereumChain'])
+    );
+    expect(isVisible('network-prompt')).toBe(false);
+    expect(JSON.parse(sessionStorage.getItem('twitter_eth_signature')).message).toContain('Chain ID: 11155111');
+    expect(proxy.session().wallet.chainId).toBe(11155111);
+
+    // Moving back to an unsupported network in the wallet brings the prompt back
+    wallet.emit('chainChanged', '0x89');
+    await vi.waitFor(() => expect(isVisible('network-prompt')).toBe(true));
+  });
+
+  it('rejects a link message signed for an unsupported network', async () => {
+    await login();
+
+    const nonce = await (await proxy.fetch(`${PROXY_URL}/api/wallet/nonce`, { credentials: 'include' })).json();
+    const { default: zkProof } = await import('../src/js/zkProof.js');
+    const message = zkProof.generateMessageToSign({ address: wallet.address, chainId: 137, nonce });
+    const response = await proxy.fetch(`${PROXY_URL}/api/wallet/verify`, {
+      method: 'POST',
+      credentials: 'include',
+      body: JSON.stringify({ message, signature: await wallet.wallet.signMessage(message) })
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toEqual({ code: 'NETWORK_UNSUPPORTED', message: 'La red 137 no está admitida' });
+    expect(proxy.session().wallet).toBeUndefined();
+  });
+});
+
+describe('failure paths', () => {
+  beforeEach(() => setUpBrowser());
+
+  it('rejects a callback whose state does not match the session (CSRF)', async () => {
+    captureNavigation();
+    await bootApp('/');
+    click('login-button');
+
+    const { state, callbackUrl } = proxy.followLogin();
+    const forgedUrl = callbackUrl.replace(`state=${state}`, 'state=attacker-state');
+
+    await bootApp(forgedUrl);
+
+    expect(text('login-status'))
+      .toBe('Authentication failed: The Twitter login does not belong to this browser session. Log in with Twitter again.');
+    expect(proxy.session().tokens).toBeNull();
+    expect(proxy.requests.some((request) => request.path === '/api/twitter/user')).toBe(false);
+    expect(isVisible('user-info-section')).toBe(false);
+
+    // The state is single-use: the genuine callback cannot be replayed afterwards
+    await bootApp(callbackUrl);
+
+    expect(text('login-status')).toBe('Authentication failed: The Twitter login expired or was already used. Log in with Twitter again.');
+  });
+
+  it('reports a rejected signature without generating a proof', async () => {
+    await loginAndConnect();
+    wallet.rejectNext('personal_sign');
+
+    click('generate-proof-button');
+    await vi.waitFor(() => expect(text('proof-status'))
+      .toBe('Proof generation failed: The request was rejected in your wallet. Try again in a moment.'));
+
+    expect(document.querySelector('[data-stage="sign"]').classList.contains('stage-error')).toBe(true);
+    expect(isVisible('proof-result')).toBe(false);
+    expect(sessionStorage.getItem('zk_proof')).toBeNull();
+  });
+
+  it('does not report a mock proof as verified', async () => {
+    await loginAndConnect();
+    const bundle = await generateProof();
+
+    await verifyOnVerifierPage(bundle);
+
+    expect(text('verify-verdict')).toBe('Proof NOT verified');
+    expect(text('verify-status')).toBe('La prueba fue generada por el backend mock');
+  });
+
+  it('reports a partial logout when Twitter cannot revoke the tokens', async () => {
+    setUpBrowser({ failRevoke: true });
+    await loginAndConnect();
+
+    click('logout-button');
+    await vi.waitFor(() => expect(text('login-status'))
+      .toMatch(/^Logged out on this device, but Twitter access could not be revoked \(Twitter returned an error\. /));
+
+    expect(isVisible('login-section')).toBe(true);
+  });
+
+  it('logs out when the proxy reports the Twitter session expired', async () => {
+    await login();
+    proxy.expireTokens();
+
+    // Reopen the app without the cached profile, so it loads the user again
+    sessionStorage.removeItem('twitter_user_data');
+    await bootApp('/');
+
+    await vi.waitFor(() => expect(isVisible('login-section')).toBe(true));
+    expect(text('login-status')).toBe('Failed to load user data: Your Twitter session has expired. Log in with Twitter again.');
+    expect(proxy.requests.filter((request) => request.path === '/api/twitter/refresh')).toHaveLength(1);
+    expect(proxy.requests.at(-1).path).toBe('/api/auth/logout');
+  });
+});
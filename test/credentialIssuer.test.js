@@ -0,0 +1,194 @@
+/**
+ * Verifiable credentials
+ * Issues credentials from the server module directly, since the proxy only issues
+ * them for real proofs, and checks their ES256K signatures against the published JWK
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { ethers } from 'ethers';
+
+const STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'twitter-zk-credentials-'));
+
+const wallet = new ethers.Wallet('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a');
+const otherWallet = ethers.Wallet.createRandom();
+
+// Issuer key, separate from the attestation key in vitest.config.js
+const CREDENTIAL_PRIVATE_KEY = '0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6';
+
+// CREDENTIAL_TTL_DAYS default, in seconds
+const CREDENTIAL_TTL = 30 * 24 * 60 * 60;
+
+let credentialIssuer;
+
+/**
+ * Build a verified bundle and its claim for a wallet
+ * @param {Object} signer - Wallet that signed the link message
+ * @param {Object} [options] - { chainId, nullifier, proof, fetchedAt }
+ * @returns {Object} { bundle, claim }
+ */
+function createProof(signer, {
+  chainId = 11155111,
+  nullifier = '0x2a',
+  proof = crypto.randomBytes(16).toString('base64'),
+  fetchedAt = Math.floor(Date.now() / 1000)
+} = {}) {
+  const text = `localhost:1234 wants you to sign in with your Ethereum account:\n${signer.address}\n\nChain ID: ${chainId}`;
+
+  return {
+    bundle: {
+      proof,
+      publicInputs: { message_hash: ethers.utils.hashMessage(text) },
+      message: { mode: 'personal_sign', text }
+    },
+    claim: {
+      scope: '0x01',
+      nullifier,
+      address: signer.address,
+      fetchedAt,
+      thresholds: { minAccountAgeDays: 150, minFollowers: 150 }
+    }
+  };
+}
+
+/**
+ * Decode a JWT and check its signature with the issuer's published key
+ * @param {string} jwt - Compact JWT
+ * @returns {Object} { header, payload, verified }
+ */
+function decodeJwt(jwt) {
+  const [header, payload, signature] = jwt.split('.');
+  const [jwk] = credentialIssuer.getIssuer().keys;
+  const publicKey = crypto.createPublicKey({ key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y }, format: 'jwk' });
+
+  return {
+    header: JSON.parse(Buffer.from(header, 'base64url').toString('utf8')),
+    payload: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+    verified: crypto.verify('sha256', Buffer.from(`${header}.${payload}`), { key: publicKey, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64url'))
+  };
+}
+
+beforeAll(async () => {
+  vi.stubEnv('CREDENTIAL_PRIVATE_KEY', CREDENTIAL_PRIVATE_KEY);
+  vi.stubEnv('CREDENTIAL_STORE_PATH', path.join(STORE_DIR, 'credentials.json'));
+  vi.stubEnv('CREDENTIAL_ISSUER_URL', 'https://proxy.example');
+  ({ default: credentialIssuer } = await import('../server/credentialIssuer.js'));
+});
+
+afterAll(() => {
+  vi.unstubAllEnvs();
+  vi.useRealTimers();
+  fs.rmSync(STORE_DIR, { recursive: true, force: true });
+});
+
+describe('verifiable credentials', () => {
+  it('issues a signed JWT credential about the proof wallet', () => {
+    const { bundle, claim } = createProof(wallet);
+    const { id, credential } = credentialIssuer.issueCredential(bundle, claim);
+    const { header, payload, verified } = decodeJwt(credential);
+
+    expect(verified).toBe(true);
+    expect(header).toMatchObject({ alg: 'ES256K', typ: 'JWT', kid: credentialIssuer.getIssuer().keys[0].kid });
+    expect(payload).toMatchObject({ iss: 'https://proxy.example', sub: `did:pkh:eip155:11155111:${wallet.address}`, jti: id });
+    expect(payload.vc.type).toEqual(['VerifiableCredential', 'TwitterAccountCredential']);
+    expect(payload.vc.credentialSubject.twitterAccount).toMatchObject({
+      accountAgeDaysGreaterThan: 150,
+      followersGreaterThan: 150,
+      description: ['Twitter account older than 150 days', 'More than 150 followers']
+    });
+    expect(payload.vc.credentialStatus.id).toBe(`https://proxy.example/api/credentials/${encodeURIComponent(id)}/status`);
+
+    expect(payload.exp).toBe(claim.fetchedAt + CREDENTIAL_TTL);
+
+    // The nullifier would let verifiers correlate the account across credentials
+    expect(JSON.stringify(payload)).not.toContain(ethers.utils.hexZeroPad('0x2a', 32).slice(2));
+  });
+
+  it('states the follower tier revealed by a tier proof', () => {
+    const { bundle, claim } = createProof(wallet, { nullifier: '0x2e' });
+    const tierClaim = { ...claim, thresholds: { followerTiers: [1000, 10000, 100000] }, disclosed: { followerTier: 3 } };
+    const { payload } = decodeJwt(credentialIssuer.issueCredential(bundle, tierClaim).credential);
+
+    expect(payload.vc.credentialSubject.twitterAccount).toEqual({
+      followerTier: { tier: 3, minimum: 100000 },
+      description: ['At least 100000 followers']
+    });
+  });
+
+  it('returns the active credential again for the same proof', () => {
+    const { bundle, claim } = createProof(wallet, { nullifier: '0x2b' });
+    const first = credentialIssuer.issueCredential(bundle, claim);
+    const second = credentialIssuer.issueCredential(bundle, claim);
+
+    expect(first.created).toBe(true);
+    expect(second).toMatchObject({ created: false, id: first.id, credential: first.credential });
+    expect(credentialIssuer.getStatus(first.id).status).toBe('active');
+  });
+
+  it('refuses a bundle whose link message is not the one the proof signed', () => {
+    const { bundle, claim } = createProof(wallet);
+    bundle.message.text = bundle.message.text.replace('Chain ID: 11155111', 'Chain ID: 1');
+
+    expect(() => credentialIssuer.issueCredential(bundle, claim)).toThrow('El mensaje del bundle no es el que firmó la prueba');
+  });
+
+  it('revokes the previous wallet credentials when the account moves', () => {
+    const previous = createProof(wallet, { nullifier: '0x2c' });
+    const { id } = credentialIssuer.issueCredential(previous.bundle, previous.claim);
+
+    const revoked = credentialIssuer.revokeForRebind({ scope: '0x01', nullifier: '0x2c', address: otherWallet.address });
+
+    expect(revoked).toBe(1);
+    expect(credentialIssuer.getStatus(id)).toMatchObject({ status: 'revoked', reason: expect.any(String) });
+
+    // Issuing for the same proof afterwards yields a fresh credential
+    expect(credentialIssuer.issueCredential(previous.bundle, previous.claim).id).not.toBe(id);
+  });
+
+  it('counts the expiry from the attestation, not from the issue time', () => {
+    const fetchedAt = Math.floor(Date.now() / 1000) - 20 * 24 * 60 * 60;
+    const { bundle, claim } = createProof(wallet, { nullifier: '0x2f', fetchedAt });
+    const { credential, status } = credentialIssuer.issueCredential(bundle, claim);
+
+    expect(decodeJwt(credential).payload.exp).toBe(fetchedAt + CREDENTIAL_TTL);
+    expect(status.expiresAt).toBe(new Date((fetchedAt + CREDENTIAL_TTL) * 1000).toISOString());
+  });
+
+  it('refuses proofs of Twitter data older than the credential lifetime', () => {
+    const fetchedAt = Math.floor(Date.now() / 1000) - CREDENTIAL_TTL - 60;
+    const { bundle, claim } = createProof(wallet, { nullifier: '0x30', fetchedAt });
+
+    expect(() => credentialIssuer.issueCredential(bundle, claim))
+      .toThrow(expect.objectContaining({ statusCode: 422, code: 'CREDENTIAL_REJECTED' }));
+  });
+
+  it('refuses to sign with the attestation key or without a key of its own', async () => {
+    for (const key of [process.env.ATTESTATION_PRIVATE_KEY, '']) {
+      vi.stubEnv('CREDENTIAL_PRIVATE_KEY', key);
+      vi.resetModules();
+
+      const { default: issuer } = await import('../server/credentialIssuer.js');
+
+      expect(() => issuer.checkSigningKey()).toThrow(expect.objectContaining({ statusCode: 503, code: 'NOT_CONFIGURED' }));
+    }
+
+    vi.stubEnv('CREDENTIAL_PRIVATE_KEY', CREDENTIAL_PRIVATE_KEY);
+  });
+
+  it('reports credentials past their expiry as expired', () => {
+    const { bundle, claim } = createProof(wallet, { nullifier: '0x2d' });
+    const { id, status } = credentialIssuer.issueCredential(bundle, claim);
+
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(Date.parse(status.expiresAt) + 1000));
+
+    expect(credentialIssuer.getStatus(id).status).toBe('expired');
+    expect(credentialIssuer.getStatus('urn:uuid:unknown')).toBeNull();
+
+    vi.useRealTimers();
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Error taxonomy
+ * Checks the proxy's error envelope, that the browser rebuilds the same typed errors
+ * from it, and the messages and recovery actions the UI shows for their codes
+ */
+
+import { createRequire } from 'node:module';
+import { describe, it, expect } from 'vitest';
+import errors from '../src/js/errors.js';
+import ui from '../src/js/ui.js';
+
+// Loaded with require(), as server.js does, so the server modules share one errors.js
+const require = createRequire(import.meta.url);
+const serverErrors = require('../server/errors.js');
+const { RegistryError } = require('../server/nullifierRegistry.js');
+
+/**
+ * Minimal Express response that records what a route sends
+ * @returns {Object} Response with `statusCode` and `body`
+ */
+function createResponse() {
+  return {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('error taxonomy', () => {
+  it('sends server errors in one envelope without leaking unexpected ones', () => {
+    const conflict = new RegistryError('Esta cuenta de Twitter ya está vinculada a otra wallet en este scope', 409,
+      serverErrors.ERROR_CODES.NULLIFIER_CONFLICT, { rebindMessage: 'move' });
+    const conflictResponse = serverErrors.sendError(createResponse(), conflict);
+    const internalResponse = serverErrors.sendError(createResponse(), new Error('ENOENT: data/nullifiers.json'),
+      'Error interno del registro de nullifiers');
+
+    expect(conflictResponse.statusCode).toBe(409);
+    expect(conflictResponse.body).toEqual({
+      error: { code: 'NULLIFIER_CONFLICT', message: conflict.message, details: { rebindMessage: 'move' } }
+    });
+    expect(internalResponse.statusCode).toBe(500);
+    expect(internalResponse.body).toEqual({
+      error: { code: 'INTERNAL', message: 'Error interno del registro de nullifiers' }
+    });
+  });
+
+  it('shares every server code with the browser', () => {
+    expect(errors.ERROR_CODES).toMatchObject(serverErrors.ERROR_CODES);
+  });
+
+  it('rebuilds a rate limit from the envelope and tells the user how long to wait', async () => {
+    const body = serverErrors.createErrorBody('RATE_LIMITED', 'Twitter limitó las solicitudes de esta aplicación', { retryAfter: 90 });
+    const error = await errors.fromResponse(new Response(JSON.stringify(body), { status: 429 }));
+
+    expect(error).toBeInstanceOf(errors.RateLimitError);
+    expect(error).toMatchObject({ code: 'RATE_LIMITED', status: 429, retryAfter: 90 });
+    expect(ui.describeError(error)).toEqual({
+      code: 'RATE_LIMITED',
+      message: 'Twitter is limiting requests from this app. Try again in 2 minutes.',
+      action: errors.RECOVERY_ACTIONS.RETRY
+    });
+  });
+
+  it('falls back to the HTTP status for responses without an envelope', async () => {
+    const error = await errors.fromResponse(new Response('Unauthorized', { status: 401 }));
+
+    expect(error).toBeInstanceOf(errors.AuthError);
+    expect(ui.describeError(error).action).toBe(errors.RECOVERY_ACTIONS.RELOGIN);
+  });
+
+  it('types wallet rejections and leaves other errors alone', () => {
+    const rejected = errors.fromWalletError(Object.assign(new Error('User rejected the request.'), { code: 4001 }));
+    const other = new Error('execution reverted');
+
+    expect(rejected).toBeInstanceOf(errors.WalletError);
+    expect(rejected.code).toBe('WALLET_REJECTED');
+    expect(errors.fromWalletError(Object.assign(new Error('user rejected signing'), { code: 'ACTION_REJECTED' })).code)
+      .toBe('WALLET_REJECTED');
+    expect(errors.fromWalletError(other)).toBe(other);
+    expect(ui.describeError(other)).toEqual({ code: null, message: 'execution reverted', action: null });
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Fake proxy server behind a stubbed fetch
+ * Implements the routes of server.js the frontend calls, with one browser
+ * cookie jar and a fake Twitter behind them. Twitter data is signed with the
+ * real server/attestation.js, so zkProof sees exactly what production sends,
+ * and wallet links are checked by the real server/siwe.js and server/typedLink.js.
+ * Proofs are never checked cryptographically: the proving backend is mocked
+ */
+
+import crypto from 'node:crypto';
+import attestation from '../../server/attestation.js';
+import siwe from '../../server/siwe.js';
+import typedLink from '../../server/typedLink.js';
+import serverErrors from '../../server/errors.js';
+
+const { ApiError, ERROR_CODES } = serverErrors;
+
+export const PROXY_URL = 'http://localhost:3000';
+export const FRONTEND_URL = 'http://localhost:1234';
+
+// Fake Twitter account used unless a test passes its own
+export const DEFAULT_PROFILE = {
+  id: '1500000000000000001',
+  username: 'veteran_dev',
+  createdAt: '2012-03-14T09:26:53.000Z',
+  followers: 4200
+};
+
+// Precompiled claim circuits served at /circuits; the mock backend never reads the programs
+const CIRCUITS = {
+  twitter_zkp: '3.0.0',
+  twitter_age_zkp: '1.0.0',
+  twitter_followers_zkp: '1.0.0',
+  twitter_follower_tier_zkp: '1.0.0'
+};
+
+/**
+ * Build the artifact served for a circuit
+ * @param {string} name - Circuit name
+ * @returns {string} Artifact JSON
+ */
+function circuitArtifact(name) {
+  return JSON.stringify({ name, noir_version: 'mock', bytecode: '', abi: {} });
+}
+
+/**
+ * Build a JSON fetch Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @returns {Response} Response
+ */
+function json(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Build an error Response with the proxy's error envelope, as sendError in server/errors.js
+ * Server modules loaded with require() get their own copy of errors.js, so errors are
+ * recognised by their code rather than with instanceof
+ * @param {Error} error - Error thrown by a server module, or an ApiError built by a route
+ * @returns {Response} Response
+ */
+function sendError(error) {
+  return ERROR_CODES[error.code] && error.statusCode
+    ? json(error.statusCode, serverErrors.createErrorBody(error.code, error.message, error.details))
+    : json(500, serverErrors.createErrorBody(ERROR_CODES.INTERNAL, 'Error interno del servidor'));
+}
+
+/**
+ * Create a fake proxy
+ * @param {Object} [options] - Proxy options
+ * @param {Object} [options.profile] - Twitter profile { id, username, createdAt, followers }
+ * @param {boolean} [options.acceptMockProofs] - Report mock proofs as valid; the real
+ * server never does, so this only exists to script the verify page's success path
+ * @param {boolean} [options.failRevoke] - Make /api/twitter/revoke fail as Twitter would
+ * @returns {Object} Proxy with `fetch` (to stub globalThis.fetch), `followLogin()`, `expireTokens()`,
+ * `session()`, `requests` (method and path of every call) and `revoked` (revoked tokens)
+ */
+export function createFakeProxy({ profile = DEFAULT_PROFILE, acceptMockProofs = false, failRevoke = false } = {}) {
+  const requests = [];
+  const revoked = [];
+
+  // Server-side session, reachable only through the browser's cookie
+  let session = null;
+  let cookie = null;
+
+  const routes = {
+    'GET /api/auth/session': () => json(200, {
+      authenticated: Boolean(session?.tokens),
+      canRefresh: Boolean(session?.tokens),
+      wallet: session?.wallet ? { address: session.wallet.address, chainId: session.wallet.chainId } : null
+    }),
+
+    'POST /api/auth/callback': (body, currentSession) => {
+      const pending = currentSession?.oauth;
+
+      if (currentSession) {
+        currentSession.oauth = null;
+      }
+
+      if (!pending) {
+        return sendError(new ApiError('No hay ningún login pendiente en esta sesión, vuelva a intentarlo', 400, ERROR_CODES.LOGIN_EXPIRED));
+      }
+
+      if (body.state !== pending.state) {
+        return sendError(new ApiError('El parámetro state no coincide (posible ataque CSRF)', 403, ERROR_CODES.STATE_MISMATCH));
+      }
+
+      if (body.code !== pending.code) {
+        return sendError(new ApiError('Twitter API respondió con error 400', 400, ERROR_CODES.TWITTER_ERROR, { status: 400 }));
+      }
+
+      currentSession.tokens = { accessToken: 'fake-access-token', refreshToken: 'fake-refresh-token' };
+      return json(200, { authenticated: true });
+    },
+
+    'POST /api/auth/logout': () => {
+      session = null;
+      cookie = null;
+      return json(200, { authenticated: false });
+    },
+
+    'POST /api/twitter/refresh': (body, currentSession) => {
+      if (!currentSession?.tokens) {
+        return sendError(new ApiError('La sesión no se puede renovar, vuelva a iniciar sesión', 401, ERROR_CODES.AUTH_EXPIRED));
+      }
+
+      if (currentSession.tokens.expired) {
+        return sendError(new ApiError('Twitter rechazó la renovación del token, vuelva a iniciar sesión', 401, ERROR_CODES.AUTH_EXPIRED));
+      }
+
+      return json(200, { authenticated: true });
+    },
+
+    'POST /api/twitter/revoke': (body, currentSession) => {
+      if (failRevoke) {
+        return sendError(new ApiError('No se pudieron revocar en Twitter: accessToken, refreshToken', 502, ERROR_CODES.TWITTER_ERROR,
+          { revoked: false }));
+      }
+
+      if (currentSession?.tokens) {
+        revoked.push(currentSession.tokens.accessToken, currentSession.tokens.refreshToken);
+        currentSession.tokens = null;
+      }
+
+      return json(200, { revoked: true });
+    },
+
+    'POST /api/twitter/user': (body, currentSession) => {
+      if (!currentSession?.tokens) {
+        return sendError(new ApiError('No ha iniciado sesión con Twitter', 401, ERROR_CODES.AUTH_REQUIRED));
+      }
+
+      // The real proxy refreshes once on a 401 from Twitter, which fails the same way
+      if (currentSession.tokens.expired) {
+        return sendError(new ApiError('Twitter rechazó la renovación del token, vuelva a iniciar sesión', 401, ERROR_CODES.AUTH_EXPIRED));
+      }
+
+      const user = {
+        id: profile.id,
+        username: profile.username,
+        created_at: profile.createdAt,
+        public_metrics: { followers_count: profile.followers }
+      };
+
+      currentSession.twitterIdHash = attestation.hashTwitterId(user.id);
+
+      return json(200, { data: user, attestation: attestation.attestTwitterUser(user) });
+    },
+
+    'GET /api/wallet/nonce': (body, currentSession) => (currentSession?.twitterIdHash
+      ? json(200, siwe.createNonce(currentSession))
+      : sendError(new ApiError('Inicie sesión con Twitter antes de vincular la wallet', 401, ERROR_CODES.AUTH_REQUIRED))),
+
+    'POST /api/wallet/verify': (body, currentSession) => {
+      try {
+        return json(200, body.typedData
+          ? typedLink.verifyTypedLink(currentSession, body)
+          : siwe.verifyLink(currentSession, body, { origin: FRONTEND_URL }));
+      } catch (error) {
+        return sendError(error);
+      }
+    },
+
+    'GET /circuits/manifest.json': () => json(200, {
+      circuits: Object.fromEntries(Object.entries(CIRCUITS).map(([name, version]) => [name, {
+        version,
+        artifact: `${name}.json`,
+        hash: `sha256:${crypto.createHash('sha256').update(circuitArtifact(name)).digest('hex')}`
+      }]))
+    }),
+
+    ...Object.fromEntries(Object.keys(CIRCUITS).map((name) => [
+      `GET /circuits/${name}.json`,
+      () => new Response(circuitArtifact(name), { status: 200 })
+    ])),
+
+    'POST /api/proof/verify': ({ bundle }) => {
+      const publicKey = attestation.getPublicKey();
+      const trusted = bundle.publicInputs.attester_pub_key_x === publicKey.x
+        && bundle.publicInputs.attester_pub_key_y === publicKey.y;
+      const result = {
+        valid: trusted && (!bundle.isMock || acceptMockProofs),
+        thresholds: bundle.thresholds,
+        disclosed: bundle.disclosed,
+        circuit: bundle.circuit,
+        createdAt: bundle.createdAt
+      };
+
+      if (!trusted) {
+        result.reason = 'La atestación no está firmada por este servidor';
+      } else if (!result.valid) {
+        result.reason = 'La prueba fue generada por el backend mock';
+      }
+
+      return json(200, result);
+    }
+  };
+
+  /**
+   * Stubbed fetch: routes proxy requests, rejects anything else
+   * @param {string|URL} input - Request URL
+   * @param {Object} [init] - Fetch options
+   * @returns {Promise<Response>} Response
+   */
+  async function fakeFetch(input, init = {}) {
+    const url = new URL(String(input));
+    const method = (init.method || 'GET').toUpperCase();
+
+    if (url.origin !== PROXY_URL) {
+      throw new TypeError(`Unexpected request to ${url.href}`);
+    }
+
+    requests.push({ method, path: url.pathname, credentials: init.credentials });
+
+    const route = routes[`${method} ${url.pathname}`];
+
+    if (!route) {
+      return sendError(new ApiError(`No route for ${method} ${url.pathname}`, 404, ERROR_CODES.NOT_FOUND));
+    }
+
+    // Cross-origin requests only carry the session cookie with credentials: 'include'
+    const currentSession = init.credentials === 'include' && cookie ? session : null;
+    const body = init.body ? JSON.parse(init.body) : {};
+
+    return route(body, currentSession);
+  }
+
+  /**
+   * Follow the browser redirect to /api/auth/login and approve on the fake Twitter
+   * @returns {Object} { state, code, callbackUrl } - callbackUrl is where Twitter sends the browser
+   */
+  function followLogin() {
+    requests.push({ method: 'GET', path: '/api/auth/login', credentials: 'navigation' });
+
+    const state = crypto.randomBytes(16).toString('base64url');
+    const code = crypto.randomBytes(16).toString('base64url');
+
+    session = { oauth: { state, code }, tokens: null };
+    cookie = crypto.randomBytes(16).toString('base64url');
+
+    const callbackUrl = new URL('/callback', FRONTEND_URL);
+    callbackUrl.searchParams.set('state', state);
+    callbackUrl.searchParams.set('code', code);
+
+    return { state, code, callbackUrl: callbackUrl.toString() };
+  }
+
+  /**
+   * Make Twitter reject the session's tokens, as when the user revokes the app on Twitter
+   */
+  function expireTokens() {
+    session.tokens.expired = true;
+  }
+
+  return {
+    fetch: fakeFetch,
+    followLogin,
+    expireTokens,
+    session: () => session,
+    requests,
+    revoked
+  };
+}
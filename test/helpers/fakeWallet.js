@@ -0,0 +1,181 @@
+/**
+ * Fake EIP-1193 wallet provider
+ * Stands in for window.ethereum with an ethers Wallet built from a known
+ * private key, so signatures and addresses are deterministic across runs
+ */
+
+import { ethers } from 'ethers';
+
+// Well-known Hardhat test account #0; never holds real funds
+export const TEST_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+/**
+ * Create an EIP-1193 provider error
+ * @param {number} code - EIP-1193 error code (4001 user rejected, 4200 unsupported method)
+ * @param {string} message - Error message
+ * @returns {Error} Provider error
+ */
+function providerError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Announce a fake wallet through EIP-6963, now and on every eip6963:requestProvider
+ * @param {Object} provider - Provider from createFakeWallet
+ * @param {Object} info - Provider info { name, rdns, icon? }
+ * @returns {Function} Stops answering requests
+ */
+export function announceWallet(provider, { name, rdns, icon = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg"/>' }) {
+  const detail = Object.freeze({ info: Object.freeze({ uuid: crypto.randomUUID(), name, icon, rdns }), provider });
+  const announce = () => window.dispatchEvent(new CustomEvent('eip6963:announceProvider', { detail }));
+
+  window.addEventListener('eip6963:requestProvider', announce);
+  announce();
+
+  return () => window.removeEventListener('eip6963:requestProvider', announce);
+}
+
+/**
+ * Create a fake wallet provider
+ * @param {Object} [options] - Wallet options
+ * @param {string} [options.privateKey] - Private key of the wallet account
+ * @param {string} [options.chainId] - Hex chain ID the wallet starts on; it also knows Mainnet
+ * @param {Object} [options.node] - ethers provider of the chain (see localChain.js) that receives
+ * transactions and every method the wallet does not handle itself; without it those methods fail with 4200
+ * @returns {Object} Provider with request/on/removeListener, plus test controls:
+ * `wallet` (ethers Wallet), `address`, `calls` (requests received), `rejectNext(method)`
+ * and `emit(event, payload)`
+ */
+export function createFakeWallet({ privateKey = TEST_PRIVATE_KEY, chainId = '0x1', node = null } = {}) {
+  const wallet = new ethers.Wallet(privateKey, node || undefined);
+  const listeners = new Map();
+  const rejections = new Set();
+  const calls = [];
+  const knownChains = new Set([chainId.toLowerCase(), '0x1']);
+  let currentChainId = chainId.toLowerCase();
+  let connected = false;
+
+  const switchTo = (nextChainId) => {
+    if (nextChainId !== currentChainId) {
+      currentChainId = nextChainId;
+      provider.emit('chainChanged', currentChainId);
+    }
+
+    return null;
+  };
+
+  const handlers = {
+    eth_requestAccounts: () => {
+      connected = true;
+      return [wallet.address];
+    },
+    eth_accounts: () => (connected ? [wallet.address] : []),
+    eth_chainId: () => currentChainId,
+    net_version: () => String(parseInt(currentChainId, 16)),
+    wallet_switchEthereumChain: ([{ chainId: nextChainId }]) => {
+      if (!knownChains.has(nextChainId.toLowerCase())) {
+        throw providerError(4902, `Unrecognized chain ID ${nextChainId}`);
+      }
+
+      return switchTo(nextChainId.toLowerCase());
+    },
+    // Like MetaMask, adding a chain also switches to it
+    wallet_addEthereumChain: ([{ chainId: nextChainId }]) => {
+      knownChains.add(nextChainId.toLowerCase());
+      return switchTo(nextChainId.toLowerCase());
+    },
+    personal_sign: ([data, address]) => {
+      if (ethers.utils.getAddress(address) !== wallet.address) {
+        throw providerError(4100, `Unknown account ${address}`);
+      }
+
+      return wallet.signMessage(ethers.utils.arrayify(data));
+    },
+    eth_signTypedData_v4: ([address, payload]) => {
+      if (ethers.utils.getAddress(address) !== wallet.address) {
+        throw providerError(4100, `Unknown account ${address}`);
+      }
+
+      // ethers derives EIP712Domain from the domain itself
+      const { domain, types: { EIP712Domain, ...types }, message } = JSON.parse(payload);
+      return wallet._signTypedData(domain, types, message);
+    },
+    eth_sendTransaction: async ([transaction]) => {
+      if (!node) {
+        throw providerError(4200, 'Unsupported method: eth_sendTransaction');
+      }
+
+      const { from, gas, ...request } = transaction;
+
+      if (ethers.utils.getAddress(from) !== wallet.address) {
+        throw providerError(4100, `Unknown account ${from}`);
+      }
+
+      // The node fills in the nonce and fees; the gas limit was estimated by the dapp
+      const sent = await wallet.sendTransaction({ ...request, gasLimit: gas });
+      return sent.hash;
+    }
+  };
+
+  const provider = {
+    isMetaMask: true,
+    wallet,
+    address: wallet.address,
+    calls,
+
+    async request({ method, params = [] }) {
+      calls.push({ method, params });
+
+      if (rejections.delete(method)) {
+        throw providerError(4001, 'User rejected the request.');
+      }
+
+      const handler = handlers[method];
+
+      if (!handler && node) {
+        return node.send(method, params);
+      }
+
+      if (!handler) {
+        throw providerError(4200, `Unsupported method: ${method}`);
+      }
+
+      return handler(params);
+    },
+
+    on(event, listener) {
+      if (!listeners.has(event)) {
+        listeners.set(event, new Set());
+      }
+
+      listeners.get(event).add(listener);
+      return provider;
+    },
+
+    removeListener(event, listener) {
+      listeners.get(event)?.delete(listener);
+      return provider;
+    },
+
+    /**
+     * Make the next request for a method fail as if the user rejected it
+     * @param {string} method - RPC method
+     */
+    rejectNext(method) {
+      rejections.add(method);
+    },
+
+    /**
+     * Emit a provider event (accountsChanged, chainChanged, ...)
+     * @param {string} event - Event name
+     * @param {*} payload - Event payload
+     */
+    emit(event, payload) {
+      listeners.get(event)?.forEach((listener) => listener(payload));
+    }
+  };
+
+  return provider;
+}
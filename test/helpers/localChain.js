@@ -0,0 +1,77 @@
+/**
+ * In-process EVM chain
+ * Compiles the contracts with solc-js and deploys them to a ganache chain running
+ * inside the test process, so the registry contract runs under `npm test` without
+ * Anvil, Hardhat or a solc binary
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import solc from 'solc';
+import ganache from 'ganache';
+import { ethers } from 'ethers';
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+
+// Chain ID of the in-process chain (ganache's default)
+export const LOCAL_CHAIN_ID = 1337;
+
+/**
+ * Compile Solidity sources; imports are resolved from the repository root
+ * @param {Array<string>} sources - Paths of the .sol files, relative to the repository root
+ * @returns {Object} { abi, bytecode } of each contract, by contract name
+ */
+export function compileContracts(sources) {
+  const input = {
+    language: 'Solidity',
+    sources: Object.fromEntries(sources.map((source) => [source, { content: fs.readFileSync(path.join(ROOT_DIR, source), 'utf8') }])),
+    settings: {
+      optimizer: { enabled: true },
+      // The newest fork ganache runs
+      evmVersion: 'shanghai',
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+
+  const findImport = (importPath) => {
+    const resolved = path.join(ROOT_DIR, importPath);
+    return fs.existsSync(resolved) ? { contents: fs.readFileSync(resolved, 'utf8') } : { error: `Not found: ${importPath}` };
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImport }));
+  const failures = (output.errors || []).filter((error) => error.severity === 'error');
+
+  if (failures.length > 0) {
+    throw new Error(failures.map((error) => error.formattedMessage).join('\n'));
+  }
+
+  return Object.fromEntries(Object.values(output.contracts).flatMap((contracts) => Object.entries(contracts)
+    .map(([name, { abi, evm }]) => [name, { abi, bytecode: `0x${evm.bytecode.object}` }])));
+}
+
+/**
+ * Start a chain whose only funded accounts are the given keys
+ * @param {Array<string>} privateKeys - Keys of the accounts to fund
+ * @returns {Object} ethers provider of the chain
+ */
+export function startChain(privateKeys) {
+  const chain = ganache.provider({
+    chain: { chainId: LOCAL_CHAIN_ID },
+    wallet: { accounts: privateKeys.map((secretKey) => ({ secretKey, balance: ethers.utils.parseEther('100').toHexString() })) },
+    logging: { quiet: true }
+  });
+
+  return new ethers.providers.Web3Provider(chain);
+}
+
+/**
+ * Deploy a compiled contract
+ * @param {Object} contract - { abi, bytecode } from compileContracts
+ * @param {Object} deployer - ethers Wallet connected to the chain
+ * @param {Array} [args] - Constructor arguments
+ * @returns {Promise<Object>} Deployed ethers Contract
+ */
+export async function deployContract({ abi, bytecode }, deployer, args = []) {
+  const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy(...args);
+  return contract.deployed();
+}
@@ -0,0 +1,122 @@
+/**
+ * Page helpers
+ * Load the app's HTML into jsdom and boot fresh module instances, the way a
+ * browser reloads the page, while sessionStorage survives between loads
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { vi } from 'vitest';
+
+const SRC_DIR = path.resolve(__dirname, '../../src');
+
+/**
+ * Replace the document body with the body of one of the app's pages
+ * Scripts are dropped; modules are imported by bootApp / bootVerifier instead
+ * @param {string} file - Page file in src/ (index.html, verify.html)
+ */
+export function loadPage(file) {
+  const html = fs.readFileSync(path.join(SRC_DIR, file), 'utf8');
+  const parsed = new DOMParser().parseFromString(html, 'text/html');
+
+  parsed.querySelectorAll('script').forEach((script) => script.remove());
+  document.body.innerHTML = parsed.body.innerHTML;
+}
+
+/**
+ * Point the current page at a URL of the same origin (e.g. the OAuth callback)
+ * @param {string} url - Absolute or path URL
+ */
+export function setUrl(url) {
+  window.history.replaceState(null, '', url);
+}
+
+/**
+ * Record full-page navigations (location.href = ...) instead of letting jsdom reject them
+ * @returns {Array<string>} URLs the page tried to navigate to
+ */
+export function captureNavigation() {
+  const realLocation = window.location;
+  const navigations = [];
+
+  vi.stubGlobal('location', new Proxy(realLocation, {
+    get(target, property) {
+      const value = Reflect.get(target, property);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+    set(target, property, value) {
+      if (property === 'href') {
+        navigations.push(String(value));
+        return true;
+      }
+
+      return Reflect.set(target, property, value);
+    }
+  }));
+
+  return navigations;
+}
+
+/**
+ * Load index.html and boot a fresh instance of the app
+ * @param {string} [url] - Page URL, defaults to the app root
+ * @returns {Promise<Object>} The app module
+ */
+export async function bootApp(url = '/') {
+  setUrl(url);
+  loadPage('index.html');
+  vi.resetModules();
+
+  const { default: app } = await import('../../src/js/app.js');
+  await app.init();
+
+  return app;
+}
+
+/**
+ * Load verify.html and boot a fresh instance of the verifier page
+ * @returns {Promise<Object>} The verifier module
+ */
+export async function bootVerifier() {
+  setUrl('/verify.html');
+  loadPage('verify.html');
+  vi.resetModules();
+
+  const { default: verifier } = await import('../../src/js/verifier.js');
+  verifier.init();
+
+  return verifier;
+}
+
+/**
+ * Click an element by ID
+ * @param {string} id - Element ID
+ */
+export function click(id) {
+  const element = document.getElementById(id);
+
+  if (!element) {
+    throw new Error(`No element with id ${id}`);
+  }
+
+  element.click();
+}
+
+/**
+ * Read the trimmed text of an element by ID
+ * @param {string} id - Element ID
+ * @returns {string} Text content
+ */
+export function text(id) {
+  return document.getElementById(id)?.textContent.trim() ?? '';
+}
+
+/**
+ * Check whether an element is shown (not carrying the `hidden` class)
+ * @param {string} id - Element ID
+ * @returns {boolean} True if visible
+ */
+export function isVisible(id) {
+  const element = document.getElementById(id);
+  return Boolean(element) && !element.classList.contains('hidden');
+}
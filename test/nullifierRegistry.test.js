@@ -0,0 +1,134 @@
+/**
+ * Nullifier registry
+ * Binds claims from the server module directly, since the proxy only accepts
+ * claims from real proofs, and checks that only the configured scopes count and
+ * that only the bound wallet can move a nullifier, once, while its authorization lasts
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { ethers } from 'ethers';
+
+const STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'twitter-zk-nullifiers-'));
+
+const wallet = ethers.Wallet.createRandom();
+const otherWallet = ethers.Wallet.createRandom();
+const thirdWallet = ethers.Wallet.createRandom();
+
+// Frontend origin the server passes to bind (FRONTEND_ORIGIN)
+const ORIGIN = 'http://localhost:1234';
+
+let nullifierRegistry;
+
+/**
+ * Bind a nullifier to the first wallet, then ask to move it to another one
+ * @param {string} nullifier - Nullifier to bind
+ * @returns {Object} { claim, session, message } of the move to otherWallet
+ */
+function requestMove(nullifier) {
+  const scope = nullifierRegistry.getScopeField('twitter-zk-wallet-link');
+  const session = {};
+  const claim = { scope, nullifier, address: otherWallet.address };
+
+  nullifierRegistry.bind({ scope, nullifier, address: wallet.address }, { session, origin: ORIGIN });
+
+  try {
+    nullifierRegistry.bind(claim, { session, origin: ORIGIN });
+  } catch (error) {
+    return { claim, session, message: error.details.rebindMessage };
+  }
+
+  throw new Error('Expected a nullifier conflict');
+}
+
+beforeAll(async () => {
+  vi.stubEnv('NULLIFIER_REGISTRY_PATH', path.join(STORE_DIR, 'nullifiers.json'));
+  vi.stubEnv('NULLIFIER_SCOPES', 'twitter-zk-wallet-link');
+  ({ default: nullifierRegistry } = await import('../server/nullifierRegistry.js'));
+});
+
+afterAll(() => {
+  vi.unstubAllEnvs();
+  fs.rmSync(STORE_DIR, { recursive: true, force: true });
+});
+
+describe('nullifier registry', () => {
+  it('binds one wallet per nullifier in an allowed scope', () => {
+    const scope = nullifierRegistry.getScopeField('twitter-zk-wallet-link');
+    const { created, binding } = nullifierRegistry.bind({ scope, nullifier: '0x2a', address: wallet.address }, { session: {}, origin: ORIGIN });
+
+    expect(created).toBe(true);
+    expect(binding).toMatchObject({ scope, address: wallet.address, version: 1 });
+    expect(() => nullifierRegistry.bind({ scope, nullifier: '0x2a', address: otherWallet.address }, { session: {}, origin: ORIGIN }))
+      .toThrow(expect.objectContaining({ statusCode: 409, code: 'NULLIFIER_CONFLICT' }));
+  });
+
+  it('rejects a second scope the prover picked to bind another wallet', () => {
+    const scope = nullifierRegistry.getScopeField('another-scope');
+    const rejected = expect.objectContaining({
+      statusCode: 422,
+      code: 'PROOF_INVALID',
+      message: 'El scope de la prueba no está admitido por este servidor'
+    });
+
+    expect(() => nullifierRegistry.bind({ scope, nullifier: '0x2a', address: otherWallet.address }, { session: {}, origin: ORIGIN }))
+      .toThrow(rejected);
+    expect(() => nullifierRegistry.rebind({ scope, nullifier: '0x2a', address: otherWallet.address }, '0x', { session: {} }))
+      .toThrow(rejected);
+    expect(() => nullifierRegistry.getBinding(scope, '0x2a')).toThrow(rejected);
+  });
+
+  it('moves the nullifier when the bound wallet signs the move for this frontend', async () => {
+    const { claim, session, message } = requestMove('0x2b');
+
+    expect(message).toMatch(/^localhost:1234 asks you to authorize moving/);
+    expect(message).toContain(`URI: ${ORIGIN}`);
+    expect(message).toMatch(/^Nonce: [0-9a-f]{32}$/m);
+    expect(message).toMatch(/^Expiration Time: /m);
+
+    const { binding } = nullifierRegistry.rebind(claim, await wallet.signMessage(message), { session });
+
+    expect(binding).toMatchObject({ address: otherWallet.address, version: 2 });
+  });
+
+  it('rejects a move signed by a wallet other than the bound one', async () => {
+    const { claim, session, message } = requestMove('0x2c');
+
+    // The new wallet cannot authorize taking the account for itself
+    const signature = await otherWallet.signMessage(message);
+
+    expect(() => nullifierRegistry.rebind(claim, signature, { session }))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'La autorización no está firmada por la wallet vinculada actualmente' }));
+    expect(nullifierRegistry.getBinding(claim.scope, '0x2c').address).toBe(wallet.address);
+  });
+
+  it('bumps the binding version, so a move cannot be replayed', async () => {
+    const { claim, session, message } = requestMove('0x2d');
+    const signature = await wallet.signMessage(message);
+
+    expect(message).toContain('Binding version: 1');
+    expect(nullifierRegistry.rebind(claim, signature, { session }).binding.version).toBe(2);
+
+    // Neither the used authorization nor its signature can move the nullifier again
+    const scope = nullifierRegistry.getScopeField('twitter-zk-wallet-link');
+    const back = { scope, nullifier: '0x2d', address: thirdWallet.address };
+
+    expect(() => nullifierRegistry.rebind(back, signature, { session })).toThrow('No hay una autorización de cambio pendiente');
+    expect(nullifierRegistry.getBinding(scope, '0x2d')).toMatchObject({ address: otherWallet.address, version: 2 });
+  });
+
+  it('refuses an authorization signed after it expired', async () => {
+    const { claim, session, message } = requestMove('0x2e');
+    const signature = await wallet.signMessage(message);
+
+    vi.useFakeTimers({ now: Date.now() + 11 * 60 * 1000 });
+
+    try {
+      expect(() => nullifierRegistry.rebind(claim, signature, { session })).toThrow('La autorización de cambio ha caducado');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * On-chain proof registry
+ * Encodes bundles for the Solidity verifier and submits them to freshly deployed
+ * TwitterLinkRegistry contracts on an in-process chain (see helpers/localChain.js),
+ * backed by MockVerifier or by RevertingVerifier for rejected proofs
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { createFakeWallet, TEST_PRIVATE_KEY } from './helpers/fakeWallet.js';
+import { compileContracts, startChain, deployContract, LOCAL_CHAIN_ID } from './helpers/localChain.js';
+import attestation from '../server/attestation.js';
+
+// Hardhat/Anvil test account #2, for a second wallet
+const SECOND_PRIVATE_KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+
+// Nullifier scope of @config.json, as zkProof.getScopeField maps it to a field element
+const SCOPE_FIELD = ethers.utils.hexDataSlice(ethers.utils.keccak256(ethers.utils.toUtf8Bytes('twitter-zk-wallet-link')), 0, 31);
+
+// twitter.maxAttestationAgeDays of @config.json, in seconds
+const MAX_ATTESTATION_AGE = 30 * 24 * 60 * 60;
+
+/**
+ * Build the bundle of a mock proof linking a wallet on a chain
+ * @param {Object} wallet - Fake wallet provider
+ * @param {Object} [options] - { chainId, nullifier, transcript, isMock, fetchedAt }
+ * @returns {Promise<Object>} Proof bundle
+ */
+async function createBundle(wallet, {
+  chainId = 1,
+  nullifier = '0x01',
+  transcript = 'keccak',
+  isMock = true,
+  fetchedAt = Math.floor(Date.now() / 1000)
+} = {}) {
+  const publicKey = ethers.utils.arrayify(new ethers.utils.SigningKey(wallet.wallet.privateKey).publicKey);
+  const attester = attestation.getPublicKey();
+  const text = `localhost:1234 wants you to sign in with your Ethereum account:\n${wallet.address}\n\nChain ID: ${chainId}`;
+
+  return {
+    format: 'twitter-zk-proof-bundle',
+    version: 1,
+    circuit: { name: 'twitter_zkp', version: '3.0.0', hash: 'sha256:mock' },
+    thresholds: { minAccountAgeDays: 150, minFollowers: 150 },
+    publicInputs: {
+      fetched_at: String(fetchedAt),
+      attester_pub_key_x: attester.x,
+      attester_pub_key_y: attester.y,
+      min_account_age_days: '150',
+      min_followers: '150',
+      message_hash: ethers.utils.hashMessage(text),
+      pub_key_x: ethers.utils.hexlify(publicKey.slice(1, 33)),
+      pub_key_y: ethers.utils.hexlify(publicKey.slice(33, 65)),
+      scope: SCOPE_FIELD,
+      return_value: nullifier
+    },
+    proof: Buffer.from('\0\0\0\x20MOCK_PROOF').toString('base64'),
+    message: { mode: 'personal_sign', text, signature: await wallet.wallet.signMessage(text) },
+    backend: isMock ? 'mock' : 'noir',
+    transcript,
+    isMock,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Boot fresh config and registry modules against a wallet
+ * @param {Object} wallet - Fake wallet provider, installed as window.ethereum
+ * @param {Object} [registryAddresses] - ethereum.registryAddresses to use
+ * @returns {Promise<Object>} The proofRegistry module
+ */
+async function bootRegistry(wallet, registryAddresses = {}) {
+  vi.stubGlobal('ethereum', wallet);
+  vi.resetModules();
+
+  const { default: config } = await import('../src/js/config.js');
+  const { default: proofRegistry } = await import('../src/js/proofRegistry.js');
+
+  config.init();
+  Object.assign(config.getEthereumConfig().registryAddresses, registryAddresses);
+  await wallet.request({ method: 'eth_requestAccounts' });
+
+  return proofRegistry;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('proof registry encoding', () => {
+  it('flattens the public inputs in circuit order, one element per byte', async () => {
+    const wallet = createFakeWallet();
+    const bundle = await createBundle(wallet, { nullifier: '0x2a', fetchedAt: 1735689600 });
+    const proofRegistry = await bootRegistry(wallet);
+
+    const inputs = proofRegistry.encodePublicInputs(bundle.publicInputs);
+    const attesterX = ethers.utils.arrayify(bundle.publicInputs.attester_pub_key_x);
+
+    expect(inputs).toHaveLength(165);
+    expect(inputs[0]).toBe(ethers.utils.hexZeroPad(ethers.utils.hexlify(1735689600), 32));
+    expect(inputs[1]).toBe(ethers.utils.hexZeroPad(ethers.utils.hexlify(attesterX[0]), 32));
+    expect(inputs[32]).toBe(ethers.utils.hexZeroPad(ethers.utils.hexlify(attesterX[31]), 32));
+    expect(inputs[65]).toBe(ethers.utils.hexZeroPad('0x96', 32));
+    expect(inputs[163]).toBe(ethers.utils.hexZeroPad(SCOPE_FIELD, 32));
+    expect(inputs[164]).toBe(ethers.utils.hexZeroPad('0x2a', 32));
+  });
+
+  it('drops the length prefix bb.js puts in front of the proof', async () => {
+    const wallet = createFakeWallet();
+    const proofRegistry = await bootRegistry(wallet);
+
+    expect(proofRegistry.encodeProof(await createBundle(wallet))).toBe(ethers.utils.hexlify(ethers.utils.toUtf8Bytes('MOCK_PROOF')));
+  });
+
+  it('refuses proofs with the poseidon2 transcript, which the Solidity verifier cannot check', async () => {
+    const wallet = createFakeWallet();
+    const proofRegistry = await bootRegistry(wallet);
+
+    await expect(proofRegistry.submitBundle(await createBundle(wallet, { transcript: 'poseidon2', isMock: false })))
+      .rejects.toThrow('This proof cannot be verified on-chain');
+  });
+
+  it('refuses to submit when no registry is configured for the wallet chain', async () => {
+    const wallet = createFakeWallet();
+    const proofRegistry = await bootRegistry(wallet);
+
+    await expect(proofRegistry.submitBundle(await createBundle(wallet))).rejects.toThrow('No proof registry is configured for chain 1');
+    expect(wallet.calls.some((call) => call.method === 'eth_sendTransaction')).toBe(false);
+  });
+});
+
+describe('proof registry contract', () => {
+  const chainHex = `0x${LOCAL_CHAIN_ID.toString(16)}`;
+  let contracts;
+  let node;
+
+  beforeAll(() => {
+    contracts = compileContracts([
+      'contracts/TwitterLinkRegistry.sol',
+      'contracts/test/MockVerifier.sol',
+      'contracts/test/RevertingVerifier.sol'
+    ]);
+    node = startChain([TEST_PRIVATE_KEY, SECOND_PRIVATE_KEY]);
+  }, 60000);
+
+  /**
+   * Deploy a registry trusting the test attester, the app's scope and its attestation age
+   * @param {string} [verifierName] - Verifier contract to deploy behind it
+   * @returns {Promise<string>} Registry address
+   */
+  async function deployRegistry(verifierName = 'MockVerifier') {
+    const deployer = new ethers.Wallet(TEST_PRIVATE_KEY, node);
+    const attester = attestation.getPublicKey();
+    const verifier = await deployContract(contracts[verifierName], deployer);
+    const registry = await deployContract(contracts.TwitterLinkRegistry, deployer,
+      [verifier.address, attester.x, attester.y, ethers.utils.hexZeroPad(SCOPE_FIELD, 32), MAX_ATTESTATION_AGE]);
+
+    return registry.address;
+  }
+
+  /**
+   * Create a wallet on the in-process chain
+   * @param {string} [privateKey] - Wallet key (a funded chain account)
+   * @returns {Object} Fake wallet provider
+   */
+  function createChainWallet(privateKey = TEST_PRIVATE_KEY) {
+    return createFakeWallet({ privateKey, chainId: chainHex, node });
+  }
+
+  it('records the wallet, nullifier and thresholds of a submitted proof', async () => {
+    const registryAddress = await deployRegistry();
+    const wallet = createChainWallet();
+    const proofRegistry = await bootRegistry(wallet, { [chainHex]: registryAddress });
+
+    const result = await proofRegistry.submitBundle(await createBundle(wallet, { chainId: LOCAL_CHAIN_ID, nullifier: '0x2a' }));
+
+    expect(result.registryAddress).toBe(registryAddress);
+    expect(result.blockNumber).toBeGreaterThan(0);
+    expect(await proofRegistry.getRegistration(wallet.address)).toMatchObject({
+      nullifier: ethers.utils.hexZeroPad('0x2a', 32),
+      minAccountAgeDays: 150,
+      minFollowers: 150
+    });
+  }, 60000);
+
+  it('rejects an account that is already registered to another wallet', async () => {
+    const registryAddress = await deployRegistry();
+    const first = createChainWallet();
+    await (await bootRegistry(first, { [chainHex]: registryAddress }))
+      .submitBundle(await createBundle(first, { chainId: LOCAL_CHAIN_ID, nullifier: '0x2b' }));
+
+    const second = createChainWallet(SECOND_PRIVATE_KEY);
+    const proofRegistry = await bootRegistry(second, { [chainHex]: registryAddress });
+
+    await expect(proofRegistry.submitBundle(await createBundle(second, { chainId: LOCAL_CHAIN_ID, nullifier: '0x2b' })))
+      .rejects.toThrow('This Twitter account is already registered to another wallet');
+  }, 60000);
+
+  it('rejects a proof of Twitter data attested longer ago than the registry allows', async () => {
+    const registryAddress = await deployRegistry();
+    const wallet = createChainWallet();
+    const proofRegistry = await bootRegistry(wallet, { [chainHex]: registryAddress });
+    const fetchedAt = Math.floor(Date.now() / 1000) - MAX_ATTESTATION_AGE - 3600;
+
+    await expect(proofRegistry.submitBundle(await createBundle(wallet, { chainId: LOCAL_CHAIN_ID, nullifier: '0x2d', fetchedAt })))
+      .rejects.toThrow('The Twitter data is too old for this registry');
+    expect(await proofRegistry.getRegistration(wallet.address)).toBeNull();
+  }, 60000);
+
+  it('reports a verifier that reverts, as the generated HonkVerifier does, as an invalid proof', async () => {
+    const registryAddress = await deployRegistry('RevertingVerifier');
+    const wallet = createChainWallet();
+    const proofRegistry = await bootRegistry(wallet, { [chainHex]: registryAddress });
+
+    await expect(proofRegistry.submitBundle(await createBundle(wallet, { chainId: LOCAL_CHAIN_ID, nullifier: '0x2c' })))
+      .rejects.toThrow('The on-chain verifier rejected the proof');
+    expect(await proofRegistry.getRegistration(wallet.address)).toBeNull();
+  }, 60000);
+});
@@ -0,0 +1,232 @@
+/**
+ * Server-side proof verification
+ * Runs server/proofVerifier.js against a circuit target directory written by the test,
+ * with bb.js replaced by a verifier whose answer each test sets. The cryptography is
+ * Barretenberg's; what is tested here is everything the server checks around it
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { TEST_PRIVATE_KEY } from './helpers/fakeWallet.js';
+import attestation from '../server/attestation.js';
+import siwe from '../server/siwe.js';
+import linkMessages from '../src/js/siwe.js';
+
+const verifyUltraHonkProof = vi.fn();
+
+vi.mock('@aztec/bb.js', () => ({
+  BarretenbergVerifier: class {
+    verifyUltraHonkProof(...args) {
+      return verifyUltraHonkProof(...args);
+    }
+  },
+  UltraHonkBackend: class {
+    verifyProof() {
+      return Promise.resolve(false);
+    }
+  }
+}));
+
+const TARGET_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'twitter-zk-circuits-'));
+
+const wallet = new ethers.Wallet(TEST_PRIVATE_KEY);
+
+// twitter.maxAttestationAgeDays of @config.json, in seconds
+const MAX_ATTESTATION_AGE = 30 * 24 * 60 * 60;
+
+const BYTES_32 = { kind: 'array', length: 32, type: { kind: 'integer', sign: 'unsigned', width: 8 } };
+const BYTES_64 = { kind: 'array', length: 64, type: { kind: 'integer', sign: 'unsigned', width: 8 } };
+const U64 = { kind: 'integer', sign: 'unsigned', width: 64 };
+
+// ABI of circuits/src/main.nr as nargo writes it to the compiled artifact
+const ARTIFACT = {
+  bytecode: 'H4sIAAAAAAAA/w==',
+  abi: {
+    parameters: [
+      { name: 'twitter_id_hash', type: BYTES_32, visibility: 'private' },
+      { name: 'account_created_at', type: U64, visibility: 'private' },
+      { name: 'followers', type: U64, visibility: 'private' },
+      { name: 'fetched_at', type: U64, visibility: 'public' },
+      { name: 'attestation_signature', type: BYTES_64, visibility: 'private' },
+      { name: 'attester_pub_key_x', type: BYTES_32, visibility: 'public' },
+      { name: 'attester_pub_key_y', type: BYTES_32, visibility: 'public' },
+      { name: 'min_account_age_days', type: U64, visibility: 'public' },
+      { name: 'min_followers', type: U64, visibility: 'public' },
+      { name: 'message_hash', type: BYTES_32, visibility: 'public' },
+      { name: 'pub_key_x', type: BYTES_32, visibility: 'public' },
+      { name: 'pub_key_y', type: BYTES_32, visibility: 'public' },
+      { name: 'wallet_signature', type: BYTES_64, visibility: 'private' },
+      { name: 'scope', type: { kind: 'field' }, visibility: 'public' }
+    ],
+    return_type: { abi_type: { kind: 'field' }, visibility: 'public' }
+  }
+};
+
+let proofVerifier;
+let artifactHash;
+
+/**
+ * Write the manifest, artifact and verification key `npm run build:circuit` would produce
+ */
+function writeCircuitTarget() {
+  const artifactBytes = Buffer.from(JSON.stringify(ARTIFACT));
+  artifactHash = `sha256:${crypto.createHash('sha256').update(artifactBytes).digest('hex')}`;
+
+  fs.writeFileSync(path.join(TARGET_DIR, 'twitter_zkp.json'), artifactBytes);
+  fs.writeFileSync(path.join(TARGET_DIR, 'twitter_zkp.vk'), crypto.randomBytes(64));
+  fs.writeFileSync(path.join(TARGET_DIR, 'manifest.json'), JSON.stringify({
+    circuits: {
+      twitter_zkp: { version: '3.0.0', artifact: 'twitter_zkp.json', verificationKey: 'twitter_zkp.vk', hash: artifactHash }
+    }
+  }));
+}
+
+/**
+ * Build the bundle of a proof linking the test wallet through an EIP-4361 message
+ * @param {Object} [options] - { fetchedAt, attester, proof }
+ * @returns {Object} Proof bundle
+ */
+function createBundle({
+  fetchedAt = Math.floor(Date.now() / 1000),
+  attester = attestation.getPublicKey(),
+  proof = '0x' + crypto.randomBytes(32).toString('hex')
+} = {}) {
+  const text = linkMessages.buildLinkMessage({ address: wallet.address, chainId: 1, nonce: siwe.createNonce({}) });
+  const publicKey = ethers.utils.arrayify(wallet.publicKey);
+
+  return {
+    format: 'twitter-zk-proof-bundle',
+    version: 1,
+    circuit: { name: 'twitter_zkp', version: '3.0.0', hash: artifactHash },
+    proof,
+    publicInputs: {
+      fetched_at: String(fetchedAt),
+      attester_pub_key_x: attester.x,
+      attester_pub_key_y: attester.y,
+      min_account_age_days: '150',
+      min_followers: '150',
+      message_hash: ethers.utils.hashMessage(text),
+      pub_key_x: ethers.utils.hexlify(publicKey.slice(1, 33)),
+      pub_key_y: ethers.utils.hexlify(publicKey.slice(33, 65)),
+      scope: '0x01',
+      return_value: '0x2a'
+    },
+    message: { mode: 'personal_sign', text },
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Verify a bundle as /api/proof/verify does
+ * @param {Object} bundle - Proof bundle
+ * @returns {Promise<Object>} Verification result
+ */
+function verify(bundle) {
+  return proofVerifier.verifyBundle(bundle, { origin: window.location.origin });
+}
+
+beforeAll(async () => {
+  writeCircuitTarget();
+  vi.stubEnv('CIRCUIT_TARGET_DIR', TARGET_DIR);
+  ({ default: proofVerifier } = await import('../server/proofVerifier.js'));
+});
+
+beforeEach(() => {
+  verifyUltraHonkProof.mockReset().mockResolvedValue(true);
+});
+
+afterAll(() => {
+  vi.unstubAllEnvs();
+  fs.rmSync(TARGET_DIR, { recursive: true, force: true });
+});
+
+describe('server proof verification', () => {
+  it('accepts a proof Barretenberg accepts, with the public inputs in ABI order', async () => {
+    const bundle = createBundle({ fetchedAt: Math.floor(Date.now() / 1000) - 60 });
+    const result = await verify(bundle);
+
+    expect(result).toMatchObject({ valid: true, thresholds: { minAccountAgeDays: 150, minFollowers: 150 } });
+
+    const [{ publicInputs }] = verifyUltraHonkProof.mock.calls[0];
+    expect(publicInputs).toHaveLength(165);
+    expect(BigInt(publicInputs[0])).toBe(BigInt(bundle.publicInputs.fetched_at));
+    expect(publicInputs[164]).toBe(ethers.utils.hexZeroPad('0x2a', 32));
+  });
+
+  it('reports a proof Barretenberg rejects as invalid', async () => {
+    verifyUltraHonkProof.mockResolvedValue(false);
+
+    expect(await verify(createBundle())).toMatchObject({
+      valid: false,
+      reason: 'La prueba no es válida para estas entradas públicas'
+    });
+  });
+
+  it('rejects a bundle whose message does not hash to message_hash', async () => {
+    const bundle = createBundle();
+    bundle.message.text = bundle.message.text.replace('Chain ID: 1', 'Chain ID: 11155111');
+
+    expect(proofVerifier.isSignedLinkMessage(bundle)).toBe(false);
+    expect(await verify(bundle)).toMatchObject({ valid: false, reason: 'El mensaje del bundle no es el que firmó la prueba' });
+  });
+
+  it('rejects Twitter data attested by another key without running the verifier', async () => {
+    const otherKey = new ethers.utils.SigningKey(ethers.utils.randomBytes(32)).publicKey;
+    const attester = { x: ethers.utils.hexDataSlice(otherKey, 1, 33), y: ethers.utils.hexDataSlice(otherKey, 33) };
+
+    expect(await verify(createBundle({ attester }))).toMatchObject({
+      valid: false,
+      reason: 'Los datos de Twitter no fueron atestados por este servidor'
+    });
+    expect(verifyUltraHonkProof).not.toHaveBeenCalled();
+  });
+
+  it('rejects Twitter data attested longer ago than twitter.maxAttestationAgeDays', async () => {
+    const fetchedAt = Math.floor(Date.now() / 1000) - MAX_ATTESTATION_AGE - 60;
+    const result = await verify(createBundle({ fetchedAt }));
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('Los datos de Twitter se atestaron hace más de 30 días');
+    expect(verifyUltraHonkProof).not.toHaveBeenCalled();
+  });
+
+  it('rejects proofs from the mock backend', async () => {
+    // Same bytes as src/js/noirMock.js generateProof: the tag, then zeros up to 64 bytes
+    const proof = Buffer.concat([Buffer.from('MOCK_PROOF'), Buffer.alloc(54)]).toString('base64');
+
+    expect(await verify(createBundle({ proof }))).toMatchObject({
+      valid: false,
+      reason: 'La prueba fue generada por el backend mock'
+    });
+    expect(verifyUltraHonkProof).not.toHaveBeenCalled();
+  });
+
+  it('rejects circuits and bundle versions it does not know', async () => {
+    const unknownCircuit = createBundle();
+    unknownCircuit.circuit = { ...unknownCircuit.circuit, name: 'twitter_karma' };
+
+    await expect(verify(unknownCircuit)).rejects.toThrow('Circuito no soportado: twitter_karma');
+    await expect(verify({ ...createBundle(), version: 2 })).rejects.toThrow('Formato de bundle no soportado');
+
+    const otherBuild = createBundle();
+    otherBuild.circuit = { ...otherBuild.circuit, hash: 'sha256:other' };
+
+    expect(await verify(otherBuild)).toMatchObject({ valid: false, reason: 'El bundle se generó con otra versión del circuito' });
+  });
+
+  it('takes the wallet of a claim from the public key the circuit checked', () => {
+    const { publicInputs } = createBundle({ fetchedAt: 1735689600 });
+
+    expect(proofVerifier.getNullifierClaim(publicInputs)).toEqual({
+      scope: '0x01',
+      nullifier: '0x2a',
+      address: wallet.address,
+      messageHash: publicInputs.message_hash.toLowerCase(),
+      fetchedAt: 1735689600
+    });
+  });
+});
@@ -0,0 +1,14 @@
+/**
+ * Test environment setup
+ * Node's WebCrypto rejects ArrayBuffers created in the jsdom realm (such as
+ * Response.arrayBuffer() results), while typed array views pass its check
+ */
+
+const digest = crypto.subtle.digest.bind(crypto.subtle);
+
+crypto.subtle.digest = (algorithm, data) => digest(algorithm, ArrayBuffer.isView(data) ? data : new Uint8Array(data));
+
+// jsdom installs its own Uint8Array, of which Node's Buffers and TextEncoder output are
+// not instances; libraries that check `instanceof Uint8Array` (such as the secp256k1 code
+// inside ganache, see helpers/localChain.js) need Node's
+globalThis.Uint8Array = Object.getPrototypeOf(Buffer.prototype).constructor;
@@ -0,0 +1,89 @@
+/**
+ * Wallet link messages
+ * Links wallets through the server modules directly and checks that only the message
+ * a session verified can back that session's proofs (see siwe.getLinkedMessage)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { TEST_PRIVATE_KEY } from './helpers/fakeWallet.js';
+import siwe from '../server/siwe.js';
+import typedLink from '../server/typedLink.js';
+import attestation from '../server/attestation.js';
+import linkMessages from '../src/js/siwe.js';
+import linkTypedData from '../src/js/typedLink.js';
+
+const wallet = new ethers.Wallet(TEST_PRIVATE_KEY);
+
+/**
+ * Create a session logged in to Twitter
+ * @returns {Object} Server session
+ */
+function createSession() {
+  return { twitterIdHash: attestation.hashTwitterId('1500000000000000001') };
+}
+
+/**
+ * Link the wallet to a session with an EIP-4361 message
+ * @param {Object} session - Server session
+ * @returns {Promise<string>} Signed message
+ */
+async function linkWithMessage(session) {
+  const nonce = siwe.createNonce(session);
+  const message = linkMessages.buildLinkMessage({ address: wallet.address, chainId: 1, nonce });
+
+  siwe.verifyLink(session, { message, signature: await wallet.signMessage(message) }, { origin: window.location.origin });
+
+  return message;
+}
+
+describe('wallet link messages', () => {
+  it('lets proofs of the verified EIP-4361 message use the link', async () => {
+    const session = createSession();
+    const message = await linkWithMessage(session);
+
+    expect(siwe.getLinkedMessage(session, { messageHash: ethers.utils.hashMessage(message), address: wallet.address }))
+      .toMatchObject({ address: wallet.address, chainId: 1 });
+  });
+
+  it('lets proofs of the verified EIP-712 TwitterLink use the link', async () => {
+    const session = createSession();
+    const typedData = linkTypedData.buildLinkTypedData({ address: wallet.address, chainId: 1, nonce: siwe.createNonce(session) });
+    const { EIP712Domain, ...types } = typedData.types;
+
+    typedLink.verifyTypedLink(session, {
+      typedData,
+      signature: await wallet._signTypedData(typedData.domain, types, typedData.message)
+    });
+
+    const messageHash = ethers.utils._TypedDataEncoder.hash(typedData.domain, types, typedData.message);
+    expect(siwe.getLinkedMessage(session, { messageHash, address: wallet.address }).address).toBe(wallet.address);
+  });
+
+  it('rejects a proof of another message the wallet signed elsewhere', async () => {
+    const session = createSession();
+    await linkWithMessage(session);
+
+    // Any personal_sign the wallet ever published satisfies the circuit's signature check
+    const messageHash = ethers.utils.hashMessage('Sign in to another app');
+
+    expect(() => siwe.getLinkedMessage(session, { messageHash, address: wallet.address }))
+      .toThrow(expect.objectContaining({ statusCode: 403, code: 'WALLET_LINK_INVALID' }));
+  });
+
+  it('rejects proofs in a session without a linked wallet', async () => {
+    const message = await linkWithMessage(createSession());
+
+    expect(() => siwe.getLinkedMessage(createSession(), { messageHash: ethers.utils.hashMessage(message), address: wallet.address }))
+      .toThrow(expect.objectContaining({ statusCode: 401, code: 'AUTH_REQUIRED' }));
+  });
+
+  it('only takes link messages for this frontend as link messages', async () => {
+    const message = await linkWithMessage(createSession());
+
+    expect(siwe.checkLinkMessage(message, { origin: window.location.origin }).address).toBe(wallet.address);
+    expect(() => siwe.checkLinkMessage(message, { origin: 'https://other.example' })).toThrow('El mensaje está dirigido a otro dominio');
+    expect(() => siwe.checkLinkMessage(message.replace(/\nResources:\n.*$/, ''), { origin: window.location.origin }))
+      .toThrow('El mensaje no es un mensaje de vinculación de esta aplicación');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Twitter profile model
+ * Builds profiles from responses attested by the real server/attestation.js and
+ * checks the day-accurate account age the proof inputs rely on
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import attestation from '../server/attestation.js';
+import twitterProfile from '../src/js/twitterProfile.js';
+
+const USER = {
+  id: '1500000000000000001',
+  username: 'veteran_dev',
+  created_at: '2012-03-14T09:26:53.000Z',
+  public_metrics: { followers_count: 4200 }
+};
+
+/**
+ * Build a /api/twitter/user response attested at a given time
+ * @param {Object} [user] - Twitter /2/users/me data
+ * @param {string} [fetchedAt] - ISO time of the attestation
+ * @returns {Object} { data, attestation }
+ */
+function createResponse(user = USER, fetchedAt = '2025-01-01T00:00:00.000Z') {
+  vi.useFakeTimers({ now: new Date(fetchedAt) });
+  const response = { data: user, attestation: attestation.attestTwitterUser(user) };
+  vi.useRealTimers();
+
+  return response;
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('Twitter profile model', () => {
+  it('measures the account age in whole days at the attestation time', () => {
+    const profile = twitterProfile.fromApiResponse(createResponse());
+
+    expect(profile).toMatchObject({
+      id: USER.id,
+      username: 'veteran_dev',
+      createdAt: USER.created_at,
+      followers: 4200,
+      twitterIdHash: attestation.hashTwitterId(USER.id)
+    });
+    // 2012-03-14T09:26:53Z to 2025-01-01T00:00:00Z is 4675.6 days
+    expect(profile.accountAgeDays).toBe(4675);
+    expect(profile.accountAgeDays).toBe(Math.floor((profile.attestation.fetchedAt - profile.attestation.createdAt) / 86400));
+  });
+
+  it('takes the Twitter ID hash from the attestation, keyed so the public ID does not reveal it', () => {
+    const profile = twitterProfile.fromApiResponse(createResponse());
+
+    expect(profile.twitterIdHash).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(profile.twitterIdHash).not.toBe(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(USER.id)));
+  });
+
+  it('rejects an attestation that does not sign the profile data', () => {
+    const response = createResponse();
+    response.data = { ...USER, public_metrics: { followers_count: 99999 } };
+
+    expect(() => twitterProfile.fromApiResponse(response)).toThrow('Invalid Twitter profile: the attestation does not match the account data');
+  });
+
+  it('rejects responses without a follower count', () => {
+    const { public_metrics: _, ...user } = USER;
+
+    expect(() => twitterProfile.fromApiResponse({ data: user })).toThrow('Invalid Twitter profile: missing or malformed follower count');
+  });
+
+  it('restores stored profiles and drops data in the old format', () => {
+    const profile = twitterProfile.fromApiResponse(createResponse());
+
+    expect(twitterProfile.fromStorage(JSON.parse(JSON.stringify(profile)))).toEqual(profile);
+    expect(twitterProfile.fromStorage({ id: USER.id, accountAge: 12.8, followersCount: 4200 })).toBeNull();
+  });
+});
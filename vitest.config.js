@@ -0,0 +1,25 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    include: ['test/**/*.test.js'],
+    environment: 'jsdom',
+    setupFiles: ['test/setup.js'],
+    // The app logs every step; only show the logs of failing tests
+    silent: 'passed-only',
+    environmentOptions: {
+      jsdom: {
+        // Same origin as the Parcel dev server, so /callback URLs can be replayed
+        url: 'http://localhost:1234/'
+      }
+    },
+    // Read by src/js/config.js and server/attestation.js when they are first imported
+    env: {
+      PROXY_URL: 'http://localhost:3000',
+      ZK_BACKEND: 'mock',
+      ZK_TEST_MODE: 'true',
+      // Well-known Hardhat test account #1, used as the attestation key
+      ATTESTATION_PRIVATE_KEY: '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d'
+    }
+  }
+});